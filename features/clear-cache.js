@@ -12,6 +12,10 @@ export class CacheClearer {
       throw new Error("Cannot clear cache while indexing is in progress. Please wait for indexing to complete.");
     }
 
+    if (this.indexer?.historyIndexing) {
+      throw new Error("Cannot clear cache while git history is being indexed. Please wait for it to complete.");
+    }
+
     // Check if cache is currently being saved (race condition prevention)
     if (this.cache.isSaving) {
       throw new Error("Cannot clear cache while cache is being saved. Please try again in a moment.");
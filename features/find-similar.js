@@ -0,0 +1,231 @@
+/**
+ * Find Similar Code Feature
+ *
+ * MCP tool that takes an existing code location instead of a text query and
+ * returns the most similar chunks elsewhere in the index. Indexed regions
+ * reuse their stored vectors; only unindexed regions need a model call.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { cosineSimilarity, mergeAdjacentResults } from "../lib/utils.js";
+import {
+  SEARCH_FILTER_PROPERTIES,
+  createSearchFilter,
+  readSearchFilters,
+  toRelativePath
+} from "../lib/search-filter.js";
+import { RESULT_SCHEMA } from "./hybrid-search.js";
+
+export class SimilarCodeFinder {
+  constructor(embedder, cache, config, hybridSearch) {
+    this.embedder = embedder;
+    this.cache = cache;
+    this.config = config;
+    this.hybridSearch = hybridSearch; // Shares candidate retrieval (ANN, quantized, exact)
+  }
+
+  /**
+   * Find chunks similar to a region of a file
+   * @param {string} file - Absolute or workspace-relative file path
+   * @param {Object} [options]
+   * @param {number} [options.startLine] - First line of the region (1-based)
+   * @param {number} [options.endLine] - Last line of the region
+   * @param {number} [options.maxResults] - Number of distinct locations to return
+   * @param {Object} [options.filters] - File filters (see lib/search-filter.js)
+   * @returns {Promise<{source: Object, results: Array}>}
+   * @throws {Error} For paths outside the workspace and missing files
+   */
+  async findSimilar(file, options = {}) {
+    const fileFilter = createSearchFilter(options.filters, this.config.searchDirectory);
+    const maxResults = options.maxResults || this.config.maxResults;
+    const absPath = path.resolve(this.config.searchDirectory, file);
+    const relPath = path.relative(path.resolve(this.config.searchDirectory), absPath);
+    if (relPath.startsWith("..") || path.isAbsolute(relPath)) {
+      throw new Error(`Path is outside the workspace: ${file}`);
+    }
+
+    const source = await this.getSourceVector(absPath, options.startLine, options.endLine);
+
+    // The source region itself would always be the best match
+    const overlapsSource = (chunk) =>
+      chunk.file === absPath &&
+      chunk.startLine <= source.endLine &&
+      chunk.endLine >= source.startLine;
+
+    const candidates = this.hybridSearch.getVectorCandidates(
+      source.vector,
+      null,
+      fileFilter,
+      maxResults + source.chunkCount
+    );
+
+    const scored = candidates
+      .filter(chunk => !overlapsSource(chunk))
+      .map(chunk => {
+        const similarity = cosineSimilarity(source.vector, chunk.vector);
+        // score is 0-1 like every search result; opposite vectors are just unrelated
+        return { ...chunk, score: Math.max(0, similarity), semanticScore: similarity };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      source: {
+        file: absPath,
+        startLine: source.startLine,
+        endLine: source.endLine,
+        fromIndex: source.fromIndex
+      },
+      results: this.hybridSearch.attachSymbols(mergeAdjacentResults(scored, maxResults))
+    };
+  }
+
+  /**
+   * Embedding for a file region: the mean of the stored vectors of the indexed
+   * chunks overlapping it, or a fresh embedding when none are indexed
+   */
+  async getSourceVector(absPath, startLine, endLine) {
+    const fileChunks = typeof this.cache.getFileChunks === "function"
+      ? this.cache.getFileChunks(absPath)
+      : this.cache.getVectorStore().filter(chunk => chunk.file === absPath);
+
+    const from = startLine || 1;
+    const to = endLine || Infinity;
+    const overlapping = fileChunks.filter(chunk => chunk.startLine <= to && chunk.endLine >= from);
+
+    if (overlapping.length > 0) {
+      return {
+        vector: normalize(meanVector(overlapping.map(chunk => chunk.vector))),
+        startLine: startLine || overlapping[0].startLine,
+        endLine: endLine || overlapping[overlapping.length - 1].endLine,
+        chunkCount: overlapping.length,
+        fromIndex: true
+      };
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(absPath, "utf-8");
+    } catch {
+      throw new Error(`File not found: ${toRelativePath(absPath, this.config.searchDirectory)}`);
+    }
+
+    const lines = content.split("\n");
+    const last = Math.min(endLine || lines.length, lines.length);
+    const region = lines.slice(from - 1, last).join("\n");
+    if (!region.trim()) {
+      throw new Error(`No code in lines ${from}-${last} of ${toRelativePath(absPath, this.config.searchDirectory)}`);
+    }
+
+    const embedding = await this.embedder(region, { pooling: "mean", normalize: true });
+    return {
+      vector: Array.from(embedding.data),
+      startLine: from,
+      endLine: last,
+      chunkCount: 0,
+      fromIndex: false
+    };
+  }
+}
+
+function meanVector(vectors) {
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < mean.length; i++) {
+      mean[i] += vector[i] / vectors.length;
+    }
+  }
+  return mean;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+// MCP Tool definition for this feature
+export function getToolDefinition(config) {
+  return {
+    name: "g_find_similar_code",
+    description: "Finds code similar to an existing location in the codebase ('where else do we do something like this?'). Takes a file path and optional line range instead of a text query and returns the most similar code elsewhere, excluding the source region itself.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        file: {
+          type: "string",
+          description: "Path of the source file (absolute or relative to the workspace root)"
+        },
+        startLine: {
+          type: "number",
+          description: "First line of the source region (default: start of file)"
+        },
+        endLine: {
+          type: "number",
+          description: "Last line of the source region (default: end of file)"
+        },
+        maxResults: {
+          type: "number",
+          description: "Maximum number of results to return (default: from config)",
+          default: config.maxResults
+        },
+        ...SEARCH_FILTER_PROPERTIES
+      },
+      required: ["file"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        source: {
+          type: "object",
+          properties: {
+            file: { type: "string" },
+            startLine: { type: "number" },
+            endLine: { type: "number" },
+            fromIndex: { type: "boolean", description: "Whether stored vectors were reused (no model call)" }
+          }
+        },
+        results: { type: "array", items: RESULT_SCHEMA }
+      },
+      required: ["source", "results"]
+    },
+    annotations: {
+      title: "Find Similar Code",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+// Tool handler
+export async function handleToolCall(request, finder) {
+  const args = request.params.arguments;
+
+  let result;
+  try {
+    result = await finder.findSimilar(args.file, {
+      startLine: args.startLine,
+      endLine: args.endLine,
+      maxResults: args.maxResults,
+      filters: readSearchFilters(args)
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Find similar failed: ${error.message}` }]
+    };
+  }
+
+  const { source, results } = result;
+  const relSource = toRelativePath(source.file, finder.config.searchDirectory);
+  const header = `Code similar to \`${relSource}\` lines ${source.startLine}-${source.endLine}:\n\n`;
+
+  return {
+    content: [{ type: "text", text: header + finder.hybridSearch.formatResults(results) }],
+    structuredContent: {
+      source: { ...source, file: relSource },
+      results: results.map(r => finder.hybridSearch.toStructuredResult(r))
+    }
+  };
+}
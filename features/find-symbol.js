@@ -0,0 +1,183 @@
+/**
+ * Find Symbol Feature
+ *
+ * MCP tool for looking up where functions, classes, methods and types are
+ * defined, by exact name, name prefix or fuzzy match, using the symbol index
+ * built during indexing.
+ */
+
+import { toRelativePath } from "../lib/search-filter.js";
+import { formatSymbolName } from "./hybrid-search.js";
+
+export const MATCH_MODES = ["exact", "prefix", "fuzzy"];
+
+// Suggestions offered when an exact lookup finds nothing
+const SUGGESTION_LIMIT = 5;
+
+export class SymbolFinder {
+  constructor(cache, config) {
+    this.cache = cache;
+    this.config = config;
+  }
+
+  /**
+   * Look up symbol definitions
+   * @param {string} name - Symbol name, optionally qualified ("Class.method")
+   * @param {Object} [options]
+   * @param {string} [options.match] - "exact", "prefix" or "fuzzy"
+   * @param {string} [options.kind] - Only symbols of this kind (function, class, method, ...)
+   * @param {number} [options.maxResults] - Maximum number of symbols
+   * @returns {{symbols: Array, suggestions: Array}} Suggestions are fuzzy matches
+   *   returned when an exact lookup finds nothing
+   */
+  findSymbol(name, { match = "exact", kind = null, maxResults = 20 } = {}) {
+    if (typeof this.cache.findSymbols !== "function") {
+      throw new Error("The current cache does not support symbol lookup");
+    }
+    if (!MATCH_MODES.includes(match)) {
+      throw new Error(`Unknown match mode "${match}". Expected one of: ${MATCH_MODES.join(", ")}`);
+    }
+
+    const symbols = this.cache.findSymbols(name, { match, kind, limit: maxResults });
+    const suggestions = symbols.length === 0 && match === "exact"
+      ? this.cache.findSymbols(name, { match: "fuzzy", kind, limit: SUGGESTION_LIMIT })
+      : [];
+
+    return { symbols, suggestions };
+  }
+
+  /**
+   * Convert a symbol to the structured shape declared in outputSchema
+   */
+  toStructuredSymbol(symbol) {
+    return {
+      name: symbol.name,
+      kind: symbol.kind,
+      parent: symbol.parent ?? null,
+      file: toRelativePath(symbol.file, this.config.searchDirectory),
+      startLine: symbol.startLine,
+      endLine: symbol.endLine,
+      signature: symbol.signature ?? null,
+      score: symbol.score
+    };
+  }
+
+  formatSymbols(symbols) {
+    return symbols.map(symbol => {
+      const relPath = toRelativePath(symbol.file, this.config.searchDirectory);
+      return `- \`${formatSymbolName(symbol)}\` (${symbol.kind}) - \`${relPath}\` lines ${symbol.startLine}-${symbol.endLine}` +
+             (symbol.signature ? `\n  \`${symbol.signature}\`` : "");
+    }).join("\n");
+  }
+}
+
+const SYMBOL_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    kind: { type: "string", description: "function, method, class, interface, struct, type, ..." },
+    parent: { type: ["string", "null"], description: "Enclosing symbol (class, module, impl, ...)" },
+    file: { type: "string", description: "Path relative to the workspace root (POSIX separators)" },
+    startLine: { type: "number" },
+    endLine: { type: "number" },
+    signature: { type: ["string", "null"], description: "First line of the definition" },
+    score: { type: "number", description: "Match quality (1 for exact and prefix matches)" }
+  },
+  required: ["name", "kind", "file", "startLine", "endLine"]
+};
+
+// MCP Tool definition for this feature
+export function getToolDefinition(config) {
+  return {
+    name: "h_find_symbol",
+    description: "Finds where functions, classes, methods and types are defined. Supports exact names, qualified names (e.g., 'CodebaseIndexer.indexAll'), name prefixes and fuzzy matching for partial or misspelled names. Faster and more precise than semantic search when you know the identifier.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Symbol name, optionally qualified with its parent ('Class.method')"
+        },
+        match: {
+          type: "string",
+          enum: MATCH_MODES,
+          description: "exact (case-sensitive, default), prefix, or fuzzy (case-insensitive, tolerates typos and abbreviations)",
+          default: "exact"
+        },
+        kind: {
+          type: "string",
+          description: "Only return symbols of this kind (e.g., function, method, class, interface, type)"
+        },
+        maxResults: {
+          type: "number",
+          description: "Maximum number of symbols to return (default: 20)",
+          default: 20
+        }
+      },
+      required: ["name"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        match: { type: "string" },
+        symbols: { type: "array", items: SYMBOL_SCHEMA },
+        suggestions: {
+          type: "array",
+          items: SYMBOL_SCHEMA,
+          description: "Fuzzy matches offered when an exact lookup finds nothing"
+        }
+      },
+      required: ["name", "match", "symbols"]
+    },
+    annotations: {
+      title: "Find Symbol Definition",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+// Tool handler
+export async function handleToolCall(request, finder) {
+  const args = request.params.arguments;
+  const match = args.match || "exact";
+
+  let result;
+  try {
+    result = finder.findSymbol(args.name, {
+      match,
+      kind: args.kind,
+      maxResults: args.maxResults || 20
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Find symbol failed: ${error.message}` }]
+    };
+  }
+
+  const { symbols, suggestions } = result;
+  const structuredContent = {
+    name: args.name,
+    match,
+    symbols: symbols.map(symbol => finder.toStructuredSymbol(symbol)),
+    ...(suggestions.length > 0 && { suggestions: suggestions.map(symbol => finder.toStructuredSymbol(symbol)) })
+  };
+
+  let text;
+  if (symbols.length > 0) {
+    text = `Found ${symbols.length} definition(s) of \`${args.name}\`:\n\n` + finder.formatSymbols(symbols);
+  } else if (suggestions.length > 0) {
+    text = `No symbol named \`${args.name}\`. Did you mean:\n\n` + finder.formatSymbols(suggestions);
+  } else {
+    text = `No symbol matching \`${args.name}\` found. The symbol index is built during indexing - run b_index_codebase if the code was added recently.`;
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent
+  };
+}
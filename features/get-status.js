@@ -23,6 +23,51 @@ export function getToolDefinition(config) {
       type: "object",
       properties: {},
       required: []
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        version: { type: "string" },
+        uptime: { type: "number", description: "Seconds since the server started" },
+        workspace: {
+          type: "object",
+          properties: {
+            path: { type: "string" },
+            cacheDirectory: { type: "string" }
+          }
+        },
+        model: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            dimension: { type: ["number", "null"] },
+            device: { type: ["string", "null"] }
+          }
+        },
+        index: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["empty", "indexing", "ready"] },
+            filesIndexed: { type: "number" },
+            chunksCount: { type: "number" },
+            chunkingMode: { type: "string" },
+            progressiveIndexing: { type: "object" }
+          }
+        },
+        cache: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            type: { type: "string", enum: ["sqlite", "json", "none"] },
+            path: { type: "string" },
+            sizeBytes: { type: "number" },
+            sizeFormatted: { type: "string" }
+          }
+        },
+        config: { type: "object" },
+        resourceThrottling: { type: "object" }
+      },
+      required: ["version", "workspace", "model", "index", "cache"]
     }
   };
 }
@@ -43,10 +88,8 @@ export class StatusReporter {
    * Get comprehensive status
    */
   async getStatus() {
-    const vectorStore = this.cache?.getVectorStore() || [];
-    
-    // Get unique files from vector store
-    const uniqueFiles = new Set(vectorStore.map(v => v.file));
+    const chunksCount = this.cache?.getVectorCount() ?? 0;
+    const filesIndexed = this.cache?.getFileCount() ?? 0;
     
     // Get cache size (check for SQLite database)
     let cacheSizeBytes = 0;
@@ -85,7 +128,7 @@ export class StatusReporter {
           percentage: this.indexer.indexingStatus.percentage
         };
       }
-    } else if (vectorStore.length > 0) {
+    } else if (chunksCount > 0) {
       indexStatus = 'ready';
     }
 
@@ -106,8 +149,8 @@ export class StatusReporter {
 
       index: {
         status: indexStatus,
-        filesIndexed: uniqueFiles.size,
-        chunksCount: vectorStore.length,
+        filesIndexed,
+        chunksCount,
         chunkingMode: this.config.chunkingMode,
         ...(progressiveIndexing && { progressiveIndexing })
       },
@@ -158,6 +201,7 @@ export async function handleToolCall(request, instance) {
     content: [{
       type: "text",
       text: JSON.stringify(status, null, 2)
-    }]
+    }],
+    structuredContent: status
   };
 }
@@ -0,0 +1,276 @@
+/**
+ * Grep Code Feature
+ *
+ * MCP tool for exact literal or regex search over the same files the indexer
+ * would index (fileExtensions, include/exclude patterns and ignore files), so
+ * agents don't need shell grep and its node_modules/build output noise.
+ */
+
+import fs from "fs/promises";
+import { createFileMatcher, listFiles } from "../lib/file-matcher.js";
+import {
+  SEARCH_FILTER_PROPERTIES,
+  createSearchFilter,
+  readSearchFilters,
+  toRelativePath
+} from "../lib/search-filter.js";
+
+const DEFAULT_MAX_MATCHES = 100;
+const MAX_CONTEXT_LINES = 10;
+// Long lines (minified code, data) are cut in the output
+const MAX_LINE_LENGTH = 300;
+
+export class CodeGrep {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Search the indexable files for a literal string or regular expression
+   * @param {string} pattern - Text or regex source
+   * @param {Object} [options]
+   * @param {boolean} [options.regex] - Treat the pattern as a regular expression
+   * @param {boolean} [options.caseSensitive] - Match case exactly
+   * @param {boolean} [options.wholeWord] - Only match whole words
+   * @param {number} [options.contextLines] - Lines of context around each match
+   * @param {number} [options.maxResults] - Maximum number of matching lines
+   * @param {Object} [options.filters] - File filters (see lib/search-filter.js)
+   * @returns {Promise<{matches: Array, filesSearched: number, truncated: boolean}>}
+   */
+  async grep(pattern, options = {}) {
+    const matcher = compilePattern(pattern, options);
+    const contextLines = Math.min(Math.max(0, options.contextLines || 0), MAX_CONTEXT_LINES);
+    const maxResults = options.maxResults || DEFAULT_MAX_MATCHES;
+    const fileFilter = createSearchFilter(options.filters, this.config.searchDirectory);
+
+    // Read-only walk with the indexer's selection rules; discoverFiles would
+    // also replace the matcher the watcher uses
+    let files = await listFiles(createFileMatcher(this.config));
+    if (fileFilter) {
+      files = files.filter(fileFilter);
+    }
+    files.sort();
+
+    const matches = [];
+    let filesSearched = 0;
+
+    for (const file of files) {
+      let content;
+      try {
+        const stats = await fs.stat(file);
+        if (stats.size > this.config.maxFileSize) continue;
+        content = await fs.readFile(file, "utf-8");
+      } catch {
+        continue; // Deleted or unreadable since discovery
+      }
+      filesSearched++;
+
+      const lines = content.split(/\r?\n/);
+      for (let i = 0; i < lines.length; i++) {
+        matcher.lastIndex = 0;
+        const match = matcher.exec(lines[i]);
+        if (!match) continue;
+
+        if (matches.length >= maxResults) {
+          return { matches, filesSearched, truncated: true };
+        }
+
+        matches.push({
+          file,
+          line: i + 1,
+          column: match.index + 1,
+          text: truncateLine(lines[i]),
+          before: lines.slice(Math.max(0, i - contextLines), i).map(truncateLine),
+          after: lines.slice(i + 1, i + 1 + contextLines).map(truncateLine)
+        });
+      }
+    }
+
+    return { matches, filesSearched, truncated: false };
+  }
+
+  /**
+   * Convert a match to the structured shape declared in outputSchema
+   */
+  toStructuredMatch(match) {
+    return { ...match, file: toRelativePath(match.file, this.config.searchDirectory) };
+  }
+
+  /**
+   * Format matches grep-style, grouped by file: "12: match", "11- context",
+   * with "--" between non-adjacent groups
+   */
+  formatMatches(matches) {
+    const byFile = new Map();
+    for (const match of matches) {
+      if (!byFile.has(match.file)) byFile.set(match.file, new Map());
+      const lines = byFile.get(match.file);
+
+      match.before.forEach((text, i) => {
+        const line = match.line - match.before.length + i;
+        if (!lines.has(line)) lines.set(line, { text, isMatch: false });
+      });
+      lines.set(match.line, { text: match.text, isMatch: true });
+      match.after.forEach((text, i) => {
+        const line = match.line + 1 + i;
+        if (!lines.has(line)) lines.set(line, { text, isMatch: false });
+      });
+    }
+
+    return [...byFile].map(([file, lines]) => {
+      const relPath = toRelativePath(file, this.config.searchDirectory);
+      const output = [];
+      let previous = null;
+      for (const line of [...lines.keys()].sort((a, b) => a - b)) {
+        if (previous !== null && line > previous + 1) output.push("--");
+        const { text, isMatch } = lines.get(line);
+        output.push(`${line}${isMatch ? ":" : "-"} ${text}`);
+        previous = line;
+      }
+      return `**File:** \`${relPath}\`\n\`\`\`\n${output.join("\n")}\n\`\`\``;
+    }).join("\n\n");
+  }
+}
+
+/**
+ * Build the line matcher for a grep request
+ * @throws {Error} For an empty pattern or an invalid regular expression
+ */
+function compilePattern(pattern, { regex = false, caseSensitive = false, wholeWord = false } = {}) {
+  if (!pattern) {
+    throw new Error("Pattern must not be empty");
+  }
+
+  let source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (wholeWord) {
+    source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+  }
+
+  try {
+    return new RegExp(source, caseSensitive ? "" : "i");
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+function truncateLine(line) {
+  return line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) + "…" : line;
+}
+
+const MATCH_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string", description: "Path relative to the workspace root (POSIX separators)" },
+    line: { type: "number" },
+    column: { type: "number", description: "1-based column of the first match on the line" },
+    text: { type: "string" },
+    before: { type: "array", items: { type: "string" }, description: "Context lines before the match" },
+    after: { type: "array", items: { type: "string" }, description: "Context lines after the match" }
+  },
+  required: ["file", "line", "column", "text"]
+};
+
+// MCP Tool definition for this feature
+export function getToolDefinition(config) {
+  return {
+    name: "i_grep_code",
+    description: "Exact text or regular expression search over the project's source files. Searches the same files as the semantic index (skips node_modules, build output and other excluded paths). Use for exact identifiers, string literals, TODOs or patterns; use a_semantic_search to find code by meaning.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pattern: {
+          type: "string",
+          description: "Text to find, or a JavaScript regular expression when regex is true"
+        },
+        regex: {
+          type: "boolean",
+          description: "Treat the pattern as a regular expression (default: false, literal text)",
+          default: false
+        },
+        caseSensitive: {
+          type: "boolean",
+          description: "Match case exactly (default: false)",
+          default: false
+        },
+        wholeWord: {
+          type: "boolean",
+          description: "Only match whole words (default: false)",
+          default: false
+        },
+        contextLines: {
+          type: "number",
+          description: `Lines of context before and after each match (default: 0, max: ${MAX_CONTEXT_LINES})`,
+          default: 0
+        },
+        maxResults: {
+          type: "number",
+          description: `Maximum number of matching lines (default: ${DEFAULT_MAX_MATCHES})`,
+          default: DEFAULT_MAX_MATCHES
+        },
+        ...SEARCH_FILTER_PROPERTIES
+      },
+      required: ["pattern"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        pattern: { type: "string" },
+        matches: { type: "array", items: MATCH_SCHEMA },
+        filesSearched: { type: "number" },
+        truncated: { type: "boolean", description: "Whether more matches exist beyond maxResults" }
+      },
+      required: ["pattern", "matches", "filesSearched", "truncated"]
+    },
+    annotations: {
+      title: "Grep Code",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+// Tool handler
+export async function handleToolCall(request, codeGrep) {
+  const args = request.params.arguments;
+
+  let result;
+  try {
+    result = await codeGrep.grep(args.pattern, {
+      regex: args.regex,
+      caseSensitive: args.caseSensitive,
+      wholeWord: args.wholeWord,
+      contextLines: args.contextLines,
+      maxResults: args.maxResults,
+      filters: readSearchFilters(args)
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Grep failed: ${error.message}` }]
+    };
+  }
+
+  const { matches, filesSearched, truncated } = result;
+  const fileCount = new Set(matches.map(match => match.file)).size;
+
+  let text;
+  if (matches.length === 0) {
+    text = `No matches for \`${args.pattern}\` in ${filesSearched} files.`;
+  } else {
+    text = `Found ${matches.length} matching line(s) in ${fileCount} file(s) (${filesSearched} files searched)` +
+      (truncated ? ` - stopped at maxResults (${matches.length}), narrow the search to see more` : "") +
+      ":\n\n" + codeGrep.formatMatches(matches);
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      pattern: args.pattern,
+      matches: matches.map(match => codeGrep.toStructuredMatch(match)),
+      filesSearched,
+      truncated
+    }
+  };
+}
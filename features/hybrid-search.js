@@ -1,5 +1,34 @@
 import path from "path";
-import { cosineSimilarity } from "../lib/utils.js";
+import { cosineSimilarity, mergeAdjacentResults } from "../lib/utils.js";
+import { tokenizeCode } from "../lib/identifier-tokenizer.js";
+import { ContextExpander, parseContextOption } from "../lib/context-expander.js";
+import { packResults } from "../lib/token-budget.js";
+import { parseSearchQuery, createContentFilter } from "./query-parser.js";
+import { blameRange } from "../lib/git.js";
+import { loadCodeOwners, createOwnerFilter } from "../lib/codeowners.js";
+import {
+  SEARCH_FILTER_PROPERTIES,
+  createSearchFilter,
+  detectLanguage,
+  readSearchFilters,
+  toRelativePath
+} from "../lib/search-filter.js";
+
+// Max BM25 (and per-term trigram) candidates pulled from the FTS indexes per query
+const LEXICAL_CANDIDATE_LIMIT = 1000;
+
+// Minimum candidates per requested result from an approximate first pass;
+// with fewer ANN candidates (e.g. filters discarded most of the probed lists)
+// search falls back to an exact scan
+const MIN_CANDIDATES_PER_RESULT = 10;
+
+// Distinct locations considered for packing when only a token budget is given
+export const TOKEN_BUDGET_MAX_RESULTS = 50;
+
+// Commit count at which a file counts as fully "active" for the recency boost
+const CHURN_SATURATION_COMMITS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class HybridSearch {
   constructor(embedder, cache, config, indexer = null) {
@@ -7,12 +36,44 @@ export class HybridSearch {
     this.cache = cache;
     this.config = config;
     this.indexer = indexer; // Reference to indexer for status checking
+    this.contextExpander = new ContextExpander(config);
   }
 
-  async search(query, maxResults) {
-    const vectorStore = this.cache.getVectorStore();
+  /**
+   * Hybrid search over the index
+   * @param {string} query - Search query, optionally with operators (see query-parser.js)
+   * @param {number} maxResults - Maximum number of results
+   * @param {Object} [filters] - File filters applied before scoring (see lib/search-filter.js),
+   *   plus `owners` to keep files owned by any of them in CODEOWNERS
+   * @param {Object} [options]
+   * @param {number} [options.minScore] - Drop results below this normalized score (default: config.minScore)
+   * @param {string|number} [options.context] - Expand results to the "enclosing" function/class or by N lines
+   * @param {number} [options.maxTokens] - Fill this token budget with the best results (within maxResults)
+   * @param {boolean} [options.blame] - Annotate results with their last commit (git blame) and CODEOWNERS owners
+   * @returns {Promise<{results: Array, message: string|null, indexingWarning?: string|null, budget?: Object}>}
+   */
+  async search(query, maxResults, filters = {}, options = {}) {
+    // Parse and build the filters first so invalid options fail before any work is done
+    const parsedQuery = parseSearchQuery(query);
+    const searchFilters = mergeFilters(filters, parsedQuery.filters);
+    const ownerFilterRequested = searchFilters.owners?.length > 0;
+    const codeOwners = ownerFilterRequested || options.blame
+      ? await loadCodeOwners(this.config.searchDirectory)
+      : null;
+    const fileFilter = combineFilters(
+      createSearchFilter(searchFilters, this.config.searchDirectory),
+      ownerFilterRequested ? createOwnerFilter(codeOwners, searchFilters.owners) : null
+    );
+    const contentFilter = createContentFilter(parsedQuery);
+    const context = parseContextOption(options.context);
+    if (options.maxTokens !== undefined && !(options.maxTokens > 0)) {
+      throw new Error(`maxTokens must be a positive number, got ${options.maxTokens}`);
+    }
+    const vectorCount = typeof this.cache.getVectorCount === "function"
+      ? this.cache.getVectorCount()
+      : this.cache.getVectorStore().length;
     
-    if (vectorStore.length === 0) {
+    if (vectorCount === 0) {
       // Check if indexing is in progress
       if (this.indexer?.indexingStatus?.inProgress) {
         return {
@@ -32,42 +93,300 @@ export class HybridSearch {
       indexingWarning = `⚠️ Indexing in progress (${this.indexer.indexingStatus.percentage}% complete). Results shown are from partially indexed codebase.\n\n`;
     }
 
-    // Generate query embedding
-    const queryEmbed = await this.embedder(query, { pooling: "mean", normalize: true });
+    // Generate query embedding from the free text (operators removed)
+    const queryEmbed = await this.embedder(parsedQuery.text, { pooling: "mean", normalize: true });
     const queryVector = Array.from(queryEmbed.data);
 
-    // Score all chunks
-    const scoredChunks = vectorStore.map(chunk => {
-      // Semantic similarity
-      let score = cosineSimilarity(queryVector, chunk.vector) * this.config.semanticWeight;
-      
-      // Exact match boost
-      const lowerQuery = query.toLowerCase();
-      const lowerContent = chunk.content.toLowerCase();
-      
-      if (lowerContent.includes(lowerQuery)) {
-        score += this.config.exactMatchBoost;
-      } else {
-        // Partial word matching
-        const queryWords = lowerQuery.split(/\s+/);
-        const matchedWords = queryWords.filter(word => 
-          word.length > 2 && lowerContent.includes(word)
-        ).length;
-        score += (matchedWords / queryWords.length) * 0.3;
+    const lexical = this.lookupLexical(parsedQuery.text);
+
+    // Narrow to matching files before scoring
+    let candidates = this.getVectorCandidates(queryVector, lexical, fileFilter, maxResults);
+
+    if (candidates.length === 0) {
+      return {
+        results: [],
+        message: "No indexed files match the search filters.",
+        indexingWarning
+      };
+    }
+
+    if (contentFilter) {
+      candidates = candidates.filter(chunk => contentFilter(chunk.content));
+      if (candidates.length === 0) {
+        return {
+          results: [],
+          message: "No indexed code matches the quoted phrases and exclusions in the query.",
+          indexingWarning
+        };
+      }
+    }
+
+    const scoreLexical = this.createLexicalScorer(parsedQuery.text, lexical);
+    const semanticWeight = this.config.semanticWeight;
+    const recencyBoost = this.config.recencyBoost || 0;
+    const minScore = options.minScore ?? this.config.minScore ?? 0;
+    const fileActivity = typeof this.cache.getFileActivity === "function"
+      ? this.cache.getFileActivity([...new Set(candidates.map(chunk => chunk.file))])
+      : new Map();
+    const now = Date.now();
+
+    // Score all chunks: weighted cosine + weighted lexical relevance gives a
+    // 0-1 base score; boosts then close part of the gap to 1, so a perfect
+    // match scores 1 however large the boosts are configured
+    const scoredChunks = [];
+    for (const chunk of candidates) {
+      const { lexicalScore, exactMatch } = scoreLexical(chunk);
+      const semanticScore = cosineSimilarity(queryVector, chunk.vector);
+
+      const activity = fileActivity.get(chunk.file);
+
+      const boosts = exactMatch ? [{ name: "exactMatch", value: this.config.exactMatchBoost }] : [];
+      if (recencyBoost > 0 && activity) {
+        boosts.push({ name: "recency", value: recencyBoost * activityScore(activity, now, this.config.recencyHalfLifeDays) });
+      }
+      const baseScore = Math.min(1, Math.max(0, semanticScore * semanticWeight + lexicalScore * (1 - semanticWeight)));
+      const boost = Math.max(0, boosts.reduce((sum, b) => sum + b.value, 0));
+      const score = 1 - (1 - baseScore) / (1 + boost);
+
+      if (score < minScore) continue;
+      scoredChunks.push({
+        ...chunk,
+        score,
+        semanticScore,
+        lexicalScore,
+        exactMatch,
+        ...(activity && { activity }),
+        scoreBreakdown: { semanticWeight, boosts, baseScore, boost }
+      });
+    }
+
+    if (scoredChunks.length === 0) {
+      return {
+        results: [],
+        message: `No results scored at or above minScore (${minScore}).`,
+        indexingWarning
+      };
+    }
+
+    // Get top results, merging overlapping windows of the same code
+    let results = mergeAdjacentResults(
+      scoredChunks.sort((a, b) => b.score - a.score),
+      maxResults
+    );
+
+    // Expanded results can overlap each other, so merge again
+    if (context) {
+      results = mergeAdjacentResults(await this.contextExpander.expand(results, context), maxResults);
+    }
+
+    let budget;
+    if (options.maxTokens) {
+      ({ results, budget } = packResults(results, options.maxTokens));
+    }
+
+    results = this.attachSymbols(results);
+    if (options.blame) {
+      results = await this.attachOwnership(results, codeOwners);
+    }
+
+    return { results, message: null, indexingWarning, ...(budget && { budget }) };
+  }
+
+  /**
+   * Annotate results with the latest commit touching their lines and the
+   * owners CODEOWNERS assigns to their file
+   * @param {Array} results - Search results
+   * @param {Object|null} codeOwners - From loadCodeOwners (owners are null without one)
+   */
+  async attachOwnership(results, codeOwners) {
+    const annotated = [];
+    // One git process at a time; results are few
+    for (const r of results) {
+      let blame;
+      let blameError = null;
+      try {
+        blame = await blameRange(r.file, r.startLine, r.endLine);
+      } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        // The file changed since indexing; the result's lines no longer exist
+        blame = null;
+        blameError = error.message;
       }
-      
-      return { ...chunk, score };
+      annotated.push({
+        ...r,
+        blame,
+        ...(blameError && { blameError }),
+        owners: codeOwners ? codeOwners.ownersOf(r.file) : null
+      });
+    }
+    return annotated;
+  }
+
+  /**
+   * Annotate results with the symbol (function, class, ...) enclosing each one
+   */
+  attachSymbols(results) {
+    if (typeof this.cache.getEnclosingSymbol !== "function") return results;
+
+    return results.map(r => {
+      const symbol = this.cache.getEnclosingSymbol(r.file, r.startLine, r.endLine);
+      return symbol ? { ...r, symbol } : r;
     });
+  }
+
+  /**
+   * Chunks to score for a query vector, restricted to files passing the filter
+   * Uses the ANN index or the quantized first pass when available, otherwise
+   * every stored chunk.
+   *
+   * @param {Array<number>} queryVector - Normalized query embedding
+   * @param {Object|null} lexical - Result of lookupLexical (its matches are always included)
+   * @param {Function|null} fileFilter - file => boolean
+   * @param {number} maxResults - Number of results the caller needs
+   * @returns {Array} Chunks with vectors
+   */
+  getVectorCandidates(queryVector, lexical, fileFilter, maxResults) {
+    const approximate = this.getApproximateCandidates(queryVector, lexical, fileFilter, maxResults) ||
+      this.getQuantizedCandidates(queryVector, lexical, fileFilter, maxResults);
+    if (approximate) return approximate;
+
+    const vectorStore = this.cache.getVectorStore();
+    return fileFilter
+      ? vectorStore.filter(chunk => fileFilter(chunk.file))
+      : vectorStore;
+  }
+
+  /**
+   * Candidate chunks from the cache's ANN index plus the lexical matches
+   * Returns null when an exact scan over all vectors should be used instead:
+   * ANN disabled or unsupported by the cache, index below annMinChunks, or
+   * too few candidates left after filtering.
+   * @returns {Array|null} Chunks with vectors
+   */
+  getApproximateCandidates(queryVector, lexical, fileFilter, maxResults) {
+    if (!this.config.annEnabled || typeof this.cache.searchApproximate !== "function") {
+      return null;
+    }
 
-    // Get top results
-    const results = scoredChunks
-      .sort((a, b) => b.score - a.score)
-      .slice(0, maxResults);
+    const annIds = this.cache.searchApproximate(queryVector, this.config.annProbes);
+    if (!annIds) return null;
 
-    return { results, message: null, indexingWarning };
+    // Lexical hits are always scored so exact matches outside the probed lists are kept
+    const ids = new Set(annIds);
+    for (const id of lexicalCandidateIds(lexical)) {
+      ids.add(id);
+    }
+
+    let chunks = this.cache.getChunksByIds([...ids]);
+    if (fileFilter) {
+      chunks = chunks.filter(chunk => fileFilter(chunk.file));
+    }
+
+    if (chunks.length < maxResults * MIN_CANDIDATES_PER_RESULT) {
+      if (this.config.verbose) {
+        console.error(`[Search] Only ${chunks.length} ANN candidates, using exact scan`);
+      }
+      return null;
+    }
+
+    return chunks;
   }
 
-  formatResults(results) {
+  /**
+   * Candidate chunks from a first pass over the cache's quantized vectors,
+   * plus the lexical matches, loaded with full-precision vectors for rescoring
+   * @returns {Array|null} Chunks with vectors, or null when quantization is off
+   */
+  getQuantizedCandidates(queryVector, lexical, fileFilter, maxResults) {
+    if (typeof this.cache.searchQuantized !== "function") return null;
+
+    const limit = Math.max(this.config.rescoreCandidates ?? 0, maxResults * MIN_CANDIDATES_PER_RESULT);
+    const quantizedIds = this.cache.searchQuantized(queryVector, limit, fileFilter);
+    if (!quantizedIds) return null;
+
+    const ids = new Set(quantizedIds);
+    for (const id of lexicalCandidateIds(lexical)) {
+      ids.add(id);
+    }
+
+    const chunks = this.cache.getChunksByIds([...ids]);
+    return fileFilter ? chunks.filter(chunk => fileFilter(chunk.file)) : chunks;
+  }
+
+  /**
+   * Lexical matches for a query from the cache's full-text indexes
+   * @param {string} query - Search query
+   * @returns {Object|null} cache.searchLexical result (BM25 scores, phrase matches)
+   *   plus `trigram` (cache.searchTrigram substring/typo scores), or null when
+   *   the cache has neither index
+   */
+  lookupLexical(query) {
+    const lexical = typeof this.cache.searchLexical === "function"
+      ? this.cache.searchLexical(query, LEXICAL_CANDIDATE_LIMIT)
+      : null;
+    const trigram = typeof this.cache.searchTrigram === "function"
+      ? this.cache.searchTrigram(query, LEXICAL_CANDIDATE_LIMIT)
+      : null;
+
+    if (!lexical && !trigram) return null;
+    return { scores: new Map(), phraseMatches: new Set(), ...lexical, trigram };
+  }
+
+  /**
+   * Build a per-chunk lexical scorer for a query
+   * Uses BM25 from the cache's FTS5 index when available (normalized to 0-1
+   * against the best match) and the trigram index's substring and typo
+   * matches, otherwise falls back to substring matching.
+   * @param {string} query - Search query
+   * @param {Object|null} [lexical] - Result of lookupLexical (looked up if omitted)
+   * @returns {Function} chunk => { lexicalScore: number, exactMatch: boolean }
+   */
+  createLexicalScorer(query, lexical) {
+    if (lexical === undefined) {
+      lexical = this.lookupLexical(query);
+    }
+
+    if (lexical) {
+      const maxScore = Math.max(0, ...lexical.scores.values());
+      return (chunk) => {
+        const bm25 = lexical.scores.get(chunk.id) || 0;
+        // Partial identifiers and typos BM25 cannot see ("sqlite_cach", "Indexr")
+        const trigramScore = lexical.trigram?.scores.get(chunk.id) || 0;
+        return {
+          lexicalScore: Math.max(maxScore > 0 ? bm25 / maxScore : 0, trigramScore),
+          exactMatch: lexical.phraseMatches.has(chunk.id)
+        };
+      };
+    }
+
+    // Fallback: substring scan (caches without an FTS index)
+    const lowerQuery = query.toLowerCase();
+    const queryTerms = tokenizeCode(query);
+
+    return (chunk) => {
+      const lowerContent = chunk.content.toLowerCase();
+
+      if (lowerContent.includes(lowerQuery)) {
+        return { lexicalScore: 1, exactMatch: true };
+      }
+
+      // Partial matching on identifier parts (getUserById ~ "user by id")
+      if (queryTerms.length === 0) {
+        return { lexicalScore: 0, exactMatch: false };
+      }
+      const contentTerms = new Set(tokenizeCode(chunk.content));
+      const matchedTerms = queryTerms.filter(term => contentTerms.has(term)).length;
+      return { lexicalScore: matchedTerms / queryTerms.length, exactMatch: false };
+    };
+  }
+
+  /**
+   * Format results as Markdown
+   * @param {Array} results - Search results
+   * @param {Object} [options]
+   * @param {boolean} [options.explain] - Add each result's score breakdown
+   */
+  formatResults(results, { explain = false } = {}) {
     if (results.length === 0) {
       return "No matching code found for your query.";
     }
@@ -76,14 +395,259 @@ export class HybridSearch {
       const relPath = path.relative(this.config.searchDirectory, r.file);
       return `## Result ${idx + 1} (Relevance: ${(r.score * 100).toFixed(1)}%)\n` +
              `**File:** \`${relPath}\`\n` +
-             `**Lines:** ${r.startLine}-${r.endLine}\n\n` +
+             `**Lines:** ${r.startLine}-${r.endLine}` +
+             (r.matchStartLine !== undefined ? ` (match: ${r.matchStartLine}-${r.matchEndLine})` : "") +
+             (r.trimmed ? " (trimmed to fit the token budget)" : "") + "\n" +
+             (r.symbol ? `**Symbol:** \`${formatSymbolName(r.symbol)}\` (${r.symbol.kind})\n` : "") +
+             (r.activity ? `**Last changed:** ${formatActivity(r.activity)}\n` : "") +
+             (r.blame !== undefined ? `**Last commit:** ${r.blameError ?? formatBlame(r.blame)}\n` : "") +
+             (r.owners ? `**Owners:** ${r.owners.length > 0 ? r.owners.join(", ") : "none"}\n` : "") +
+             (explain && r.scoreBreakdown ? `**Score:** ${formatExplanation(this.explainScore(r))}\n` : "") +
+             "\n" +
              "```" + path.extname(r.file).slice(1) + "\n" +
              r.content + "\n" +
              "```\n";
     }).join("\n");
   }
+
+  /**
+   * Score breakdown of a search result: raw component scores, their weights,
+   * the base score they add up to, each boost applied and the final score
+   */
+  explainScore(r) {
+    const { semanticWeight, boosts, baseScore, boost } = r.scoreBreakdown;
+    return {
+      semantic: r.semanticScore,
+      semanticWeight,
+      lexical: r.lexicalScore,
+      lexicalWeight: 1 - semanticWeight,
+      boosts,
+      baseScore,
+      boost,
+      score: r.score
+    };
+  }
+
+  /**
+   * Convert a search result to the structured shape declared in outputSchema
+   * @param {Object} r - Search result
+   * @param {Object} [options]
+   * @param {boolean} [options.explain] - Include the score breakdown
+   */
+  toStructuredResult(r, { explain = false } = {}) {
+    return {
+      file: toRelativePath(r.file, this.config.searchDirectory),
+      startLine: r.startLine,
+      endLine: r.endLine,
+      ...(r.matchStartLine !== undefined && { matchStartLine: r.matchStartLine, matchEndLine: r.matchEndLine }),
+      language: detectLanguage(r.file),
+      score: r.score,
+      scores: {
+        semantic: r.semanticScore ?? null,
+        lexical: r.lexicalScore ?? null,
+        exactMatch: Boolean(r.exactMatch)
+      },
+      symbol: r.symbol
+        ? { name: r.symbol.name, kind: r.symbol.kind, parent: r.symbol.parent ?? null }
+        : null,
+      activity: r.activity
+        ? { lastModified: new Date(r.activity.lastModified).toISOString(), commitCount: r.activity.commitCount }
+        : null,
+      ...(r.blame !== undefined && {
+        blame: r.blame
+          ? { ...r.blame, date: r.blame.date === null ? null : new Date(r.blame.date).toISOString() }
+          : null,
+        ...(r.blameError && { blameError: r.blameError }),
+        owners: r.owners
+      }),
+      ...(r.tokens !== undefined && { tokens: r.tokens, trimmed: Boolean(r.trimmed) }),
+      ...(explain && r.scoreBreakdown && { explanation: this.explainScore(r) }),
+      content: r.content
+    };
+  }
+}
+
+/**
+ * Both file predicates (either may be null)
+ */
+function combineFilters(a, b) {
+  if (!a || !b) return a || b;
+  return (file) => a(file) && b(file);
+}
+
+/**
+ * Chunk ids with a lexical (BM25 or trigram) match
+ */
+function lexicalCandidateIds(lexical) {
+  if (!lexical) return [];
+  return [...lexical.scores.keys(), ...(lexical.trigram?.scores.keys() || [])];
+}
+
+/**
+ * Combine the tool's filter arguments with the filters written in the query
+ */
+function mergeFilters(filters, queryFilters) {
+  const merged = { ...filters };
+  for (const [key, values] of Object.entries(queryFilters)) {
+    merged[key] = [...(filters[key] || []), ...values];
+  }
+  return merged;
+}
+
+// Omitted results listed in the text output (all are in structuredContent)
+const MAX_LISTED_OMISSIONS = 5;
+
+function formatBudget(budget, searchDirectory) {
+  let text = `**Token budget:** ~${budget.usedTokens} of ${budget.maxTokens} used (${budget.remainingTokens} left)`;
+  if (budget.omitted.length === 0) {
+    return text + "\n";
+  }
+
+  const listed = budget.omitted.slice(0, MAX_LISTED_OMISSIONS).map(o =>
+    `- \`${toRelativePath(o.file, searchDirectory)}\` lines ${o.startLine}-${o.endLine} (~${o.tokens} tokens)`
+  );
+  const more = budget.omitted.length - listed.length;
+  return text + `; ${budget.omitted.length} result(s) left out:\n` + listed.join("\n") +
+    (more > 0 ? `\n- ...and ${more} more` : "") + "\n";
 }
 
+function formatExplanation(e) {
+  const base = `(semantic ${e.semantic.toFixed(3)} × ${e.semanticWeight.toFixed(2)} + ` +
+    `lexical ${e.lexical.toFixed(3)} × ${e.lexicalWeight.toFixed(2)}) = ${e.baseScore.toFixed(3)}`;
+  if (e.boosts.length === 0) return base;
+
+  const boosts = e.boosts.map(boost => `${boost.name} boost ${Number(boost.value.toFixed(3))}`).join(" + ");
+  return `${base}; with ${boosts}: 1 - (1 - ${e.baseScore.toFixed(3)}) / ${(1 + e.boost).toFixed(2)} = ${e.score.toFixed(3)}`;
+}
+
+/**
+ * How recently and how often a file changed, from 0 (stale) to 1: recency
+ * halves every halfLifeDays; with git history a quarter comes from the commit
+ * count (log scale, saturating at CHURN_SATURATION_COMMITS)
+ */
+function activityScore({ lastModified, commitCount }, now, halfLifeDays = 180) {
+  const ageDays = Math.max(0, now - lastModified) / DAY_MS;
+  const recency = Math.pow(0.5, ageDays / halfLifeDays);
+  if (commitCount === null || commitCount === undefined) {
+    return recency;
+  }
+
+  const churn = Math.min(1, Math.log1p(commitCount) / Math.log1p(CHURN_SATURATION_COMMITS));
+  return 0.75 * recency + 0.25 * churn;
+}
+
+function formatBlame(blame) {
+  if (!blame) return "not tracked by git";
+
+  const uncommitted = blame.uncommittedLines > 0
+    ? `${blame.uncommittedLines} uncommitted line${blame.uncommittedLines === 1 ? "" : "s"}`
+    : "";
+  if (!blame.hash) return uncommitted;
+
+  const date = new Date(blame.date).toISOString().slice(0, 10);
+  return `\`${blame.hash.slice(0, 8)}\` by ${blame.author} on ${date}: ${blame.message}` +
+    (uncommitted ? ` (+ ${uncommitted})` : "");
+}
+
+function formatActivity({ lastModified, commitCount }) {
+  const date = new Date(lastModified).toISOString().slice(0, 10);
+  if (commitCount === null || commitCount === undefined) {
+    return `${date} (file modification time)`;
+  }
+  return `${date} (${commitCount} commit${commitCount === 1 ? "" : "s"})`;
+}
+
+/**
+ * Display name of a symbol, qualified with its parent ("Class.method")
+ */
+export function formatSymbolName(symbol) {
+  return symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
+}
+
+// Structured shape of one search result (see HybridSearch.toStructuredResult)
+export const RESULT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string", description: "Path relative to the workspace root (POSIX separators)" },
+    startLine: { type: "number" },
+    endLine: { type: "number" },
+    matchStartLine: { type: "number", description: "First matched line when the result was expanded with context" },
+    matchEndLine: { type: "number", description: "Last matched line when the result was expanded with context" },
+    language: { type: ["string", "null"] },
+    score: { type: "number", description: "Relevance from 0 to 1" },
+    scores: {
+      type: "object",
+      properties: {
+        semantic: { type: ["number", "null"], description: "Cosine similarity to the query" },
+        lexical: { type: ["number", "null"], description: "Normalized lexical relevance (0-1)" },
+        exactMatch: { type: "boolean", description: "Whether the exact match boost was applied" }
+      }
+    },
+    symbol: {
+      type: ["object", "null"],
+      description: "Innermost function/class/... enclosing the result",
+      properties: {
+        name: { type: "string" },
+        kind: { type: "string" },
+        parent: { type: ["string", "null"] }
+      }
+    },
+    activity: {
+      type: ["object", "null"],
+      description: "When the file last changed (git commit, or mtime outside git) and how many commits touched it",
+      properties: {
+        lastModified: { type: "string", description: "ISO 8601 timestamp" },
+        commitCount: { type: ["number", "null"], description: "Null when only the modification time is known" }
+      }
+    },
+    blame: {
+      type: ["object", "null"],
+      description: "Latest commit touching the result's lines (only with blame: true; null when the file is not tracked or the lines are out of range)",
+      properties: {
+        hash: { type: ["string", "null"], description: "Null when all lines are uncommitted" },
+        author: { type: ["string", "null"] },
+        email: { type: ["string", "null"] },
+        date: { type: ["string", "null"], description: "Author date, ISO 8601" },
+        message: { type: ["string", "null"], description: "Commit summary line" },
+        uncommittedLines: { type: "number" }
+      }
+    },
+    blameError: {
+      type: "string",
+      description: "Why blame is null although the file may be tracked, e.g. lines outside the file after it changed (only with blame: true)"
+    },
+    owners: {
+      type: ["array", "null"],
+      items: { type: "string" },
+      description: "CODEOWNERS owners of the file (only with blame: true; null without a CODEOWNERS file)"
+    },
+    tokens: { type: "number", description: "Estimated tokens of the snippet (only with maxTokens)" },
+    trimmed: { type: "boolean", description: "Whether the snippet was cut to fit the token budget" },
+    explanation: {
+      type: "object",
+      description: "Score breakdown (only with explain: true)",
+      properties: {
+        semantic: { type: "number", description: "Raw cosine similarity" },
+        semanticWeight: { type: "number" },
+        lexical: { type: "number" },
+        lexicalWeight: { type: "number" },
+        boosts: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { name: { type: "string" }, value: { type: "number" } }
+          }
+        },
+        baseScore: { type: "number", description: "Weighted semantic and lexical scores, clamped to 0-1" },
+        boost: { type: "number", description: "Sum of the boosts" },
+        score: { type: "number", description: "1 - (1 - baseScore) / (1 + boost)" }
+      }
+    },
+    content: { type: "string" }
+  },
+  required: ["file", "startLine", "endLine", "score", "content"]
+};
+
 // MCP Tool definition for this feature
 export function getToolDefinition(config) {
   return {
@@ -94,16 +658,78 @@ export function getToolDefinition(config) {
       properties: {
         query: { 
           type: "string", 
-          description: "Search query - can be natural language (e.g., 'where do we handle user login') or specific terms" 
+          description: "Search query - can be natural language (e.g., 'where do we handle user login') or specific terms. Supports operators: lang:py, path:src/api, -path:tests, file:*.verse, -file:*.test.js, owner:@org/team, \"exact phrase\" (required) and -term or -\"phrase\" (excluded)" 
         },
         maxResults: {
           type: "number",
           description: "Maximum number of results to return (default: from config)",
           default: config.maxResults
-        }
+        },
+        maxTokens: {
+          type: "number",
+          description: `Token budget for the returned code, as an alternative to maxResults: the best distinct snippets are added until the budget is used (up to ${TOKEN_BUDGET_MAX_RESULTS} results, or maxResults if also given). Oversized snippets are trimmed; the response reports the tokens used and what was left out`
+        },
+        minScore: {
+          type: "number",
+          description: "Drop results with a relevance below this value (0-1, default: from config)",
+          default: config.minScore ?? 0
+        },
+        context: {
+          type: ["string", "number"],
+          description: "Expand each result: \"enclosing\" for the whole surrounding function/class, or a number of extra lines before and after. Expanded snippets are capped (maxContextLines)"
+        },
+        blame: {
+          type: "boolean",
+          description: "Annotate each result with the last commit touching its lines (author, hash, date, message) and its CODEOWNERS owners, from the local git checkout",
+          default: false
+        },
+        owners: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only search files owned by any of these CODEOWNERS owners (e.g. [\"@org/payments\"])"
+        },
+        explain: {
+          type: "boolean",
+          description: "Include a per-result score breakdown (semantic, lexical, boosts, normalization) to understand the ranking",
+          default: false
+        },
+        ...SEARCH_FILTER_PROPERTIES
       },
       required: ["query"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        results: { type: "array", items: RESULT_SCHEMA },
+        message: { type: "string", description: "Why no results were returned (e.g. index still empty)" },
+        indexingWarning: { type: "string", description: "Set while indexing is still in progress" },
+        budget: {
+          type: "object",
+          description: "Token budget usage (only with maxTokens; estimates)",
+          properties: {
+            maxTokens: { type: "number" },
+            usedTokens: { type: "number" },
+            remainingTokens: { type: "number" },
+            omitted: {
+              type: "array",
+              description: "Ranked results left out because they did not fit",
+              items: {
+                type: "object",
+                properties: {
+                  file: { type: "string" },
+                  startLine: { type: "number" },
+                  endLine: { type: "number" },
+                  score: { type: "number" },
+                  tokens: { type: "number" }
+                }
+              }
+            }
+          }
+        }
+      },
+      required: ["query", "results"]
+    },
     annotations: {
       title: "Semantic Code Search",
       readOnlyHint: true,
@@ -116,18 +742,56 @@ export function getToolDefinition(config) {
 
 // Tool handler
 export async function handleToolCall(request, hybridSearch) {
-  const query = request.params.arguments.query;
-  const maxResults = request.params.arguments.maxResults || hybridSearch.config.maxResults;
-  
-  const { results, message, indexingWarning } = await hybridSearch.search(query, maxResults);
+  const args = request.params.arguments;
+  const query = args.query;
+  const maxResults = args.maxResults ||
+    (args.maxTokens ? TOKEN_BUDGET_MAX_RESULTS : hybridSearch.config.maxResults);
+  const filters = { ...readSearchFilters(args), owners: args.owners };
+  const explain = Boolean(args.explain);
+
+  let searchResult;
+  try {
+    searchResult = await hybridSearch.search(query, maxResults, filters, {
+      minScore: args.minScore,
+      context: args.context,
+      maxTokens: args.maxTokens,
+      blame: Boolean(args.blame)
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Search failed: ${error.message}` }]
+    };
+  }
+
+  const { results, message, indexingWarning, budget } = searchResult;
   
+  const structuredContent = {
+    query,
+    results: results.map(r => hybridSearch.toStructuredResult(r, { explain })),
+    ...(message && { message }),
+    ...(indexingWarning && { indexingWarning: indexingWarning.trim() }),
+    ...(budget && {
+      budget: {
+        ...budget,
+        omitted: budget.omitted.map(o => ({ ...o, file: toRelativePath(o.file, hybridSearch.config.searchDirectory) }))
+      }
+    })
+  };
+
   if (message) {
     return {
-      content: [{ type: "text", text: message }]
+      content: [{ type: "text", text: message }],
+      structuredContent
     };
   }
 
-  let formattedText = hybridSearch.formatResults(results);
+  let formattedText = budget && results.length === 0
+    ? `No result fits in maxTokens (${budget.maxTokens}).`
+    : hybridSearch.formatResults(results, { explain });
+  if (budget) {
+    formattedText += "\n" + formatBudget(budget, hybridSearch.config.searchDirectory);
+  }
   
   // Prepend indexing warning if present
   if (indexingWarning) {
@@ -135,6 +799,7 @@ export async function handleToolCall(request, hybridSearch) {
   }
   
   return {
-    content: [{ type: "text", text: formattedText }]
+    content: [{ type: "text", text: formattedText }],
+    structuredContent
   };
 }
@@ -1,15 +1,51 @@
-import { fdir } from "fdir";
 import fs from "fs/promises";
 import chokidar from "chokidar";
 import path from "path";
 import os from "os";
 import { Worker } from "worker_threads";
 import { fileURLToPath } from "url";
-import { smartChunk, hashContent } from "../lib/utils.js";
+import { hashContent } from "../lib/utils.js";
+import { getChunker, isChunkingCurrent } from "../lib/ast-chunker.js";
 import { ResourceThrottle } from "../lib/resource-throttle.js";
+import { extractSymbols, SYMBOLS_VERSION } from "../lib/symbol-extractor.js";
+import {
+  readFileHistory,
+  readHead,
+  isAncestorOfHead,
+  readCommits,
+  readChangedFiles,
+  readWorkingTreeChanges,
+  readTrackedFiles
+} from "../lib/git.js";
+import { toRelativePath } from "../lib/search-filter.js";
+import { IGNORE_FILES } from "../lib/gitignore.js";
+import { createFileMatcher, listFiles } from "../lib/file-matcher.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// index_meta key holding the last commit in the history index
+const HISTORY_HEAD_META = "history_head";
+// index_meta key holding the HEAD file activity was last read from git for
+const ACTIVITY_HEAD_META = "file_activity_head";
+// index_meta key holding the git commit and working-tree changes of the last indexAll
+const GIT_STATE_META = "index_git_state";
+// index_meta key holding when every file was last re-hashed (hashVerifyIntervalDays)
+const HASH_VERIFY_META = "last_hash_verify";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A file modified this shortly before it was read can change again without
+// getting a new mtime (coarse timestamps), so its mtime is not trusted yet
+const RACY_MTIME_WINDOW_MS = 2000;
+
+/**
+ * Size and mtime recorded for the stat fast path of a file read at readTime
+ */
+function statMeta(stats, readTime) {
+  return {
+    size: stats.size,
+    mtimeMs: readTime - stats.mtimeMs >= RACY_MTIME_WINDOW_MS ? stats.mtimeMs : null
+  };
+}
+
 export class CodebaseIndexer {
   constructor(embedder, cache, config, server = null) {
     this.embedder = embedder;
@@ -17,9 +53,15 @@ export class CodebaseIndexer {
     this.config = config;
     this.server = server;
     this.watcher = null;
+    this.fileMatcher = null; // What gets indexed, see getFileMatcher()
     this.workers = [];
     this.workerReady = [];
     this.isIndexing = false;
+    this.historyIndexing = null; // Background indexHistory() run, see startHistoryIndexing()
+
+    // Chunker for the configured chunkingMode (rebuilt if the mode changes)
+    this.chunker = null;
+    this.chunkerMode = null;
 
     // Initialize resource throttling
     this.throttle = new ResourceThrottle(config);
@@ -268,6 +310,352 @@ export class CodebaseIndexer {
     return results;
   }
 
+  /**
+   * Chunk file content with the chunker for the current chunkingMode
+   * @returns {Promise<{chunks: Array, mode: string, fallback: string|null}>}
+   *   The mode actually applied, as recorded with the file's hash
+   */
+  async chunkContent(content, file) {
+    const mode = this.config.chunkingMode || "smart";
+    if (!this.chunker || this.chunkerMode !== mode) {
+      this.chunker = getChunker(this.config);
+      this.chunkerMode = mode;
+    }
+    return this.chunker.chunkWithMode(content, file);
+  }
+
+  /**
+   * Record the symbol definitions of a file in the symbol index
+   */
+  indexSymbols(file, content) {
+    if (typeof this.cache.replaceFileSymbols !== "function") return;
+
+    try {
+      this.cache.replaceFileSymbols(file, extractSymbols(content, file));
+    } catch (error) {
+      console.error(`[Indexer] Failed to extract symbols from ${path.basename(file)}:`, error.message);
+    }
+  }
+
+  /**
+   * Fill the symbol index for files indexed before symbols existed (or with an
+   * older extractor). Unchanged files are skipped by indexAll, so their symbols
+   * would otherwise never be recorded.
+   */
+  async backfillSymbols() {
+    if (typeof this.cache.replaceFileSymbols !== "function" || typeof this.cache.getMeta !== "function") return;
+    if (this.cache.getMeta("symbols_version") === String(SYMBOLS_VERSION)) return;
+
+    const files = Array.from(this.cache.getAllFileHashes().keys());
+    if (files.length > 0) {
+      console.error(`[Indexer] Extracting symbols from ${files.length} indexed files...`);
+    }
+
+    for (const file of files) {
+      try {
+        this.indexSymbols(file, await fs.readFile(file, "utf-8"));
+      } catch {
+        // Deleted since it was indexed - pruned by indexAll
+      }
+    }
+
+    this.cache.setMeta("symbols_version", String(SYMBOLS_VERSION));
+  }
+
+  /**
+   * Record last-change time and commit count of every indexed file for the
+   * search recency boost: from git history when the workspace is a repository,
+   * otherwise (and for files git does not know yet) from the file's mtime.
+   * Git history is only read again when HEAD moved or a file has no activity
+   * yet; otherwise just the mtimes of files without commits are refreshed.
+   * Committed files with uncommitted changes also count from their mtime;
+   * once the change is committed or reverted, only the commit time counts.
+   */
+  async recordFileActivity(files) {
+    if (typeof this.cache.setFileActivity !== "function") return;
+
+    const startTime = Date.now();
+    const dir = this.config.searchDirectory;
+    const head = await readHead(dir);
+
+    let previous = null;
+    try {
+      previous = JSON.parse(this.cache.getMeta(ACTIVITY_HEAD_META));
+    } catch {
+      // Missing or unreadable state
+    }
+
+    let history = null;
+    let pending = files;
+    const known = head && previous?.head === head ? this.cache.getFileActivity(files) : null;
+    if (known && files.every(file => known.has(file))) {
+      // Commit times and counts are unchanged
+      history = { files: new Map(), truncated: previous.truncated, oldestCommitAt: previous.oldestCommitAt };
+      pending = previous.truncated ? [] : files.filter(file => known.get(file).commitCount === null);
+    } else if (head) {
+      history = await readFileHistory(dir);
+      const state = history && { head, truncated: history.truncated, oldestCommitAt: history.oldestCommitAt };
+      this.cache.setMeta(ACTIVITY_HEAD_META, JSON.stringify(state));
+    }
+    const entries = [];
+
+    for (const file of pending) {
+      const commits = history?.files.get(file);
+      if (commits) {
+        entries.push({ file, lastModified: commits.lastCommitAt, commitCount: commits.commitCount });
+      } else if (history?.truncated) {
+        // Last touched before the scanned history (or never committed)
+        entries.push({ file, lastModified: history.oldestCommitAt, commitCount: null });
+      } else {
+        try {
+          const stats = await fs.stat(file);
+          entries.push({ file, lastModified: stats.mtimeMs, commitCount: null });
+        } catch {
+          // Deleted since discovery
+        }
+      }
+    }
+
+    this.cache.setFileActivity(entries);
+
+    const dirty = head && typeof this.cache.setFileModified === "function"
+      ? await readWorkingTreeChanges(dir)
+      : null;
+    if (dirty) {
+      const modified = [];
+      const indexed = new Set(files);
+      for (const file of dirty) {
+        if (!indexed.has(file)) continue;
+        try {
+          modified.push({ file, modifiedAt: (await fs.stat(file)).mtimeMs });
+        } catch {
+          // Deleted in the working tree
+        }
+      }
+      this.cache.setFileModified(modified, { replace: true });
+    }
+
+    if (this.config.verbose) {
+      console.error(`[Indexer] File activity from ${history ? "git history" : "modification times"}: ${entries.length} files updated (${Date.now() - startTime}ms)`);
+    }
+  }
+
+  /**
+   * Add commits made since the last run to the history index
+   * (config.indexGitHistory): the commit message and each diff hunk of an
+   * indexed file type are embedded separately. The first run takes the most
+   * recent historyMaxCommits commits; if the last indexed commit is no longer
+   * in HEAD's history (rebase, branch switch) or the index was embedded with
+   * another model, the index is rebuilt.
+   * @returns {Promise<{commitsIndexed: number}|null>} Null when skipped
+   */
+  async indexHistory() {
+    if (!this.config.indexGitHistory || typeof this.cache.addHistoryCommit !== "function") return null;
+
+    const dir = this.config.searchDirectory;
+    const head = await readHead(dir);
+    if (!head) {
+      console.error("[Indexer] Git history indexing skipped: not a git repository or no commits yet");
+      return null;
+    }
+
+    if (typeof this.cache.hasStaleHistory === "function" && this.cache.hasStaleHistory()) {
+      console.error("[Indexer] History index was embedded with another model, rebuilding it");
+      this.cache.clearHistory();
+    }
+
+    let since = this.cache.getMeta(HISTORY_HEAD_META);
+    if (since === head) {
+      return { commitsIndexed: 0 };
+    }
+    if (since && !(await isAncestorOfHead(dir, since))) {
+      console.error("[Indexer] Last indexed commit is no longer in HEAD's history, rebuilding the history index");
+      this.cache.clearHistory();
+      since = null;
+    }
+
+    const startTime = Date.now();
+    const fileMatcher = this.getFileMatcher();
+    const includeFile = (file) => fileMatcher.includesFile(file);
+    let commitsIndexed = 0;
+
+    for await (const commit of readCommits(dir, { since, maxCommits: this.config.historyMaxCommits, includeFile })) {
+      const subject = commit.message.split("\n")[0];
+      const texts = [
+        { file: null, startLine: null, content: commit.message, text: commit.message },
+        ...commit.hunks.map(hunk => ({
+          ...hunk,
+          text: `${subject}\n${toRelativePath(hunk.file, dir)}\n${hunk.content}`
+        }))
+      ];
+
+      const chunks = [];
+      for (const { text, ...chunk } of texts) {
+        if (!text.trim()) continue;
+        const output = await this.embedder(text, { pooling: "mean", normalize: true });
+        chunks.push({ ...chunk, vector: Array.from(output.data) });
+      }
+
+      // Recorded per commit (oldest first) so an interrupted run resumes here
+      this.cache.addHistoryCommit(commit, chunks);
+      this.cache.setMeta(HISTORY_HEAD_META, commit.hash);
+      commitsIndexed++;
+    }
+
+    // Also covers ranges with nothing to index (merges only, other directories)
+    this.cache.setMeta(HISTORY_HEAD_META, head);
+    console.error(`[Indexer] Git history: ${commitsIndexed} new commits indexed (${Date.now() - startTime}ms)`);
+    return { commitsIndexed };
+  }
+
+  /**
+   * Run indexHistory() in the background once the file index is saved, so
+   * embedding commits never delays indexAll or its tool response
+   * @returns {Promise<void>} Settles when the running history pass is done
+   */
+  startHistoryIndexing() {
+    if (!this.config.indexGitHistory) return Promise.resolve();
+
+    if (!this.historyIndexing) {
+      this.historyIndexing = this.indexHistory()
+        .then(async (result) => {
+          if (result?.commitsIndexed > 0) await this.cache.save();
+        })
+        .catch(error => {
+          console.error(`[Indexer] Git history indexing failed: ${error.message}`);
+        })
+        .finally(() => {
+          this.historyIndexing = null;
+        });
+    }
+    return this.historyIndexing;
+  }
+
+  /**
+   * Check if a file is already indexed with this content and the chunking mode
+   * that would be applied to it now (switching modes re-chunks affected files)
+   */
+  isFileUnchanged(file, hash) {
+    if (typeof this.cache.getFileInfo !== "function") {
+      return this.cache.getFileHash(file) === hash;
+    }
+
+    const info = this.cache.getFileInfo(file);
+    return !!info && info.hash === hash && isChunkingCurrent(info, file, this.config);
+  }
+
+  /**
+   * Check if a file still has the size and mtime recorded when it was indexed
+   * (and would be chunked the same way), so it can be skipped without reading it
+   */
+  isFileUnchangedByStat(file, stats) {
+    if (typeof this.cache.getFileInfo !== "function") return false;
+
+    const info = this.cache.getFileInfo(file);
+    return !!info && info.mtimeMs != null && info.mtimeMs === stats.mtimeMs && info.size === stats.size &&
+      isChunkingCurrent(info, file, this.config);
+  }
+
+  /**
+   * Record current stat data for a file whose content turned out unchanged
+   * (touched, checked out again), so the next run takes the stat fast path
+   */
+  refreshFileStat(file, stats, readTime) {
+    if (typeof this.cache.updateFileStat === "function") {
+      this.cache.updateFileStat(file, statMeta(stats, readTime));
+    }
+  }
+
+  /**
+   * Whether this run should re-hash every file instead of trusting size and
+   * mtime (every hashVerifyIntervalDays, and before the first verification)
+   */
+  isHashVerificationDue() {
+    const days = this.config.hashVerifyIntervalDays;
+    if (!days || typeof this.cache.getMeta !== "function") return false;
+
+    const lastVerified = Number(this.cache.getMeta(HASH_VERIFY_META));
+    return !lastVerified || Date.now() - lastVerified >= days * DAY_MS;
+  }
+
+  /**
+   * Current git state of the workspace: HEAD, the tracked files differing
+   * from it and every tracked file
+   * @returns {Promise<{head: string, dirty: string[], tracked: Set<string>}|null>}
+   *   null without git or commits
+   */
+  async readGitState() {
+    const dir = this.config.searchDirectory;
+    const head = await readHead(dir);
+    if (!head) return null;
+
+    const [dirty, tracked] = await Promise.all([readWorkingTreeChanges(dir), readTrackedFiles(dir)]);
+    return dirty && tracked ? { head, dirty, tracked } : null;
+  }
+
+  /**
+   * Narrow discovered files to those git says may have changed since the last
+   * indexAll: changed between its commit and HEAD (branch switches, pulls,
+   * renames), differing from HEAD now or back then, untracked (git cannot
+   * vouch for them, e.g. files re-included by .smartcodingignore), or not
+   * indexed yet. Everything else has the content it was indexed with.
+   *
+   * @param {string[]} files - Discovered files
+   * @param {{head: string, dirty: string[], tracked: Set<string>}} gitState - From readGitState()
+   * @returns {Promise<string[]|null>} Files to check, or null to check all of them
+   *   (no recorded state, chunking mode changed, or the last commit is gone)
+   */
+  async findGitChangedFiles(files, gitState) {
+    if (typeof this.cache.getMeta !== "function") return null;
+
+    let previous = null;
+    try {
+      previous = JSON.parse(this.cache.getMeta(GIT_STATE_META));
+    } catch {
+      // Missing or unreadable state
+    }
+    if (!previous?.head || previous.chunkingMode !== this.config.chunkingMode) return null;
+
+    const committed = previous.head === gitState.head
+      ? []
+      : await readChangedFiles(this.config.searchDirectory, previous.head);
+    if (!committed) {
+      console.error("[Indexer] Last indexed commit no longer exists, checking all files");
+      return null;
+    }
+
+    const candidates = new Set([...committed, ...gitState.dirty, ...(previous.dirty || [])]);
+    const indexed = this.cache.getAllFileHashes();
+    return files.filter(file => candidates.has(file) || !gitState.tracked.has(file) || !indexed.has(file));
+  }
+
+  /**
+   * Remember the git state this indexAll brought the index up to date with
+   * (cleared without git, so a later run cannot rely on a stale state)
+   */
+  recordGitState(gitState) {
+    if (typeof this.cache.setMeta !== "function") return;
+    const state = gitState && {
+      head: gitState.head,
+      dirty: gitState.dirty,
+      chunkingMode: this.config.chunkingMode
+    };
+    this.cache.setMeta(GIT_STATE_META, JSON.stringify(state));
+  }
+
+  /**
+   * Vectors already in the index for these chunk texts, so only new or
+   * edited chunks are embedded (keyed by hashContent() of the text)
+   * @param {string[]} chunkHashes - Chunk text hashes
+   * @returns {Map<string, number[]>} Vector per known chunk hash
+   */
+  findReusableVectors(chunkHashes) {
+    if (chunkHashes.length === 0 || typeof this.cache.getVectorsByChunkHash !== "function") {
+      return new Map();
+    }
+    return this.cache.getVectorsByChunkHash(chunkHashes);
+  }
+
   async indexFile(file) {
     const fileName = path.basename(file);
     if (this.config.verbose) {
@@ -290,11 +678,20 @@ export class CodebaseIndexer {
         return 0;
       }
 
+      if (this.isFileUnchangedByStat(file, stats)) {
+        if (this.config.verbose) {
+          console.error(`[Indexer] Skipped ${fileName} (unchanged)`);
+        }
+        return 0;
+      }
+
       const content = await fs.readFile(file, "utf-8");
+      const readTime = Date.now();
       const hash = hashContent(content);
 
       // Skip if file hasn't changed
-      if (this.cache.getFileHash(file) === hash) {
+      if (this.isFileUnchanged(file, hash)) {
+        this.refreshFileStat(file, stats, readTime);
         if (this.config.verbose) {
           console.error(`[Indexer] Skipped ${fileName} (unchanged)`);
         }
@@ -305,22 +702,31 @@ export class CodebaseIndexer {
         console.error(`[Indexer] Indexing ${fileName}...`);
       }
 
+      // Look up vectors for unchanged chunk texts before the old chunks go
+      const { chunks, mode: chunkingMode, fallback: chunkingFallback } = await this.chunkContent(content, file);
+      const chunkHashes = chunks.map(chunk => hashContent(chunk.text));
+      const reusable = this.findReusableVectors(chunkHashes);
+
       // Remove old chunks for this file
       this.cache.removeFileFromStore(file);
-
-      const chunks = smartChunk(content, file, this.config);
+      this.indexSymbols(file, content);
       let addedChunks = 0;
 
-      for (const chunk of chunks) {
+      for (const [index, chunk] of chunks.entries()) {
         try {
-          const output = await this.embedder(chunk.text, { pooling: "mean", normalize: true });
+          let vector = reusable.get(chunkHashes[index]);
+          if (!vector) {
+            const output = await this.embedder(chunk.text, { pooling: "mean", normalize: true });
+            vector = Array.from(output.data);
+          }
 
           this.cache.addToStore({
             file,
             startLine: chunk.startLine,
             endLine: chunk.endLine,
             content: chunk.text,
-            vector: Array.from(output.data)
+            vector,
+            chunkHash: chunkHashes[index]
           });
           addedChunks++;
         } catch (embeddingError) {
@@ -328,7 +734,16 @@ export class CodebaseIndexer {
         }
       }
 
-      this.cache.setFileHash(file, hash);
+      this.cache.setFileHash(file, hash, {
+        chunkingMode,
+        chunkingFallback,
+        ...statMeta(stats, readTime)
+      });
+      if (typeof this.cache.setFileModified === "function") {
+        // Just changed on disk; kept apart from the commit history, which the
+        // next indexAll brings up to date (see recordFileActivity)
+        this.cache.setFileModified([{ file, modifiedAt: stats.mtimeMs }]);
+      }
       if (this.config.verbose) {
         console.error(`[Indexer] Completed ${fileName} (${addedChunks} chunks)`);
       }
@@ -339,55 +754,41 @@ export class CodebaseIndexer {
     }
   }
 
+  /**
+   * File matcher deciding what gets indexed (extensions, include/exclude
+   * globs, .gitignore and .smartcodingignore), shared by discovery, pruning
+   * and the watcher. discoverFiles() compiles a fresh one so configuration
+   * and ignore file changes apply on every indexing run.
+   */
+  getFileMatcher() {
+    if (!this.fileMatcher || this.fileMatcher.root !== path.resolve(this.config.searchDirectory)) {
+      this.fileMatcher = createFileMatcher(this.config);
+    }
+    return this.fileMatcher;
+  }
+
   /**
    * Discover files using fdir (3-5x faster than glob)
-   * Uses config.excludePatterns which includes smart patterns from ignore-patterns.js
+   * Selection follows getFileMatcher(): config.excludePatterns (including smart
+   * patterns from ignore-patterns.js), config.includePatterns and ignore files
    */
   async discoverFiles() {
     const startTime = Date.now();
+    const fileMatcher = createFileMatcher(this.config);
+    this.fileMatcher = fileMatcher;
 
-    // Build extension filter from config
-    const extensions = new Set(this.config.fileExtensions.map(ext => `.${ext}`));
-
-    // Extract directory names from glob patterns in config.excludePatterns
-    // Patterns like "**/node_modules/**" -> "node_modules"
-    const excludeDirs = new Set();
-    for (const pattern of this.config.excludePatterns) {
-      // Extract directory names from glob patterns
-      const match = pattern.match(/\*\*\/([^/*]+)\/?\*?\*?$/);
-      if (match) {
-        excludeDirs.add(match[1]);
-      }
-      // Also handle patterns like "**/dirname/**"
-      const match2 = pattern.match(/\*\*\/([^/*]+)\/\*\*$/);
-      if (match2) {
-        excludeDirs.add(match2[1]);
-      }
-    }
-
-    // Always exclude cache directory
-    excludeDirs.add(".smart-coding-cache");
-
-    if (this.config.verbose) {
-      console.error(`[Indexer] Using ${excludeDirs.size} exclude directories from config`);
-    }
-
-    const api = new fdir()
-      .withFullPaths()
-      .exclude((dirName) => excludeDirs.has(dirName))
-      .filter((filePath) => extensions.has(path.extname(filePath)))
-      .crawl(this.config.searchDirectory);
-
-    const files = await api.withPromise();
+    const files = await listFiles(fileMatcher);
 
     console.error(`[Indexer] File discovery: ${files.length} files in ${Date.now() - startTime}ms`);
     return files;
   }
 
   /**
-   * Pre-filter files by hash (skip unchanged files before processing)
+   * Pre-filter files by size/mtime, then hash (skip unchanged files before processing)
+   * @param {string[]} files - Files to check
+   * @param {boolean} [verifyHashes] - Hash every file, ignoring size and mtime
    */
-  async preFilterFiles(files) {
+  async preFilterFiles(files, verifyHashes = false) {
     const startTime = Date.now();
     const filesToProcess = [];
     const skippedCount = { unchanged: 0, tooLarge: 0, error: 0 };
@@ -412,15 +813,22 @@ export class CodebaseIndexer {
               return null;
             }
 
+            if (!verifyHashes && this.isFileUnchangedByStat(file, stats)) {
+              skippedCount.unchanged++;
+              return null;
+            }
+
             const content = await fs.readFile(file, "utf-8");
+            const readTime = Date.now();
             const hash = hashContent(content);
 
-            if (this.cache.getFileHash(file) === hash) {
+            if (this.isFileUnchanged(file, hash)) {
+              this.refreshFileStat(file, stats, readTime);
               skippedCount.unchanged++;
               return null;
             }
 
-            return { file, content, hash };
+            return { file, content, hash, stat: statMeta(stats, readTime) };
           } catch (error) {
             skippedCount.error++;
             return null;
@@ -462,6 +870,11 @@ export class CodebaseIndexer {
         console.error("[Indexer] Force reindex requested: clearing cache");
         this.cache.setVectorStore([]);
         this.cache.clearAllFileHashes();
+        if (typeof this.cache.clearHistory === "function") {
+          // Let a background history pass finish rather than write into the cleared index
+          await this.historyIndexing;
+          this.cache.clearHistory();
+        }
       }
 
       const totalStartTime = Date.now();
@@ -470,6 +883,13 @@ export class CodebaseIndexer {
       // Step 1: Fast file discovery with fdir
       const files = await this.discoverFiles();
 
+      // Unchanged size and mtime mean an unchanged file, except on the
+      // periodic verification run that re-hashes everything
+      const verifyHashes = this.isHashVerificationDue();
+      if (verifyHashes && this.config.verbose) {
+        console.error("[Indexer] Verifying content hashes of all files");
+      }
+
       if (files.length === 0) {
         console.error("[Indexer] No files found to index");
         this.sendProgress(100, 100, "No files found to index");
@@ -479,35 +899,36 @@ export class CodebaseIndexer {
       // Send progress: discovery complete
       this.sendProgress(5, 100, `Discovered ${files.length} files`);
 
-      // Step 1.5: Prune deleted or excluded files from cache
+      // Step 1.5: Find deleted or excluded files; they are pruned after the
+      // batches so renamed or moved files can reuse their vectors
+      let filesToPrune = [];
       if (!force) {
         const currentFilesSet = new Set(files);
-        const cachedFiles = Array.from(this.cache.getAllFileHashes().keys());
-        let prunedCount = 0;
-
-        for (const cachedFile of cachedFiles) {
-          if (!currentFilesSet.has(cachedFile)) {
-            this.cache.removeFileFromStore(cachedFile);
-            this.cache.deleteFileHash(cachedFile);
-            prunedCount++;
-          }
-        }
+        filesToPrune = Array.from(this.cache.getAllFileHashes().keys())
+          .filter(cachedFile => !currentFilesSet.has(cachedFile));
+      }
 
-        if (prunedCount > 0) {
-          if (this.config.verbose) {
-            console.error(`[Indexer] Pruned ${prunedCount} deleted/excluded files from index`);
-          }
-          // If we pruned files, we should save these changes even if no other files changed
+      await this.backfillSymbols();
+
+      // Step 1.6: In a git repository, only check files changed since the last run
+      const gitState = await this.readGitState();
+      let filesToCheck = files;
+      if (gitState && !force && !verifyHashes) {
+        const changed = await this.findGitChangedFiles(files, gitState);
+        if (changed) {
+          console.error(`[Indexer] Git: ${changed.length} of ${files.length} files changed since the last run`);
+          filesToCheck = changed;
+          skippedFiles = files.length - changed.length;
         }
       }
 
       // Step 2: Process files in adaptive batches with lazy filtering
       // Instead of pre-filtering all files (expensive), check hashes during processing
-      const adaptiveBatchSize = files.length > 10000 ? 500 :
-        files.length > 1000 ? 200 :
+      const adaptiveBatchSize = filesToCheck.length > 10000 ? 500 :
+        filesToCheck.length > 1000 ? 200 :
           this.config.batchSize || 100;
 
-      console.error(`[Indexer] Processing ${files.length} files with lazy filtering (batch size: ${adaptiveBatchSize})`);
+      console.error(`[Indexer] Processing ${filesToCheck.length} files with lazy filtering (batch size: ${adaptiveBatchSize})`);
 
       // Step 3: Initialize worker threads (always use when multi-core available)
       const useWorkers = os.cpus().length > 1;
@@ -520,17 +941,19 @@ export class CodebaseIndexer {
       }
 
       let totalChunks = 0;
+      let reusedChunks = 0;
       let batchCounter = 0;  // Track batches for incremental saves
 
       // Update total file count for status tracking (estimated, will adjust as we filter)
-      this.indexingStatus.totalFiles = files.length;
+      this.indexingStatus.totalFiles = filesToCheck.length;
 
       // Step 4: Process files in adaptive batches with inline lazy filtering
-      for (let i = 0; i < files.length; i += adaptiveBatchSize) {
-        const batch = files.slice(i, i + adaptiveBatchSize);
+      for (let i = 0; i < filesToCheck.length; i += adaptiveBatchSize) {
+        const batch = filesToCheck.slice(i, i + adaptiveBatchSize);
 
         // Lazy filter and generate chunks for this batch
         const allChunks = [];
+        const chunksWithVectors = []; // Unchanged chunk texts, nothing to embed
         const fileHashes = new Map();
 
         for (const file of batch) {
@@ -544,21 +967,44 @@ export class CodebaseIndexer {
               continue;
             }
 
+            // Same size and mtime as when indexed: skip without reading
+            if (!verifyHashes && this.isFileUnchangedByStat(file, stats)) {
+              skippedFiles++;
+              continue;
+            }
+
             // Read content and check hash
             const content = await fs.readFile(file, "utf-8");
+            const readTime = Date.now();
             const hash = hashContent(content);
 
             // Skip unchanged files inline (lazy check)
-            if (this.cache.getFileHash(file) === hash) {
+            if (this.isFileUnchanged(file, hash)) {
+              this.refreshFileStat(file, stats, readTime);
               skippedFiles++;
               continue;
             }
 
-            // File changed - remove old chunks and prepare new ones
+            // File changed - look up reusable vectors, then replace the old chunks
+            const { chunks, mode: chunkingMode, fallback: chunkingFallback } = await this.chunkContent(content, file);
+            const chunkHashes = chunks.map(chunk => hashContent(chunk.text));
+            const reusable = this.findReusableVectors(chunkHashes);
             this.cache.removeFileFromStore(file);
-            const chunks = smartChunk(content, file, this.config);
-
-            for (const chunk of chunks) {
+            this.indexSymbols(file, content);
+
+            for (const [index, chunk] of chunks.entries()) {
+              const vector = reusable.get(chunkHashes[index]);
+              if (vector) {
+                chunksWithVectors.push({
+                  file,
+                  startLine: chunk.startLine,
+                  endLine: chunk.endLine,
+                  content: chunk.text,
+                  vector,
+                  chunkHash: chunkHashes[index]
+                });
+                continue;
+              }
               allChunks.push({
                 file,
                 text: chunk.text,
@@ -568,7 +1014,7 @@ export class CodebaseIndexer {
               });
             }
 
-            fileHashes.set(file, hash);
+            fileHashes.set(file, { hash, stat: statMeta(stats, readTime), chunking: { chunkingMode, chunkingFallback } });
           } catch (error) {
             // Skip files with read errors
             skippedFiles++;
@@ -579,21 +1025,23 @@ export class CodebaseIndexer {
         }
 
         // Skip this batch if no chunks to process
-        if (allChunks.length === 0) {
+        if (allChunks.length === 0 && chunksWithVectors.length === 0) {
           continue;
         }
 
         // Process chunks (with workers if available, otherwise single-threaded)
-        let results;
-        if (useWorkers && this.workers.length > 0) {
-          results = await this.processChunksWithWorkers(allChunks);
-        } else {
-          results = await this.processChunksSingleThreaded(allChunks);
+        let results = [];
+        if (allChunks.length > 0) {
+          results = useWorkers && this.workers.length > 0
+            ? await this.processChunksWithWorkers(allChunks)
+            : await this.processChunksSingleThreaded(allChunks);
         }
 
         // Collect successful results for batch insert
-        const chunksToInsert = [];
-        const filesProcessedInBatch = new Set();
+        const chunksToInsert = [...chunksWithVectors];
+        const filesProcessedInBatch = new Set(chunksWithVectors.map(chunk => chunk.file));
+        totalChunks += chunksWithVectors.length;
+        reusedChunks += chunksWithVectors.length;
 
         for (const result of results) {
           if (result.success) {
@@ -620,8 +1068,8 @@ export class CodebaseIndexer {
         }
 
         // Update file hashes
-        for (const [file, hash] of fileHashes) {
-          this.cache.setFileHash(file, hash);
+        for (const [file, { hash, stat, chunking }] of fileHashes) {
+          this.cache.setFileHash(file, hash, { ...chunking, ...stat });
         }
 
         processedFiles += filesProcessedInBatch.size;
@@ -651,13 +1099,13 @@ export class CodebaseIndexer {
         }
 
         // Progress indicator every batch
-        if (processedFiles > 0 && (processedFiles % (adaptiveBatchSize * 2) === 0 || i + adaptiveBatchSize >= files.length)) {
+        if (processedFiles > 0 && (processedFiles % (adaptiveBatchSize * 2) === 0 || i + adaptiveBatchSize >= filesToCheck.length)) {
           const elapsed = ((Date.now() - totalStartTime) / 1000).toFixed(1);
           const rate = (processedFiles / parseFloat(elapsed)).toFixed(0);
           console.error(`[Indexer] Progress: ${processedFiles} changed, ${skippedFiles} skipped (${rate} files/sec)`);
 
           // Send MCP progress notification (10-95% range for batch processing)
-          const progressPercent = Math.min(95, Math.floor(10 + (i / files.length) * 85));
+          const progressPercent = Math.min(95, Math.floor(10 + (i / filesToCheck.length) * 85));
           this.sendProgress(progressPercent, 100, `Indexed ${processedFiles} files, ${skippedFiles} skipped (${rate}/sec)`);
         }
       }
@@ -667,9 +1115,21 @@ export class CodebaseIndexer {
         this.terminateWorkers();
       }
 
+      // Step 5: Prune deleted or excluded files from cache
+      for (const file of filesToPrune) {
+        this.cache.removeFileFromStore(file);
+        this.cache.deleteFileHash(file);
+      }
+      if (filesToPrune.length > 0 && this.config.verbose) {
+        console.error(`[Indexer] Pruned ${filesToPrune.length} deleted/excluded files from index`);
+      }
+
       const totalTime = ((Date.now() - totalStartTime) / 1000).toFixed(1);
       const changedFiles = processedFiles;
       console.error(`[Indexer] Complete: ${totalChunks} chunks from ${changedFiles} changed files (${skippedFiles} unchanged) in ${totalTime}s`);
+      if (reusedChunks > 0) {
+        console.error(`[Indexer] Reused existing vectors for ${reusedChunks} of ${totalChunks} chunks`);
+      }
 
       // Mark indexing as complete
       this.indexingStatus.inProgress = false;
@@ -681,15 +1141,21 @@ export class CodebaseIndexer {
         : `Complete: No files changed (${skippedFiles} files up to date)`;
       this.sendProgress(100, 100, summaryMsg);
 
+      if (verifyHashes) {
+        this.cache.setMeta(HASH_VERIFY_META, Date.now());
+      }
+      this.recordGitState(gitState);
+      await this.recordFileActivity(files);
       await this.cache.save();
+      void this.startHistoryIndexing();
 
-      const vectorStore = this.cache.getVectorStore();
       return {
         skipped: false,
         filesProcessed: changedFiles,
         chunksCreated: totalChunks,
-        totalFiles: new Set(vectorStore.map(v => v.file)).size,
-        totalChunks: vectorStore.length,
+        chunksReused: reusedChunks,
+        totalFiles: this.cache.getFileCount(),
+        totalChunks: this.cache.getVectorCount(),
         duration: totalTime,
         message: changedFiles > 0
           ? `Indexed ${changedFiles} files (${totalChunks} chunks, ${skippedFiles} unchanged) in ${totalTime}s`
@@ -730,6 +1196,7 @@ export class CodebaseIndexer {
       console.error(`[Watcher] Processing ${filesToProcess.length} pending file changes...`);
 
       let processedCount = 0;
+      const deletedFiles = [];
       for (const file of filesToProcess) {
         // Check if file still exists (it might have been deleted while queued)
         try {
@@ -737,12 +1204,16 @@ export class CodebaseIndexer {
           const chunks = await this.indexFile(file);
           if (chunks > 0) processedCount++;
         } catch {
-          // File deleted, remove from index
-          this.cache.removeFileFromStore(file);
-          this.cache.deleteFileHash(file);
+          deletedFiles.push(file);
         }
       }
 
+      // Remove deleted files last, so a renamed file reuses their vectors
+      for (const file of deletedFiles) {
+        this.cache.removeFileFromStore(file);
+        this.cache.deleteFileHash(file);
+      }
+
       await this.cache.save();
       console.error(`[Watcher] Updated ${processedCount} files in index`);
       console.error(`=================================================\n`);
@@ -785,19 +1256,39 @@ export class CodebaseIndexer {
   setupFileWatcher() {
     if (!this.config.watchFiles) return;
 
-    const pattern = this.config.fileExtensions.map(ext => `**/*.${ext}`);
+    const pattern = [
+      ...this.config.fileExtensions.map(ext => `**/*.${ext}`),
+      ...IGNORE_FILES.map(name => `**/${name}`)
+    ];
+    const searchDirectory = this.config.searchDirectory;
+    const isIgnoreFile = (filePath) => IGNORE_FILES.includes(path.basename(filePath));
 
     this.watcher = chokidar.watch(pattern, {
-      cwd: this.config.searchDirectory,
-      ignored: this.config.excludePatterns,
+      cwd: searchDirectory,
+      // Same selection as discoverFiles; ignore files are watched to pick up rule changes
+      ignored: (filePath, stats) => {
+        const fullPath = path.resolve(searchDirectory, filePath);
+        return !isIgnoreFile(fullPath) && !this.getFileMatcher().includesPath(fullPath, stats?.isDirectory());
+      },
       persistent: true,
       ignoreInitial: true
     });
 
+    // Edited ignore rules apply to new events right away; files they newly
+    // exclude are pruned by the next indexAll
+    const onIgnoreFileChange = (filePath) => {
+      console.error(`[Watcher] Ignore rules changed: ${filePath} (reindex to prune newly ignored files)`);
+      this.getFileMatcher().clear();
+    };
+
     this.watcher
-      .on("add", (filePath) => this.queueFileChange(filePath))
-      .on("change", (filePath) => this.queueFileChange(filePath))
+      .on("add", (filePath) => isIgnoreFile(filePath) ? onIgnoreFileChange(filePath) : this.queueFileChange(filePath))
+      .on("change", (filePath) => isIgnoreFile(filePath) ? onIgnoreFileChange(filePath) : this.queueFileChange(filePath))
       .on("unlink", async (filePath) => {
+        if (isIgnoreFile(filePath)) {
+          onIgnoreFileChange(filePath);
+          return;
+        }
         const fullPath = path.join(this.config.searchDirectory, filePath);
         console.error(`[Watcher] File deleted: ${filePath} (removing immediately)`);
         this.cache.removeFileFromStore(fullPath);
@@ -830,6 +1321,19 @@ export function getToolDefinition() {
         }
       }
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["completed", "skipped"] },
+        reason: { type: "string", description: "Why indexing was skipped" },
+        message: { type: "string" },
+        totalFiles: { type: "number" },
+        totalChunks: { type: "number" },
+        filesProcessed: { type: "number" },
+        chunksCreated: { type: "number" }
+      },
+      required: ["status"]
+    },
     annotations: {
       title: "Reindex Codebase",
       readOnlyHint: false,
@@ -851,15 +1355,15 @@ export async function handleToolCall(request, indexer) {
       content: [{
         type: "text",
         text: `Indexing skipped: ${result.reason}\n\nPlease wait for the current indexing operation to complete before requesting another reindex.`
-      }]
+      }],
+      structuredContent: { status: "skipped", reason: result.reason }
     };
   }
 
   // Get current stats from cache
-  const vectorStore = indexer.cache.getVectorStore();
   const stats = {
-    totalChunks: result?.totalChunks ?? vectorStore.length,
-    totalFiles: result?.totalFiles ?? new Set(vectorStore.map(v => v.file)).size,
+    totalChunks: result?.totalChunks ?? indexer.cache.getVectorCount(),
+    totalFiles: result?.totalFiles ?? indexer.cache.getFileCount(),
     filesProcessed: result?.filesProcessed ?? 0,
     chunksCreated: result?.chunksCreated ?? 0
   };
@@ -878,6 +1382,11 @@ export async function handleToolCall(request, indexer) {
     content: [{
       type: "text",
       text: message
-    }]
+    }],
+    structuredContent: {
+      status: "completed",
+      ...(result?.message && { message: result.message }),
+      ...stats
+    }
   };
 }
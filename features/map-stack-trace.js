@@ -0,0 +1,390 @@
+/**
+ * Map Stack Trace Feature
+ *
+ * MCP tool that takes a pasted stack trace or error log and returns the
+ * indexed code behind each frame: frame paths are matched against the indexed
+ * files by their longest common path suffix (so traces from containers, CI or
+ * other checkouts still resolve; an absolute path from elsewhere needs more
+ * than its file name in common) and each frame comes with its enclosing
+ * function. Frames in dependencies, runtime code or excluded paths are marked
+ * instead of resolved. When no frame points into the workspace, the error
+ * message is used for a semantic search instead.
+ */
+
+import path from "path";
+import { parseStackTrace } from "../lib/stack-trace.js";
+import { ContextExpander } from "../lib/context-expander.js";
+import { compileGlobs, toRelativePath } from "../lib/search-filter.js";
+import { RESULT_SCHEMA, formatSymbolName } from "./hybrid-search.js";
+
+const DEFAULT_MAX_FRAMES = 30;
+
+// Third-party and runtime code as it appears in trace paths
+const DEPENDENCY_PATHS = [
+  /(^|\/)node_modules\//,
+  /(^|\/)(site|dist)-packages\//,
+  /(^|\/)lib\/python\d[\d.]*\//,
+  /(^|\/)\.cargo\/registry\//,
+  /(^|\/)go\/pkg\/mod\//,
+  /(^|\/)go\/src\//,
+  /^\/rustc\//,
+  /^node:/,
+  /^internal\//,
+  /^<[^>]+>$|^<frozen /
+];
+// Standard library packages in Java/Kotlin/Scala frames
+const JVM_RUNTIME_CLASSES = /^(java|javax|jdk|sun|com\.sun|kotlin|kotlinx|scala)\./;
+
+export class StackTraceMapper {
+  constructor(config, cache, hybridSearch) {
+    this.config = config;
+    this.cache = cache;
+    this.hybridSearch = hybridSearch; // Fallback search on the error message
+    this.contextExpander = new ContextExpander(config);
+  }
+
+  /**
+   * Resolve the frames of a stack trace to indexed code
+   * @param {string} trace - Pasted stack trace or error log
+   * @param {Object} [options]
+   * @param {number} [options.maxFrames] - Frames to resolve (the rest are dropped)
+   * @param {number} [options.maxResults] - Results of the fallback search
+   * @returns {Promise<{message: string|null, frames: Array, truncated: boolean, fallbackResults: Array|null}>}
+   *   Frames carry status "workspace" (with resolvedFile and code), "excluded",
+   *   "unresolved" or "no-location"; fallbackResults is set when no frame is in the workspace
+   * @throws {Error} When the input has neither frames nor an error message
+   */
+  async mapTrace(trace, { maxFrames = DEFAULT_MAX_FRAMES, maxResults = this.config.maxResults } = {}) {
+    const { message, frames: parsedFrames } = parseStackTrace(trace);
+    if (parsedFrames.length === 0 && !message) {
+      throw new Error("No stack frames or error message found in the input");
+    }
+
+    const resolveFile = this.createFileResolver();
+    const isExcluded = compileGlobs(this.config.excludePatterns);
+    const codeCache = new Map(); // Recursive traces repeat frames
+
+    const frames = [];
+    for (const parsed of parsedFrames.slice(0, maxFrames)) {
+      const frame = { ...parsed, status: "no-location", resolvedFile: null, ambiguous: false, symbol: null, code: null };
+      frames.push(frame);
+
+      if (isDependencyFrame(parsed)) {
+        frame.status = "excluded";
+        continue;
+      }
+      if (!parsed.file || !parsed.line) continue;
+
+      const resolved = resolveFile(parsed.file);
+      if (!resolved) {
+        frame.status = this.isExcludedPath(parsed.file, isExcluded) ? "excluded" : "unresolved";
+        continue;
+      }
+
+      frame.status = "workspace";
+      frame.resolvedFile = resolved.file;
+      frame.ambiguous = resolved.ambiguous;
+
+      const key = `${resolved.file}:${parsed.line}`;
+      if (!codeCache.has(key)) {
+        codeCache.set(key, await this.getFrameCode(resolved.file, parsed.line));
+      }
+      Object.assign(frame, codeCache.get(key));
+    }
+
+    let fallbackResults = null;
+    if (!frames.some(frame => frame.status === "workspace")) {
+      const query = searchableText(message || frames.map(frame => frame.function).filter(Boolean).join(" "));
+      if (query) {
+        ({ results: fallbackResults } = await this.hybridSearch.search(query, maxResults));
+      }
+    }
+
+    return { message, frames, truncated: parsedFrames.length > maxFrames, fallbackResults };
+  }
+
+  /**
+   * Matcher from trace paths to indexed files: the indexed file sharing the
+   * most trailing path segments wins (at least the file name); ties prefer
+   * the shortest path and are reported as ambiguous. An absolute path outside
+   * the workspace has to share a directory too ("/usr/lib/node/util.js" is
+   * not src/util.js); sharing only the file name, it can just match a file at
+   * the workspace root (a container's /app/server.js) and is reported as
+   * ambiguous.
+   * @returns {Function} tracePath => {file, ambiguous}|null
+   */
+  createFileResolver() {
+    const root = this.config.searchDirectory;
+    const rootPath = path.resolve(root).replace(/\\/g, "/");
+    const byName = new Map();
+    for (const file of this.cache.getAllFileHashes().keys()) {
+      const parts = toRelativePath(file, root).split("/");
+      const name = parts.at(-1);
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push({ file, parts });
+    }
+
+    return (tracePath) => {
+      const normalized = tracePath.replace(/\\/g, "/");
+      const parts = normalized.split("/").filter(part => part && part !== ".");
+      const candidates = byName.get(parts.at(-1));
+      if (!candidates) return null;
+
+      let best = [];
+      let bestShared = 0;
+      for (const candidate of candidates) {
+        let shared = 0;
+        while (shared < parts.length && shared < candidate.parts.length &&
+          parts[parts.length - 1 - shared] === candidate.parts[candidate.parts.length - 1 - shared]) {
+          shared++;
+        }
+        if (shared > bestShared) {
+          best = [candidate];
+          bestShared = shared;
+        } else if (shared === bestShared) {
+          best.push(candidate);
+        }
+      }
+
+      // Absolute paths from another machine or checkout
+      const foreign = /^([a-z]:)?\//i.test(normalized) && !normalized.startsWith(`${rootPath}/`);
+      if (foreign && bestShared < 2) {
+        const rootFile = best.find(candidate => candidate.parts.length === 1);
+        return rootFile ? { file: rootFile.file, ambiguous: true } : null;
+      }
+
+      best.sort((a, b) => a.parts.length - b.parts.length || a.file.localeCompare(b.file));
+      return { file: best[0].file, ambiguous: best.length > 1 };
+    };
+  }
+
+  /**
+   * Whether a trace path lies in a part of the workspace the index excludes
+   * (excludePatterns). Absolute paths outside the workspace are not matched:
+   * their directories (e.g. a CI checkout under /build/) say nothing about it.
+   */
+  isExcludedPath(tracePath, isExcluded) {
+    if (!isExcluded) return false;
+
+    const relPath = path.isAbsolute(tracePath)
+      ? path.relative(this.config.searchDirectory, tracePath)
+      : tracePath;
+    if (path.isAbsolute(relPath) || relPath.startsWith("..")) return false;
+    return isExcluded(relPath.replace(/\\/g, "/").replace(/^(\.\/)+/, ""));
+  }
+
+  /**
+   * The function enclosing a frame's line, read from the file, or the indexed
+   * chunk containing the line when the file can no longer be read
+   */
+  async getFrameCode(file, line) {
+    const symbol = typeof this.cache.getEnclosingSymbol === "function"
+      ? this.cache.getEnclosingSymbol(file, line, line)
+      : null;
+
+    const [expanded] = await this.contextExpander.expand([{ file, startLine: line, endLine: line, content: "" }], "enclosing");
+    if (expanded.matchStartLine !== undefined && line <= expanded.endLine) {
+      return { symbol, code: { startLine: expanded.startLine, endLine: expanded.endLine, content: expanded.content } };
+    }
+
+    const chunk = this.cache.getFileChunks(file).find(c => c.startLine <= line && c.endLine >= line);
+    return {
+      symbol,
+      code: chunk ? { startLine: chunk.startLine, endLine: chunk.endLine, content: chunk.content } : null
+    };
+  }
+
+  /**
+   * Convert a frame to the structured shape declared in outputSchema
+   */
+  toStructuredFrame(frame) {
+    return {
+      function: frame.function,
+      file: frame.file,
+      line: frame.line,
+      column: frame.column,
+      language: frame.language,
+      status: frame.status,
+      resolvedFile: frame.resolvedFile && toRelativePath(frame.resolvedFile, this.config.searchDirectory),
+      ambiguous: frame.ambiguous,
+      symbol: frame.symbol
+        ? { name: frame.symbol.name, kind: frame.symbol.kind, parent: frame.symbol.parent ?? null }
+        : null,
+      code: frame.code
+    };
+  }
+
+  formatFrames(frames) {
+    return frames.map((frame, idx) => {
+      const name = frame.function ? `\`${frame.function}\`` : "(anonymous)";
+      const where = frame.file ? ` at \`${frame.file}:${frame.line}\`` : "";
+
+      if (frame.status !== "workspace") {
+        return `- Frame ${idx + 1}: ${name}${where} (${STATUS_LABELS[frame.status]})`;
+      }
+
+      const relPath = toRelativePath(frame.resolvedFile, this.config.searchDirectory);
+      return `## Frame ${idx + 1}: ${name}\n` +
+             `**File:** \`${relPath}\` line ${frame.line}` + (frame.ambiguous ? " (uncertain: several indexed files, or only the file name, match this path)" : "") + "\n" +
+             (frame.symbol ? `**Symbol:** \`${formatSymbolName(frame.symbol)}\` (${frame.symbol.kind})\n` : "") +
+             (frame.code
+               ? `**Lines:** ${frame.code.startLine}-${frame.code.endLine}\n\n` +
+                 "```" + path.extname(frame.resolvedFile).slice(1) + "\n" + frame.code.content + "\n```\n"
+               : "");
+    }).join("\n");
+  }
+}
+
+const STATUS_LABELS = {
+  excluded: "dependency, runtime or excluded code",
+  unresolved: "not found in the index",
+  "no-location": "no file information"
+};
+
+/**
+ * Whether a frame is in third-party or runtime code
+ */
+function isDependencyFrame(frame) {
+  if (frame.language === "java" && frame.function && JVM_RUNTIME_CLASSES.test(frame.function)) {
+    return true;
+  }
+  if (!frame.file) return false;
+
+  const normalized = frame.file.replace(/\\/g, "/");
+  return DEPENDENCY_PATHS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Words of an error message, without the punctuation the search query
+ * language would read as operators, quotes or exclusions
+ */
+function searchableText(text) {
+  return (text.match(/[\p{L}\p{N}_$]+/gu) || []).join(" ");
+}
+
+const FRAME_SCHEMA = {
+  type: "object",
+  properties: {
+    function: { type: ["string", "null"] },
+    file: { type: ["string", "null"], description: "Path as printed in the trace" },
+    line: { type: ["number", "null"] },
+    column: { type: ["number", "null"] },
+    language: { type: "string", description: "Trace format the frame was read from" },
+    status: {
+      type: "string",
+      enum: ["workspace", "excluded", "unresolved", "no-location"],
+      description: "workspace: resolved to an indexed file; excluded: dependency, runtime or excluded path; unresolved: no indexed file matches; no-location: printed without a file"
+    },
+    resolvedFile: { type: ["string", "null"], description: "Matching indexed file, relative to the workspace root" },
+    ambiguous: { type: "boolean", description: "Whether several indexed files matched the path equally well, or only its file name matched" },
+    symbol: {
+      type: ["object", "null"],
+      properties: {
+        name: { type: "string" },
+        kind: { type: "string" },
+        parent: { type: ["string", "null"] }
+      }
+    },
+    code: {
+      type: ["object", "null"],
+      description: "Function (or indexed chunk) enclosing the frame's line",
+      properties: {
+        startLine: { type: "number" },
+        endLine: { type: "number" },
+        content: { type: "string" }
+      }
+    }
+  },
+  required: ["function", "file", "line", "language", "status", "resolvedFile", "code"]
+};
+
+// MCP Tool definition for this feature
+export function getToolDefinition(config) {
+  return {
+    name: "k_map_stack_trace",
+    description: "Maps a pasted stack trace or error log (Node.js, Python, Java/Kotlin, Go, Rust) to the project's code: each frame is resolved to the indexed file and returned with its enclosing function. Frames in dependencies or runtime code are marked. If no frame points into the project, searches the code for the error message instead.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        trace: {
+          type: "string",
+          description: "The stack trace or error output, pasted as is"
+        },
+        maxFrames: {
+          type: "number",
+          description: `Maximum number of frames to resolve (default: ${DEFAULT_MAX_FRAMES})`,
+          default: DEFAULT_MAX_FRAMES
+        },
+        maxResults: {
+          type: "number",
+          description: "Results of the fallback search on the error message (default: from config)",
+          default: config.maxResults
+        }
+      },
+      required: ["trace"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        message: { type: ["string", "null"], description: "Error message found in the trace" },
+        frames: { type: "array", items: FRAME_SCHEMA },
+        truncated: { type: "boolean", description: "Whether frames beyond maxFrames were dropped" },
+        fallbackResults: {
+          type: ["array", "null"],
+          items: RESULT_SCHEMA,
+          description: "Search results for the error message, when no frame resolved to the workspace"
+        }
+      },
+      required: ["message", "frames", "truncated", "fallbackResults"]
+    },
+    annotations: {
+      title: "Map Stack Trace",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+// Tool handler
+export async function handleToolCall(request, mapper) {
+  const args = request.params.arguments;
+
+  let result;
+  try {
+    result = await mapper.mapTrace(args.trace, {
+      maxFrames: args.maxFrames,
+      maxResults: args.maxResults
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Stack trace mapping failed: ${error.message}` }]
+    };
+  }
+
+  const { message, frames, truncated, fallbackResults } = result;
+  const resolvedCount = frames.filter(frame => frame.status === "workspace").length;
+
+  let text = (message ? `**Error:** ${message}\n\n` : "") +
+    `${resolvedCount} of ${frames.length} frame(s) resolved to workspace code` +
+    (truncated ? ` (only the first ${frames.length} frames were mapped)` : "") + ".\n\n" +
+    mapper.formatFrames(frames);
+  if (fallbackResults) {
+    text += "\n\n### Code matching the error message\n\n" +
+      (fallbackResults.length > 0
+        ? mapper.hybridSearch.formatResults(fallbackResults)
+        : "No matching code found for the error message.");
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      message,
+      frames: frames.map(frame => mapper.toStructuredFrame(frame)),
+      truncated,
+      fallbackResults: fallbackResults && fallbackResults.map(r => mapper.hybridSearch.toStructuredResult(r))
+    }
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Search Query Parser
+ *
+ * Power-user syntax inside the a_semantic_search query string:
+ *
+ *   lang:py            only files of a language (comma-separated for several)
+ *   path:src/api       only files under a path or matching a glob
+ *   -path:tests        exclude a path or glob
+ *   file:*.verse       only files whose name matches a glob
+ *   -file:*.test.js    exclude file names
+ *   owner:@org/team    only files owned by a CODEOWNERS owner
+ *   "exact phrase"     chunks must contain the phrase (case-insensitive)
+ *   -term, -"phrase"   chunks must not contain the word/phrase
+ *
+ * Everything else, including word:value tokens that are not operators
+ * (display:none, localhost:8080), is free text for the embedder and lexical
+ * index. Words one typo away from an operator (lnag:py, -pth:tests) are
+ * rejected with a suggestion instead, since as text they would quietly search
+ * without the intended filter. Shared by every search entry point so the
+ * syntax behaves the same everywhere.
+ */
+
+// Operator -> filter option it adds values to (file: is combined with path: below)
+const OPERATORS = {
+  "lang": "languages",
+  "path": "includePaths",
+  "-path": "excludePaths",
+  "file": "fileNames",
+  "-file": "excludePaths",
+  "owner": "owners"
+};
+
+// word:value tokens; a value starting with ":" or "/" is free text (std::vector, http://)
+const OPERATOR_TOKEN = /^(-?[a-z]+):(?![:/])(.*)$/i;
+
+/**
+ * Parse a search query into free text, file filters and content constraints
+ * @param {string} query - Raw query string
+ * @returns {{text: string, filters: Object, phrases: string[], excludedTerms: string[]}}
+ *   filters uses the search option names (languages, includePaths, excludePaths, owners)
+ * @throws {Error} For operators without a value, misspelled operators,
+ *   unclosed quotes, or a query with nothing to search for
+ */
+export function parseSearchQuery(query) {
+  const filters = {};
+  const textParts = [];
+  const phrases = [];
+  const excludedTerms = [];
+
+  for (const token of tokenize(query)) {
+    if (token.quoted) {
+      if (token.negated) {
+        excludedTerms.push(token.value);
+      } else {
+        phrases.push(token.value);
+        textParts.push(token.value);
+      }
+      continue;
+    }
+
+    const match = token.value.match(OPERATOR_TOKEN);
+    const operator = match && OPERATORS[match[1].toLowerCase()] ? match : null;
+    if (operator && operator[2] !== "") {
+      const name = operator[1].toLowerCase();
+      const option = OPERATORS[name];
+      const values = name === "lang" ? operator[2].split(",").filter(Boolean) : [operator[2]];
+      filters[option] = [
+        ...(filters[option] || []),
+        ...(name === "-file" ? values.map(toFileNameGlob) : values)
+      ];
+      continue;
+    }
+    if (operator) {
+      throw new Error(`Search operator "${operator[1]}:" needs a value, e.g. ${operator[1]}:${exampleValue(operator[1])}`);
+    }
+    const suggestion = match && suggestOperator(match[1]);
+    if (suggestion) {
+      throw new Error(`Unknown search operator "${match[1]}:" - did you mean "${suggestion}:"? ` +
+        "Quote the token to search for it as text");
+    }
+
+    if (token.value.length > 1 && token.value.startsWith("-")) {
+      excludedTerms.push(token.value.slice(1));
+    } else {
+      textParts.push(token.value);
+    }
+  }
+
+  const text = textParts.join(" ").trim();
+  if (!text) {
+    throw new Error("The query has no search text - add words to search for besides operators and exclusions");
+  }
+
+  // Include globs are alternatives, so "path:src file:*.js" has to become
+  // src/**/*.js rather than two separate includes
+  if (filters.fileNames) {
+    const names = filters.fileNames.map(toFileNameGlob);
+    filters.includePaths = filters.includePaths
+      ? filters.includePaths.flatMap(dir => names.map(name =>
+        name.startsWith("**/") ? `${dir.replace(/\/+$/, "")}/${name}` : name
+      ))
+      : names;
+    delete filters.fileNames;
+  }
+
+  return { text, filters, phrases, excludedTerms };
+}
+
+/**
+ * Predicate for the phrase requirements and exclusions of a parsed query
+ * @returns {Function|null} content => boolean, or null when there are no constraints
+ */
+export function createContentFilter({ phrases = [], excludedTerms = [] }) {
+  if (phrases.length === 0 && excludedTerms.length === 0) {
+    return null;
+  }
+
+  const required = phrases.map(phrase => phrase.toLowerCase());
+  // Exclusions match whole words so "-test" does not drop "latest"
+  const excluded = excludedTerms.map(term =>
+    new RegExp(`(?<![\\w$])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\w$])`, "i")
+  );
+
+  return (content) => {
+    const lower = content.toLowerCase();
+    return required.every(phrase => lower.includes(phrase)) &&
+      !excluded.some(pattern => pattern.test(content));
+  };
+}
+
+/**
+ * Split a query into whitespace-separated tokens, keeping quoted phrases
+ * (optionally negated, or as an operator value: path:"my dir") together
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+
+    const negated = query[i] === "-" && query[i + 1] === "\"";
+    const quoteStart = negated ? i + 1 : query[i] === "\"" ? i : -1;
+    if (quoteStart >= 0) {
+      const end = query.indexOf("\"", quoteStart + 1);
+      if (end < 0) {
+        throw new Error("Unclosed quote in query");
+      }
+      const value = query.slice(quoteStart + 1, end).trim();
+      if (value) tokens.push({ value, quoted: true, negated });
+      i = end + 1;
+      continue;
+    }
+
+    let value = "";
+    while (i < query.length && !/\s/.test(query[i])) {
+      // Quoted operator value: path:"src/my dir"
+      if (query[i] === "\"" && value.endsWith(":")) {
+        const end = query.indexOf("\"", i + 1);
+        if (end < 0) {
+          throw new Error("Unclosed quote in query");
+        }
+        value += query.slice(i + 1, end);
+        i = end + 1;
+        continue;
+      }
+      value += query[i++];
+    }
+    tokens.push({ value, quoted: false, negated: false });
+  }
+
+  return tokens;
+}
+
+/**
+ * Operator a word:value prefix was probably meant to be
+ * Only one edit (or swapped neighbours) away and with the same first letter,
+ * so ordinary tokens like line:42 or key:value stay text.
+ * @returns {string|null} Operator name without the colon
+ */
+function suggestOperator(word) {
+  const name = word.toLowerCase();
+  const negated = name.startsWith("-");
+  const base = negated ? name.slice(1) : name;
+
+  for (const operator of Object.keys(OPERATORS)) {
+    if (operator.startsWith("-") || operator[0] !== base[0] || editDistance(base, operator) > 1) continue;
+    return negated && OPERATORS[`-${operator}`] ? `-${operator}` : operator;
+  }
+  return null;
+}
+
+// Levenshtein distance counting a swap of adjacent characters as one edit
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// file: matches file names anywhere unless the glob names a path
+function toFileNameGlob(value) {
+  return value.includes("/") ? value : `**/${value}`;
+}
+
+function exampleValue(operator) {
+  return { "lang": "py", "file": "*.verse", "-file": "*.test.js", "owner": "@org/team" }[operator.toLowerCase()] || "src/api";
+}
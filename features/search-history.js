@@ -0,0 +1,225 @@
+/**
+ * Search History Feature
+ *
+ * MCP tool for semantic search over the git history index: commit messages
+ * and diff hunks recorded by the indexer when indexGitHistory is enabled.
+ * Answers "why does this exist" and "when did this change" questions that the
+ * current tree alone cannot.
+ */
+
+import {
+  SEARCH_FILTER_PROPERTIES,
+  createSearchFilter,
+  readSearchFilters,
+  toRelativePath
+} from "../lib/search-filter.js";
+
+const DEFAULT_MAX_RESULTS = 10;
+// Touched files listed per commit in the text output
+const MAX_LISTED_FILES = 10;
+
+export class HistorySearch {
+  constructor(embedder, cache, config) {
+    this.embedder = embedder;
+    this.cache = cache;
+    this.config = config;
+  }
+
+  /**
+   * Find the commits whose message or changes best match a query
+   * @param {string} query - Natural language query
+   * @param {Object} [options]
+   * @param {number} [options.maxResults] - Maximum number of commits
+   * @param {string} [options.author] - Only commits by this author (name or email substring)
+   * @param {string} [options.since] - Only commits on or after this date (e.g. "2024-01-31")
+   * @param {Object} [options.filters] - File filters (see lib/search-filter.js), matched against touched files
+   * @returns {Promise<{results: Array, indexedCommits: number}>}
+   * @throws {Error} When no history is indexed or an option is invalid
+   */
+  async search(query, { maxResults = DEFAULT_MAX_RESULTS, author = null, since = null, filters } = {}) {
+    if (typeof this.cache.searchHistory !== "function") {
+      throw new Error("The current cache does not support history search");
+    }
+    if (!query || !query.trim()) {
+      throw new Error("Query must not be empty");
+    }
+
+    const indexedCommits = this.cache.getHistoryCommitCount();
+    if (indexedCommits === 0) {
+      throw new Error(this.config.indexGitHistory
+        ? "No git history indexed yet. It is indexed in the background after b_index_codebase; try again shortly (the workspace must be a git repository with commits)."
+        : "Git history is not indexed. Set indexGitHistory to true (or SMART_CODING_INDEX_GIT_HISTORY=true) and run b_index_codebase.");
+    }
+
+    let sinceTime = null;
+    if (since) {
+      sinceTime = Date.parse(since);
+      if (Number.isNaN(sinceTime)) {
+        throw new Error(`Invalid "since" date "${since}". Use an ISO date such as 2024-01-31.`);
+      }
+    }
+
+    const fileFilter = createSearchFilter(filters, this.config.searchDirectory);
+    const queryEmbed = await this.embedder(query, { pooling: "mean", normalize: true });
+    const results = this.cache.searchHistory(Array.from(queryEmbed.data), {
+      limit: maxResults,
+      author,
+      since: sinceTime,
+      fileFilter
+    });
+
+    return { results, indexedCommits };
+  }
+
+  /**
+   * Convert a result to the structured shape declared in outputSchema
+   */
+  toStructuredResult(result) {
+    const root = this.config.searchDirectory;
+    return {
+      hash: result.hash,
+      author: result.author,
+      email: result.email,
+      date: new Date(result.date).toISOString(),
+      message: result.message,
+      files: result.files.map(file => toRelativePath(file, root)),
+      score: result.score,
+      hunk: result.hunk && {
+        file: toRelativePath(result.hunk.file, root),
+        startLine: result.hunk.startLine,
+        content: result.hunk.content
+      }
+    };
+  }
+
+  formatResults(results) {
+    const root = this.config.searchDirectory;
+
+    return results.map((r, idx) => {
+      const [subject, ...body] = r.message.split("\n");
+      const files = r.files.slice(0, MAX_LISTED_FILES).map(file => `\`${toRelativePath(file, root)}\``);
+      if (r.files.length > MAX_LISTED_FILES) {
+        files.push(`and ${r.files.length - MAX_LISTED_FILES} more`);
+      }
+      const details = body.join("\n").trim();
+
+      return `## Result ${idx + 1} (Relevance: ${(r.score * 100).toFixed(1)}%)\n` +
+             `**Commit:** \`${r.hash.slice(0, 8)}\` ${subject}\n` +
+             `**Author:** ${r.author} <${r.email}> on ${new Date(r.date).toISOString().slice(0, 10)}\n` +
+             `**Files:** ${files.length > 0 ? files.join(", ") : "none"}\n` +
+             (details ? `\n${details}\n` : "") +
+             (r.hunk
+               ? `\n**Hunk:** \`${toRelativePath(r.hunk.file, root)}\` line ${r.hunk.startLine}\n` +
+                 "```diff\n" + r.hunk.content + "\n```\n"
+               : "");
+    }).join("\n");
+  }
+}
+
+const HUNK_SCHEMA = {
+  type: ["object", "null"],
+  description: "Diff hunk of the commit that best matches the query (null when no indexed file changed)",
+  properties: {
+    file: { type: "string", description: "Path relative to the workspace root (POSIX separators)" },
+    startLine: { type: "number", description: "First line of the hunk in the file after the commit" },
+    content: { type: "string", description: "Unified diff hunk, starting with its @@ header" }
+  },
+  required: ["file", "startLine", "content"]
+};
+
+const RESULT_SCHEMA = {
+  type: "object",
+  properties: {
+    hash: { type: "string" },
+    author: { type: "string" },
+    email: { type: "string" },
+    date: { type: "string", description: "Author date (ISO 8601)" },
+    message: { type: "string", description: "Full commit message" },
+    files: { type: "array", items: { type: "string" }, description: "Files the commit touched, relative to the workspace root" },
+    score: { type: "number", description: "Similarity of the best matching message or hunk" },
+    hunk: HUNK_SCHEMA
+  },
+  required: ["hash", "author", "email", "date", "message", "files", "score", "hunk"]
+};
+
+// MCP Tool definition for this feature
+export function getToolDefinition() {
+  return {
+    name: "j_search_history",
+    description: "Search the project's git history by meaning: commit messages and the code changes (diff hunks) of each commit. Use to find why code exists, when and by whom behavior changed, or which commit introduced something. Requires the history index (indexGitHistory).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "What to look for in commit messages and changes (e.g. 'why retries were capped', 'switch from REST to gRPC')"
+        },
+        maxResults: {
+          type: "number",
+          description: `Maximum number of commits to return (default: ${DEFAULT_MAX_RESULTS})`,
+          default: DEFAULT_MAX_RESULTS
+        },
+        author: {
+          type: "string",
+          description: "Only commits whose author name or email contains this text"
+        },
+        since: {
+          type: "string",
+          description: "Only commits on or after this date (ISO 8601, e.g. '2024-01-31')"
+        },
+        ...SEARCH_FILTER_PROPERTIES
+      },
+      required: ["query"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        results: { type: "array", items: RESULT_SCHEMA },
+        indexedCommits: { type: "number", description: "Commits in the history index" }
+      },
+      required: ["query", "results", "indexedCommits"]
+    },
+    annotations: {
+      title: "Search Git History",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+// Tool handler
+export async function handleToolCall(request, historySearch) {
+  const args = request.params.arguments;
+
+  let result;
+  try {
+    result = await historySearch.search(args.query, {
+      maxResults: args.maxResults,
+      author: args.author,
+      since: args.since,
+      filters: readSearchFilters(args)
+    });
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `History search failed: ${error.message}` }]
+    };
+  }
+
+  const { results, indexedCommits } = result;
+  const text = results.length === 0
+    ? `No matching commits found (${indexedCommits} commits indexed).`
+    : historySearch.formatResults(results);
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      query: args.query,
+      results: results.map(r => historySearch.toStructuredResult(r)),
+      indexedCommits
+    }
+  };
+}
@@ -4,7 +4,9 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
-  InitializeRequestSchema
+  InitializeRequestSchema,
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs/promises";
 import path from "path";
@@ -28,6 +30,11 @@ import * as ClearCacheFeature from "./features/clear-cache.js";
 import * as CheckLastVersionFeature from "./features/check-last-version.js";
 import * as SetWorkspaceFeature from "./features/set-workspace.js";
 import * as GetStatusFeature from "./features/get-status.js";
+import * as FindSimilarFeature from "./features/find-similar.js";
+import * as FindSymbolFeature from "./features/find-symbol.js";
+import * as GrepCodeFeature from "./features/grep-code.js";
+import * as SearchHistoryFeature from "./features/search-history.js";
+import * as MapStackTraceFeature from "./features/map-stack-trace.js";
 // PR #4 Feature
 import * as ConfigureFeature from "./features/configure.js";
 // PR #4 Lib (if needed, but we use HEAD's ide-setup usually? No, PR #4 has `lib/ide-setup.js` import in diff, but I didn't verify if it exists on HEAD. I'll omit if unsure, or check.)
@@ -154,6 +161,31 @@ const features = [
     module: ConfigureFeature,
     instance: null,
     handler: ConfigureFeature.handleToolCall,
+  },
+  {
+    module: FindSimilarFeature,
+    instance: null,
+    handler: FindSimilarFeature.handleToolCall,
+  },
+  {
+    module: FindSymbolFeature,
+    instance: null,
+    handler: FindSymbolFeature.handleToolCall,
+  },
+  {
+    module: GrepCodeFeature,
+    instance: null,
+    handler: GrepCodeFeature.handleToolCall,
+  },
+  {
+    module: SearchHistoryFeature,
+    instance: null,
+    handler: SearchHistoryFeature.handleToolCall,
+  },
+  {
+    module: MapStackTraceFeature,
+    instance: null,
+    handler: MapStackTraceFeature.handleToolCall,
   }
 ];
 
@@ -210,6 +242,16 @@ async function ensureInitialized() {
       embedder
     );
     const configurator = new ConfigureFeature.Configure(config);
+    const similarCodeFinder = new FindSimilarFeature.SimilarCodeFinder(
+      embedder,
+      cache,
+      config,
+      hybridSearch
+    );
+    const symbolFinder = new FindSymbolFeature.SymbolFinder(cache, config);
+    const codeGrep = new GrepCodeFeature.CodeGrep(config);
+    const historySearch = new SearchHistoryFeature.HistorySearch(embedder, cache, config);
+    const stackTraceMapper = new MapStackTraceFeature.StackTraceMapper(config, cache, hybridSearch);
 
     // Store feature instances
     features[0].instance = hybridSearch;
@@ -219,6 +261,11 @@ async function ensureInitialized() {
     features[4].instance = workspaceManager;
     features[5].instance = statusReporter;
     features[6].instance = configurator;
+    features[7].instance = similarCodeFinder;
+    features[8].instance = symbolFinder;
+    features[9].instance = codeGrep;
+    features[10].instance = historySearch;
+    features[11].instance = stackTraceMapper;
 
     isInitialized = true;
     console.error("[Server] Model and cache loaded successfully");
@@ -279,8 +326,13 @@ server.setRequestHandler(InitializeRequestSchema, async (request) => {
     }
   }
 
+  // Answer with the client's protocol version when the SDK supports it,
+  // otherwise the newest one (tools return structuredContent since 2025-06-18)
+  const requestedVersion = request.params.protocolVersion;
   return {
-    protocolVersion: "2024-11-05",
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : LATEST_PROTOCOL_VERSION,
     capabilities: {
       tools: {}
     },
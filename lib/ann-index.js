@@ -0,0 +1,257 @@
+/**
+ * Approximate nearest neighbor index (IVF)
+ *
+ * Vectors are clustered around k-means centroids; each cluster keeps an
+ * inverted list of chunk ids. A query only visits the lists of its closest
+ * centroids, so search cost grows with the probed lists instead of the whole
+ * index. The index stores ids only - callers score the candidates against the
+ * real vectors. Vectors are expected to be normalized (dot product = cosine).
+ */
+
+import fs from 'fs/promises';
+
+// Bump when the persisted format changes
+const ANN_INDEX_VERSION = 1;
+
+// k-means settings
+const TRAINING_ITERATIONS = 10;
+export const TRAINING_POINTS_PER_LIST = 32;
+
+/**
+ * Number of inverted lists for an index of the given size (~sqrt(n))
+ */
+export function chooseListCount(vectorCount) {
+  return Math.max(1, Math.min(4096, Math.round(Math.sqrt(vectorCount))));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] /= norm;
+  }
+  return vector;
+}
+
+export class AnnIndex {
+  /**
+   * @param {string} filePath - Where the index is persisted (JSON)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.reset();
+  }
+
+  /**
+   * Drop all centroids and lists
+   */
+  reset() {
+    // A reset of a built index must reach disk too (save() removes the file)
+    this.dirty = Boolean(this.centroids);
+    this.centroids = null;
+    this.lists = null;
+    this.assignments = new Map(); // chunk id -> list index
+    this.dimension = 0;
+    this.builtCount = 0;
+  }
+
+  get isBuilt() {
+    return this.centroids !== null;
+  }
+
+  /**
+   * Number of ids in the index
+   */
+  get size() {
+    return this.assignments.size;
+  }
+
+  /**
+   * Train centroids with spherical k-means over a sample of vectors
+   * Clears any previously indexed ids.
+   *
+   * @param {Array<ArrayLike<number>>} samples - Training vectors
+   * @param {number} listCount - Number of clusters
+   */
+  train(samples, listCount) {
+    if (samples.length === 0) {
+      throw new Error('Cannot train ANN index without vectors');
+    }
+
+    const dimension = samples[0].length;
+    const k = Math.min(listCount, samples.length);
+
+    // Seed with evenly spaced samples (the caller's sample is already random)
+    const step = samples.length / k;
+    let centroids = Array.from({ length: k }, (_, i) => Float32Array.from(samples[Math.floor(i * step)]));
+    const owner = new Int32Array(samples.length);
+
+    for (let iteration = 0; iteration < TRAINING_ITERATIONS; iteration++) {
+      let moved = 0;
+      for (let s = 0; s < samples.length; s++) {
+        const nearest = this.nearestCentroid(samples[s], centroids);
+        if (nearest !== owner[s] || iteration === 0) moved++;
+        owner[s] = nearest;
+      }
+      if (moved === 0) break;
+
+      const sums = Array.from({ length: k }, () => new Float32Array(dimension));
+      const counts = new Int32Array(k);
+      for (let s = 0; s < samples.length; s++) {
+        const sum = sums[owner[s]];
+        const sample = samples[s];
+        for (let d = 0; d < dimension; d++) {
+          sum[d] += sample[d];
+        }
+        counts[owner[s]]++;
+      }
+
+      centroids = sums.map((sum, c) =>
+        // Reseed empty clusters with a random sample
+        counts[c] > 0 ? normalize(sum) : Float32Array.from(samples[Math.floor(Math.random() * samples.length)])
+      );
+    }
+
+    this.centroids = centroids;
+    this.lists = centroids.map(() => new Set());
+    this.assignments = new Map();
+    this.dimension = dimension;
+    this.builtCount = 0;
+    this.dirty = true;
+  }
+
+  /**
+   * Index of the centroid closest to a vector
+   */
+  nearestCentroid(vector, centroids = this.centroids) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < centroids.length; c++) {
+      const score = dot(vector, centroids[c]);
+      if (score > bestScore) {
+        bestScore = score;
+        best = c;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Add (or move) a chunk id to the list of its nearest centroid
+   */
+  add(id, vector) {
+    if (!this.isBuilt) return;
+
+    this.remove(id);
+    const list = this.nearestCentroid(vector);
+    this.lists[list].add(id);
+    this.assignments.set(id, list);
+    this.dirty = true;
+  }
+
+  /**
+   * Remove a chunk id from the index
+   */
+  remove(id) {
+    const list = this.assignments.get(id);
+    if (list === undefined) return;
+
+    this.lists[list].delete(id);
+    this.assignments.delete(id);
+    this.dirty = true;
+  }
+
+  /**
+   * Mark the current contents as the baseline the centroids were built for
+   */
+  markBuilt() {
+    this.builtCount = this.size;
+  }
+
+  /**
+   * Candidate ids for a query: every id in the closest lists
+   * @param {ArrayLike<number>} vector - Normalized query vector
+   * @param {number} probes - Number of lists to visit
+   * @returns {number[]} Chunk ids
+   */
+  search(vector, probes) {
+    if (!this.isBuilt) return [];
+
+    const ranked = this.centroids
+      .map((centroid, list) => ({ list, score: dot(vector, centroid) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.max(1, probes));
+
+    const ids = [];
+    for (const { list } of ranked) {
+      for (const id of this.lists[list]) {
+        ids.push(id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Load a persisted index
+   * @returns {Promise<boolean>} True if a compatible index was loaded
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch {
+      return false;
+    }
+
+    if (data.version !== ANN_INDEX_VERSION || !Array.isArray(data.centroids) || !Array.isArray(data.lists)) {
+      return false;
+    }
+
+    this.centroids = data.centroids.map(c => Float32Array.from(c));
+    this.lists = data.lists.map(ids => new Set(ids));
+    this.assignments = new Map();
+    this.lists.forEach((ids, list) => {
+      for (const id of ids) this.assignments.set(id, list);
+    });
+    this.dimension = data.dimension;
+    this.builtCount = data.builtCount;
+    this.dirty = false;
+    return true;
+  }
+
+  /**
+   * Persist the index if it changed since the last save (or remove the file
+   * when the index was reset)
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    if (!this.isBuilt) {
+      await fs.rm(this.filePath, { force: true });
+      this.dirty = false;
+      return;
+    }
+
+    const data = {
+      version: ANN_INDEX_VERSION,
+      dimension: this.dimension,
+      builtCount: this.builtCount,
+      centroids: this.centroids.map(c => Array.from(c)),
+      lists: this.lists.map(ids => [...ids])
+    };
+
+    await fs.writeFile(this.filePath, JSON.stringify(data));
+    this.dirty = false;
+  }
+}
@@ -3,13 +3,15 @@
  * 
  * Uses Tree-sitter to parse code and chunk at semantic boundaries
  * (functions, classes, methods) instead of arbitrary line splits.
+ * Grammars come from the tree-sitter-wasms package; files it cannot chunk
+ * fall back to smart chunking, and the chunker reports which mode it used.
  */
 
 import Parser from 'web-tree-sitter';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { smartChunk } from './utils.js'; // Fallback
+import { smartChunk, lineChunk } from './utils.js'; // Fallback
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -32,6 +34,17 @@ const LANGUAGE_MAP = {
   hpp: 'cpp'
 };
 
+// Why an AST chunker fell back to smart chunking. Tree-sitter and grammar
+// problems depend on the installation and are retried on the next run; the
+// others depend on the file content and hold until it changes.
+export const CHUNKING_FALLBACK = {
+  UNAVAILABLE: 'tree-sitter unavailable',
+  NO_GRAMMAR: 'no grammar',
+  NO_SEMANTIC_NODES: 'no semantic nodes',
+  PARSE_ERROR: 'parse error'
+};
+const CONTENT_FALLBACKS = new Set([CHUNKING_FALLBACK.NO_SEMANTIC_NODES, CHUNKING_FALLBACK.PARSE_ERROR]);
+
 // Node types that represent semantic boundaries
 const SEMANTIC_NODES = {
   javascript: ['function_declaration', 'arrow_function', 'class_declaration', 'method_definition', 'export_statement'],
@@ -51,6 +64,7 @@ export class ASTChunker {
     this.parser = null;
     this.languages = new Map();
     this.initialized = false;
+    this.initFailed = false;
   }
 
   /**
@@ -101,6 +115,8 @@ export class ASTChunker {
       }
 
       console.error(`[AST] No grammar found for ${langName}`);
+      // Remember the miss so we don't probe the filesystem again for every file
+      this.languages.set(langName, null);
       return null;
     } catch (error) {
       console.error(`[AST] Failed to load ${langName}:`, error.message);
@@ -120,26 +136,46 @@ export class ASTChunker {
    * Chunk code using AST analysis
    */
   async chunk(content, file) {
-    // Initialize if needed
-    if (!this.initialized) {
-      await this.init();
-    }
+    return (await this.chunkWithMode(content, file)).chunks;
+  }
+
+  /**
+   * Chunk code using AST analysis, reporting the mode actually applied
+   * @returns {Promise<{chunks: Array, mode: "ast"|"smart", fallback: string|null}>}
+   *   fallback is one of CHUNKING_FALLBACK when AST chunking was expected but
+   *   smart chunking was used
+   */
+  async chunkWithMode(content, file) {
+    const fallBack = (fallback) => ({ chunks: smartChunk(content, file, this.config), mode: 'smart', fallback });
 
     const langName = this.getLanguageForFile(file);
-    
-    // Fall back to smart chunking if language not supported
+
+    // Languages without a grammar mapping are smart-chunked by design
     if (!langName) {
       if (this.config.verbose) {
         console.error(`[AST] No AST support for ${path.extname(file)}, using smart chunking`);
       }
-      return smartChunk(content, file, this.config);
+      return fallBack(null);
+    }
+
+    // Initialize if needed (a failed init falls back to smart chunking for good)
+    if (!this.initialized && !this.initFailed) {
+      try {
+        await this.init();
+      } catch {
+        this.initFailed = true;
+      }
+    }
+
+    if (this.initFailed) {
+      return fallBack(CHUNKING_FALLBACK.UNAVAILABLE);
     }
 
     const language = await this.loadLanguage(langName);
     
     // Fall back if grammar not available
     if (!language) {
-      return smartChunk(content, file, this.config);
+      return fallBack(CHUNKING_FALLBACK.NO_GRAMMAR);
     }
 
     try {
@@ -180,19 +216,58 @@ export class ASTChunker {
 
       // If no semantic chunks found, fall back to smart chunking
       if (chunks.length === 0) {
-        return smartChunk(content, file, this.config);
+        return fallBack(CHUNKING_FALLBACK.NO_SEMANTIC_NODES);
       }
 
       // Sort by start line
       chunks.sort((a, b) => a.startLine - b.startLine);
 
       // Merge small gaps and remove overlaps
-      return this.mergeAndCleanChunks(chunks, lines);
+      return { chunks: this.mergeAndCleanChunks(chunks, lines), mode: 'ast', fallback: null };
 
     } catch (error) {
       console.error(`[AST] Parse error for ${file}:`, error.message);
-      return smartChunk(content, file, this.config);
+      return fallBack(CHUNKING_FALLBACK.PARSE_ERROR);
+    }
+  }
+
+  /**
+   * Line ranges of every semantic node (function, class, method, ...) in a file
+   * @returns {Promise<Array<{startLine: number, endLine: number, nodeType: string}>|null>}
+   *   Null when Tree-sitter or the language's grammar is unavailable
+   */
+  async findSemanticRanges(content, file) {
+    const langName = this.getLanguageForFile(file);
+    if (!langName) return null;
+
+    if (!this.initialized && !this.initFailed) {
+      try {
+        await this.init();
+      } catch {
+        this.initFailed = true;
+      }
     }
+    if (this.initFailed) return null;
+
+    const language = await this.loadLanguage(langName);
+    if (!language) return null;
+
+    this.parser.setLanguage(language);
+    const tree = this.parser.parse(content);
+    const semanticNodes = SEMANTIC_NODES[langName] || [];
+    const ranges = [];
+
+    this.walkTree(tree.rootNode, (node) => {
+      if (semanticNodes.includes(node.type)) {
+        ranges.push({
+          startLine: node.startPosition.row + 1,
+          endLine: node.endPosition.row + 1,
+          nodeType: node.type
+        });
+      }
+    });
+
+    return ranges;
   }
 
   /**
@@ -256,18 +331,67 @@ export class ASTChunker {
   }
 }
 
+/**
+ * Resolve the chunking mode configured for a file.
+ * "ast" only applies to languages with a Tree-sitter mapping; everything else
+ * goes through smart chunking. The mode actually applied (AST chunking can
+ * still fall back) is what chunkWithMode reports and the index records, so
+ * switching modes re-chunks exactly the files whose chunking changes.
+ *
+ * @param {string} file - File path
+ * @param {object} config - Configuration object with chunkingMode
+ * @returns {"smart"|"ast"|"line"}
+ */
+export function resolveChunkingMode(file, config) {
+  if (config.chunkingMode === 'line') {
+    return 'line';
+  }
+
+  if (config.chunkingMode === 'ast') {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    if (LANGUAGE_MAP[ext]) {
+      return 'ast';
+    }
+  }
+
+  return 'smart';
+}
+
+/**
+ * Whether a file's recorded chunking still matches what chunking it now
+ * would do: the same mode, or AST chunking that fell back for a reason
+ * that only changes with the file content
+ *
+ * @param {{chunkingMode: string, chunkingFallback?: string|null}} info - From the cache's getFileInfo
+ * @param {string} file - File path
+ * @param {object} config - Configuration object with chunkingMode
+ * @returns {boolean}
+ */
+export function isChunkingCurrent(info, file, config) {
+  const mode = resolveChunkingMode(file, config);
+  return info.chunkingMode === mode ||
+    (mode === 'ast' && CONTENT_FALLBACKS.has(info.chunkingFallback));
+}
+
 /**
  * Factory function to get the appropriate chunker based on config
+ * Every chunker has chunk(content, file) and chunkWithMode(content, file),
+ * which also reports the mode applied (see ASTChunker.chunkWithMode).
  */
 export function getChunker(config) {
   if (config.chunkingMode === 'ast') {
     return new ASTChunker(config);
   }
-  
-  // Return a wrapper that uses smartChunk
+
+  const [mode, chunkFile] = config.chunkingMode === 'line'
+    ? ['line', lineChunk]
+    : ['smart', smartChunk];
   return {
     async chunk(content, file) {
-      return smartChunk(content, file, config);
+      return chunkFile(content, file, config);
+    },
+    async chunkWithMode(content, file) {
+      return { chunks: chunkFile(content, file, config), mode, fallback: null };
     }
   };
 }
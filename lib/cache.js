@@ -78,6 +78,14 @@ export class EmbeddingsCache {
     return this.vectorStore;
   }
 
+  getVectorCount() {
+    return this.vectorStore.length;
+  }
+
+  getFileCount() {
+    return new Set(this.vectorStore.map(chunk => chunk.file)).size;
+  }
+
   setVectorStore(store) {
     this.vectorStore = store;
   }
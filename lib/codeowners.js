@@ -0,0 +1,128 @@
+/**
+ * CODEOWNERS lookup
+ *
+ * Finds the repository's CODEOWNERS file (.github/, root, docs/ - GitHub's
+ * order) and answers who owns a file. Patterns follow GitHub's rules: the last
+ * matching line wins, a leading or inner "/" anchors a pattern to the
+ * repository root, otherwise it matches at any depth, and a directory pattern
+ * covers everything below it. A matching line without owners leaves the file
+ * unowned.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import picomatch from 'picomatch';
+
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Parse CODEOWNERS content into ordered rules
+ * @param {string} content - File content
+ * @returns {Array<{pattern: string, owners: string[], matches: Function}>}
+ */
+export function parseCodeOwners(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({ pattern, owners, matches: compileOwnerPattern(pattern) });
+  }
+
+  return rules;
+}
+
+/**
+ * Owners of a repository-relative path (last matching rule wins)
+ * @param {Array} rules - From parseCodeOwners
+ * @param {string} relPath - POSIX path relative to the repository root
+ * @returns {string[]} Owners, empty when no rule (or an owner-less rule) matches
+ */
+export function findOwners(rules, relPath) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].matches(relPath)) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+/**
+ * Load the CODEOWNERS file governing a workspace
+ * Looks in the workspace and its parent directories up to the repository
+ * root (the first directory containing .git).
+ *
+ * @param {string} dir - Workspace directory
+ * @returns {Promise<{file: string, root: string, ownersOf: Function}|null>}
+ *   ownersOf takes an absolute file path; null when there is no CODEOWNERS file
+ */
+export async function loadCodeOwners(dir) {
+  let current = path.resolve(dir);
+
+  while (true) {
+    for (const location of CODEOWNERS_LOCATIONS) {
+      const file = path.join(current, location);
+      const content = await fs.readFile(file, 'utf-8').catch(() => null);
+      if (content !== null) {
+        const root = current;
+        const rules = parseCodeOwners(content);
+        return {
+          file,
+          root,
+          ownersOf: (absPath) => findOwners(rules, path.relative(root, absPath).split(path.sep).join('/'))
+        };
+      }
+    }
+
+    const isRepoRoot = await fs.stat(path.join(current, '.git')).then(() => true, () => false);
+    const parent = path.dirname(current);
+    if (isRepoRoot || parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Predicate for files owned by any of the given owners
+ * Owners compare case-insensitively, with or without the leading "@".
+ *
+ * @param {Object|null} codeOwners - From loadCodeOwners
+ * @param {string[]} owners - Requested owners (e.g. ["@org/payments"])
+ * @returns {Function} file => boolean
+ * @throws {Error} When the workspace has no CODEOWNERS file
+ */
+export function createOwnerFilter(codeOwners, owners) {
+  if (!codeOwners) {
+    throw new Error(`No CODEOWNERS file found (looked for ${CODEOWNERS_LOCATIONS.join(', ')} up to the repository root)`);
+  }
+
+  const wanted = new Set(owners.map(normalizeOwner));
+  return (file) => codeOwners.ownersOf(file).some(owner => wanted.has(normalizeOwner(owner)));
+}
+
+function normalizeOwner(owner) {
+  return String(owner).trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Compile one CODEOWNERS pattern to a matcher for repository-relative paths
+ */
+function compileOwnerPattern(pattern) {
+  const anchored = pattern.startsWith('/') || pattern.replace(/\/+$/, '').includes('/');
+  let glob = pattern.replace(/^\/+/, '');
+  if (glob.endsWith('/')) {
+    glob += '**';
+  }
+  if (!anchored) {
+    glob = `**/${glob}`;
+  }
+
+  // A pattern naming a directory covers everything below it; "docs/*" only
+  // covers the files directly in docs/ (GitHub semantics)
+  return glob.endsWith('*')
+    ? picomatch(glob, { dot: true })
+    : picomatch([glob, `${glob}/**`], { dot: true });
+}
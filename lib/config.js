@@ -40,10 +40,12 @@ const DEFAULT_CONFIG = {
     "**/vendor/**",
     "**/.smart-coding-cache/**"
   ],
+  includePatterns: [],      // When set, only files matching these globs are indexed (e.g. ["src/**", "packages/api"])
   chunkSize: 25,
   chunkOverlap: 5,
   batchSize: 100, // HEAD has 100, PR#4 typically 100
   maxFileSize: 1048576,
+  hashVerifyIntervalDays: 7, // Re-hash every file this often instead of trusting size/mtime (0 = never)
   maxResults: 5,
   enableCache: true,
   cacheDirectory: "./.smart-coding-cache",
@@ -59,6 +61,19 @@ const DEFAULT_CONFIG = {
 
   semanticWeight: 0.7,
   exactMatchBoost: 1.5,
+  recencyBoost: 0,          // Boost for recently/frequently changed files (git history or mtime), 0 = off
+  recencyHalfLifeDays: 180, // Age at which the recency part of that boost halves
+  minScore: 0,              // Drop search results below this relevance (0-1)
+  maxContextLines: 120,     // Cap on results expanded with the search "context" option
+
+  // Approximate nearest neighbor search (IVF index in cacheDirectory/ann-index.json)
+  annEnabled: true,
+  annMinChunks: 10000,      // Below this many chunks, search scans all vectors exactly
+  annProbes: 16,            // Inverted lists visited per query (higher = better recall, slower)
+
+  // Vector quantization: "none", "int8" (~4x less memory) or "binary" (32x)
+  vectorQuantization: "none",
+  rescoreCandidates: 200,   // Quantized matches rescored at full precision per query
   smartIndexing: true,
 
   // Resource throttling (HEAD/PR#4)
@@ -66,6 +81,10 @@ const DEFAULT_CONFIG = {
   batchDelay: 250,          // Delay between batches in ms
   maxWorkers: 'auto',       // Max worker threads
 
+  // Git history index (commit messages and diff hunks, searched with j_search_history)
+  indexGitHistory: false,
+  historyMaxCommits: 1000,  // Most recent commits indexed on the first run (later runs add new commits)
+
   // Startup behavior
   autoIndexDelay: null,     // Delay before auto-indexing (ms)
 
@@ -192,10 +211,17 @@ function applyEnvOverrides(config) {
     SMART_CODING_VERBOSE: 'verbose',
     SMART_CODING_BATCH_SIZE: 'batchSize',
     SMART_CODING_MAX_FILE_SIZE: 'maxFileSize',
+    SMART_CODING_HASH_VERIFY_INTERVAL_DAYS: 'hashVerifyIntervalDays',
     SMART_CODING_CHUNK_SIZE: 'chunkSize',
     SMART_CODING_MAX_RESULTS: 'maxResults',
     SMART_CODING_WATCH_FILES: 'watchFiles',
     SMART_CODING_SEMANTIC_WEIGHT: 'semanticWeight',
+    SMART_CODING_MIN_SCORE: 'minScore',
+    SMART_CODING_RECENCY_BOOST: 'recencyBoost',
+    SMART_CODING_RECENCY_HALF_LIFE_DAYS: 'recencyHalfLifeDays',
+    SMART_CODING_MAX_CONTEXT_LINES: 'maxContextLines',
+    SMART_CODING_INDEX_GIT_HISTORY: 'indexGitHistory',
+    SMART_CODING_HISTORY_MAX_COMMITS: 'historyMaxCommits',
     SMART_CODING_EMBEDDING_MODEL: 'embeddingModel',
     SMART_CODING_WORKER_THREADS: 'workerThreads',
     // HEAD additions
@@ -204,7 +230,11 @@ function applyEnvOverrides(config) {
     SMART_CODING_CHUNKING_MODE: 'chunkingMode',
     SMART_CODING_MAX_CPU_PERCENT: 'maxCpuPercent',
     SMART_CODING_BATCH_DELAY: 'batchDelay',
-    SMART_CODING_MAX_WORKERS: 'maxWorkers'
+    SMART_CODING_MAX_WORKERS: 'maxWorkers',
+    SMART_CODING_ANN_ENABLED: 'annEnabled',
+    SMART_CODING_ANN_MIN_CHUNKS: 'annMinChunks',
+    SMART_CODING_ANN_PROBES: 'annProbes',
+    SMART_CODING_VECTOR_QUANTIZATION: 'vectorQuantization'
   };
 
   for (const [env, key] of Object.entries(envMap)) {
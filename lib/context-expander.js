@@ -0,0 +1,203 @@
+/**
+ * Search result context expansion
+ *
+ * Chunks often start or end mid-function. This widens a result either by a
+ * fixed number of lines or to the enclosing syntactic unit: the smallest
+ * Tree-sitter semantic node when a grammar is available, otherwise the
+ * definitions found by the symbol extractor (brace/indent matching), otherwise
+ * a plain indentation heuristic. Expanded snippets are capped at maxLines,
+ * keeping the original hit inside the window.
+ */
+
+import fs from 'fs/promises';
+import { ASTChunker } from './ast-chunker.js';
+import { extractSymbols } from './symbol-extractor.js';
+
+export const DEFAULT_MAX_CONTEXT_LINES = 120;
+
+/**
+ * Validate the search tool's context option
+ * @param {string|number|undefined} context - "enclosing", a line count, or nothing
+ * @returns {string|number|null} Normalized context ("enclosing", lines > 0, or null)
+ * @throws {Error} For anything else
+ */
+export function parseContextOption(context) {
+  if (context === undefined || context === null || context === 0 || context === 'none') {
+    return null;
+  }
+  if (context === 'enclosing') {
+    return context;
+  }
+
+  const lines = typeof context === 'string' && context.trim() !== '' ? Number(context) : context;
+  if (Number.isInteger(lines) && lines > 0) {
+    return lines;
+  }
+  throw new Error(`Invalid context "${context}". Use "enclosing" or a positive number of lines`);
+}
+
+export class ContextExpander {
+  /**
+   * @param {Object} config - Configuration (maxContextLines, chunking settings for Tree-sitter)
+   */
+  constructor(config) {
+    this.config = config;
+    this.astChunker = null; // Created on first "enclosing" expansion
+  }
+
+  /**
+   * Expand search results and replace their content with the wider snippet
+   * Results whose file can no longer be read are returned unchanged.
+   *
+   * @param {Array} results - Results with file, startLine, endLine, content
+   * @param {string|number} context - "enclosing" or a number of lines on each side
+   * @returns {Promise<Array>} Results with the expanded range, plus matchStartLine/matchEndLine
+   */
+  async expand(results, context) {
+    const maxLines = this.config.maxContextLines || DEFAULT_MAX_CONTEXT_LINES;
+    const fileContents = new Map();
+
+    const expanded = [];
+    for (const result of results) {
+      if (!fileContents.has(result.file)) {
+        fileContents.set(result.file, await fs.readFile(result.file, 'utf-8').catch(() => null));
+      }
+      const content = fileContents.get(result.file);
+      if (content === null) {
+        expanded.push(result);
+        continue;
+      }
+
+      const lines = content.split('\n');
+      const range = context === 'enclosing'
+        ? await this.findEnclosingRange(content, result)
+        : { startLine: result.startLine - context, endLine: result.endLine + context };
+      const { startLine, endLine } = capRange(range, result, lines.length, maxLines);
+
+      expanded.push({
+        ...result,
+        startLine,
+        endLine,
+        content: lines.slice(startLine - 1, endLine).join('\n'),
+        matchStartLine: result.startLine,
+        matchEndLine: result.endLine
+      });
+    }
+    return expanded;
+  }
+
+  /**
+   * Line range of the syntactic unit(s) enclosing a result
+   */
+  async findEnclosingRange(content, result) {
+    const astRange = await this.findAstRange(content, result);
+    if (astRange) return astRange;
+
+    const symbols = extractSymbols(content, result.file);
+    if (symbols.length > 0) {
+      const symbolRange = rangeFromUnits(symbols, result);
+      if (symbolRange) return symbolRange;
+    }
+
+    return findIndentRange(content.split('\n'), result);
+  }
+
+  /**
+   * Range from the innermost Tree-sitter semantic nodes, or null when the
+   * language has no grammar
+   */
+  async findAstRange(content, result) {
+    this.astChunker ??= new ASTChunker(this.config);
+    try {
+      const units = await this.astChunker.findSemanticRanges(content, result.file);
+      return units ? rangeFromUnits(units, result) : null;
+    } catch (error) {
+      if (this.config.verbose) {
+        console.error(`[Context] Tree-sitter unavailable: ${error.message}`);
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Widen a range to the innermost units containing its first and last lines
+ * @param {Array<{startLine: number, endLine: number}>} units - Candidate units
+ * @returns {{startLine: number, endLine: number}|null} Null when no unit touches the range
+ */
+function rangeFromUnits(units, { startLine, endLine }) {
+  const innermost = (line) => units
+    .filter(unit => unit.startLine <= line && unit.endLine >= line)
+    .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0];
+
+  const first = innermost(startLine);
+  const last = innermost(endLine);
+  if (!first && !last) return null;
+
+  return {
+    startLine: Math.min(startLine, first?.startLine ?? startLine),
+    endLine: Math.max(endLine, last?.endLine ?? endLine)
+  };
+}
+
+/**
+ * Indentation heuristic: extend up to the nearest less-indented header line
+ * and down until the block returns to that indentation (including a closing
+ * bracket or "end" line)
+ */
+function findIndentRange(lines, { startLine, endLine }) {
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const isBlank = (line) => line === undefined || line.trim() === '';
+
+  let minIndent = Infinity;
+  for (let i = startLine - 1; i < endLine && i < lines.length; i++) {
+    if (!isBlank(lines[i])) minIndent = Math.min(minIndent, indentOf(lines[i]));
+  }
+  if (minIndent === 0 || minIndent === Infinity) {
+    return { startLine, endLine };
+  }
+
+  let start = startLine - 1;
+  while (start > 0 && (isBlank(lines[start]) || indentOf(lines[start]) >= minIndent)) {
+    start--;
+  }
+  const headerIndent = indentOf(lines[start]);
+
+  let end = endLine - 1;
+  while (end + 1 < lines.length && (isBlank(lines[end + 1]) || indentOf(lines[end + 1]) > headerIndent)) {
+    end++;
+  }
+  if (end + 1 < lines.length && indentOf(lines[end + 1]) === headerIndent && /^\s*([}\])]|end\b)/.test(lines[end + 1])) {
+    end++;
+  }
+  while (end > endLine - 1 && isBlank(lines[end])) {
+    end--;
+  }
+
+  return { startLine: start + 1, endLine: end + 1 };
+}
+
+/**
+ * Clamp a range to the file and to maxLines, keeping the original hit inside
+ * (hits already longer than maxLines are left as they are)
+ */
+function capRange(range, hit, lineCount, maxLines) {
+  const startLine = Math.max(1, range.startLine);
+  const endLine = Math.min(lineCount, range.endLine);
+  if (endLine - startLine + 1 <= maxLines) {
+    return { startLine, endLine };
+  }
+
+  const hitStart = Math.max(startLine, hit.startLine);
+  const hitEnd = Math.min(endLine, hit.endLine);
+  const spare = maxLines - (hitEnd - hitStart + 1);
+  if (spare <= 0) {
+    return { startLine: hitStart, endLine: hitEnd };
+  }
+
+  // Share the remaining lines evenly, giving one side's unused share to the other
+  let before = Math.min(hitStart - startLine, Math.floor(spare / 2));
+  const after = Math.min(endLine - hitEnd, spare - before);
+  before = Math.min(hitStart - startLine, spare - after);
+  return { startLine: hitStart - before, endLine: hitEnd + after };
+}
@@ -0,0 +1,130 @@
+/**
+ * Indexed file selection
+ *
+ * Decides which workspace files are indexed: files with one of the
+ * configured fileExtensions that match includePatterns (when set), match no
+ * excludePatterns and are not ignored by .gitignore/.smartcodingignore.
+ * Patterns are globs (or plain directory paths) matched against
+ * workspace-relative POSIX paths, as in the search filters. Discovery,
+ * pruning and the file watcher share one matcher, so they always agree on
+ * what belongs in the index.
+ *
+ * Directories are pruned without being walked when an exclude pattern covers
+ * everything below them ("**\/node_modules/**", "packages/legacy/**") or
+ * when no include pattern can match inside them.
+ */
+
+import { fdir } from 'fdir';
+import fs from 'fs';
+import path from 'path';
+import picomatch from 'picomatch';
+import { compileGlobs, normalizeGlob, toRelativePath } from './search-filter.js';
+import { createIgnoreMatcher } from './gitignore.js';
+
+// Never indexed, whatever the configuration says
+const ALWAYS_EXCLUDED = ['**/.smart-coding-cache/**'];
+
+/**
+ * Create the file matcher for a configuration
+ * @param {Object} config - Needs searchDirectory, fileExtensions, excludePatterns, includePatterns
+ * @returns {{root: string, includesFile: (absPath: string) => boolean,
+ *   includesDirectory: (absPath: string) => boolean,
+ *   includesPath: (absPath: string, isDirectory?: boolean) => boolean, clear: () => void}}
+ *   includesPath stats the path when isDirectory is omitted; clear() re-reads
+ *   the ignore files on the next check
+ */
+export function createFileMatcher(config) {
+  const root = path.resolve(config.searchDirectory);
+  const extensions = new Set((config.fileExtensions || []).map(ext => `.${ext}`));
+  const excludePatterns = [...(config.excludePatterns || []), ...ALWAYS_EXCLUDED];
+  const exclude = compileGlobs(excludePatterns);
+  const excludeDirectory = compileGlobs(excludePatterns.map(coveredDirectory).filter(Boolean));
+  const include = compileGlobs(config.includePatterns);
+  const includeBases = include ? includePatternBases(config.includePatterns) : null;
+  const ignoreMatcher = createIgnoreMatcher(root);
+
+  // Directories that may hold included files: ancestors of an include
+  // pattern's static base, or anything below it
+  const mayContainIncludes = (relDir) => !includeBases || includeBases.some(base =>
+    relDir === base || relDir.startsWith(`${base}/`) || base.startsWith(`${relDir}/`));
+
+  const relativeTo = (absPath) => {
+    const relPath = toRelativePath(path.resolve(absPath), root);
+    return relPath.startsWith('../') || relPath === '..' || path.isAbsolute(relPath) ? null : relPath;
+  };
+
+  return {
+    root,
+
+    includesFile(absPath) {
+      const relPath = relativeTo(absPath);
+      if (!relPath || !extensions.has(path.extname(relPath))) return false;
+      if (include && !include(relPath)) return false;
+      if (exclude(relPath)) return false;
+      return !ignoreMatcher.isIgnored(absPath, false);
+    },
+
+    includesDirectory(absPath) {
+      const relPath = relativeTo(absPath);
+      if (relPath === null) return false;
+      if (!relPath) return true;
+      if (excludeDirectory && excludeDirectory(relPath)) return false;
+      if (!mayContainIncludes(relPath)) return false;
+      return !ignoreMatcher.isIgnored(absPath, true);
+    },
+
+    includesPath(absPath, isDirectory) {
+      if (isDirectory === undefined) {
+        isDirectory = fs.statSync(absPath, { throwIfNoEntry: false })?.isDirectory() ?? false;
+      }
+      return isDirectory ? this.includesDirectory(absPath) : this.includesFile(absPath);
+    },
+
+    clear() {
+      ignoreMatcher.clear();
+    }
+  };
+}
+
+/**
+ * Walk the workspace for the files a matcher includes, pruning excluded directories
+ * @param {Object} fileMatcher - From createFileMatcher
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+export async function listFiles(fileMatcher) {
+  return new fdir()
+    .withFullPaths()
+    .exclude((dirName, dirPath) => !fileMatcher.includesDirectory(dirPath))
+    .filter((filePath) => fileMatcher.includesFile(filePath))
+    .crawl(fileMatcher.root)
+    .withPromise();
+}
+
+/**
+ * Directory an exclude pattern covers entirely, for pruning:
+ * "**\/dist/**" -> "**\/dist", "packages/legacy" -> "packages/legacy";
+ * null for patterns that only match some files ("**\/*.pyc")
+ */
+function coveredDirectory(raw) {
+  const pattern = normalizeGlob(raw);
+  if (!picomatch.scan(pattern).isGlob) return pattern || null;
+  if (pattern.endsWith('/**')) return pattern.slice(0, -3) || null;
+  return null;
+}
+
+/**
+ * Static leading directories of the include patterns ("src/**\/*.ts" -> "src"),
+ * or null when a pattern can match anywhere ("**\/*.ts")
+ */
+function includePatternBases(patterns) {
+  const bases = [];
+  for (const raw of patterns) {
+    const pattern = normalizeGlob(raw);
+    if (!pattern) continue;
+    const { base, isGlob } = picomatch.scan(pattern);
+    const dir = isGlob ? base : pattern;
+    if (!dir) return null;
+    bases.push(dir);
+  }
+  return bases;
+}
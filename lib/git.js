@@ -0,0 +1,376 @@
+/**
+ * Local git history for files in the workspace
+ *
+ * One `git log` pass over the workspace yields, for every file, when it was
+ * last committed and how many commits touched it. Search uses this to prefer
+ * actively maintained code over stale copies, and blames result line ranges
+ * on request. The optional history index reads commits with their messages
+ * and diff hunks, and incremental indexing asks which files changed since the
+ * last indexed commit. Everything runs against the local checkout and fails soft:
+ * outside a repository, without git, or in a repository without commits the
+ * result is null and callers fall back to file modification times.
+ */
+
+import { execFile, spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Commits read per scan; files last touched before them get the oldest scanned commit time
+export const GIT_LOG_MAX_COMMITS = 20000;
+
+// Object name git blame reports for lines that are not committed yet
+const UNCOMMITTED_HASH = /^0+$/;
+
+// Diff lines kept per hunk and hunks kept per commit when reading commits;
+// generated files and mass renames would otherwise dominate the history index
+export const HUNK_MAX_LINES = 60;
+export const COMMIT_MAX_HUNKS = 30;
+
+// Lines framing each commit's metadata and message in readCommits' git log
+// output (see its --format); NUL never occurs in commit messages or diff lines
+const COMMIT_START = '\0C';
+const MESSAGE_END = '\0E';
+
+/**
+ * Read last-commit time and commit count of the files under a directory
+ * @param {string} dir - Workspace directory (may be a subdirectory of the repository)
+ * @param {Object} [options]
+ * @param {number} [options.maxCommits] - Most recent commits to read
+ * @returns {Promise<{files: Map<string, {lastCommitAt: number, commitCount: number}>, truncated: boolean, oldestCommitAt: number|null}|null>}
+ *   Absolute file paths (joined onto dir) to their history; truncated is set
+ *   when maxCommits was reached. Null when git history is unavailable.
+ */
+export async function readFileHistory(dir, { maxCommits = GIT_LOG_MAX_COMMITS } = {}) {
+  // --relative with the "." pathspec: only commits touching dir, paths relative to it
+  const child = spawn('git', [
+    '-c', 'core.quotePath=false',
+    'log', '--no-merges', '--relative', '--name-only', '--format=%x00%ct',
+    '-n', String(maxCommits), '--', '.'
+  ], { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true });
+
+  const exitCode = new Promise((resolve) => {
+    child.on('error', () => resolve(-1));
+    child.on('close', resolve);
+  });
+
+  const files = new Map();
+  let commitAt = null;
+  let commits = 0;
+  let oldestCommitAt = null;
+
+  try {
+    for await (const line of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+      if (line.startsWith('\0')) {
+        commitAt = Number(line.slice(1)) * 1000;
+        oldestCommitAt = oldestCommitAt === null ? commitAt : Math.min(oldestCommitAt, commitAt);
+        commits++;
+        continue;
+      }
+      if (!line || commitAt === null) continue;
+
+      const file = path.join(dir, line);
+      const entry = files.get(file);
+      if (entry) {
+        entry.commitCount++;
+        entry.lastCommitAt = Math.max(entry.lastCommitAt, commitAt);
+      } else {
+        files.set(file, { lastCommitAt: commitAt, commitCount: 1 });
+      }
+    }
+  } catch {
+    return null;
+  }
+
+  if (await exitCode !== 0) {
+    return null;
+  }
+  return { files, truncated: commits >= maxCommits, oldestCommitAt };
+}
+
+/**
+ * Most recent commit touching a line range of a file (git blame)
+ * @param {string} file - Absolute file path
+ * @param {number} startLine - First line (1-based)
+ * @param {number} endLine - Last line (inclusive)
+ * @returns {Promise<{hash: string|null, author: string|null, email: string|null, date: number|null, message: string|null, uncommittedLines: number}|null>}
+ *   date in ms; hash and the commit fields are null when every line is uncommitted.
+ *   Null when the file is not tracked or git is unavailable.
+ * @throws {RangeError} When the lines are outside the file (e.g. it shrank since indexing)
+ */
+export async function blameRange(file, startLine, endLine) {
+  // git blame fails for a range starting past the end as for an untracked file,
+  // and silently cuts one ending past it
+  const lines = await readLineCounts(file);
+  if (!lines) return null;
+  if (startLine < 1 || endLine > lines.chunked || startLine > endLine) {
+    throw new RangeError(`Lines ${startLine}-${endLine} are outside ${path.basename(file)} (${lines.blamed} lines)`);
+  }
+
+  let output;
+  try {
+    ({ stdout: output } = await execFileAsync('git', [
+      'blame', '--porcelain', '-L', `${startLine},${Math.min(endLine, lines.blamed)}`, '--', path.basename(file)
+    ], { cwd: path.dirname(file), maxBuffer: 16 * 1024 * 1024, windowsHide: true }));
+  } catch {
+    return null;
+  }
+
+  // Porcelain output: a header per line ("<hash> <orig> <final> [<count>]"),
+  // commit details the first time a commit appears, then the line itself after a tab
+  const commits = new Map();
+  const lineHashes = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('\t')) continue;
+
+    const header = line.match(/^([0-9a-f]{40,64}) \d+ \d+/);
+    if (header) {
+      current = header[1];
+      lineHashes.push(current);
+      if (!commits.has(current)) commits.set(current, {});
+      continue;
+    }
+
+    const space = line.indexOf(' ');
+    const key = space < 0 ? line : line.slice(0, space);
+    const value = space < 0 ? '' : line.slice(space + 1);
+    const commit = commits.get(current);
+    if (!commit) continue;
+
+    if (key === 'author') commit.author = value;
+    else if (key === 'author-mail') commit.email = value.replace(/^<|>$/g, '');
+    else if (key === 'author-time') commit.date = Number(value) * 1000;
+    else if (key === 'summary') commit.message = value;
+  }
+
+  let latest = null;
+  let uncommittedLines = 0;
+  for (const hash of lineHashes) {
+    if (UNCOMMITTED_HASH.test(hash)) {
+      uncommittedLines++;
+    } else if (!latest || commits.get(hash).date > commits.get(latest).date) {
+      latest = hash;
+    }
+  }
+
+  const commit = latest ? commits.get(latest) : {};
+  return {
+    hash: latest,
+    author: commit.author ?? null,
+    email: commit.email ?? null,
+    date: commit.date ?? null,
+    message: commit.message ?? null,
+    uncommittedLines
+  };
+}
+
+/**
+ * Number of lines in a file as chunks number them and as git blame counts them
+ * Chunking splits on every newline, so a final newline adds an empty last line
+ * git does not count.
+ * @returns {Promise<{chunked: number, blamed: number}|null>} Null when the file cannot be read
+ */
+async function readLineCounts(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+  } catch {
+    return null;
+  }
+  const chunked = content.split('\n').length;
+  return { chunked, blamed: content.endsWith('\n') || !content ? chunked - 1 : chunked };
+}
+
+/**
+ * Current HEAD commit of the repository containing a directory
+ * @param {string} dir - Workspace directory
+ * @returns {Promise<string|null>} Commit hash, or null outside a repository or before the first commit
+ */
+export async function readHead(dir) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', '--verify', '-q', 'HEAD'], { cwd: dir, windowsHide: true });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a commit is part of HEAD's history (false after a rebase or branch switch dropped it)
+ * @param {string} dir - Workspace directory
+ * @param {string} commit - Commit hash
+ * @returns {Promise<boolean>}
+ */
+export async function isAncestorOfHead(dir, commit) {
+  try {
+    await execFileAsync('git', ['merge-base', '--is-ancestor', commit, 'HEAD'], { cwd: dir, windowsHide: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Files under a directory that differ between a commit and HEAD
+ * Renames are listed as a deletion and an addition, so both paths come back.
+ * @param {string} dir - Workspace directory (may be a subdirectory of the repository)
+ * @param {string} commit - Earlier commit; it does not need to be an ancestor of HEAD
+ * @returns {Promise<string[]|null>} Absolute paths (joined onto dir), or null
+ *   when the commit no longer exists or git is unavailable
+ */
+export async function readChangedFiles(dir, commit) {
+  try {
+    const { stdout } = await execFileAsync('git', [
+      'diff', '--name-only', '--no-renames', '--relative', '-z', `${commit}^{commit}`, 'HEAD', '--', '.'
+    ], { cwd: dir, maxBuffer: 64 * 1024 * 1024, windowsHide: true });
+    return splitPaths(stdout, dir);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tracked files under a directory whose working tree state differs from HEAD
+ * (modified, staged or deleted)
+ * @param {string} dir - Workspace directory (may be a subdirectory of the repository)
+ * @returns {Promise<string[]|null>} Absolute paths (joined onto dir), or null
+ *   outside a repository, before the first commit or without git
+ */
+export async function readWorkingTreeChanges(dir) {
+  try {
+    const { stdout } = await execFileAsync('git', [
+      'diff', '--name-only', '--no-renames', '--relative', '-z', 'HEAD', '--', '.'
+    ], { cwd: dir, maxBuffer: 64 * 1024 * 1024, windowsHide: true });
+    return splitPaths(stdout, dir);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files under a directory that are tracked in the index
+ * @param {string} dir - Workspace directory (may be a subdirectory of the repository)
+ * @returns {Promise<Set<string>|null>} Absolute paths (joined onto dir), or null
+ *   outside a repository or without git
+ */
+export async function readTrackedFiles(dir) {
+  try {
+    const { stdout } = await execFileAsync('git', ['ls-files', '--cached', '-z', '--', '.'], {
+      cwd: dir, maxBuffer: 256 * 1024 * 1024, windowsHide: true
+    });
+    return new Set(splitPaths(stdout, dir));
+  } catch {
+    return null;
+  }
+}
+
+// NUL-separated paths relative to dir (git's -z output) to absolute paths
+function splitPaths(output, dir) {
+  return output.split('\0').filter(Boolean).map(relPath => path.join(dir, relPath));
+}
+
+/**
+ * Read commits with their diff hunks, oldest first
+ * Streams `git log -p` so large histories are never held in memory at once.
+ * Merge commits are skipped; hunks are cut to HUNK_MAX_LINES lines and
+ * COMMIT_MAX_HUNKS per commit, while `files` always lists every touched file.
+ *
+ * @param {string} dir - Workspace directory (may be a subdirectory of the repository)
+ * @param {Object} [options]
+ * @param {string|null} [options.since] - Only commits after this one (exclusive)
+ * @param {number} [options.maxCommits] - Most recent commits to read
+ * @param {Function|null} [options.includeFile] - absPath => boolean, files whose hunks are kept
+ * @yields {{hash: string, author: string, email: string, date: number, message: string, files: string[], hunks: Array<{file: string, startLine: number, content: string}>}}
+ *   date in ms; file paths absolute (joined onto dir)
+ * @throws {Error} When git log fails
+ */
+export async function* readCommits(dir, { since = null, maxCommits = GIT_LOG_MAX_COMMITS, includeFile = null } = {}) {
+  // -n picks the newest commits of the range, --reverse then yields them oldest first
+  const child = spawn('git', [
+    '-c', 'core.quotePath=false',
+    'log', '--no-merges', '--relative', '--reverse', '-p', '-M', '--no-color', '--no-ext-diff',
+    '--format=%x00C%H%x00%an%x00%ae%x00%at%n%B%n%x00E',
+    '-n', String(maxCommits), since ? `${since}..HEAD` : 'HEAD', '--', '.'
+  ], { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true });
+
+  const exitCode = new Promise((resolve) => {
+    child.on('error', () => resolve(-1));
+    child.on('close', resolve);
+  });
+
+  let commit = null;
+  let messageLines = null; // Set while reading the commit message
+  let file = null;         // File of the diff being read
+  let hunk = null;         // Hunk being read ({file, startLine, lines}), null when skipped
+
+  const finishHunk = () => {
+    if (hunk) {
+      commit.hunks.push({ file: hunk.file, startLine: hunk.startLine, content: hunk.lines.join('\n') });
+      hunk = null;
+    }
+  };
+  const finishCommit = () => {
+    finishHunk();
+    const finished = commit;
+    commit = null;
+    return finished;
+  };
+
+  try {
+    for await (const line of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+      if (line.startsWith(COMMIT_START)) {
+        if (commit) yield finishCommit();
+        const [hash, author, email, time] = line.slice(COMMIT_START.length).split('\0');
+        commit = { hash, author, email, date: Number(time) * 1000, message: '', files: [], hunks: [] };
+        messageLines = [];
+        file = null;
+        continue;
+      }
+      if (!commit) continue;
+
+      if (messageLines) {
+        if (line === MESSAGE_END) {
+          commit.message = messageLines.join('\n').trim();
+          messageLines = null;
+        } else {
+          messageLines.push(line);
+        }
+        continue;
+      }
+
+      const diffHeader = line.match(/^diff --git a\/.* b\/(.*)$/);
+      if (diffHeader) {
+        finishHunk();
+        file = path.join(dir, diffHeader[1]);
+        commit.files.push(file);
+        continue;
+      }
+
+      const hunkHeader = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunkHeader) {
+        finishHunk();
+        const wanted = file && commit.hunks.length < COMMIT_MAX_HUNKS && (!includeFile || includeFile(file));
+        hunk = wanted ? { file, startLine: Number(hunkHeader[1]), lines: [line] } : null;
+        continue;
+      }
+
+      if (hunk && /^[ +\-\\]/.test(line) && hunk.lines.length <= HUNK_MAX_LINES) {
+        hunk.lines.push(line);
+      }
+    }
+    if (commit) yield finishCommit();
+  } finally {
+    // The consumer stopped early (or failed): don't leave git running
+    if (child.exitCode === null) child.kill();
+  }
+
+  const code = await exitCode;
+  if (code !== 0) {
+    throw new Error(`git log exited with code ${code}`);
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * .gitignore matching
+ *
+ * Decides whether a workspace path is ignored by the repository's .gitignore
+ * files and the project's .smartcodingignore files, using git's rules: each
+ * file applies to its own directory and below, a pattern containing a "/"
+ * (other than a trailing one) is anchored to that directory, otherwise it
+ * matches a name at any depth, a trailing "/" matches directories only, "!"
+ * re-includes, and the last matching line wins with deeper files overriding
+ * shallower ones. A path inside an ignored directory is ignored even if a
+ * later rule re-includes it, as git cannot see it either.
+ *
+ * .smartcodingignore uses the same syntax and is read after .gitignore in the
+ * same directory, so it can both add exclusions and re-include gitignored
+ * files ("!src/generated/"). .gitignore files in parent directories up to the
+ * repository root also apply when the workspace is a subdirectory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const IGNORE_FILES = ['.gitignore', '.smartcodingignore'];
+
+/**
+ * Parse ignore file content into ordered rules
+ * @param {string} content - File content
+ * @returns {Array<{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp}>}
+ */
+export function parseIgnoreRules(content) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are dropped unless escaped ("foo\ ")
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+
+    const dirOnly = line.endsWith('/') && !line.endsWith('\\/');
+    if (dirOnly) line = line.slice(0, -1);
+    if (!line) continue;
+
+    rules.push({ pattern: rawLine.trim(), negate, dirOnly, regex: compileIgnorePattern(line) });
+  }
+
+  return rules;
+}
+
+/**
+ * Compile one gitignore pattern (without "!" and trailing "/") to a regex
+ * matched against paths relative to the ignore file's directory
+ */
+function compileIgnorePattern(pattern) {
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+  let source = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      const end = i + 2;
+      if (atStart && pattern[end] === '/') {
+        source += '(?:.*/)?'; // "**/" - zero or more directories
+        i = end + 1;
+        continue;
+      }
+      if (atStart && end === pattern.length && i > 0) {
+        source += '.*'; // trailing "/**" - everything inside
+        i = end;
+        continue;
+      }
+      // Any other run of asterisks is a plain "*"
+      while (pattern[i] === '*') i++;
+      source += '[^/]*';
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegex(pattern[++i]);
+    } else if (char === '[') {
+      const close = findClassEnd(pattern, i);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let body = pattern.slice(i + 1, close);
+        if (body.startsWith('!')) body = '^' + body.slice(1);
+        source += `[${body}]`;
+        i = close;
+      }
+    } else {
+      source += escapeRegex(char);
+    }
+    i++;
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+function findClassEnd(pattern, start) {
+  let i = start + 1;
+  if (pattern[i] === '!' || pattern[i] === '^') i++;
+  if (pattern[i] === ']') i++; // "]" right after "[" is literal
+  for (; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === ']') return i;
+  }
+  return -1;
+}
+
+function escapeRegex(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Ignore decision for a path from one directory's rules (last match wins)
+ * @returns {boolean|undefined} undefined when no rule matches
+ */
+function matchRules(rules, relPath, isDirectory) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(relPath)) return !rule.negate;
+  }
+  return undefined;
+}
+
+/**
+ * Create an ignore matcher for a workspace
+ * Ignore files are read lazily, once per directory, so the matcher can be
+ * called from synchronous crawler and watcher callbacks. Call clear() after
+ * an ignore file changes.
+ *
+ * @param {string} rootDir - Workspace directory
+ * @returns {{root: string, isIgnored: (absPath: string, isDirectory?: boolean) => boolean, clear: () => void}}
+ *   root is the resolved workspace directory; isIgnored is false for paths outside the workspace; when isDirectory is
+ *   omitted the path is stat'ed to find out
+ */
+export function createIgnoreMatcher(rootDir) {
+  const root = path.resolve(rootDir);
+  const repoRoot = findRepoRoot(root);
+  const rulesByDir = new Map();
+  const ignoredDirs = new Map();
+
+  const rulesFor = (dir) => {
+    let rules = rulesByDir.get(dir);
+    if (rules === undefined) {
+      rules = [];
+      for (const name of IGNORE_FILES) {
+        try {
+          rules.push(...parseIgnoreRules(fs.readFileSync(path.join(dir, name), 'utf-8')));
+        } catch {
+          // Missing or unreadable ignore file
+        }
+      }
+      rulesByDir.set(dir, rules);
+    }
+    return rules;
+  };
+
+  // Rules from the deepest ignore file up to the repository root
+  const decide = (absPath, isDirectory) => {
+    let dir = path.dirname(absPath);
+    while (true) {
+      const relPath = path.relative(dir, absPath).split(path.sep).join('/');
+      const result = matchRules(rulesFor(dir), relPath, isDirectory);
+      if (result !== undefined) return result;
+      if (dir === repoRoot) return false;
+      const parent = path.dirname(dir);
+      if (parent === dir) return false;
+      dir = parent;
+    }
+  };
+
+  const isDirIgnored = (dir) => {
+    if (dir === root) return false;
+    let ignored = ignoredDirs.get(dir);
+    if (ignored === undefined) {
+      ignored = isDirIgnored(path.dirname(dir)) || decide(dir, true);
+      ignoredDirs.set(dir, ignored);
+    }
+    return ignored;
+  };
+
+  return {
+    root,
+
+    isIgnored(absPath, isDirectory) {
+      const resolved = path.resolve(absPath);
+      const relPath = path.relative(root, resolved);
+      if (!relPath || relPath.startsWith('..') || path.isAbsolute(relPath)) return false;
+
+      if (isDirectory === undefined) {
+        isDirectory = fs.statSync(resolved, { throwIfNoEntry: false })?.isDirectory() ?? false;
+      }
+      if (isDirectory) return isDirIgnored(resolved);
+      return isDirIgnored(path.dirname(resolved)) || decide(resolved, false);
+    },
+
+    clear() {
+      rulesByDir.clear();
+      ignoredDirs.clear();
+    }
+  };
+}
+
+/**
+ * The repository root above dir (first directory containing .git), or dir
+ * itself when it is not inside a repository
+ */
+function findRepoRoot(dir) {
+  let current = dir;
+  while (true) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return dir;
+    current = parent;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Identifier-aware tokenization for lexical matching
+ *
+ * Code identifiers pack several words into one token (getUserById,
+ * parse_config_file, user-service, config.cache.dir). Splitting them lets a
+ * query like "user by id" match getUserById, and getUserById match
+ * get_user_by_id in Python code. Used on both queries and indexed content.
+ */
+
+// An identifier, optionally joined into a compound by ".", "-" or "::"
+const COMPOUND_PATTERN = /[\p{L}\p{N}_$]+(?:(?:\.|-|::)[\p{L}\p{N}_$]+)*/gu;
+
+/**
+ * Split a single identifier into lowercase word parts
+ * Handles camelCase, PascalCase, acronyms (XMLHttpRequest), snake_case,
+ * kebab-case and dotted paths.
+ *
+ * @param {string} identifier - Identifier or compound (e.g. "getUserById")
+ * @returns {string[]} Word parts (e.g. ["get", "user", "by", "id"])
+ */
+export function splitIdentifier(identifier) {
+  return identifier
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, "$1 $2")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(part => part.length > 0)
+    .map(part => part.toLowerCase());
+}
+
+/**
+ * Split text into its identifier compounds, in order of appearance
+ * @param {string} text - Query or code
+ * @returns {string[]} Raw compounds (e.g. ["const", "user", "getUserById"])
+ */
+export function extractIdentifiers(text) {
+  return text ? text.match(COMPOUND_PATTERN) || [] : [];
+}
+
+/**
+ * Ordered word parts of all identifiers in the text
+ * Suitable for phrase matching ("getUserById" -> "get user by id")
+ *
+ * @param {string} text - Query or code
+ * @returns {string[]} Lowercase word parts in order
+ */
+export function splitWords(text) {
+  return extractIdentifiers(text).flatMap(splitIdentifier);
+}
+
+/**
+ * Unique lexical terms for the text: every word part, plus the joined form of
+ * each multi-part identifier so get_user_by_id and getUserById both yield
+ * "getuserbyid".
+ *
+ * @param {string} text - Query or code
+ * @returns {string[]} Unique lowercase terms
+ */
+export function tokenizeCode(text) {
+  const terms = new Set();
+
+  for (const identifier of extractIdentifiers(text)) {
+    const parts = splitIdentifier(identifier);
+    for (const part of parts) {
+      terms.add(part);
+    }
+    if (parts.length > 1) {
+      terms.add(parts.join(""));
+    }
+  }
+
+  return [...terms];
+}
+
+/**
+ * Expand content for full-text indexing
+ * Appends the split parts and joined form of every multi-part identifier so a
+ * plain word tokenizer (FTS5 unicode61) can match them in any casing style.
+ *
+ * @param {string} content - Chunk content
+ * @returns {string} Content followed by identifier expansions
+ */
+export function expandIdentifiers(content) {
+  const expansions = [];
+
+  for (const identifier of extractIdentifiers(content)) {
+    const parts = splitIdentifier(identifier);
+    if (parts.length > 1) {
+      expansions.push(parts.join(" "), parts.join(""));
+    }
+  }
+
+  return expansions.length > 0
+    ? `${content}\n${expansions.join("\n")}`
+    : content;
+}
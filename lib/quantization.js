@@ -0,0 +1,209 @@
+/**
+ * Vector quantization for the first-pass search
+ *
+ * Stored vectors can be kept in a compact form next to the full-precision
+ * vector: int8 (one byte per dimension plus a scale, ~4x smaller) or binary
+ * (one sign bit per dimension, 32x smaller). Search scans the compact codes
+ * held in memory and rescores only the best candidates at full precision.
+ */
+
+export const QUANTIZATION_MODES = ["none", "int8", "binary"];
+
+// Popcount of every byte value, for Hamming distances over binary codes
+const POPCOUNT = new Uint8Array(256);
+for (let i = 1; i < 256; i++) {
+  POPCOUNT[i] = POPCOUNT[i >> 1] + (i & 1);
+}
+
+/**
+ * Encode a vector as a quantized code
+ * int8: [float32 scale][int8 x dimension], value = int8 * scale
+ * binary: sign bits packed 8 per byte, most significant bit first
+ *
+ * @param {ArrayLike<number>} vector - Full-precision vector
+ * @param {string} mode - "int8" or "binary"
+ * @returns {Buffer} Quantized code
+ */
+export function quantizeVector(vector, mode) {
+  if (mode === "int8") {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) {
+      max = Math.max(max, Math.abs(vector[i]));
+    }
+    const scale = max / 127 || 1;
+
+    const code = Buffer.alloc(4 + vector.length);
+    code.writeFloatLE(scale, 0);
+    for (let i = 0; i < vector.length; i++) {
+      code.writeInt8(Math.round(vector[i] / scale), 4 + i);
+    }
+    return code;
+  }
+
+  if (mode === "binary") {
+    const code = Buffer.alloc(Math.ceil(vector.length / 8));
+    for (let i = 0; i < vector.length; i++) {
+      if (vector[i] > 0) {
+        code[i >> 3] |= 0x80 >> (i & 7);
+      }
+    }
+    return code;
+  }
+
+  throw new Error(`Cannot quantize with mode "${mode}"`);
+}
+
+/**
+ * In-memory store of quantized codes for every chunk
+ * Codes are packed into one typed array so large indexes don't pay per-row
+ * object overhead; file paths are interned.
+ */
+export class QuantizedVectorStore {
+  /**
+   * @param {string} mode - "int8" or "binary"
+   * @param {Iterable<{id: number, file: string, code: Buffer}>} rows - Stored codes
+   */
+  constructor(mode, rows) {
+    this.mode = mode;
+
+    const ids = [];
+    const fileRefs = [];
+    const codes = [];
+    const fileIndex = new Map();
+    this.files = [];
+
+    for (const row of rows) {
+      if (!fileIndex.has(row.file)) {
+        fileIndex.set(row.file, this.files.length);
+        this.files.push(row.file);
+      }
+      ids.push(row.id);
+      fileRefs.push(fileIndex.get(row.file));
+      codes.push(row.code);
+    }
+
+    this.count = ids.length;
+    this.ids = Float64Array.from(ids);
+    this.fileRefs = Uint32Array.from(fileRefs);
+
+    // int8 codes carry their scale in the first 4 bytes; keep scales separately
+    const headerSize = mode === "int8" ? 4 : 0;
+    this.codeSize = codes.length > 0 ? codes[0].length - headerSize : 0;
+    this.scales = mode === "int8" ? new Float32Array(this.count) : null;
+
+    const CodeArray = mode === "int8" ? Int8Array : Uint8Array;
+    this.codes = new CodeArray(this.count * this.codeSize);
+    codes.forEach((code, i) => {
+      if (this.scales) this.scales[i] = code.readFloatLE(0);
+      this.codes.set(new CodeArray(code.buffer, code.byteOffset + headerSize, this.codeSize), i * this.codeSize);
+    });
+  }
+
+  /**
+   * Whether stored codes were made from vectors of this query's dimension
+   */
+  accepts(queryVector) {
+    const expected = this.mode === "int8" ? queryVector.length : Math.ceil(queryVector.length / 8);
+    return this.count === 0 || this.codeSize === expected;
+  }
+
+  /**
+   * Approximate top matches for a query vector
+   * @param {ArrayLike<number>} queryVector - Full-precision, normalized query
+   * @param {number} limit - Number of candidates to return
+   * @param {Function|null} [fileFilter] - file => boolean, applied before scoring
+   * @returns {number[]} Chunk ids, best first
+   */
+  search(queryVector, limit, fileFilter = null) {
+    const score = this.mode === "int8"
+      ? this.createInt8Scorer(queryVector)
+      : this.createBinaryScorer(queryVector);
+
+    const allowed = fileFilter ? this.files.map(file => fileFilter(file)) : null;
+    const top = new TopK(limit);
+
+    for (let i = 0; i < this.count; i++) {
+      if (allowed && !allowed[this.fileRefs[i]]) continue;
+      top.push(this.ids[i], score(i));
+    }
+
+    return top.sorted();
+  }
+
+  // Asymmetric int8: full-precision query against dequantized codes
+  createInt8Scorer(queryVector) {
+    const { codes, codeSize, scales } = this;
+    return (i) => {
+      const offset = i * codeSize;
+      let sum = 0;
+      for (let d = 0; d < codeSize; d++) {
+        sum += queryVector[d] * codes[offset + d];
+      }
+      return sum * scales[i];
+    };
+  }
+
+  // Binary: 1 - normalized Hamming distance between sign codes
+  createBinaryScorer(queryVector) {
+    const { codes, codeSize } = this;
+    const dimension = queryVector.length;
+    const queryCode = quantizeVector(queryVector, "binary");
+    return (i) => {
+      const offset = i * codeSize;
+      let distance = 0;
+      for (let b = 0; b < codeSize; b++) {
+        distance += POPCOUNT[codes[offset + b] ^ queryCode[b]];
+      }
+      return 1 - (2 * distance) / dimension;
+    };
+  }
+}
+
+/**
+ * Keeps the k highest-scoring ids (min-heap on score)
+ */
+class TopK {
+  constructor(k) {
+    this.k = Math.max(0, k);
+    this.heap = [];
+  }
+
+  push(id, score) {
+    const heap = this.heap;
+    if (heap.length < this.k) {
+      heap.push({ id, score });
+      this.siftUp(heap.length - 1);
+    } else if (this.k > 0 && score > heap[0].score) {
+      heap[0] = { id, score };
+      this.siftDown(0);
+    }
+  }
+
+  siftUp(i) {
+    const heap = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].score <= heap[i].score) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  siftDown(i) {
+    const heap = this.heap;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].score < heap[smallest].score) smallest = left;
+      if (right < heap.length && heap[right].score < heap[smallest].score) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+
+  sorted() {
+    return [...this.heap].sort((a, b) => b.score - a.score).map(entry => entry.id);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Search-time file filters
+ *
+ * Narrows a search to part of the index before scoring: path globs,
+ * languages, extensions and test exclusion. Globs use picomatch against
+ * workspace-relative POSIX paths, as the indexer's includePatterns and
+ * excludePatterns do (lib/file-matcher.js).
+ */
+
+import path from "path";
+import picomatch from "picomatch";
+
+// File extensions for each language name accepted by the `languages` filter
+export const LANGUAGE_EXTENSIONS = {
+  javascript: ["js", "mjs", "cjs", "jsx"],
+  typescript: ["ts", "tsx", "mts", "cts"],
+  python: ["py", "pyw", "pyx"],
+  java: ["java"],
+  kotlin: ["kt", "kts"],
+  scala: ["scala"],
+  c: ["c", "h"],
+  cpp: ["cpp", "cc", "cxx", "hpp", "hxx", "h"],
+  csharp: ["cs", "csx"],
+  go: ["go"],
+  rust: ["rs"],
+  ruby: ["rb", "rake"],
+  php: ["php", "phtml"],
+  swift: ["swift"],
+  lua: ["lua"],
+  r: ["r", "R"],
+  perl: ["pl", "pm"],
+  shell: ["sh", "bash", "zsh", "fish"],
+  css: ["css", "scss", "sass", "less", "styl"],
+  html: ["html", "htm"],
+  xml: ["xml", "svg"],
+  json: ["json"],
+  yaml: ["yaml", "yml"],
+  toml: ["toml"],
+  sql: ["sql"],
+  markdown: ["md", "mdx"],
+  verse: ["verse"]
+};
+
+// Common short names and spellings for languages
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  node: "javascript",
+  ts: "typescript",
+  py: "python",
+  kt: "kotlin",
+  "c++": "cpp",
+  cs: "csharp",
+  "c#": "csharp",
+  golang: "go",
+  rs: "rust",
+  rb: "ruby",
+  sh: "shell",
+  bash: "shell",
+  yml: "yaml",
+  md: "markdown"
+};
+
+// Paths that hold tests, specs and fixtures across common ecosystems
+export const TEST_PATTERNS = [
+  "**/test/**",
+  "**/tests/**",
+  "**/__tests__/**",
+  "**/__mocks__/**",
+  "**/spec/**",
+  "**/specs/**",
+  "**/fixtures/**",
+  "**/__fixtures__/**",
+  "**/testdata/**",
+  "**/*.test.*",
+  "**/*.spec.*",
+  "**/*_test.*",
+  "**/test_*.py",
+  "**/*Test.java",
+  "**/*Tests.cs"
+];
+
+// JSON Schema properties for the filter arguments shared by search tools
+export const SEARCH_FILTER_PROPERTIES = {
+  includePaths: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only search files matching these workspace-relative globs or directories (e.g. 'packages/api', 'src/**/*.ts')"
+  },
+  excludePaths: {
+    type: "array",
+    items: { type: "string" },
+    description: "Skip files matching these workspace-relative globs or directories (e.g. 'legacy/**')"
+  },
+  languages: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only search files in these languages (e.g. 'python', 'typescript', 'go')"
+  },
+  extensions: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only search files with these extensions (e.g. 'verse', 'sql')"
+  },
+  excludeTests: {
+    type: "boolean",
+    description: "Skip test, spec and fixture files",
+    default: false
+  }
+};
+
+/**
+ * Pick the filter options out of tool call arguments
+ */
+export function readSearchFilters(args = {}) {
+  return {
+    includePaths: args.includePaths,
+    excludePaths: args.excludePaths,
+    languages: args.languages,
+    extensions: args.extensions,
+    excludeTests: args.excludeTests
+  };
+}
+
+/**
+ * Resolve language names (or aliases) to a set of file extensions
+ * @param {string[]} languages - Language names, e.g. ["python", "ts"]
+ * @returns {Set<string>} Extensions without the leading dot
+ * @throws {Error} If a language is not recognized
+ */
+export function resolveLanguageExtensions(languages) {
+  const extensions = new Set();
+
+  for (const raw of languages) {
+    const name = String(raw).trim().toLowerCase();
+    const language = LANGUAGE_ALIASES[name] || name;
+
+    if (!LANGUAGE_EXTENSIONS[language]) {
+      throw new Error(
+        `Unknown language "${raw}". Supported: ${Object.keys(LANGUAGE_EXTENSIONS).join(", ")}`
+      );
+    }
+
+    for (const ext of LANGUAGE_EXTENSIONS[language]) {
+      extensions.add(ext);
+    }
+  }
+
+  return extensions;
+}
+
+/**
+ * Normalize a user-supplied glob or path: forward slashes, no leading "./"
+ * or trailing "/"
+ */
+export function normalizeGlob(pattern) {
+  return String(pattern).trim().replace(/\\/g, "/").replace(/^\.\//, "").replace(/\/+$/, "");
+}
+
+/**
+ * Compile glob patterns into a single matcher for relative POSIX paths
+ * A pattern without glob characters is treated as a path prefix, so
+ * "packages/api" matches everything below that directory.
+ *
+ * @param {string[]} patterns - Glob patterns or plain paths
+ * @returns {Function|null} relPath => boolean, or null for no patterns
+ */
+export function compileGlobs(patterns) {
+  const expanded = [];
+
+  for (const raw of patterns || []) {
+    const pattern = normalizeGlob(raw);
+    if (!pattern) continue;
+
+    if (picomatch.scan(pattern).isGlob) {
+      expanded.push(pattern);
+    } else {
+      expanded.push(pattern, `${pattern}/**`);
+    }
+  }
+
+  return expanded.length > 0 ? picomatch(expanded, { dot: true }) : null;
+}
+
+/**
+ * Language name for a file, based on its extension
+ * @param {string} file - File path
+ * @returns {string|null} Language from LANGUAGE_EXTENSIONS, or null if unknown
+ */
+export function detectLanguage(file) {
+  const ext = path.extname(file).slice(1);
+  for (const [language, extensions] of Object.entries(LANGUAGE_EXTENSIONS)) {
+    if (extensions.includes(ext)) return language;
+  }
+  return null;
+}
+
+/**
+ * Convert an absolute file path to a workspace-relative POSIX path
+ */
+export function toRelativePath(file, rootDir) {
+  return path.relative(rootDir, file).split(path.sep).join("/");
+}
+
+/**
+ * Build a predicate selecting which indexed files a search may return
+ *
+ * @param {Object} options - Search filter options
+ * @param {string[]} [options.includePaths] - Only files matching one of these globs
+ * @param {string[]} [options.excludePaths] - Skip files matching any of these globs
+ * @param {string[]} [options.languages] - Only files in these languages
+ * @param {string[]} [options.extensions] - Only files with these extensions
+ * @param {boolean} [options.excludeTests] - Skip tests, specs and fixtures
+ * @param {string} rootDir - Workspace root that relative globs are matched against
+ * @returns {Function|null} file => boolean, or null when no filter applies
+ * @throws {Error} If a language is not recognized
+ */
+export function createSearchFilter(options = {}, rootDir) {
+  const include = compileGlobs(options.includePaths);
+  const exclude = compileGlobs([
+    ...(options.excludePaths || []),
+    ...(options.excludeTests ? TEST_PATTERNS : [])
+  ]);
+
+  let extensions = null;
+  if (options.languages?.length || options.extensions?.length) {
+    extensions = resolveLanguageExtensions(options.languages || []);
+    for (const ext of options.extensions || []) {
+      extensions.add(String(ext).trim().replace(/^\*?\./, ""));
+    }
+  }
+
+  if (!include && !exclude && !extensions) {
+    return null;
+  }
+
+  return (file) => {
+    if (extensions && !extensions.has(path.extname(file).slice(1))) {
+      return false;
+    }
+
+    const relPath = toRelativePath(file, rootDir);
+    if (include && !include(relPath)) {
+      return false;
+    }
+    if (exclude && exclude(relPath)) {
+      return false;
+    }
+    return true;
+  };
+}
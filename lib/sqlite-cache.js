@@ -1,6 +1,36 @@
 import Database from 'better-sqlite3';
 import fs from 'fs/promises';
 import path from 'path';
+import { expandIdentifiers, extractIdentifiers, splitIdentifier, splitWords, tokenizeCode } from './identifier-tokenizer.js';
+import { AnnIndex, TRAINING_POINTS_PER_LIST, chooseListCount } from './ann-index.js';
+import { QUANTIZATION_MODES, QuantizedVectorStore, quantizeVector } from './quantization.js';
+import { fuzzyMatchScore } from './symbol-extractor.js';
+import { cosineSimilarity, hashContent } from './utils.js';
+
+// Bump when the text written to embeddings_fts changes, to force a rebuild
+const FTS_VERSION = 2;
+
+// Same for embeddings_trigram
+const TRIGRAM_VERSION = 1;
+
+// Bump when quantized databases change where they keep the full-precision vectors
+const QUANTIZED_LAYOUT = 2;
+
+// embeddings.vector (declared NOT NULL) of a row whose full vector is in embedding_vectors
+const EMPTY_VECTOR = Buffer.alloc(0);
+
+// Full-precision vector of an embeddings row, inline or moved out by quantization
+const FULL_VECTOR = `CASE WHEN length(embeddings.vector) > 0 THEN embeddings.vector
+  ELSE (SELECT vector FROM embedding_vectors WHERE id = embeddings.id) END`;
+
+// Chunks checked per unmatched term in searchTrigram, most shared trigrams first
+const FUZZY_CANDIDATE_LIMIT = 200;
+
+// Weakest identifier similarity (see fuzzyMatchScore) counted as a typo match
+const MIN_FUZZY_SCORE = 0.5;
+
+// Most symbols scored per fuzzy findSymbols call, shortest names first
+const FUZZY_SYMBOL_CANDIDATES = 5000;
 
 /**
  * SQLite-based embeddings cache for fast, efficient storage
@@ -12,6 +42,12 @@ export class SQLiteCache {
     this.db = null;
     this.isSaving = false;
     this.dbPath = path.join(config.cacheDirectory, 'embeddings.db');
+    this.ftsEnabled = false;
+    this.trigramEnabled = false;
+    this.annIndex = null; // Created by load() when config.annEnabled
+    this.quantization = resolveQuantization(config.vectorQuantization);
+    this.quantizedStore = null; // Loaded lazily by searchQuantized
+    this.modelIdentity = getModelIdentity(config);
     
     // Track indexing status for progressive indexing
     this.indexingStatus = {
@@ -52,6 +88,12 @@ export class SQLiteCache {
         console.error('[Cache] Migrating from JSON to SQLite...');
         await this.migrateFromJSON();
       }
+
+      this.quantizedStore = null;
+      this.annIndex = this.config.annEnabled
+        ? new AnnIndex(path.join(this.config.cacheDirectory, 'ann-index.json'))
+        : null;
+      await this.loadAnnIndex();
       
       const count = this.getVectorCount();
       const fileCount = this.getFileCount();
@@ -74,18 +116,236 @@ export class SQLiteCache {
         end_line INTEGER NOT NULL,
         content TEXT NOT NULL,
         vector BLOB NOT NULL,
-        indexed_at INTEGER NOT NULL
+        indexed_at INTEGER NOT NULL,
+        chunk_hash TEXT,
+        model TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS embedding_vectors (
+        id INTEGER PRIMARY KEY,
+        vector BLOB NOT NULL
       );
 
       CREATE TABLE IF NOT EXISTS file_hashes (
         file TEXT PRIMARY KEY,
         hash TEXT NOT NULL,
-        indexed_at INTEGER NOT NULL
+        indexed_at INTEGER NOT NULL,
+        chunking_mode TEXT,
+        size INTEGER,
+        mtime_ms REAL,
+        chunking_fallback TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS index_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS symbols (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file TEXT NOT NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        start_line INTEGER NOT NULL,
+        end_line INTEGER NOT NULL,
+        parent TEXT,
+        signature TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS file_activity (
+        file TEXT PRIMARY KEY,
+        last_modified INTEGER NOT NULL,
+        commit_count INTEGER,
+        modified_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS history_commits (
+        hash TEXT PRIMARY KEY,
+        author TEXT NOT NULL,
+        email TEXT NOT NULL,
+        date INTEGER NOT NULL,
+        message TEXT NOT NULL,
+        files TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS history_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hash TEXT NOT NULL,
+        file TEXT,
+        start_line INTEGER,
+        content TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        model TEXT
       );
 
       CREATE INDEX IF NOT EXISTS idx_file ON embeddings(file);
       CREATE INDEX IF NOT EXISTS idx_indexed_at ON embeddings(indexed_at);
+      CREATE INDEX IF NOT EXISTS idx_symbols_name ON symbols(name);
+      CREATE INDEX IF NOT EXISTS idx_symbols_file ON symbols(file);
+      CREATE INDEX IF NOT EXISTS idx_history_chunks_hash ON history_chunks(hash);
     `);
+
+    // Columns added after the initial schema (older databases need an ALTER)
+    this.ensureColumn('file_hashes', 'chunking_mode', 'TEXT');
+    this.ensureColumn('file_hashes', 'size', 'INTEGER');
+    this.ensureColumn('file_hashes', 'mtime_ms', 'REAL');
+    if (this.ensureColumn('file_hashes', 'chunking_fallback', 'TEXT')) {
+      // Recorded as "ast" although no grammar was ever found; re-chunk them
+      this.db.exec("UPDATE file_hashes SET chunking_mode = NULL WHERE chunking_mode = 'ast'");
+    }
+    this.ensureColumn('embeddings', 'vector_q', 'BLOB');
+    this.ensureColumn('embeddings', 'chunk_hash', 'TEXT');
+    this.ensureColumn('embeddings', 'model', 'TEXT');
+    this.ensureColumn('history_chunks', 'model', 'TEXT');
+    this.ensureColumn('file_activity', 'modified_at', 'INTEGER');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_chunk_hash ON embeddings(chunk_hash)');
+
+    this.createFTSIndex();
+    this.createTrigramIndex();
+    this.syncQuantizedVectors();
+  }
+
+  /**
+   * Bring the stored vectors in line with config.vectorQuantization
+   * With quantization on, embeddings rows hold only the quantized code and the
+   * full-precision vectors live in embedding_vectors, read by id for rescoring.
+   * Re-encodes every row when the mode or that layout changed since the last run.
+   */
+  syncQuantizedVectors() {
+    const stored = this.getMeta('vector_quantization') || 'none';
+    const layoutCurrent = stored === 'none' || Number(this.getMeta('quantized_layout')) === QUANTIZED_LAYOUT;
+    if (stored === this.quantization && layoutCurrent) return;
+
+    const transaction = this.db.transaction(() => {
+      if (this.quantization === 'none') {
+        this.db.exec(`
+          UPDATE embeddings SET vector = (SELECT vector FROM embedding_vectors WHERE id = embeddings.id)
+          WHERE length(vector) = 0;
+          UPDATE embeddings SET vector_q = NULL;
+          DELETE FROM embedding_vectors;
+        `);
+      } else {
+        const rows = this.db.prepare(`SELECT id, ${FULL_VECTOR} AS vector FROM embeddings`).all();
+        const update = this.db.prepare('UPDATE embeddings SET vector = ?, vector_q = ? WHERE id = ?');
+        for (const row of rows) {
+          update.run(EMPTY_VECTOR, this.quantize(this.bufferToVector(row.vector)), row.id);
+          this.storeFullVector(row.id, row.vector);
+        }
+        this.setMeta('quantized_layout', QUANTIZED_LAYOUT);
+        console.error(`[Cache] Quantized ${rows.length} vectors (${this.quantization})`);
+      }
+      this.setMeta('vector_quantization', this.quantization);
+    });
+
+    transaction();
+  }
+
+  /**
+   * Create the FTS5 lexical index over chunk content
+   * Contentless (content lives in embeddings), rowid = embeddings.id.
+   * Indexed text is the content plus identifier expansions (see identifier-tokenizer.js).
+   */
+  createFTSIndex() {
+    try {
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS embeddings_fts
+        USING fts5(content, content='', contentless_delete=1)
+      `);
+      this.ftsEnabled = true;
+
+      // Rebuild for databases created before the FTS index (or its current format) existed
+      if (Number(this.getMeta('fts_version')) !== FTS_VERSION) {
+        this.rebuildFTSIndex();
+      }
+    } catch (error) {
+      this.ftsEnabled = false;
+      console.error('[Cache] FTS5 unavailable, lexical search falls back to substring matching:', error.message);
+    }
+  }
+
+  /**
+   * Create the FTS5 trigram index over raw chunk content
+   * Answers substring queries (partial identifiers, arbitrary text) and
+   * provides typo candidates by shared trigrams. Contentless, rowid = embeddings.id.
+   */
+  createTrigramIndex() {
+    try {
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS embeddings_trigram
+        USING fts5(content, content='', contentless_delete=1, tokenize='trigram')
+      `);
+      this.trigramEnabled = true;
+
+      if (Number(this.getMeta('trigram_version')) !== TRIGRAM_VERSION) {
+        this.rebuildTrigramIndex();
+      }
+    } catch (error) {
+      this.trigramEnabled = false;
+      console.error('[Cache] FTS5 trigram tokenizer unavailable, substring search disabled:', error.message);
+    }
+  }
+
+  /**
+   * Add a column to an existing table if it is missing
+   * @returns {boolean} Whether the column was added
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.some(col => col.name === column)) return false;
+
+    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  /**
+   * Repopulate the FTS index from the embeddings table
+   */
+  rebuildFTSIndex() {
+    const rows = this.db.prepare('SELECT id, content FROM embeddings').all();
+
+    const transaction = this.db.transaction(() => {
+      this.db.exec('DELETE FROM embeddings_fts');
+      for (const row of rows) {
+        this.insertFTS(row.id, row.content);
+      }
+      this.setMeta('fts_version', FTS_VERSION);
+    });
+
+    transaction();
+  }
+
+  /**
+   * Repopulate the trigram index from the embeddings table
+   */
+  rebuildTrigramIndex() {
+    const rows = this.db.prepare('SELECT id, content FROM embeddings').all();
+
+    const transaction = this.db.transaction(() => {
+      this.db.exec('DELETE FROM embeddings_trigram');
+      for (const row of rows) {
+        this.insertTrigram(row.id, row.content);
+      }
+      this.setMeta('trigram_version', TRIGRAM_VERSION);
+    });
+
+    transaction();
+  }
+
+  /**
+   * Get an index-level metadata value
+   */
+  getMeta(key) {
+    if (!this.db) return null;
+    const row = this.db.prepare('SELECT value FROM index_meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Set an index-level metadata value
+   */
+  setMeta(key, value) {
+    if (!this.db) return;
+    this.db.prepare('INSERT OR REPLACE INTO index_meta (key, value) VALUES (?, ?)').run(key, String(value));
   }
 
   /**
@@ -126,8 +386,8 @@ export class SQLiteCache {
 
       // Use transaction for fast batch insert
       const insertVector = this.db.prepare(`
-        INSERT INTO embeddings (file, start_line, end_line, content, vector, indexed_at)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO embeddings (file, start_line, end_line, content, vector, vector_q, indexed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `);
 
       const insertHash = this.db.prepare(`
@@ -139,15 +399,19 @@ export class SQLiteCache {
         const now = Date.now();
         
         for (const chunk of vectorStore) {
-          const vectorBuffer = this.vectorToBuffer(chunk.vector);
-          insertVector.run(
+          const encoded = this.encodeVector(chunk.vector);
+          const info = insertVector.run(
             chunk.file,
             chunk.startLine,
             chunk.endLine,
             chunk.content,
-            vectorBuffer,
+            encoded.vector,
+            encoded.code,
             now
           );
+          this.storeFullVector(info.lastInsertRowid, encoded.full);
+          this.insertFTS(info.lastInsertRowid, chunk.content);
+          this.insertTrigram(info.lastInsertRowid, chunk.content);
         }
 
         for (const [file, hash] of fileHashes) {
@@ -193,13 +457,14 @@ export class SQLiteCache {
     if (!this.db) return [];
     
     const stmt = this.db.prepare(`
-      SELECT file, start_line, end_line, content, vector
+      SELECT id, file, start_line, end_line, content, ${FULL_VECTOR} AS vector
       FROM embeddings
       ORDER BY file, start_line
     `);
 
     const rows = stmt.all();
     return rows.map(row => ({
+      id: row.id,
       file: row.file,
       startLine: row.start_line,
       endLine: row.end_line,
@@ -232,20 +497,28 @@ export class SQLiteCache {
   addToStore(chunk) {
     if (!this.db) return;
     
-    const vectorBuffer = this.vectorToBuffer(chunk.vector);
+    const encoded = this.encodeVector(chunk.vector);
     const stmt = this.db.prepare(`
-      INSERT INTO embeddings (file, start_line, end_line, content, vector, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO embeddings (file, start_line, end_line, content, vector, vector_q, indexed_at, chunk_hash, model)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(
+    const info = stmt.run(
       chunk.file,
       chunk.startLine,
       chunk.endLine,
       chunk.content,
-      vectorBuffer,
-      Date.now()
+      encoded.vector,
+      encoded.code,
+      Date.now(),
+      chunk.chunkHash ?? hashContent(chunk.content),
+      this.modelIdentity
     );
+    this.storeFullVector(info.lastInsertRowid, encoded.full);
+    this.quantizedStore = null;
+    this.insertFTS(info.lastInsertRowid, chunk.content);
+    this.insertTrigram(info.lastInsertRowid, chunk.content);
+    this.annIndex?.add(Number(info.lastInsertRowid), chunk.vector);
   }
 
   /**
@@ -255,26 +528,100 @@ export class SQLiteCache {
     if (!this.db || chunks.length === 0) return;
     
     const stmt = this.db.prepare(`
-      INSERT INTO embeddings (file, start_line, end_line, content, vector, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO embeddings (file, start_line, end_line, content, vector, vector_q, indexed_at, chunk_hash, model)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const transaction = this.db.transaction(() => {
       const now = Date.now();
       for (const chunk of chunks) {
-        const vectorBuffer = this.vectorToBuffer(chunk.vector);
-        stmt.run(
+        const encoded = this.encodeVector(chunk.vector);
+        const info = stmt.run(
           chunk.file,
           chunk.startLine,
           chunk.endLine,
           chunk.content,
-          vectorBuffer,
-          now
+          encoded.vector,
+          encoded.code,
+          now,
+          chunk.chunkHash ?? hashContent(chunk.content),
+          this.modelIdentity
         );
+        this.storeFullVector(info.lastInsertRowid, encoded.full);
+        this.insertFTS(info.lastInsertRowid, chunk.content);
+        this.insertTrigram(info.lastInsertRowid, chunk.content);
+        this.annIndex?.add(Number(info.lastInsertRowid), chunk.vector);
       }
     });
 
     transaction();
+    this.quantizedStore = null;
+  }
+
+  /**
+   * Existing vectors for chunk texts, so unchanged chunks of an edited,
+   * renamed or copied file are not embedded again
+   * Only vectors from the current embedding model and dimension are returned.
+   * @param {string[]} chunkHashes - hashContent() of chunk texts
+   * @returns {Map<string, number[]>} Vector per known chunk hash
+   */
+  getVectorsByChunkHash(chunkHashes) {
+    const vectors = new Map();
+    if (!this.db) return vectors;
+
+    const rows = this.db.prepare(`
+      SELECT chunk_hash, ${FULL_VECTOR} AS vector FROM embeddings
+      WHERE model = ? AND chunk_hash IN (SELECT value FROM json_each(?))
+    `).all(this.modelIdentity, JSON.stringify([...new Set(chunkHashes)]));
+    for (const row of rows) {
+      if (!vectors.has(row.chunk_hash)) {
+        vectors.set(row.chunk_hash, this.bufferToVector(row.vector));
+      }
+    }
+    return vectors;
+  }
+
+  /**
+   * Quantized code for a vector, or null when quantization is off
+   */
+  quantize(vector) {
+    return this.quantization === 'none' ? null : quantizeVector(vector, this.quantization);
+  }
+
+  /**
+   * Vector column values for a new embeddings row: the full vector inline, or
+   * with quantization on an empty placeholder, the code, and the full vector
+   * for storeFullVector
+   */
+  encodeVector(vector) {
+    const buffer = this.vectorToBuffer(vector);
+    return this.quantization === 'none'
+      ? { vector: buffer, code: null, full: null }
+      : { vector: EMPTY_VECTOR, code: this.quantize(vector), full: buffer };
+  }
+
+  /**
+   * Keep a quantized row's full-precision vector in embedding_vectors
+   */
+  storeFullVector(id, buffer) {
+    if (!buffer) return;
+    this.db.prepare('INSERT OR REPLACE INTO embedding_vectors (id, vector) VALUES (?, ?)').run(id, buffer);
+  }
+
+  /**
+   * Add chunk content to the FTS index under the chunk's rowid
+   */
+  insertFTS(id, content) {
+    if (!this.ftsEnabled) return;
+    this.db.prepare('INSERT INTO embeddings_fts (rowid, content) VALUES (?, ?)').run(id, expandIdentifiers(content));
+  }
+
+  /**
+   * Add raw chunk content to the trigram index under the chunk's rowid
+   */
+  insertTrigram(id, content) {
+    if (!this.trigramEnabled) return;
+    this.db.prepare('INSERT INTO embeddings_trigram (rowid, content) VALUES (?, ?)').run(id, content);
   }
 
   /**
@@ -282,9 +629,446 @@ export class SQLiteCache {
    */
   removeFileFromStore(file) {
     if (!this.db) return;
+
+    if (this.annIndex?.isBuilt) {
+      const rows = this.db.prepare('SELECT id FROM embeddings WHERE file = ?').all(file);
+      for (const row of rows) {
+        this.annIndex.remove(row.id);
+      }
+    }
     
-    const stmt = this.db.prepare('DELETE FROM embeddings WHERE file = ?');
-    stmt.run(file);
+    const transaction = this.db.transaction(() => {
+      if (this.ftsEnabled) {
+        this.db.prepare(
+          'DELETE FROM embeddings_fts WHERE rowid IN (SELECT id FROM embeddings WHERE file = ?)'
+        ).run(file);
+      }
+      if (this.trigramEnabled) {
+        this.db.prepare(
+          'DELETE FROM embeddings_trigram WHERE rowid IN (SELECT id FROM embeddings WHERE file = ?)'
+        ).run(file);
+      }
+      this.db.prepare(
+        'DELETE FROM embedding_vectors WHERE id IN (SELECT id FROM embeddings WHERE file = ?)'
+      ).run(file);
+      this.db.prepare('DELETE FROM embeddings WHERE file = ?').run(file);
+      this.db.prepare('DELETE FROM symbols WHERE file = ?').run(file);
+    });
+
+    transaction();
+    this.quantizedStore = null;
+  }
+
+  /**
+   * Lexical search over chunk content using the FTS5 index
+   * Query terms (identifier-split, see identifier-tokenizer.js) are OR-ed and
+   * ranked with BM25; the query's word sequence is also run as a phrase so
+   * callers can boost exact matches without scanning content.
+   *
+   * @param {string} query - Raw search query
+   * @param {number} limit - Maximum number of candidates to return
+   * @returns {{scores: Map<number, number>, phraseMatches: Set<number>}|null}
+   *   BM25 relevance per chunk id (higher is better), or null if FTS is unavailable
+   */
+  searchLexical(query, limit = 1000) {
+    if (!this.db || !this.ftsEnabled) return null;
+
+    const scores = new Map();
+    const phraseMatches = new Set();
+
+    const terms = tokenizeCode(query);
+    if (terms.length === 0) {
+      return { scores, phraseMatches };
+    }
+
+    // Quote every term so FTS5 operators in user input are treated as text
+    const quoted = terms.map(term => `"${term}"`);
+
+    const rankStmt = this.db.prepare(`
+      SELECT rowid AS id, bm25(embeddings_fts) AS bm25_score
+      FROM embeddings_fts
+      WHERE embeddings_fts MATCH ?
+      ORDER BY bm25_score
+      LIMIT ?
+    `);
+
+    for (const row of rankStmt.all(quoted.join(' OR '), limit)) {
+      // FTS5 bm25() is negative; flip it so larger means more relevant
+      scores.set(row.id, -row.bm25_score);
+    }
+
+    const phraseStmt = this.db.prepare(`
+      SELECT rowid AS id FROM embeddings_fts WHERE embeddings_fts MATCH ? LIMIT ?
+    `);
+
+    for (const row of phraseStmt.all(`"${splitWords(query).join(' ')}"`, limit)) {
+      phraseMatches.add(row.id);
+    }
+
+    return { scores, phraseMatches };
+  }
+
+  /**
+   * Substring and typo-tolerant identifier search using the trigram index
+   * Each query term of 3+ characters (identifier compounds, e.g. "sqlite_cach")
+   * is looked up as a case-insensitive substring. Terms found nowhere are
+   * treated as misspelled: chunks sharing the most trigrams with the term are
+   * checked for an identifier or identifier part close to it ("Indexr" ~ "Indexer").
+   *
+   * @param {string} query - Raw search query
+   * @param {number} limit - Maximum number of chunks per term
+   * @returns {{scores: Map<number, number>, substringMatches: Set<number>}|null}
+   *   Per chunk id, the mean over the terms of 1 (substring) or the fuzzy
+   *   similarity (0-1); null if the trigram index is unavailable
+   */
+  searchTrigram(query, limit = 1000) {
+    if (!this.db || !this.trigramEnabled) return null;
+
+    const scores = new Map();
+    const substringMatches = new Set();
+
+    const terms = [...new Set(extractIdentifiers(query).map(term => term.toLowerCase()))]
+      .filter(term => term.length >= 3);
+    if (terms.length === 0) {
+      return { scores, substringMatches };
+    }
+
+    const matchStmt = this.db.prepare(
+      'SELECT rowid AS id FROM embeddings_trigram WHERE embeddings_trigram MATCH ? LIMIT ?'
+    );
+    const rankStmt = this.db.prepare(`
+      SELECT rowid AS id FROM embeddings_trigram
+      WHERE embeddings_trigram MATCH ?
+      ORDER BY bm25(embeddings_trigram)
+      LIMIT ?
+    `);
+    const addScore = (id, value) => scores.set(id, (scores.get(id) || 0) + value / terms.length);
+
+    for (const term of terms) {
+      // A quoted string is a trigram phrase, i.e. a substring match
+      const ids = matchStmt.all(`"${term}"`, limit).map(row => row.id);
+      if (ids.length > 0) {
+        for (const id of ids) {
+          addScore(id, 1);
+          substringMatches.add(id);
+        }
+        continue;
+      }
+
+      const trigrams = new Set();
+      for (let i = 0; i + 3 <= term.length; i++) {
+        trigrams.add(`"${term.slice(i, i + 3)}"`);
+      }
+      const candidateIds = rankStmt.all([...trigrams].join(' OR '), Math.min(limit, FUZZY_CANDIDATE_LIMIT))
+        .map(row => row.id);
+
+      for (const chunk of this.getChunkContents(candidateIds)) {
+        // Compare whole identifiers and their parts (CodebaseIndexer -> indexer)
+        const names = new Set();
+        for (const identifier of extractIdentifiers(chunk.content)) {
+          names.add(identifier);
+          for (const part of splitIdentifier(identifier)) names.add(part);
+        }
+        let best = 0;
+        for (const name of names) {
+          best = Math.max(best, fuzzyMatchScore(term, name));
+        }
+        if (best >= MIN_FUZZY_SCORE) {
+          addScore(chunk.id, best);
+        }
+      }
+    }
+
+    return { scores, substringMatches };
+  }
+
+  /**
+   * Get chunk contents (without vectors) by id
+   */
+  getChunkContents(ids) {
+    if (!this.db || ids.length === 0) return [];
+
+    return this.db.prepare(`
+      SELECT id, content FROM embeddings WHERE id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(ids));
+  }
+
+  /**
+   * Load the persisted ANN index, discarding it if it no longer matches the
+   * stored vectors (e.g. the process exited before it was saved)
+   */
+  async loadAnnIndex() {
+    if (!this.annIndex || !(await this.annIndex.load())) return;
+
+    const count = this.getVectorCount();
+    const sample = this.db.prepare(`SELECT ${FULL_VECTOR} AS vector FROM embeddings LIMIT 1`).get();
+    const dimension = sample ? sample.vector.length / 4 : 0;
+
+    if (this.annIndex.size !== count || this.annIndex.dimension !== dimension) {
+      console.error('[Cache] ANN index is out of date, it will be rebuilt on the next search');
+      this.annIndex.reset();
+    }
+  }
+
+  /**
+   * (Re)build the ANN index from all stored vectors
+   * Centroids are trained on a random sample; every vector is then assigned.
+   */
+  buildAnnIndex() {
+    const count = this.getVectorCount();
+    const listCount = chooseListCount(count);
+    const start = Date.now();
+
+    const samples = this.db
+      .prepare(`SELECT ${FULL_VECTOR} AS vector FROM embeddings ORDER BY RANDOM() LIMIT ?`)
+      .all(listCount * TRAINING_POINTS_PER_LIST)
+      .map(row => this.bufferToVector(row.vector));
+
+    this.annIndex.train(samples, listCount);
+
+    for (const row of this.db.prepare(`SELECT id, ${FULL_VECTOR} AS vector FROM embeddings`).iterate()) {
+      this.annIndex.add(row.id, this.bufferToVector(row.vector));
+    }
+    this.annIndex.markBuilt();
+
+    console.error(`[Cache] Built ANN index: ${count} vectors in ${listCount} lists (${Date.now() - start}ms)`);
+  }
+
+  /**
+   * Candidate chunk ids for a query vector from the ANN index
+   * Builds the index on first use and rebuilds it once the index has doubled
+   * since its centroids were trained.
+   *
+   * @param {Array<number>} queryVector - Normalized query embedding
+   * @param {number} probes - Number of inverted lists to visit
+   * @returns {number[]|null} Candidate ids, or null when an exact scan should be used
+   */
+  searchApproximate(queryVector, probes) {
+    if (!this.db || !this.annIndex) return null;
+
+    const count = this.getVectorCount();
+    if (count < (this.config.annMinChunks ?? 0)) return null;
+
+    const stale = this.annIndex.size > this.annIndex.builtCount * 2 ||
+      this.annIndex.dimension !== queryVector.length;
+    if (!this.annIndex.isBuilt || stale) {
+      this.buildAnnIndex();
+      this.annIndex.save().catch(error => {
+        console.error('[Cache] Failed to save ANN index:', error.message);
+      });
+    }
+
+    if (this.annIndex.dimension !== queryVector.length) return null;
+
+    return this.annIndex.search(queryVector, probes);
+  }
+
+  /**
+   * First-pass search over the quantized vectors held in memory
+   * Callers rescore the returned candidates with the full-precision vectors
+   * (see getChunksByIds).
+   *
+   * @param {Array<number>} queryVector - Normalized query embedding
+   * @param {number} limit - Number of candidates to return
+   * @param {Function|null} [fileFilter] - file => boolean
+   * @returns {number[]|null} Candidate ids, or null when quantization is off
+   */
+  searchQuantized(queryVector, limit, fileFilter = null) {
+    if (!this.db || this.quantization === 'none') return null;
+
+    if (!this.quantizedStore) {
+      const rows = this.db
+        .prepare('SELECT id, file, vector_q AS code FROM embeddings WHERE vector_q IS NOT NULL')
+        .iterate();
+      this.quantizedStore = new QuantizedVectorStore(this.quantization, rows);
+    }
+
+    if (!this.quantizedStore.accepts(queryVector)) return null;
+
+    return this.quantizedStore.search(queryVector, limit, fileFilter);
+  }
+
+  /**
+   * Get all chunks (with vectors) of one file, in line order
+   */
+  getFileChunks(file) {
+    if (!this.db) return [];
+
+    const rows = this.db.prepare(`
+      SELECT id, file, start_line, end_line, content, ${FULL_VECTOR} AS vector
+      FROM embeddings
+      WHERE file = ?
+      ORDER BY start_line
+    `).all(file);
+
+    return rows.map(row => ({
+      id: row.id,
+      file: row.file,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      content: row.content,
+      vector: this.bufferToVector(row.vector)
+    }));
+  }
+
+  /**
+   * Get chunks (with vectors) by id
+   */
+  getChunksByIds(ids) {
+    if (!this.db || ids.length === 0) return [];
+
+    const rows = this.db.prepare(`
+      SELECT id, file, start_line, end_line, content, ${FULL_VECTOR} AS vector
+      FROM embeddings
+      WHERE id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(ids));
+
+    return rows.map(row => ({
+      id: row.id,
+      file: row.file,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      content: row.content,
+      vector: this.bufferToVector(row.vector)
+    }));
+  }
+
+  /**
+   * Replace the symbol definitions recorded for a file
+   * @param {string} file - Absolute file path
+   * @param {Array<{name, kind, startLine, endLine, parent, signature}>} symbols - From extractSymbols
+   */
+  replaceFileSymbols(file, symbols) {
+    if (!this.db) return;
+
+    const insert = this.db.prepare(`
+      INSERT INTO symbols (file, name, kind, start_line, end_line, parent, signature)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const transaction = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM symbols WHERE file = ?').run(file);
+      for (const symbol of symbols) {
+        insert.run(
+          file,
+          symbol.name,
+          symbol.kind,
+          symbol.startLine,
+          symbol.endLine,
+          symbol.parent || null,
+          symbol.signature || null
+        );
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Look up symbol definitions by name
+   * A qualified query ("Parent.name", "Parent::name", "Parent#name") also
+   * matches the parent symbol.
+   *
+   * @param {string} query - Symbol name or qualified name
+   * @param {Object} [options]
+   * @param {string} [options.match] - "exact" (case-sensitive), "prefix" or "fuzzy" (case-insensitive)
+   * @param {string} [options.kind] - Only symbols of this kind
+   * @param {number} [options.limit] - Maximum number of symbols
+   * @returns {Array<{name, kind, file, startLine, endLine, parent, signature, score}>}
+   */
+  findSymbols(query, { match = 'exact', kind = null, limit = 20 } = {}) {
+    if (!this.db || !query) return [];
+
+    const qualified = query.match(/^(.+?)(?:\.|::|#)([^.:#]+)$/);
+    const parent = qualified ? qualified[1] : null;
+    const name = qualified ? qualified[2] : query;
+
+    const conditions = [];
+    const params = [];
+    if (parent) {
+      conditions.push(match === 'exact' ? 'parent = ?' : "parent LIKE ? ESCAPE '\\'");
+      params.push(match === 'exact' ? parent : escapeLike(parent));
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+
+    if (match === 'exact') {
+      conditions.push('name = ?');
+      params.push(name);
+    } else if (match === 'prefix') {
+      conditions.push("name LIKE ? ESCAPE '\\'");
+      params.push(`${escapeLike(name)}%`);
+    } else if (match === 'fuzzy') {
+      // Only names fuzzyMatchScore can score: containing the query's
+      // characters in order, or close enough in length for a typo
+      conditions.push("(name LIKE ? ESCAPE '\\' OR length(name) BETWEEN ? AND ?)");
+      params.push(
+        `%${[...name].map(escapeLike).join('%')}%`,
+        Math.ceil(name.length * 0.6),
+        Math.floor(name.length / 0.6)
+      );
+    } else {
+      throw new Error(`Unknown symbol match mode "${match}". Expected exact, prefix or fuzzy`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT name, kind, file, start_line, end_line, parent, signature
+      FROM symbols ${where}
+      ORDER BY length(name), file, start_line
+      LIMIT ?
+    `).all(...params, match === 'fuzzy' ? FUZZY_SYMBOL_CANDIDATES : limit);
+
+    const symbols = rows.map(row => ({
+      name: row.name,
+      kind: row.kind,
+      file: row.file,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      parent: row.parent,
+      signature: row.signature,
+      score: match === 'fuzzy' ? fuzzyMatchScore(name, row.name) : 1
+    }));
+
+    if (match !== 'fuzzy') return symbols;
+
+    return symbols
+      .filter(symbol => symbol.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Innermost symbol enclosing a line range: the deepest symbol containing its
+   * first line, else the first symbol starting inside the range
+   */
+  getEnclosingSymbol(file, startLine, endLine) {
+    if (!this.db) return null;
+
+    const containing = this.db.prepare(`
+      SELECT name, kind, parent, start_line, end_line FROM symbols
+      WHERE file = ? AND start_line <= ? AND end_line >= ?
+      ORDER BY start_line DESC, end_line ASC
+      LIMIT 1
+    `).get(file, startLine, startLine);
+
+    const first = containing || this.db.prepare(`
+      SELECT name, kind, parent, start_line, end_line FROM symbols
+      WHERE file = ? AND start_line BETWEEN ? AND ?
+      ORDER BY start_line ASC, end_line DESC
+      LIMIT 1
+    `).get(file, startLine, endLine);
+    if (!first) return null;
+
+    return {
+      name: first.name,
+      kind: first.kind,
+      parent: first.parent,
+      startLine: first.start_line,
+      endLine: first.end_line
+    };
   }
 
   /**
@@ -298,17 +1082,55 @@ export class SQLiteCache {
     return row ? row.hash : null;
   }
 
+  /**
+   * Get file hash together with the chunking mode it was indexed with (and
+   * why AST chunking fell back, if it did) and the file's size and mtime at that point
+   * Rows written before chunking modes were tracked were always smart-chunked;
+   * chunkingFallback, size and mtimeMs are null when not recorded
+   */
+  getFileInfo(file) {
+    if (!this.db) return null;
+
+    const stmt = this.db.prepare('SELECT hash, chunking_mode, chunking_fallback, size, mtime_ms FROM file_hashes WHERE file = ?');
+    const row = stmt.get(file);
+    if (!row) return null;
+
+    return {
+      hash: row.hash,
+      chunkingMode: row.chunking_mode || 'smart',
+      chunkingFallback: row.chunking_fallback,
+      size: row.size,
+      mtimeMs: row.mtime_ms
+    };
+  }
+
   /**
    * Set file hash
+   * @param {string} file - Absolute file path
+   * @param {string} hash - Content hash
+   * @param {Object} [meta] - Extra per-file index metadata
+   * @param {string} [meta.chunkingMode] - Chunking mode the file was indexed with
+   * @param {string|null} [meta.chunkingFallback] - Why AST chunking fell back to smart chunking
+   * @param {number} [meta.size] - File size in bytes when it was read
+   * @param {number|null} [meta.mtimeMs] - File mtime when it was read
    */
-  setFileHash(file, hash) {
+  setFileHash(file, hash, meta = {}) {
     if (!this.db) return;
     
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO file_hashes (file, hash, indexed_at)
-      VALUES (?, ?, ?)
+      INSERT OR REPLACE INTO file_hashes (file, hash, indexed_at, chunking_mode, chunking_fallback, size, mtime_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
-    stmt.run(file, hash, Date.now());
+    stmt.run(file, hash, Date.now(), meta.chunkingMode || null, meta.chunkingFallback ?? null, meta.size ?? null, meta.mtimeMs ?? null);
+  }
+
+  /**
+   * Record new size and mtime for a file whose content was found unchanged
+   * (touched, checked out again), so the next run can skip reading it
+   */
+  updateFileStat(file, { size, mtimeMs }) {
+    if (!this.db) return;
+    this.db.prepare('UPDATE file_hashes SET size = ?, mtime_ms = ? WHERE file = ?').run(size ?? null, mtimeMs ?? null, file);
   }
 
   /**
@@ -319,6 +1141,202 @@ export class SQLiteCache {
     
     const stmt = this.db.prepare('DELETE FROM file_hashes WHERE file = ?');
     stmt.run(file);
+    this.db.prepare('DELETE FROM file_activity WHERE file = ?').run(file);
+  }
+
+  /**
+   * Record when files last changed and how often (see lib/git.js)
+   * Replaces the files' records, including a modification time set by setFileModified.
+   * @param {Array<{file: string, lastModified: number, commitCount: number|null}>} entries
+   *   lastModified in ms; commitCount is null when it comes from the file's mtime
+   */
+  setFileActivity(entries) {
+    if (!this.db || entries.length === 0) return;
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO file_activity (file, last_modified, commit_count)
+      VALUES (?, ?, ?)
+    `);
+    const transaction = this.db.transaction(() => {
+      for (const entry of entries) {
+        stmt.run(entry.file, Math.round(entry.lastModified), entry.commitCount ?? null);
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Record uncommitted changes to files: their modification time counts as
+   * activity next to the commit history kept by setFileActivity
+   * @param {Array<{file: string, modifiedAt: number}>} entries - modifiedAt in ms
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Forget the modification times of all other files
+   */
+  setFileModified(entries, { replace = false } = {}) {
+    if (!this.db || (entries.length === 0 && !replace)) return;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO file_activity (file, last_modified, commit_count, modified_at)
+      VALUES (?, ?, NULL, ?)
+      ON CONFLICT(file) DO UPDATE SET modified_at = excluded.modified_at
+    `);
+    const transaction = this.db.transaction(() => {
+      if (replace) {
+        this.db.exec('UPDATE file_activity SET modified_at = NULL WHERE modified_at IS NOT NULL');
+      }
+      for (const entry of entries) {
+        const modifiedAt = Math.round(entry.modifiedAt);
+        stmt.run(entry.file, modifiedAt, modifiedAt);
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Get recorded activity for files
+   * lastModified is the later of the last commit and an uncommitted change.
+   * @param {string[]} files - Absolute file paths
+   * @returns {Map<string, {lastModified: number, commitCount: number|null}>} Files without a record are left out
+   */
+  getFileActivity(files) {
+    if (!this.db || files.length === 0) return new Map();
+
+    const rows = this.db.prepare(`
+      SELECT file, MAX(last_modified, COALESCE(modified_at, 0)) AS last_modified, commit_count FROM file_activity
+      WHERE file IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(files));
+
+    return new Map(rows.map(row => [row.file, { lastModified: row.last_modified, commitCount: row.commit_count }]));
+  }
+
+  /**
+   * Store an indexed commit with its embedded message and hunks (replaces a
+   * commit stored before, e.g. when indexing was interrupted after it)
+   * @param {Object} commit - From readCommits in lib/git.js
+   * @param {Array<{file: string|null, startLine: number|null, content: string, vector: number[]}>} chunks
+   *   The commit message has file and startLine null; hunks carry their file and first new line
+   */
+  addHistoryCommit(commit, chunks) {
+    if (!this.db) return;
+
+    const insertCommit = this.db.prepare(`
+      INSERT OR REPLACE INTO history_commits (hash, author, email, date, message, files)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertChunk = this.db.prepare(`
+      INSERT INTO history_chunks (hash, file, start_line, content, vector, model)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const transaction = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM history_chunks WHERE hash = ?').run(commit.hash);
+      insertCommit.run(commit.hash, commit.author, commit.email, commit.date, commit.message, JSON.stringify(commit.files));
+      for (const chunk of chunks) {
+        insertChunk.run(commit.hash, chunk.file, chunk.startLine, chunk.content, this.vectorToBuffer(chunk.vector), this.modelIdentity);
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Number of commits in the history index
+   */
+  getHistoryCommitCount() {
+    if (!this.db) return 0;
+    return this.db.prepare('SELECT COUNT(*) as count FROM history_commits').get().count;
+  }
+
+  /**
+   * Whether part of the history index was embedded with another model or
+   * dimension (or before the model was recorded); search skips those rows
+   */
+  hasStaleHistory() {
+    if (!this.db) return false;
+    return Boolean(this.db.prepare('SELECT 1 FROM history_chunks WHERE model IS NOT ? LIMIT 1').get(this.modelIdentity));
+  }
+
+  /**
+   * Drop the history index, including the last indexed commit it resumes from
+   */
+  clearHistory() {
+    if (!this.db) return;
+    this.db.exec('DELETE FROM history_commits');
+    this.db.exec('DELETE FROM history_chunks');
+    this.db.prepare('DELETE FROM index_meta WHERE key = ?').run('history_head');
+  }
+
+  /**
+   * Rank indexed commits by their best matching message or hunk
+   * Only chunks embedded with the current model and dimension are compared.
+   * @param {number[]} queryVector - Query embedding
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of commits
+   * @param {string} [options.author] - Only commits whose author name or email contains this (case-insensitive)
+   * @param {number} [options.since] - Only commits at or after this time (ms)
+   * @param {Function} [options.fileFilter] - file => boolean; hunks must match it, messages
+   *   only count for commits touching a matching file
+   * @returns {Array<{hash: string, author: string, email: string, date: number, message: string, files: string[], score: number, hunk: Object|null}>}
+   *   hunk is the commit's best matching hunk ({file, startLine, content}), null when it has none
+   */
+  searchHistory(queryVector, { limit = 10, author = null, since = null, fileFilter = null } = {}) {
+    if (!this.db) return [];
+
+    const conditions = ['h.model = ?'];
+    const params = [this.modelIdentity];
+    if (author) {
+      conditions.push("(c.author LIKE ? ESCAPE '\\' OR c.email LIKE ? ESCAPE '\\')");
+      params.push(`%${escapeLike(author)}%`, `%${escapeLike(author)}%`);
+    }
+    if (since) {
+      conditions.push('c.date >= ?');
+      params.push(since);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT h.id, h.hash, h.file, h.vector, c.files
+      FROM history_chunks h JOIN history_commits c ON c.hash = h.hash
+      WHERE ${conditions.join(' AND ')}
+    `).iterate(...params);
+
+    // Best chunk score per commit, and its best hunk separately: a commit found
+    // through its message still shows the change that matches the query best
+    const commits = new Map();
+    for (const row of rows) {
+      if (fileFilter) {
+        const relevant = row.file ? fileFilter(row.file) : JSON.parse(row.files).some(fileFilter);
+        if (!relevant) continue;
+      }
+
+      const score = cosineSimilarity(queryVector, this.bufferToVector(row.vector));
+      const entry = commits.get(row.hash) || { score: -Infinity, hunkId: null, hunkScore: -Infinity };
+      entry.score = Math.max(entry.score, score);
+      if (row.file && score > entry.hunkScore) {
+        entry.hunkId = row.id;
+        entry.hunkScore = score;
+      }
+      commits.set(row.hash, entry);
+    }
+
+    const ranked = [...commits].sort((a, b) => b[1].score - a[1].score).slice(0, limit);
+    const commitStmt = this.db.prepare('SELECT * FROM history_commits WHERE hash = ?');
+    const hunkStmt = this.db.prepare('SELECT file, start_line, content FROM history_chunks WHERE id = ?');
+
+    return ranked.map(([hash, { score, hunkId }]) => {
+      const commit = commitStmt.get(hash);
+      const hunk = hunkId !== null ? hunkStmt.get(hunkId) : null;
+      return {
+        hash,
+        author: commit.author,
+        email: commit.email,
+        date: commit.date,
+        message: commit.message,
+        files: JSON.parse(commit.files),
+        score,
+        hunk: hunk ? { file: hunk.file, startLine: hunk.start_line, content: hunk.content } : null
+      };
+    });
   }
 
   /**
@@ -346,6 +1364,12 @@ export class SQLiteCache {
       this.db.pragma('wal_checkpoint(PASSIVE)');
     } catch (error) {
       console.error('[Cache] Failed to checkpoint WAL:', error.message);
+    }
+
+    try {
+      await this.annIndex?.save();
+    } catch (error) {
+      console.error('[Cache] Failed to save ANN index:', error.message);
     } finally {
       this.isSaving = false;
     }
@@ -371,6 +1395,8 @@ export class SQLiteCache {
         this.db.close();
         this.db = null;
       }
+      this.annIndex?.reset();
+      this.quantizedStore = null;
       
       await fs.rm(this.config.cacheDirectory, { recursive: true, force: true });
       console.error(`[Cache] Cache cleared successfully: ${this.config.cacheDirectory}`);
@@ -396,6 +1422,7 @@ export class SQLiteCache {
   clearAllFileHashes() {
     if (!this.db) return;
     this.db.exec('DELETE FROM file_hashes');
+    this.db.exec('DELETE FROM file_activity');
   }
 
   /**
@@ -407,6 +1434,16 @@ export class SQLiteCache {
     
     // Clear existing data
     this.db.exec('DELETE FROM embeddings');
+    this.db.exec('DELETE FROM embedding_vectors');
+    this.db.exec('DELETE FROM symbols');
+    if (this.ftsEnabled) {
+      this.db.exec('DELETE FROM embeddings_fts');
+    }
+    if (this.trigramEnabled) {
+      this.db.exec('DELETE FROM embeddings_trigram');
+    }
+    this.annIndex?.reset();
+    this.quantizedStore = null;
     
     // Insert new data
     if (store.length > 0) {
@@ -414,3 +1451,27 @@ export class SQLiteCache {
     }
   }
 }
+
+/**
+ * Validate config.vectorQuantization, falling back to full precision only
+ */
+function resolveQuantization(mode = 'none') {
+  if (QUANTIZATION_MODES.includes(mode)) return mode;
+  console.error(`[Cache] Unknown vectorQuantization "${mode}", using "none"`);
+  return 'none';
+}
+
+/**
+ * Embedding model and output dimension vectors were made with; vectors are
+ * only reused for chunks when this matches
+ */
+function getModelIdentity(config) {
+  return `${config.embeddingModel || ''}@${config.embeddingDimension || ''}`;
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
@@ -0,0 +1,208 @@
+/**
+ * Stack trace parsing
+ *
+ * Extracts the frames (function, file, line, column) and the error message
+ * from a pasted stack trace or error log in Node.js, Python, Java/Kotlin, Go
+ * or Rust format. Frames are returned in the order printed, with file paths
+ * as printed (file:// and webpack:// URLs unwrapped); Java frames get their
+ * package directories prepended to the file name. Resolving the paths against
+ * the workspace is up to the caller.
+ */
+
+import { fileURLToPath } from 'url';
+
+// "    at fn (/app/src/x.js:10:5)", "    at /app/src/x.js:10:5", "    at async fn (file:///app/x.mjs:3:1)"
+const NODE_FRAME = /^\s*at (?:async )?(?:(.+?) \((.*)\)|(.+))$/;
+// "    at com.acme.Cart.total(Cart.java:42)", "    at java.base/java.lang.Thread.run(Thread.java:829)"
+const JAVA_FRAME = /^\s*at (?:[\w.$@-]+\/+)?((?:[\w$]+\.)*[\w$]+)\.([\w$<>-]+)\(([^)]*)\)$/;
+// '  File "/app/cart.py", line 12, in total'
+const PYTHON_FRAME = /^\s*File "(.+)", line (\d+)(?:, in (.+))?$/;
+// "\t/app/cart.go:42 +0x1d" (the function is on the line before)
+const GO_LOCATION = /^\s+(\S.*\.go):(\d+)(?: \+0x[0-9a-f]+)?$/;
+// "   3: cart::total" or "   3:     0x55d4c1 - cart::total::h0123456789abcdef" (after "stack backtrace:")
+const RUST_FRAME = /^\s*\d+:\s+(?:0x[0-9a-f]+ - )?(.+)$/;
+// "             at ./src/cart.rs:42:5" (the function is on the line before)
+const RUST_LOCATION = /^\s+at (.+?):(\d+)(?::(\d+))?$/;
+// "thread 'main' panicked at src/main.rs:10:5:" (message on the next line) or
+// "thread 'main' panicked at 'message', src/main.rs:10:5" (before Rust 1.73)
+const RUST_PANIC = /^thread '[^']*' panicked at (?:'(.*)', )?(.+?):(\d+):(\d+):?$/;
+
+// "file:line[:column]", the location part of Node frames
+const LOCATION = /^(.+?):(\d+)(?::(\d+))?$/;
+
+// Non-frame lines that are never the error message
+const NOISE_LINE = /^(?:Traceback \(most recent call last\):|stack backtrace:|goroutine \d+ \[.*\]:|note: |\s*\.\.\. \d+ more|During handling of the above exception|The above exception was the direct cause)/;
+const ERROR_LINE = /error|exception|panic|fatal|fail|unhandled/i;
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Parse a stack trace or error log
+ * @param {string} text - Pasted trace, possibly with surrounding log lines
+ * @returns {{message: string|null, frames: Array<{function: string|null, file: string|null, line: number|null, column: number|null, language: string}>}}
+ *   file and line are null for frames printed without a location (native code, unknown source)
+ */
+export function parseStackTrace(text) {
+  const lines = String(text).split(/\r?\n/);
+  const frames = [];
+  const candidates = []; // Non-frame lines that may hold the error message
+  let panicMessage = null;
+  let expectPanicMessage = false;
+  let inRustBacktrace = false;
+  let pendingRust = null;  // Rust frame waiting for its "at" line
+  let afterPython = false; // The line after a Python frame is its source line
+  let lastCandidate = null; // Set when the previous line was a message candidate
+
+  const flushRust = () => {
+    if (pendingRust) {
+      frames.push(pendingRust);
+      pendingRust = null;
+    }
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const previousCandidate = lastCandidate;
+    lastCandidate = null;
+
+    if (expectPanicMessage) {
+      panicMessage = line.trim();
+      expectPanicMessage = false;
+      continue;
+    }
+
+    let match = line.match(RUST_PANIC);
+    if (match) {
+      frames.push(frame('rust', null, match[2], match[3], match[4]));
+      if (match[1] !== undefined) panicMessage = match[1];
+      else expectPanicMessage = true;
+      continue;
+    }
+
+    if (line.trim() === 'stack backtrace:') {
+      inRustBacktrace = true;
+      continue;
+    }
+    if (inRustBacktrace) {
+      match = line.match(RUST_LOCATION);
+      if (match && pendingRust) {
+        frames.push({ ...pendingRust, ...location(match[1], match[2], match[3]) });
+        pendingRust = null;
+        continue;
+      }
+      match = line.match(RUST_FRAME);
+      if (match) {
+        flushRust();
+        pendingRust = frame('rust', match[1].replace(/::h[0-9a-f]{16}$/, ''));
+        continue;
+      }
+    }
+    flushRust();
+
+    match = line.match(PYTHON_FRAME);
+    if (match) {
+      frames.push(frame('python', match[3] ?? null, match[1], match[2]));
+      afterPython = true;
+      continue;
+    }
+    if (afterPython && /^\s/.test(line)) {
+      continue; // Source line or "^^^^" marker under a Python frame
+    }
+    afterPython = false;
+
+    match = line.match(GO_LOCATION);
+    if (match) {
+      // The previous line names the function ("main.(*Cart).Total(0xc000010000)")
+      if (previousCandidate) candidates.pop();
+      frames.push(frame('go', previousCandidate && parseGoFunction(previousCandidate), match[1], match[2]));
+      continue;
+    }
+
+    match = line.match(JAVA_FRAME);
+    if (match) {
+      const [, className, method, source] = match;
+      const fileLine = source.match(/^(.+\.\w+):(\d+)$/);
+      const file = fileLine ? javaSourcePath(className, fileLine[1]) : null;
+      frames.push(frame('java', `${className}.${method}`, file, fileLine?.[2]));
+      continue;
+    }
+
+    match = line.match(NODE_FRAME);
+    const loc = match && (match[2] ?? match[3]).match(LOCATION);
+    if (loc) {
+      frames.push(frame('javascript', match[1] ?? null, loc[1], loc[2], loc[3]));
+      continue;
+    }
+    // Frames without a location ("at Array.map (<anonymous>)") only when
+    // indented like Node prints them, so prose starting with "at" stays text
+    if (match && /^\s/.test(line)) {
+      frames.push(frame('javascript', match[1] ?? match[3]));
+      continue;
+    }
+
+    if (!NOISE_LINE.test(line)) {
+      lastCandidate = line.trim();
+      candidates.push(lastCandidate);
+    }
+  }
+  flushRust();
+
+  return { message: pickMessage(candidates, panicMessage, /Traceback \(most recent call last\)/.test(text)), frames };
+}
+
+/**
+ * Error message among the non-frame lines: the panic message, else the first
+ * error-like line (the last one for Python, which prints it after the frames)
+ */
+function pickMessage(candidates, panicMessage, isPython) {
+  let message = panicMessage;
+  if (!message) {
+    const errors = candidates.filter(line => ERROR_LINE.test(line));
+    message = (isPython ? errors.at(-1) : errors[0]) ?? candidates[0] ?? null;
+  }
+  return message && message.slice(0, MAX_MESSAGE_LENGTH);
+}
+
+function frame(language, fn, file = null, line = null, column = null) {
+  return { function: fn || null, ...location(file, line, column), language };
+}
+
+function location(file, line, column) {
+  return {
+    file: file ? normalizeFramePath(file) : null,
+    line: line ? Number(line) : null,
+    column: column ? Number(column) : null
+  };
+}
+
+/**
+ * Unwrap file:// and bundler URLs; other paths are returned unchanged
+ */
+function normalizeFramePath(file) {
+  if (file.startsWith('file://')) {
+    try {
+      return fileURLToPath(file);
+    } catch {
+      return file.slice('file://'.length);
+    }
+  }
+  return file.replace(/^webpack(?:-internal)?:\/\/\/?(?:\([^)]*\)\/)?/, '');
+}
+
+/**
+ * "com.acme.Cart$Item" + "Cart.java" -> "com/acme/Cart.java"
+ */
+function javaSourcePath(className, fileName) {
+  const packageParts = className.split('.').slice(0, -1);
+  return [...packageParts, fileName].join('/');
+}
+
+/**
+ * "created by main.(*Server).Serve in goroutine 1" -> "main.(*Server).Serve",
+ * "main.(*Cart).Total(0xc000010000, {0x1, 0x2})" -> "main.(*Cart).Total"
+ */
+function parseGoFunction(line) {
+  return line
+    .replace(/^created by /, '')
+    .replace(/ in goroutine \d+$/, '')
+    .replace(/\([^()]*\)$/, '');
+}
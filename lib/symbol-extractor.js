@@ -0,0 +1,333 @@
+/**
+ * Symbol definition extraction
+ *
+ * Finds functions, classes, methods, types and similar definitions with
+ * per-language line patterns, then determines where each definition ends
+ * (matching braces, or indentation for Python/Ruby/Lua). Like smartChunk this
+ * is deliberately lightweight - no full parser - but it gives the symbol index
+ * names, kinds, line ranges and the enclosing (parent) symbol.
+ */
+
+import path from "path";
+import { extractVerseSymbols } from "./verse-chunker.js";
+
+// Bump when extraction changes, so existing indexes refresh their symbols
+export const SYMBOLS_VERSION = 1;
+
+// Kinds that contain members: a function defined directly inside one is a method
+const CONTAINER_KINDS = new Set([
+  "class", "struct", "interface", "trait", "impl", "object",
+  "protocol", "extension", "record", "module", "enum"
+]);
+
+// Words that look like definitions in the member patterns but are statements
+const NOT_A_NAME = new Set([
+  "if", "else", "for", "foreach", "while", "do", "switch", "case", "catch", "try",
+  "return", "throw", "new", "typeof", "await", "yield", "super", "this", "with",
+  "function", "sizeof", "using", "lock", "fixed", "elif", "when"
+]);
+
+// Lines scanned after a definition for its opening brace (multi-line signatures)
+const MAX_SIGNATURE_LINES = 8;
+
+const MODIFIERS = "(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|async|synchronized|sealed|extern|unsafe|readonly|partial|new|open|data|inline|export|default|declare)\\s+)";
+
+const JS_PATTERNS = [
+  { kind: "class", regex: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(?<name>[\w$]+)/ },
+  { kind: "function", regex: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(?<name>[\w$]+)\s*[<(]/ },
+  { kind: "function", regex: /^\s*(?:export\s+)?(?:const|let|var)\s+(?<name>[\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>)/ },
+  { kind: "interface", regex: /^\s*(?:export\s+)?(?:declare\s+)?interface\s+(?<name>[\w$]+)/ },
+  { kind: "type", regex: /^\s*(?:export\s+)?(?:declare\s+)?type\s+(?<name>[\w$]+)\s*(?:<[^>]*>)?\s*=/ },
+  { kind: "enum", regex: /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+(?<name>[\w$]+)/ },
+  {
+    kind: "method",
+    memberOnly: true,
+    regex: /^\s+(?:(?:public|private|protected|static|readonly|async|override|abstract|get|set)\s+)*\*?(?<name>#?[\w$]+)\s*(?:<[^>]*>)?\s*\([^;]*$/
+  }
+];
+
+const PYTHON_PATTERNS = [
+  { kind: "class", regex: /^\s*class\s+(?<name>\w+)/ },
+  { kind: "function", regex: /^\s*(?:async\s+)?def\s+(?<name>\w+)/ }
+];
+
+const GO_PATTERNS = [
+  { kind: "method", regex: /^func\s+\((?<receiver>[^)]*)\)\s*(?<name>\w+)/ },
+  { kind: "function", regex: /^func\s+(?<name>\w+)/ },
+  { kind: "struct", regex: /^type\s+(?<name>\w+)(?:\[[^\]]*\])?\s+struct\b/ },
+  { kind: "interface", regex: /^type\s+(?<name>\w+)(?:\[[^\]]*\])?\s+interface\b/ },
+  { kind: "type", regex: /^type\s+(?<name>\w+)/ }
+];
+
+const RUST_PATTERNS = [
+  { kind: "function", regex: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+(?<name>\w+)/ },
+  { regex: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?<kind>struct|enum|trait|mod)\s+(?<name>\w+)/ },
+  { kind: "impl", regex: /^\s*impl(?:<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?(?<name>\w+)/ }
+];
+
+// Java, C#, Kotlin, Scala, Swift, PHP
+const JVM_LIKE_PATTERNS = [
+  { regex: new RegExp(`^\\s*(?:@\\w+\\s+)*${MODIFIERS}*(?<kind>class|interface|enum|record|struct|trait|object|protocol|extension)\\s+(?<name>\\w+)`) },
+  { kind: "function", regex: /^\s*(?:(?:public|private|protected|internal|open|override|suspend|inline|static|final|mutating|abstract)\s+)*(?:fun|func|def)\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(?<name>\w+)/ },
+  { kind: "function", regex: /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?(?<name>\w+)/ },
+  {
+    kind: "method",
+    memberOnly: true,
+    regex: new RegExp(`^\\s*${MODIFIERS}+(?:[\\w<>\\[\\],.?]+\\s+)?(?<name>\\w+)\\s*(?:<[^>]*>)?\\s*\\(`)
+  }
+];
+
+const C_PATTERNS = [
+  { regex: /^\s*(?:template\s*<[^>]*>\s*)?(?<kind>class|struct|namespace|union|enum)\s+(?<name>\w+)[^;]*$/ },
+  {
+    kind: "function",
+    requireBody: true,
+    regex: /^(?!\s)(?!(?:if|for|while|switch|return|else|typedef|do)\b)[\w:*&<>,\s]*?\b(?<name>~?[A-Za-z_][\w]*(?:::~?\w+)*)\s*\([^;]*$/
+  }
+];
+
+const RUBY_PATTERNS = [
+  { regex: /^\s*(?<kind>class|module)\s+(?<name>[\w:]+)/ },
+  { kind: "function", regex: /^\s*def\s+(?:self\.)?(?<name>[\w?!=]+)/ }
+];
+
+const LUA_PATTERNS = [
+  { kind: "function", regex: /^\s*(?:local\s+)?function\s+(?<name>[\w.:]+)/ }
+];
+
+const SHELL_PATTERNS = [
+  { kind: "function", regex: /^\s*function\s+(?<name>[\w-]+)/ },
+  { kind: "function", regex: /^\s*(?<name>[\w-]+)\s*\(\)\s*\{?/ }
+];
+
+// Extension -> extraction rules (block: how the end of a definition is found)
+const LANGUAGES = {};
+const register = (extensions, rules) => {
+  for (const ext of extensions) LANGUAGES[ext] = rules;
+};
+
+register(["js", "jsx", "mjs", "cjs", "ts", "tsx", "mts", "cts"], { block: "brace", patterns: JS_PATTERNS });
+register(["py", "pyw", "pyx"], { block: "indent", comment: "#", patterns: PYTHON_PATTERNS });
+register(["go"], { block: "brace", patterns: GO_PATTERNS });
+register(["rs"], { block: "brace", patterns: RUST_PATTERNS });
+register(["java", "cs", "csx", "kt", "kts", "scala", "swift", "php"], { block: "brace", patterns: JVM_LIKE_PATTERNS });
+register(["c", "h", "cpp", "cc", "cxx", "hpp", "hxx"], { block: "brace", patterns: C_PATTERNS });
+register(["rb", "rake"], { block: "indent", comment: "#", endKeyword: true, patterns: RUBY_PATTERNS });
+register(["lua"], { block: "indent", comment: "--", endKeyword: true, patterns: LUA_PATTERNS });
+register(["sh", "bash", "zsh"], { block: "brace", patterns: SHELL_PATTERNS });
+
+/**
+ * Extract symbol definitions from a file
+ *
+ * @param {string} content - File content
+ * @param {string} file - File path (for language detection)
+ * @returns {Array<{name: string, kind: string, startLine: number, endLine: number, parent: string|null, signature: string}>}
+ */
+export function extractSymbols(content, file) {
+  const ext = path.extname(file).slice(1);
+  if (ext === "verse") {
+    return extractVerseSymbols(content);
+  }
+
+  const rules = LANGUAGES[ext];
+  if (!rules) return [];
+
+  const lines = content.split(/\r?\n/);
+  const symbols = [];
+  const open = []; // Enclosing symbols, innermost last
+
+  for (let i = 0; i < lines.length; i++) {
+    while (open.length > 0 && open[open.length - 1].endLine < i + 1) {
+      open.pop();
+    }
+
+    const line = lines[i];
+    if (!line.trim()) continue;
+
+    const enclosing = open[open.length - 1] || null;
+    const match = matchDefinition(line, rules.patterns, enclosing);
+    if (!match) continue;
+
+    const end = rules.block === "indent"
+      ? findIndentEnd(lines, i, rules)
+      : findBraceEnd(lines, i, match.requireBody);
+    if (end < 0) continue; // Declaration without a body (prototype, forward declaration)
+
+    let kind = match.kind;
+    let parent = enclosing ? enclosing.name : null;
+
+    if (match.receiver !== undefined) {
+      // Go method: the parent is the receiver type
+      parent = match.receiver.replace(/\[.*\]/, "").match(/(\w+)\s*$/)?.[1] || null;
+    } else if (kind === "function" && enclosing && CONTAINER_KINDS.has(enclosing.kind)) {
+      kind = "method";
+    }
+
+    const symbol = {
+      name: match.name,
+      kind,
+      startLine: i + 1,
+      endLine: end + 1,
+      parent,
+      signature: line.trim().slice(0, 200)
+    };
+    symbols.push(symbol);
+    open.push(symbol);
+  }
+
+  return symbols;
+}
+
+/**
+ * First pattern matching a line, or null
+ */
+function matchDefinition(line, patterns, enclosing) {
+  for (const pattern of patterns) {
+    if (pattern.memberOnly && !(enclosing && CONTAINER_KINDS.has(enclosing.kind))) {
+      continue;
+    }
+
+    const match = line.match(pattern.regex);
+    if (!match) continue;
+
+    const name = match.groups.name;
+    if (!name || NOT_A_NAME.has(name)) continue;
+
+    return {
+      name,
+      kind: pattern.kind || match.groups.kind,
+      receiver: match.groups.receiver,
+      requireBody: pattern.requireBody
+    };
+  }
+  return null;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Remove string literals and comments so braces inside them are not counted
+ */
+function stripLiterals(line) {
+  return line
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`/g, '""')
+    .replace(/\/\*.*?\*\//g, "")
+    .replace(/\/\/.*$/, "");
+}
+
+/**
+ * Last line (0-based) of a brace-delimited definition starting at `start`
+ * Definitions without a body end on their own line (or -1 if a body is required).
+ */
+function findBraceEnd(lines, start, requireBody = false) {
+  const baseIndent = indentOf(lines[start]);
+  let depth = 0;
+  let opened = false;
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!opened && i > start && line.trim()) {
+      // A new statement at the same level before any brace: no body
+      const continuation = /^\s*[)\]{}.=:,|&<>]/.test(line) || indentOf(line) > baseIndent;
+      if (!continuation || i - start > MAX_SIGNATURE_LINES) {
+        return requireBody ? -1 : i - 1;
+      }
+    }
+
+    for (const ch of stripLiterals(line)) {
+      if (ch === "{") {
+        depth++;
+        opened = true;
+      } else if (ch === "}") {
+        depth--;
+        if (opened && depth <= 0) return i;
+      }
+    }
+
+    if (!opened && /;\s*$/.test(stripLiterals(line))) {
+      return requireBody ? -1 : i;
+    }
+  }
+
+  if (opened) return lines.length - 1;
+  return requireBody ? -1 : start;
+}
+
+/**
+ * Last line (0-based) of an indentation-delimited definition starting at `start`
+ * With rules.endKeyword (Ruby, Lua) the closing `end` line is included.
+ */
+function findIndentEnd(lines, start, rules) {
+  const baseIndent = indentOf(lines[start]);
+  let end = start;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed || (rules.comment && trimmed.startsWith(rules.comment))) continue;
+
+    if (indentOf(lines[i]) <= baseIndent) {
+      if (/^[)\]}]/.test(trimmed)) {
+        // Closing line of a multi-line signature or literal
+        end = i;
+        continue;
+      }
+      if (rules.endKeyword && /^end\b/.test(trimmed) && indentOf(lines[i]) === baseIndent) {
+        end = i;
+      }
+      break;
+    }
+    end = i;
+  }
+
+  return end;
+}
+
+/**
+ * Fuzzy similarity between a lookup query and a symbol name (0 = no match)
+ * Ranks exact > prefix > substring > subsequence (e.g. "cbi" for
+ * CodebaseIndexer) > small typos.
+ *
+ * @param {string} query - Lookup text
+ * @param {string} name - Symbol name
+ * @returns {number} Score in [0, 1]
+ */
+export function fuzzyMatchScore(query, name) {
+  const q = query.toLowerCase();
+  const n = name.toLowerCase();
+  if (!q) return 0;
+
+  if (n === q) return 1;
+  if (n.startsWith(q)) return 0.9 + 0.05 * (q.length / n.length);
+  if (n.includes(q)) return 0.8 + 0.05 * (q.length / n.length);
+  if (isSubsequence(q, n)) return 0.5 + 0.2 * (q.length / n.length);
+
+  const similarity = 1 - levenshtein(q, n) / Math.max(q.length, n.length);
+  return similarity >= 0.6 ? similarity * 0.7 : 0;
+}
+
+function isSubsequence(needle, haystack) {
+  let j = 0;
+  for (let i = 0; i < haystack.length && j < needle.length; i++) {
+    if (haystack[i] === needle[j]) j++;
+  }
+  return j === needle.length;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,98 @@
+/**
+ * Token-budgeted packing of search results
+ *
+ * Fills a context-window budget with the highest-ranked results instead of a
+ * fixed result count. Sizes are estimates from estimateTokens (conservative,
+ * no tokenizer call). A result that no longer fits is trimmed to the space
+ * left when that still leaves a useful snippet, otherwise left out - and
+ * packing continues, so smaller lower-ranked results can fill the remainder.
+ */
+
+import { estimateTokens } from './tokenizer.js';
+
+// Estimated tokens per result outside the code itself (heading, file, lines, fences)
+export const RESULT_OVERHEAD_TOKENS = 30;
+
+// Smallest trimmed snippet worth returning
+const MIN_TRIMMED_TOKENS = 40;
+
+/**
+ * Greedily pack ranked results into a token budget
+ * @param {Array} results - Results in rank order (file, startLine, endLine, content)
+ * @param {number} maxTokens - Token budget
+ * @returns {{results: Array, budget: {maxTokens: number, usedTokens: number, remainingTokens: number, omitted: Array}}}
+ *   Packed results carry `tokens` and, when cut down, `trimmed: true`
+ */
+export function packResults(results, maxTokens) {
+  const packed = [];
+  const omitted = [];
+  let usedTokens = 0;
+
+  for (const result of results) {
+    const tokens = estimateTokens(result.content) + RESULT_OVERHEAD_TOKENS;
+    const remaining = maxTokens - usedTokens;
+
+    if (tokens <= remaining) {
+      packed.push({ ...result, tokens });
+      usedTokens += tokens;
+      continue;
+    }
+
+    const trimmed = remaining - RESULT_OVERHEAD_TOKENS >= MIN_TRIMMED_TOKENS
+      ? trimResult(result, remaining - RESULT_OVERHEAD_TOKENS)
+      : null;
+    if (trimmed) {
+      trimmed.tokens += RESULT_OVERHEAD_TOKENS;
+      packed.push(trimmed);
+      usedTokens += trimmed.tokens;
+      continue;
+    }
+
+    omitted.push({
+      file: result.file,
+      startLine: result.startLine,
+      endLine: result.endLine,
+      score: result.score,
+      tokens
+    });
+  }
+
+  return {
+    results: packed,
+    budget: { maxTokens, usedTokens, remainingTokens: maxTokens - usedTokens, omitted }
+  };
+}
+
+/**
+ * Cut a result down to whole lines fitting a token limit, starting at the
+ * matched lines when the result was expanded with context
+ * @returns {Object|null} Trimmed result with an accurate line range, or null if not even one line fits
+ */
+function trimResult(result, tokenLimit) {
+  const lines = result.content.split('\n');
+  const first = result.matchStartLine !== undefined
+    ? Math.min(Math.max(0, result.matchStartLine - result.startLine), lines.length - 1)
+    : 0;
+
+  let count = 0;
+  let tokens = 0;
+  for (let i = first; i < lines.length; i++) {
+    // estimateTokens counts 2 sequence tokens per call; count them once
+    const lineTokens = Math.max(0, estimateTokens(lines[i]) - 2);
+    if (tokens + lineTokens + 2 > tokenLimit) break;
+    tokens += lineTokens;
+    count++;
+  }
+  if (count === 0) return null;
+
+  const startLine = result.startLine + first;
+  return {
+    ...result,
+    startLine,
+    endLine: startLine + count - 1,
+    ...(result.matchEndLine !== undefined && { matchEndLine: Math.min(result.matchEndLine, startLine + count - 1) }),
+    content: lines.slice(first, first + count).join('\n'),
+    tokens: tokens + 2,
+    trimmed: true
+  };
+}
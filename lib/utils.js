@@ -224,3 +224,112 @@ export function smartChunk(content, file, config) {
 
   return chunks;
 }
+
+/**
+ * Fixed-window line chunking (chunkingMode: "line")
+ * Splits content into windows of config.chunkSize lines, each overlapping the
+ * previous one by config.chunkOverlap lines. No language awareness.
+ *
+ * @param {string} content - File content to chunk
+ * @param {string} file - File path (unused, kept for chunker signature parity)
+ * @param {object} config - Configuration object with chunkSize and chunkOverlap
+ * @returns {Array<{text: string, startLine: number, endLine: number, tokenCount: number}>}
+ */
+export function lineChunk(content, file, config) {
+  const lines = content.split("\n");
+  const chunks = [];
+
+  const windowSize = Math.max(1, Math.floor(config.chunkSize || 25));
+  const overlap = Math.min(Math.max(0, Math.floor(config.chunkOverlap || 0)), windowSize - 1);
+  const step = windowSize - overlap;
+
+  for (let start = 0; start < lines.length; start += step) {
+    const end = Math.min(start + windowSize, lines.length);
+    const text = lines.slice(start, end).join("\n");
+
+    if (text.trim().length > 20) {
+      chunks.push({
+        text,
+        startLine: start + 1,
+        endLine: end,
+        tokenCount: estimateTokens(text)
+      });
+    }
+
+    if (end >= lines.length) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Collapse ranked chunks into distinct code locations
+ * Chunks from the same file whose line ranges overlap or touch are merged
+ * into one result spanning the combined range, keeping the best score.
+ * Ranked chunks keep being consumed until maxResults locations are filled.
+ *
+ * @param {Array<{file: string, startLine: number, endLine: number, content: string, score: number}>} rankedChunks - Chunks sorted by descending score
+ * @param {number} maxResults - Number of distinct locations to return
+ * @returns {Array} Merged results, in descending score order
+ */
+export function mergeAdjacentResults(rankedChunks, maxResults) {
+  const groups = [];
+  const groupsByFile = new Map();
+
+  for (const chunk of rankedChunks) {
+    const fileGroups = groupsByFile.get(chunk.file) || [];
+    const touching = fileGroups.filter(g =>
+      chunk.startLine <= g.endLine + 1 && chunk.endLine >= g.startLine - 1
+    );
+
+    if (touching.length === 0) {
+      if (groups.length >= maxResults) break;
+      const group = { best: chunk, members: [chunk], startLine: chunk.startLine, endLine: chunk.endLine };
+      groups.push(group);
+      fileGroups.push(group);
+      groupsByFile.set(chunk.file, fileGroups);
+      continue;
+    }
+
+    // Fold the chunk (and any groups it bridges) into the best-ranked group
+    const [target, ...bridged] = touching;
+    target.members.push(chunk);
+    for (const other of bridged) {
+      target.members.push(...other.members);
+      groups.splice(groups.indexOf(other), 1);
+      fileGroups.splice(fileGroups.indexOf(other), 1);
+    }
+    target.startLine = Math.min(target.startLine, chunk.startLine, ...bridged.map(g => g.startLine));
+    target.endLine = Math.max(target.endLine, chunk.endLine, ...bridged.map(g => g.endLine));
+  }
+
+  return groups.map(({ best, members, startLine, endLine }) => {
+    if (members.length === 1) return best;
+
+    const merged = { ...best, startLine, endLine, content: stitchChunks(members) };
+    // Results expanded with context keep the span of the lines that matched
+    if (best.matchStartLine !== undefined) {
+      merged.matchStartLine = Math.min(...members.map(m => m.matchStartLine ?? m.startLine));
+      merged.matchEndLine = Math.max(...members.map(m => m.matchEndLine ?? m.endLine));
+    }
+    return merged;
+  });
+}
+
+/**
+ * Join overlapping chunk contents by line number, dropping repeated lines
+ */
+function stitchChunks(chunks) {
+  const ordered = [...chunks].sort((a, b) => a.startLine - b.startLine);
+  const lines = ordered[0].content.split("\n");
+  let endLine = ordered[0].endLine;
+
+  for (const chunk of ordered.slice(1)) {
+    if (chunk.endLine <= endLine) continue;
+    const chunkLines = chunk.content.split("\n");
+    lines.push(...chunkLines.slice(Math.max(0, endLine - chunk.startLine + 1)));
+    endLine = chunk.endLine;
+  }
+
+  return lines.join("\n");
+}
@@ -299,6 +299,80 @@ export function chunkVerseFile(content, filePath, config) {
     return applyTokenLimits(chunksWithNested, targetTokens, overlapTokens);
 }
 
+// A function definition's parameter list is followed by effects/a return type or "="
+const VERSE_SIGNATURE_END = /\)(?:<[^>]+>)*\s*(?::|=)/;
+const VERSE_CONTAINER_KINDS = new Set(['class', 'struct', 'interface', 'enum', 'module']);
+
+/**
+ * Extract Verse definitions for the symbol index
+ * Uses the same definition patterns as the chunker; a definition ends before the
+ * next non-blank line at the same or lower indentation.
+ *
+ * @param {string} content - File content
+ * @returns {Array<{name: string, kind: string, startLine: number, endLine: number, parent: string|null, signature: string}>}
+ */
+export function extractVerseSymbols(content) {
+    const lines = content.split(/\r?\n/);
+    const symbols = [];
+    const open = [];  // Enclosing definitions, innermost last
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (isBlankOrComment(line) || PATTERNS.attribute.test(line) || PATTERNS.using.test(line)) {
+            continue;
+        }
+
+        const indent = getIndent(line);
+        while (open.length > 0 && open[open.length - 1].indent >= indent) {
+            open.pop();
+        }
+        const enclosing = open[open.length - 1] || null;
+
+        let name = null;
+        let kind = null;
+        let parent = enclosing ? enclosing.symbol.name : null;
+        let match;
+
+        if ((match = line.match(PATTERNS.classOrStruct))) {
+            [name, kind] = [match[2], match[4]];
+        } else if ((match = line.match(PATTERNS.moduleDecl))) {
+            [name, kind] = [match[2], 'module'];
+        } else if ((match = line.match(PATTERNS.extensionStart))) {
+            // (Name:type).Method - the extended type is the parent
+            name = match[2];
+            kind = 'method';
+            parent = line.match(/^\s*\([^:)]*:\s*([^)\s]+)/)?.[1] || parent;
+        } else if ((match = line.match(PATTERNS.functionStart)) && VERSE_SIGNATURE_END.test(line)) {
+            name = match[2];
+            kind = enclosing ? 'method' : 'function';
+        }
+
+        // Calls and locals inside function bodies are not definitions
+        if (!name || (enclosing && !VERSE_CONTAINER_KINDS.has(enclosing.symbol.kind))) continue;
+
+        // Definition ends before the next line at the same or lower indentation
+        let endLine = i;
+        for (let j = i + 1; j < lines.length; j++) {
+            if (isBlankOrComment(lines[j])) continue;
+            if (getIndent(lines[j]) <= indent && !/^\s*\)/.test(lines[j])) break;
+            endLine = j;
+        }
+
+        const symbol = {
+            name,
+            kind,
+            startLine: i + 1,
+            endLine: endLine + 1,
+            parent,
+            signature: line.trim().slice(0, 200)
+        };
+        symbols.push(symbol);
+        open.push({ indent, symbol });
+    }
+
+    return symbols;
+}
+
 /**
  * Extract methods from class/struct chunks as separate searchable sub-chunks
  * Keeps the parent class chunk AND adds individual method chunks
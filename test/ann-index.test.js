@@ -0,0 +1,118 @@
+/**
+ * Tests for the IVF approximate nearest neighbor index
+ * 
+ * Tests the index in isolation (no database or embedding model):
+ * - Training and candidate lists
+ * - Incremental add/remove
+ * - Persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AnnIndex, chooseListCount } from '../lib/ann-index.js';
+
+// Deterministic pseudo-random generator so clustering is reproducible
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+// Points scattered around a few well separated directions
+function makeClusteredVectors(count, dimension, clusters, random) {
+  const centers = Array.from({ length: clusters }, () =>
+    normalize(Array.from({ length: dimension }, () => random() - 0.5))
+  );
+  return Array.from({ length: count }, (_, i) =>
+    normalize(centers[i % clusters].map(v => v + (random() - 0.5) * 0.1))
+  );
+}
+
+function exactNearest(vectors, query) {
+  let best = -1;
+  let bestScore = -Infinity;
+  vectors.forEach((vector, id) => {
+    const score = vector.reduce((sum, v, d) => sum + v * query[d], 0);
+    if (score > bestScore) {
+      bestScore = score;
+      best = id;
+    }
+  });
+  return best;
+}
+
+describe('AnnIndex', () => {
+  let dir;
+  let index;
+  let vectors;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-ann-test-'));
+    index = new AnnIndex(path.join(dir, 'ann-index.json'));
+    vectors = makeClusteredVectors(400, 16, 8, createRandom(42));
+
+    index.train(vectors, chooseListCount(vectors.length));
+    vectors.forEach((vector, id) => index.add(id, vector));
+    index.markBuilt();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should size the list count with the square root of the index', () => {
+    expect(chooseListCount(400)).toBe(20);
+    expect(chooseListCount(0)).toBe(1);
+    expect(chooseListCount(1e9)).toBe(4096);
+  });
+
+  it('should return a subset that contains the nearest neighbor', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 20; i++) {
+      const query = normalize(vectors[Math.floor(random() * vectors.length)].map(v => v + (random() - 0.5) * 0.05));
+      const candidates = index.search(query, 4);
+
+      expect(candidates.length).toBeLessThan(vectors.length);
+      expect(candidates).toContain(exactNearest(vectors, query));
+    }
+  });
+
+  it('should track added and removed ids', () => {
+    expect(index.size).toBe(400);
+    expect(index.builtCount).toBe(400);
+
+    index.remove(0);
+    expect(index.size).toBe(399);
+    expect(index.search(vectors[0], 20)).not.toContain(0);
+
+    index.add(1000, vectors[0]);
+    expect(index.search(vectors[0], 1)).toContain(1000);
+  });
+
+  it('should persist and reload', async () => {
+    await index.save();
+
+    const reloaded = new AnnIndex(index.filePath);
+    expect(await reloaded.load()).toBe(true);
+    expect(reloaded.size).toBe(400);
+    expect(reloaded.dimension).toBe(16);
+    expect(reloaded.search(vectors[5], 2)).toEqual(index.search(vectors[5], 2));
+  });
+
+  it('should remove the persisted file after a reset', async () => {
+    await index.save();
+    index.reset();
+    await index.save();
+
+    await expect(fs.access(index.filePath)).rejects.toThrow();
+    expect(await new AnnIndex(index.filePath).load()).toBe(false);
+  });
+});
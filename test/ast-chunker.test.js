@@ -5,10 +5,13 @@
  * - Tree-sitter initialization
  * - Language detection
  * - Semantic chunking vs smart chunking fallback
+ * - Reporting the mode applied and why AST chunking fell back
+ * - Fixed-window line chunking and per-file mode resolution
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
-import { ASTChunker, getChunker } from '../lib/ast-chunker.js';
+import { ASTChunker, CHUNKING_FALLBACK, getChunker, isChunkingCurrent, resolveChunkingMode } from '../lib/ast-chunker.js';
+import { lineChunk } from '../lib/utils.js';
 import { loadConfig } from '../lib/config.js';
 
 describe('AST Chunker', () => {
@@ -29,6 +32,63 @@ describe('AST Chunker', () => {
       expect(typeof chunker.chunk).toBe('function');
       expect(chunker).not.toBeInstanceOf(ASTChunker);
     });
+
+    it('should return line chunker wrapper when mode is line', async () => {
+      const chunker = getChunker({ ...config, chunkingMode: 'line', chunkSize: 10, chunkOverlap: 0 });
+      expect(chunker).not.toBeInstanceOf(ASTChunker);
+
+      const content = Array.from({ length: 30 }, (_, i) => `const value${i} = computeSomething(${i});`).join('\n');
+      const chunks = await chunker.chunk(content, 'values.js');
+      expect(chunks.map(c => [c.startLine, c.endLine])).toEqual([[1, 10], [11, 20], [21, 30]]);
+    });
+  });
+
+  describe('Chunking Mode Resolution', () => {
+    it('should resolve ast only for languages with a grammar mapping', () => {
+      const astConfig = { ...config, chunkingMode: 'ast' };
+      expect(resolveChunkingMode('src/app.ts', astConfig)).toBe('ast');
+      expect(resolveChunkingMode('src/app.py', astConfig)).toBe('ast');
+      expect(resolveChunkingMode('docs/readme.md', astConfig)).toBe('smart');
+    });
+
+    it('should resolve line mode for every file', () => {
+      const lineConfig = { ...config, chunkingMode: 'line' };
+      expect(resolveChunkingMode('src/app.ts', lineConfig)).toBe('line');
+      expect(resolveChunkingMode('docs/readme.md', lineConfig)).toBe('line');
+    });
+
+    it('should treat content-caused AST fallbacks as current', () => {
+      const astConfig = { ...config, chunkingMode: 'ast' };
+      expect(isChunkingCurrent({ chunkingMode: 'ast' }, 'src/app.py', astConfig)).toBe(true);
+      expect(isChunkingCurrent({ chunkingMode: 'smart', chunkingFallback: CHUNKING_FALLBACK.NO_SEMANTIC_NODES }, 'src/app.py', astConfig)).toBe(true);
+      expect(isChunkingCurrent({ chunkingMode: 'smart', chunkingFallback: CHUNKING_FALLBACK.NO_GRAMMAR }, 'src/app.py', astConfig)).toBe(false);
+      expect(isChunkingCurrent({ chunkingMode: 'smart', chunkingFallback: null }, 'src/app.py', astConfig)).toBe(false);
+      expect(isChunkingCurrent({ chunkingMode: 'ast' }, 'src/app.py', { ...config, chunkingMode: 'smart' })).toBe(false);
+    });
+
+    it('should treat unknown modes as smart', () => {
+      expect(resolveChunkingMode('src/app.ts', { ...config, chunkingMode: 'bogus' })).toBe('smart');
+    });
+  });
+
+  describe('Line Chunking', () => {
+    const content = Array.from({ length: 25 }, (_, i) => `line number ${i + 1} with enough text`).join('\n');
+
+    it('should overlap windows by chunkOverlap lines', () => {
+      const chunks = lineChunk(content, 'notes.txt', { chunkSize: 10, chunkOverlap: 2 });
+      expect(chunks.map(c => [c.startLine, c.endLine])).toEqual([[1, 10], [9, 18], [17, 25]]);
+      expect(chunks[1].text.split('\n')[0]).toBe('line number 9 with enough text');
+    });
+
+    it('should clamp overlap below the window size', () => {
+      const chunks = lineChunk(content, 'notes.txt', { chunkSize: 5, chunkOverlap: 50 });
+      expect(chunks.length).toBe(21);
+      expect(chunks[chunks.length - 1].endLine).toBe(25);
+    });
+
+    it('should skip trivial windows', () => {
+      expect(lineChunk('\n\n\n', 'empty.txt', { chunkSize: 2, chunkOverlap: 0 })).toEqual([]);
+    });
   });
 
   describe('Language Detection', () => {
@@ -71,6 +131,26 @@ describe('AST Chunker', () => {
       const chunks = await chunker.chunk('', 'empty.js');
       expect(Array.isArray(chunks)).toBe(true);
     });
+
+    it('should report why it fell back to smart chunking', async () => {
+      const chunker = new ASTChunker(config);
+      const statements = 'const a = 1;\nconst b = 2;\nconst c = 3;\n';
+
+      expect(await chunker.chunkWithMode(statements, 'consts.js')).toMatchObject({ mode: 'smart', fallback: CHUNKING_FALLBACK.NO_SEMANTIC_NODES });
+      expect(await chunker.chunkWithMode('SELECT 1;', 'query.sql')).toMatchObject({ mode: 'smart', fallback: null });
+
+      chunker.languages.set('python', null);
+      expect(await chunker.chunkWithMode('def f():\n    x = 1\n    return x\n', 'f.py')).toMatchObject({ mode: 'smart', fallback: CHUNKING_FALLBACK.NO_GRAMMAR });
+
+      const broken = new ASTChunker(config);
+      broken.initFailed = true;
+      expect(await broken.chunkWithMode(statements, 'consts.js')).toMatchObject({ mode: 'smart', fallback: CHUNKING_FALLBACK.UNAVAILABLE });
+    });
+
+    it('should report the mode of the smart and line chunkers', async () => {
+      expect(await getChunker({ ...config, chunkingMode: 'smart' }).chunkWithMode('const a = 1;', 'a.js')).toMatchObject({ mode: 'smart', fallback: null });
+      expect(await getChunker({ ...config, chunkingMode: 'line' }).chunkWithMode('const a = 1;', 'a.js')).toMatchObject({ mode: 'line', fallback: null });
+    });
   });
 
   describe('JavaScript Chunking', () => {
@@ -101,5 +181,29 @@ class Calculator {
       expect(Array.isArray(chunks)).toBe(true);
       // Should have found some chunks (exact number depends on Tree-sitter grammar availability)
     });
+
+    it('should chunk at function and class boundaries with the shipped grammars', async () => {
+      const chunker = new ASTChunker(config);
+      const jsCode = [
+        'function add(a, b) {',
+        '  return a + b;',
+        '}',
+        '',
+        'class Calculator {',
+        '  add(n) {',
+        '    this.result += n;',
+        '    return this;',
+        '  }',
+        '}'
+      ].join('\n');
+
+      const { chunks, mode, fallback } = await chunker.chunkWithMode(jsCode, 'calc.js');
+      expect(mode).toBe('ast');
+      expect(fallback).toBeNull();
+      expect(chunks.map(c => [c.startLine, c.endLine, c.nodeType])).toEqual([
+        [1, 3, 'function_declaration'],
+        [5, 10, 'class_declaration']
+      ]);
+    });
   });
 });
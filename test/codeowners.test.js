@@ -0,0 +1,97 @@
+/**
+ * Tests for CODEOWNERS lookup
+ *
+ * Tests ownership resolution used by search annotations and the owners filter:
+ * - GitHub pattern semantics (anchoring, directories, last match wins)
+ * - Locating the CODEOWNERS file from a workspace subdirectory
+ * - Owner filter normalization and the missing-file error
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCodeOwners, findOwners, loadCodeOwners, createOwnerFilter } from '../lib/codeowners.js';
+
+describe('CODEOWNERS', () => {
+  describe('Pattern Matching', () => {
+    const rules = parseCodeOwners([
+      '# Default owners',
+      '*                 @org/core',
+      '*.verse           @org/gameplay',
+      '/build/           @org/infra',
+      'docs/*            @org/docs  docs@example.com',
+      'logs              @org/ops   # any directory named logs',
+      'src/payments/     @org/payments',
+      'src/payments/vendor/'
+    ].join('\n'));
+
+    it('should let the last matching rule win', () => {
+      expect(findOwners(rules, 'README.md')).toEqual(['@org/core']);
+      expect(findOwners(rules, 'game/player.verse')).toEqual(['@org/gameplay']);
+      expect(findOwners(rules, 'src/payments/charge.js')).toEqual(['@org/payments']);
+    });
+
+    it('should anchor patterns with a leading or inner slash', () => {
+      expect(findOwners(rules, 'build/out/app.js')).toEqual(['@org/infra']);
+      expect(findOwners(rules, 'tools/build/run.js')).toEqual(['@org/core']);
+      expect(findOwners(rules, 'docs/intro.md')).toEqual(['@org/docs', 'docs@example.com']);
+      expect(findOwners(rules, 'api/docs/intro.md')).toEqual(['@org/core']);
+    });
+
+    it('should match unanchored names at any depth, including directories', () => {
+      expect(findOwners(rules, 'logs/today.txt')).toEqual(['@org/ops']);
+      expect(findOwners(rules, 'services/api/logs/today.txt')).toEqual(['@org/ops']);
+    });
+
+    it('should only cover direct children for "dir/*"', () => {
+      expect(findOwners(rules, 'docs/guides/setup.md')).toEqual(['@org/core']);
+    });
+
+    it('should leave files unowned for a rule without owners', () => {
+      expect(findOwners(rules, 'src/payments/vendor/sdk.js')).toEqual([]);
+    });
+  });
+
+  describe('Loading', () => {
+    let repo;
+
+    beforeAll(async () => {
+      repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-owners-'));
+      await fs.mkdir(path.join(repo, '.git'));
+      await fs.mkdir(path.join(repo, '.github'));
+      await fs.mkdir(path.join(repo, 'services', 'api'), { recursive: true });
+      await fs.writeFile(path.join(repo, '.github', 'CODEOWNERS'), '/services/api/ @Org/API-Team\n');
+    });
+
+    afterAll(async () => {
+      await fs.rm(repo, { recursive: true, force: true });
+    });
+
+    it('should find CODEOWNERS at the repository root of a workspace subdirectory', async () => {
+      const codeOwners = await loadCodeOwners(path.join(repo, 'services', 'api'));
+
+      expect(codeOwners.file).toBe(path.join(repo, '.github', 'CODEOWNERS'));
+      expect(codeOwners.ownersOf(path.join(repo, 'services', 'api', 'server.js'))).toEqual(['@Org/API-Team']);
+    });
+
+    it('should match owners case-insensitively with or without "@"', async () => {
+      const codeOwners = await loadCodeOwners(repo);
+      const file = path.join(repo, 'services', 'api', 'server.js');
+
+      expect(createOwnerFilter(codeOwners, ['org/api-team'])(file)).toBe(true);
+      expect(createOwnerFilter(codeOwners, ['@org/web'])(file)).toBe(false);
+    });
+
+    it('should report a missing CODEOWNERS file when filtering by owner', async () => {
+      await fs.rename(path.join(repo, '.github', 'CODEOWNERS'), path.join(repo, '.github', 'OWNERS'));
+      try {
+        const codeOwners = await loadCodeOwners(repo);
+        expect(codeOwners).toBeNull();
+        expect(() => createOwnerFilter(codeOwners, ['@org/api'])).toThrow('No CODEOWNERS file found');
+      } finally {
+        await fs.rename(path.join(repo, '.github', 'OWNERS'), path.join(repo, '.github', 'CODEOWNERS'));
+      }
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for search result context expansion
+ *
+ * Tests widening results before they are returned:
+ * - Validation of the context option
+ * - Fixed line context, clamped to the file
+ * - Enclosing function/class (symbol extraction and indentation fallbacks)
+ * - The maxContextLines cap
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ContextExpander, parseContextOption } from '../lib/context-expander.js';
+
+const JS_SOURCE = [
+  'import fs from "fs";',              // 1
+  '',                                  // 2
+  'export class Loader {',             // 3
+  '  async load(file) {',              // 4
+  '    const text = await fs.readFile(file, "utf-8");', // 5
+  '    const data = JSON.parse(text);', // 6
+  '    this.validate(data);',          // 7
+  '    return data;',                  // 8
+  '  }',                               // 9
+  '',                                  // 10
+  '  validate(data) {',                // 11
+  '    if (!data.name) {',             // 12
+  '      throw new Error("name");',    // 13
+  '    }',                             // 14
+  '  }',                               // 15
+  '}'                                  // 16
+].join('\n');
+
+const YAML_SOURCE = [
+  'services:',
+  '  api:',
+  '    image: api:latest',
+  '    ports:',
+  '      - "8080:8080"',
+  '  worker:',
+  '    image: worker:latest'
+].join('\n');
+
+describe('Context Expander', () => {
+  let dir;
+  let jsFile;
+  let yamlFile;
+
+  const hit = (file, startLine, endLine) => ({ file, startLine, endLine, content: '', score: 1 });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-context-test-'));
+    jsFile = path.join(dir, 'loader.js');
+    yamlFile = path.join(dir, 'compose.yaml');
+    await fs.writeFile(jsFile, JS_SOURCE);
+    await fs.writeFile(yamlFile, YAML_SOURCE);
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('parseContextOption', () => {
+    it('should accept "enclosing" and positive line counts', () => {
+      expect(parseContextOption(undefined)).toBeNull();
+      expect(parseContextOption(0)).toBeNull();
+      expect(parseContextOption('enclosing')).toBe('enclosing');
+      expect(parseContextOption(5)).toBe(5);
+      expect(parseContextOption('5')).toBe(5);
+    });
+
+    it('should reject anything else', () => {
+      expect(() => parseContextOption('function')).toThrow('Invalid context "function"');
+      expect(() => parseContextOption(-2)).toThrow('Invalid context');
+      expect(() => parseContextOption(1.5)).toThrow('Invalid context');
+    });
+  });
+
+  it('should add surrounding lines, clamped to the file', async () => {
+    const expander = new ContextExpander({});
+    const [result] = await expander.expand([hit(jsFile, 2, 3)], 2);
+
+    expect(result).toMatchObject({ startLine: 1, endLine: 5, matchStartLine: 2, matchEndLine: 3 });
+    expect(result.content.split('\n')).toEqual(JS_SOURCE.split('\n').slice(0, 5));
+  });
+
+  it('should expand to the enclosing function', async () => {
+    const expander = new ContextExpander({});
+    const [result] = await expander.expand([hit(jsFile, 6, 7)], 'enclosing');
+
+    expect(result).toMatchObject({ startLine: 4, endLine: 9 });
+    expect(result.content).toMatch(/^ {2}async load\(file\) \{/);
+    expect(result.content).toMatch(/ {2}\}$/);
+  });
+
+  it('should cover every unit a hit spans', async () => {
+    const expander = new ContextExpander({});
+    const [result] = await expander.expand([hit(jsFile, 8, 12)], 'enclosing');
+
+    expect(result).toMatchObject({ startLine: 4, endLine: 15 });
+  });
+
+  it('should fall back to indentation for files without definitions', async () => {
+    const expander = new ContextExpander({});
+    const [result] = await expander.expand([hit(yamlFile, 4, 4)], 'enclosing');
+
+    expect(result).toMatchObject({ startLine: 2, endLine: 5 });
+  });
+
+  it('should cap expanded snippets around the hit', async () => {
+    const expander = new ContextExpander({ maxContextLines: 4 });
+    const [result] = await expander.expand([hit(jsFile, 6, 7)], 'enclosing');
+
+    expect(result).toMatchObject({ startLine: 5, endLine: 8 });
+  });
+
+  it('should leave results for unreadable files unchanged', async () => {
+    const expander = new ContextExpander({});
+    const missing = hit(path.join(dir, 'missing.js'), 3, 4);
+
+    expect(await expander.expand([missing], 5)).toEqual([missing]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for indexed file selection
+ *
+ * Tests the matcher shared by discovery, pruning and the watcher:
+ * - File-level and path-specific excludePatterns as real globs
+ * - includePatterns, alone and combined with excludes and ignore files
+ * - Directory pruning for covering excludes and include bases
+ * - Read-only listing of the matching files
+ * - discoverFiles and indexAll pruning after a configuration change
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import path from 'path';
+import { createTempWorkspace } from './helpers.js';
+import { createFileMatcher, listFiles } from '../lib/file-matcher.js';
+
+const FILES = {
+  '.gitignore': 'scratch/\n',
+  'src/app.js': 'export const app = 1;\n',
+  'src/app.min.js': 'export const a=1;\n',
+  'src/util/strings.py': 'def pad(s):\n    return s\n',
+  'src/util/strings.pyc': 'compiled\n',
+  'logs/npm-debug.log.1': 'npm ERR!\n',
+  'packages/legacy/old.js': 'export const old = 1;\n',
+  'packages/api/server.js': 'export const server = 1;\n',
+  'packages/api/node_modules/dep/index.js': 'module.exports = 1;\n',
+  'scratch/try.js': 'export const scratch = 1;\n'
+};
+
+describe('File Matcher', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace(FILES, {
+      fileExtensions: ['js', 'py', 'pyc', '1'],
+      excludePatterns: ['**/node_modules/**', '**/*.pyc', '**/npm-debug.log*', '**/*.min.js', 'packages/legacy/**']
+    });
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  const at = (relPath) => path.join(workspace.dir, relPath);
+  const relative = (files) => files.map(file => path.relative(workspace.dir, file).split(path.sep).join('/')).sort();
+
+  describe('Matching', () => {
+    it('should apply file-level and path-specific exclude globs', () => {
+      const matcher = createFileMatcher(workspace.config);
+
+      expect(matcher.includesFile(at('src/app.js'))).toBe(true);
+      expect(matcher.includesFile(at('src/app.min.js'))).toBe(false);
+      expect(matcher.includesFile(at('src/util/strings.pyc'))).toBe(false);
+      expect(matcher.includesFile(at('logs/npm-debug.log.1'))).toBe(false);
+      expect(matcher.includesFile(at('packages/legacy/old.js'))).toBe(false);
+    });
+
+    it('should require a configured extension and a path inside the workspace', () => {
+      const matcher = createFileMatcher(workspace.config);
+
+      expect(matcher.includesFile(at('README.md'))).toBe(false);
+      expect(matcher.includesFile(path.join(path.dirname(workspace.dir), 'other.js'))).toBe(false);
+    });
+
+    it('should only include files matching includePatterns', () => {
+      const matcher = createFileMatcher({ ...workspace.config, includePatterns: ['src/**/*.py', 'packages/api'] });
+
+      expect(matcher.includesFile(at('src/util/strings.py'))).toBe(true);
+      expect(matcher.includesFile(at('packages/api/server.js'))).toBe(true);
+      expect(matcher.includesFile(at('src/app.js'))).toBe(false);
+    });
+
+    it('should prune directories covered by an exclude or outside every include base', () => {
+      const matcher = createFileMatcher({ ...workspace.config, includePatterns: ['packages/api/**'] });
+
+      expect(matcher.includesDirectory(at('packages'))).toBe(true);
+      expect(matcher.includesDirectory(at('packages/api'))).toBe(true);
+      expect(matcher.includesDirectory(at('packages/api/node_modules'))).toBe(false);
+      expect(matcher.includesDirectory(at('packages/legacy'))).toBe(false);
+      expect(matcher.includesDirectory(at('src'))).toBe(false);
+    });
+
+    it('should keep walking directories when an include can match anywhere', () => {
+      const matcher = createFileMatcher({ ...workspace.config, includePatterns: ['**/*.py'] });
+
+      expect(matcher.includesDirectory(at('src/util'))).toBe(true);
+      expect(matcher.includesDirectory(at('scratch'))).toBe(false);
+    });
+
+    it('should stat paths of unknown type', () => {
+      const matcher = createFileMatcher(workspace.config);
+
+      expect(matcher.includesPath(at('src'))).toBe(true);
+      expect(matcher.includesPath(at('packages/legacy'))).toBe(false);
+      expect(matcher.includesPath(at('src/app.js'))).toBe(true);
+    });
+
+    it('should list the matching files', async () => {
+      const files = await listFiles(createFileMatcher({ ...workspace.config, includePatterns: ['src'] }));
+
+      expect(relative(files)).toEqual(['src/app.js', 'src/util/strings.py']);
+    });
+  });
+
+  describe('Indexer', () => {
+    it('should discover exactly the matching files', async () => {
+      const files = await workspace.indexer.discoverFiles();
+
+      expect(relative(files)).toEqual(['packages/api/server.js', 'src/app.js', 'src/util/strings.py']);
+    });
+
+    it('should prune files outside new includePatterns on the next indexAll', async () => {
+      await workspace.indexer.indexAll(false);
+      expect(relative([...workspace.cache.getAllFileHashes().keys()])).toHaveLength(3);
+
+      workspace.config.includePatterns = ['src'];
+      try {
+        await workspace.indexer.indexAll(false);
+        expect(relative([...workspace.cache.getAllFileHashes().keys()])).toEqual(['src/app.js', 'src/util/strings.py']);
+        expect(workspace.indexer.getFileMatcher().includesFile(at('packages/api/server.js'))).toBe(false);
+      } finally {
+        workspace.config.includePatterns = [];
+      }
+    });
+  });
+});
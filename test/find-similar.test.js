@@ -0,0 +1,141 @@
+/**
+ * Tests for the find similar code feature
+ * 
+ * Tests similarity search seeded by a code location:
+ * - Reuse of stored vectors for indexed regions
+ * - Exclusion of the source region
+ * - Embedding of unindexed regions
+ * - Scores within 0-1
+ * - Tool definition and error handling, including paths outside the workspace
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { createMockRequest, createTempWorkspace } from './helpers.js';
+import * as FindSimilarFeature from '../features/find-similar.js';
+import { SimilarCodeFinder } from '../features/find-similar.js';
+
+describe('SimilarCodeFinder', () => {
+  let workspace;
+  let finder;
+  let embedCalls;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/orders.js': [
+        'export function retryFetchOrders(client) {',
+        '  return withRetry(() => client.fetch("orders"), { attempts: 3, backoff: 200 });',
+        '}',
+        '',
+        '// ------------------------------------------------------------',
+        ...Array.from({ length: 30 }, (_, i) => `const orderColumn${i} = "column_${i}";`)
+      ].join('\n'),
+      'src/invoices.js': 'export function retryFetchInvoices(client) {\n  return withRetry(() => client.fetch("invoices"), { attempts: 3, backoff: 200 });\n}\n',
+      'src/theme.css': '.button {\n  color: rebeccapurple;\n  border-radius: 4px;\n}\n'
+    }, { chunkingMode: 'line', chunkSize: 5, chunkOverlap: 0 });
+    await workspace.indexer.indexAll(false);
+
+    embedCalls = 0;
+    const countingEmbedder = async (...args) => {
+      embedCalls++;
+      return workspace.embedder(...args);
+    };
+    finder = new SimilarCodeFinder(countingEmbedder, workspace.cache, workspace.config, workspace.hybridSearch);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should find similar code without calling the model for indexed regions', async () => {
+    embedCalls = 0;
+    const { source, results } = await finder.findSimilar('src/orders.js', { startLine: 1, endLine: 3, maxResults: 2 });
+
+    expect(embedCalls).toBe(0);
+    expect(source.fromIndex).toBe(true);
+    expect(results[0].file).toBe(path.join(workspace.dir, 'src/invoices.js'));
+  });
+
+  it('should exclude the source region but keep the rest of the file', async () => {
+    const { results } = await finder.findSimilar(path.join(workspace.dir, 'src/orders.js'), { startLine: 1, endLine: 3, maxResults: 10 });
+
+    const sameFile = results.filter(r => r.file.endsWith('orders.js'));
+    expect(sameFile.length).toBeGreaterThan(0);
+    for (const r of sameFile) {
+      expect(r.startLine).toBeGreaterThan(3);
+    }
+  });
+
+  it('should embed regions that are not indexed', async () => {
+    await fs.writeFile(
+      path.join(workspace.dir, 'src/payments.js'),
+      'export function retryFetchPayments(client) {\n  return withRetry(() => client.fetch("payments"), { attempts: 3 });\n}\n'
+    );
+
+    embedCalls = 0;
+    const { source, results } = await finder.findSimilar('src/payments.js', { maxResults: 1 });
+
+    expect(embedCalls).toBe(1);
+    expect(source.fromIndex).toBe(false);
+    expect(results[0].file).toMatch(/(orders|invoices)\.js$/);
+  });
+
+  it('should keep scores of opposite vectors at 0', async () => {
+    const source = workspace.cache.getFileChunks(path.join(workspace.dir, 'src/invoices.js'))[0];
+    const opposite = { file: path.join(workspace.dir, 'src/elsewhere.js'), startLine: 1, endLine: 3, content: 'x', vector: source.vector.map(v => -v) };
+    const stubSearch = { getVectorCandidates: () => [opposite], attachSymbols: results => results };
+    const oppositeFinder = new SimilarCodeFinder(workspace.embedder, workspace.cache, workspace.config, stubSearch);
+
+    const { results } = await oppositeFinder.findSimilar('src/invoices.js', { maxResults: 1 });
+
+    expect(results[0].score).toBe(0);
+    expect(results[0].semanticScore).toBeLessThan(0);
+  });
+
+  it('should apply search filters', async () => {
+    const { results } = await finder.findSimilar('src/orders.js', {
+      startLine: 1,
+      endLine: 3,
+      filters: { languages: ['css'] }
+    });
+    expect(results.map(r => path.basename(r.file))).toEqual(['theme.css']);
+  });
+
+  describe('Tool Handler', () => {
+    it('should have correct tool definition', () => {
+      const toolDef = FindSimilarFeature.getToolDefinition(workspace.config);
+
+      expect(toolDef.name).toBe('g_find_similar_code');
+      expect(toolDef.inputSchema.required).toEqual(['file']);
+      expect(toolDef.inputSchema.properties.startLine.type).toBe('number');
+      expect(toolDef.inputSchema.properties.excludeTests).toBeDefined();
+    });
+
+    it('should return Markdown and structured results', async () => {
+      const request = createMockRequest('g_find_similar_code', { file: 'src/orders.js', startLine: 1, endLine: 3, maxResults: 1 });
+      const result = await FindSimilarFeature.handleToolCall(request, finder);
+
+      expect(result.content[0].text).toContain('Code similar to `src/orders.js` lines 1-3');
+      expect(result.structuredContent.source).toMatchObject({ file: 'src/orders.js', fromIndex: true });
+      expect(result.structuredContent.results[0].file).toBe('src/invoices.js');
+    });
+
+    it('should report missing files as an error', async () => {
+      const request = createMockRequest('g_find_similar_code', { file: 'src/missing.js' });
+      const result = await FindSimilarFeature.handleToolCall(request, finder);
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('File not found: src/missing.js');
+    });
+
+    it('should reject paths outside the workspace', async () => {
+      for (const file of ['../outside.js', '/etc/passwd', path.join(path.dirname(workspace.dir), 'other.js')]) {
+        const result = await FindSimilarFeature.handleToolCall(createMockRequest('g_find_similar_code', { file }), finder);
+
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toContain('Path is outside the workspace');
+      }
+    });
+  });
+});
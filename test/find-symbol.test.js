@@ -0,0 +1,124 @@
+/**
+ * Tests for the find symbol feature
+ *
+ * Tests symbol lookup over an indexed workspace:
+ * - Symbol extraction during indexing
+ * - Exact, qualified, prefix and fuzzy lookup
+ * - Suggestions for unknown names
+ * - Tool definition and structured output
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { createMockRequest, createTempWorkspace } from './helpers.js';
+import * as FindSymbolFeature from '../features/find-symbol.js';
+import { SymbolFinder } from '../features/find-symbol.js';
+
+describe('SymbolFinder', () => {
+  let workspace;
+  let finder;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/session.js': [
+        'export class SessionStore {',
+        '  async loadSession(id) {',
+        '    return this.db.get(id);',
+        '  }',
+        '',
+        '  saveSession(session) {',
+        '    this.db.put(session.id, session);',
+        '  }',
+        '}'
+      ].join('\n'),
+      'src/auth.py': 'def load_user(token):\n    return decode(token)\n'
+    });
+    await workspace.indexer.indexAll(false);
+    finder = new SymbolFinder(workspace.cache, workspace.config);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should find definitions extracted during indexing', () => {
+    const { symbols } = finder.findSymbol('loadSession');
+
+    expect(symbols).toHaveLength(1);
+    expect(symbols[0]).toMatchObject({
+      kind: 'method',
+      parent: 'SessionStore',
+      file: path.join(workspace.dir, 'src/session.js'),
+      startLine: 2,
+      endLine: 4
+    });
+  });
+
+  it('should support qualified, prefix and fuzzy lookup', () => {
+    expect(finder.findSymbol('SessionStore.saveSession').symbols[0].startLine).toBe(6);
+    expect(finder.findSymbol('load', { match: 'prefix' }).symbols.map(s => s.name).sort())
+      .toEqual(['loadSession', 'load_user']);
+    expect(finder.findSymbol('sessionstor', { match: 'fuzzy' }).symbols[0].name).toBe('SessionStore');
+    expect(finder.findSymbol('load', { match: 'prefix', kind: 'function' }).symbols.map(s => s.name))
+      .toEqual(['load_user']);
+  });
+
+  it('should suggest fuzzy matches when an exact lookup fails', () => {
+    const { symbols, suggestions } = finder.findSymbol('loadSesion');
+
+    expect(symbols).toEqual([]);
+    expect(suggestions[0].name).toBe('loadSession');
+  });
+
+  it('should update symbols when a file changes', async () => {
+    const file = path.join(workspace.dir, 'src/auth.py');
+    await fs.writeFile(file, 'def load_account(token):\n    return decode(token)\n');
+    await workspace.indexer.indexFile(file);
+
+    expect(finder.findSymbol('load_user').symbols).toEqual([]);
+    expect(finder.findSymbol('load_account').symbols).toHaveLength(1);
+  });
+
+  it('should backfill symbols for files indexed before the symbol index existed', async () => {
+    workspace.cache.db.exec('DELETE FROM symbols');
+    workspace.cache.setMeta('symbols_version', '0');
+
+    await workspace.indexer.indexAll(false);
+    expect(finder.findSymbol('SessionStore').symbols).toHaveLength(1);
+  });
+
+  describe('Tool Handler', () => {
+    it('should have correct tool definition', () => {
+      const toolDef = FindSymbolFeature.getToolDefinition(workspace.config);
+
+      expect(toolDef.name).toBe('h_find_symbol');
+      expect(toolDef.inputSchema.required).toEqual(['name']);
+      expect(toolDef.inputSchema.properties.match.enum).toEqual(['exact', 'prefix', 'fuzzy']);
+      expect(toolDef.outputSchema.required).toEqual(['name', 'match', 'symbols']);
+    });
+
+    it('should return Markdown and structured symbols', async () => {
+      const request = createMockRequest('h_find_symbol', { name: 'saveSession' });
+      const result = await FindSymbolFeature.handleToolCall(request, finder);
+
+      expect(result.content[0].text).toContain('`SessionStore.saveSession` (method) - `src/session.js` lines 6-8');
+      expect(result.structuredContent.symbols[0]).toMatchObject({
+        name: 'saveSession',
+        parent: 'SessionStore',
+        file: 'src/session.js',
+        signature: 'saveSession(session) {'
+      });
+    });
+
+    it('should offer suggestions and reject unknown match modes', async () => {
+      const missing = await FindSymbolFeature.handleToolCall(createMockRequest('h_find_symbol', { name: 'SessionStor' }), finder);
+      expect(missing.content[0].text).toContain('Did you mean');
+      expect(missing.structuredContent.suggestions[0].name).toBe('SessionStore');
+
+      const invalid = await FindSymbolFeature.handleToolCall(createMockRequest('h_find_symbol', { name: 'x', match: 'regex' }), finder);
+      expect(invalid.isError).toBe(true);
+      expect(invalid.content[0].text).toContain('Unknown match mode "regex"');
+    });
+  });
+});
@@ -0,0 +1,466 @@
+/**
+ * Tests for the local git integration
+ *
+ * Tests reading history from a local repository:
+ * - Last commit time and commit count per file, scoped to the workspace
+ * - Soft failure outside a repository
+ * - Latest commit for a line range (git blame), and range errors past the end of the file
+ * - Commits with messages and diff hunks, incrementally and with limits
+ * - Activity recorded by the indexer (git history, mtime fallback), re-read when HEAD moves
+ * - Uncommitted changes counted from their mtime until committed or reverted
+ * - Files changed since a commit and in the working tree
+ * - Incremental indexAll that only checks files changed since the last run
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  readFileHistory,
+  blameRange,
+  readCommits,
+  readHead,
+  isAncestorOfHead,
+  readChangedFiles,
+  readWorkingTreeChanges,
+  readTrackedFiles,
+  HUNK_MAX_LINES
+} from '../lib/git.js';
+import { createTempWorkspace } from './helpers.js';
+
+const DAY = 24 * 60 * 60;
+const BASE_TIME = 1700000000;
+
+function git(dir, args, time = BASE_TIME, author = 'Test') {
+  const date = `${time} +0000`;
+  execFileSync('git', ['-c', `user.name=${author}`, '-c', 'user.email=test@example.com', ...args], {
+    cwd: dir,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+async function commit(dir, files, time, { author, message = 'change' } = {}) {
+  for (const [relPath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, relPath)), { recursive: true });
+    await fs.writeFile(path.join(dir, relPath), content);
+  }
+  git(dir, ['add', ...Object.keys(files)]);
+  git(dir, ['commit', '-m', message], time, author);
+}
+
+describe('Git File History', () => {
+  let repo;
+
+  beforeAll(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-git-'));
+    git(repo, ['init', '-q']);
+    await commit(repo, { 'app/legacy.js': 'v1', 'app/core.js': 'v1', 'docs/readme.md': 'v1' }, BASE_TIME);
+    await commit(repo, { 'app/core.js': 'v2' }, BASE_TIME + 10 * DAY);
+    await commit(repo, { 'app/core.js': 'v3', 'docs/readme.md': 'v2' }, BASE_TIME + 20 * DAY);
+  });
+
+  afterAll(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('should report last commit time and commit count per file', async () => {
+    const history = await readFileHistory(repo);
+
+    expect(history.truncated).toBe(false);
+    expect(history.files.get(path.join(repo, 'app/core.js'))).toEqual({
+      lastCommitAt: (BASE_TIME + 20 * DAY) * 1000,
+      commitCount: 3
+    });
+    expect(history.files.get(path.join(repo, 'app/legacy.js'))).toEqual({
+      lastCommitAt: BASE_TIME * 1000,
+      commitCount: 1
+    });
+  });
+
+  it('should only read history below the given directory', async () => {
+    const history = await readFileHistory(path.join(repo, 'app'));
+
+    expect([...history.files.keys()].sort()).toEqual([
+      path.join(repo, 'app', 'core.js'),
+      path.join(repo, 'app', 'legacy.js')
+    ]);
+  });
+
+  it('should mark history cut off at maxCommits', async () => {
+    const history = await readFileHistory(repo, { maxCommits: 2 });
+
+    expect(history.truncated).toBe(true);
+    expect(history.oldestCommitAt).toBe((BASE_TIME + 10 * DAY) * 1000);
+    expect(history.files.has(path.join(repo, 'app/legacy.js'))).toBe(false);
+  });
+
+  it('should return null outside a repository', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-nogit-'));
+    try {
+      expect(await readFileHistory(dir)).toBeNull();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Git Blame', () => {
+  let repo;
+  let file;
+
+  beforeAll(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-blame-'));
+    file = path.join(repo, 'src', 'pricing.js');
+    git(repo, ['init', '-q']);
+    await commit(repo, { 'src/pricing.js': 'a\nb\nc\nd\n' }, BASE_TIME, { author: 'Alice', message: 'Add pricing' });
+    await commit(repo, { 'src/pricing.js': 'a\nb\nC\nd\n' }, BASE_TIME + DAY, { author: 'Bob', message: 'Fix rounding\n\nDetails' });
+  });
+
+  afterAll(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('should return the latest commit touching the range', async () => {
+    expect(await blameRange(file, 1, 2)).toMatchObject({ author: 'Alice', message: 'Add pricing', date: BASE_TIME * 1000 });
+
+    const blame = await blameRange(file, 1, 4);
+    expect(blame).toMatchObject({
+      author: 'Bob',
+      email: 'test@example.com',
+      message: 'Fix rounding',
+      date: (BASE_TIME + DAY) * 1000,
+      uncommittedLines: 0
+    });
+    expect(blame.hash).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  it('should count uncommitted lines', async () => {
+    await fs.writeFile(file, 'a\nb\nC\nD\n');
+    try {
+      expect(await blameRange(file, 3, 4)).toMatchObject({ author: 'Bob', uncommittedLines: 1 });
+      expect(await blameRange(file, 4, 4)).toMatchObject({ hash: null, author: null, uncommittedLines: 1 });
+    } finally {
+      await fs.writeFile(file, 'a\nb\nC\nd\n');
+    }
+  });
+
+  it('should return null for untracked files', async () => {
+    const untracked = path.join(repo, 'src', 'draft.js');
+    await fs.writeFile(untracked, 'x\n');
+    expect(await blameRange(untracked, 1, 1)).toBeNull();
+  });
+
+  it('should reject ranges past the end of the file', async () => {
+    await expect(blameRange(file, 3, 9)).rejects.toThrow(RangeError);
+    await expect(blameRange(file, 3, 9)).rejects.toThrow('Lines 3-9 are outside pricing.js (4 lines)');
+    // Chunks count the empty line after the final newline
+    expect(await blameRange(file, 4, 5)).toMatchObject({ author: 'Alice' });
+  });
+});
+
+describe('Git Commits', () => {
+  let repo;
+
+  async function collect(dir, options) {
+    const commits = [];
+    for await (const commit of readCommits(dir, options)) commits.push(commit);
+    return commits;
+  }
+
+  beforeAll(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-commits-'));
+    git(repo, ['init', '-q']);
+    await commit(repo, { 'src/cart.js': 'a\nb\nc\n', 'notes.bin': 'x' }, BASE_TIME, { author: 'Alice', message: 'Add cart' });
+    await commit(repo, { 'src/cart.js': 'a\nB\nc\n' }, BASE_TIME + DAY, { author: 'Bob', message: 'Fix cart total\n\nRounding was off by one cent.' });
+    const long = Array.from({ length: HUNK_MAX_LINES * 2 }, (_, i) => `line ${i}`).join('\n');
+    await commit(repo, { 'docs/big.md': long }, BASE_TIME + 2 * DAY, { message: 'Add docs' });
+  });
+
+  afterAll(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('should read commits oldest first with messages, files and hunks', async () => {
+    const commits = await collect(repo);
+
+    expect(commits.map(c => c.message)).toEqual(['Add cart', 'Fix cart total\n\nRounding was off by one cent.', 'Add docs']);
+    expect(commits[1]).toMatchObject({ author: 'Bob', email: 'test@example.com', date: (BASE_TIME + DAY) * 1000 });
+    expect(commits[1].hash).toMatch(/^[0-9a-f]{40}$/);
+    expect(commits[1].files).toEqual([path.join(repo, 'src/cart.js')]);
+    expect(commits[1].hunks).toEqual([{
+      file: path.join(repo, 'src/cart.js'),
+      startLine: 1,
+      content: '@@ -1,3 +1,3 @@\n a\n-b\n+B\n c'
+    }]);
+  });
+
+  it('should cut long hunks and keep only hunks of included files', async () => {
+    const commits = await collect(repo, { includeFile: file => file.endsWith('.js') || file.endsWith('.md') });
+
+    expect(commits[0].files).toHaveLength(2);
+    expect(commits[0].hunks.map(h => path.basename(h.file))).toEqual(['cart.js']);
+    expect(commits[2].hunks[0].content.split('\n')).toHaveLength(HUNK_MAX_LINES + 1);
+  });
+
+  it('should read only commits after a given one', async () => {
+    const [first] = await collect(repo, { maxCommits: 1 });
+    expect(first.message).toBe('Add docs');
+
+    const all = await collect(repo);
+    const newer = await collect(repo, { since: all[0].hash });
+    expect(newer.map(c => c.message)).toEqual(['Fix cart total\n\nRounding was off by one cent.', 'Add docs']);
+  });
+
+  it('should report HEAD and whether a commit is part of its history', async () => {
+    const all = await collect(repo);
+
+    expect(await readHead(repo)).toBe(all[2].hash);
+    expect(await isAncestorOfHead(repo, all[0].hash)).toBe(true);
+    expect(await isAncestorOfHead(repo, 'f'.repeat(40))).toBe(false);
+  });
+});
+
+describe('Indexed File Activity', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({ 'src/draft.js': 'export const draft = true;\n' });
+    git(workspace.dir, ['init', '-q']);
+    await commit(workspace.dir, { 'src/old.js': 'export const old = 1;\n' }, BASE_TIME);
+    await commit(workspace.dir, { 'src/old.js': 'export const old = 2;\n' }, BASE_TIME + DAY);
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should record git history for committed files and mtime for the rest', async () => {
+    const oldFile = path.join(workspace.dir, 'src/old.js');
+    const draftFile = path.join(workspace.dir, 'src/draft.js');
+    const activity = workspace.cache.getFileActivity([oldFile, draftFile]);
+
+    expect(activity.get(oldFile)).toEqual({ lastModified: (BASE_TIME + DAY) * 1000, commitCount: 2 });
+    expect(activity.get(draftFile).commitCount).toBeNull();
+    expect(activity.get(draftFile).lastModified).toBe(Math.round((await fs.stat(draftFile)).mtimeMs));
+  });
+
+  it('should only read git history again once HEAD moves', async () => {
+    const oldFile = path.join(workspace.dir, 'src/old.js');
+    const draftFile = path.join(workspace.dir, 'src/draft.js');
+    workspace.cache.setFileActivity([{ file: oldFile, lastModified: 1, commitCount: 99 }]);
+    const touched = new Date('2024-06-01T00:00:00Z');
+    await fs.utimes(draftFile, touched, touched);
+
+    await workspace.indexer.indexAll(false);
+    let activity = workspace.cache.getFileActivity([oldFile, draftFile]);
+    expect(activity.get(oldFile)).toEqual({ lastModified: 1, commitCount: 99 });
+    expect(activity.get(draftFile).lastModified).toBe(touched.getTime());
+
+    await commit(workspace.dir, { 'src/old.js': 'export const old = 3;\n' }, BASE_TIME + 2 * DAY);
+    await workspace.indexer.indexAll(false);
+    activity = workspace.cache.getFileActivity([oldFile]);
+    expect(activity.get(oldFile)).toEqual({ lastModified: (BASE_TIME + 2 * DAY) * 1000, commitCount: 3 });
+  });
+
+  it('should count uncommitted changes only until they are committed or reverted', async () => {
+    const oldFile = path.join(workspace.dir, 'src/old.js');
+    const committed = { lastModified: (BASE_TIME + 2 * DAY) * 1000, commitCount: 3 };
+    const mtime = async () => Math.round((await fs.stat(oldFile)).mtimeMs);
+
+    // Watcher path
+    await fs.writeFile(oldFile, 'export const old = 4;\n');
+    await workspace.indexer.indexFile(oldFile);
+    expect(workspace.cache.getFileActivity([oldFile]).get(oldFile)).toEqual({ lastModified: await mtime(), commitCount: 3 });
+
+    git(workspace.dir, ['checkout', '--', 'src/old.js']);
+    await workspace.indexer.indexAll(false);
+    expect(workspace.cache.getFileActivity([oldFile]).get(oldFile)).toEqual(committed);
+
+    await fs.writeFile(oldFile, 'export const old = 4;\n');
+    await workspace.indexer.indexAll(false);
+    expect(workspace.cache.getFileActivity([oldFile]).get(oldFile)).toEqual({ lastModified: await mtime(), commitCount: 3 });
+
+    await commit(workspace.dir, { 'src/old.js': 'export const old = 4;\n' }, BASE_TIME + 3 * DAY);
+    await workspace.indexer.indexAll(false);
+    expect(workspace.cache.getFileActivity([oldFile]).get(oldFile)).toEqual({ lastModified: (BASE_TIME + 3 * DAY) * 1000, commitCount: 4 });
+  });
+
+  it('should drop activity of removed files', async () => {
+    const draftFile = path.join(workspace.dir, 'src/draft.js');
+    await fs.rm(draftFile);
+    await workspace.indexer.indexAll(false);
+
+    expect(workspace.cache.getFileActivity([draftFile]).size).toBe(0);
+  });
+});
+
+describe('Git Changes', () => {
+  let repo;
+  let first;
+
+  beforeAll(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-git-'));
+    git(repo, ['init', '-q']);
+    await commit(repo, { '.gitignore': '*.log\n', 'app/a.js': 'v1', 'app/b.js': 'v1', 'docs/readme.md': 'v1' }, BASE_TIME);
+    first = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repo, encoding: 'utf-8' }).trim();
+    git(repo, ['mv', 'app/b.js', 'app/c.js']);
+    await commit(repo, { 'app/a.js': 'v2' }, BASE_TIME + DAY);
+  });
+
+  afterAll(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('should list files changed since a commit, with both sides of a rename', async () => {
+    const appDir = path.join(repo, 'app');
+    const changed = await readChangedFiles(appDir, first);
+
+    expect(changed.sort()).toEqual(['a.js', 'b.js', 'c.js'].map(name => path.join(appDir, name)));
+    expect(await readChangedFiles(repo, 'f'.repeat(40))).toBeNull();
+  });
+
+  it('should list tracked files differing from HEAD', async () => {
+    await fs.writeFile(path.join(repo, 'app/a.js'), 'v3');
+    await fs.writeFile(path.join(repo, 'app/new.js'), 'v1');
+    await fs.writeFile(path.join(repo, 'app/debug.log'), 'v1');
+
+    expect(await readWorkingTreeChanges(repo)).toEqual([path.join(repo, 'app/a.js')]);
+  });
+
+  it('should list tracked files under the directory', async () => {
+    const tracked = await readTrackedFiles(path.join(repo, 'app'));
+
+    expect([...tracked].sort()).toEqual([path.join(repo, 'app/a.js'), path.join(repo, 'app/c.js')]);
+  });
+
+  it('should return null outside a repository', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-nogit-'));
+    try {
+      expect(await readWorkingTreeChanges(dir)).toBeNull();
+      expect(await readTrackedFiles(dir)).toBeNull();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// A function long enough to be indexed as a chunk
+const source = (name, value) => `export function ${name}Value() {\n  return ${value} * 100 + ${value};\n}\n`;
+
+describe('Git Incremental Indexing', () => {
+  let workspace;
+  let checked;
+
+  const at = (relPath) => path.join(workspace.dir, relPath);
+  const relative = (files) => [...files].map(file => path.relative(workspace.dir, file).split(path.sep).join('/')).sort();
+  const indexedFiles = () => relative(workspace.cache.getAllFileHashes().keys());
+
+  // Index and report which files were looked at (stat'ed) by indexAll
+  const indexAll = async () => {
+    const statSpy = vi.spyOn(fs, 'stat');
+    try {
+      await workspace.indexer.indexAll(false);
+      return relative(new Set(statSpy.mock.calls.map(([file]) => file).filter(file => file.startsWith(workspace.dir))));
+    } finally {
+      statSpy.mockRestore();
+    }
+  };
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      '.gitignore': 'generated/\n',
+      '.smartcodingignore': '!generated/\n'
+    });
+    git(workspace.dir, ['init', '-q']);
+    await commit(workspace.dir, {
+      'src/a.js': source('a', 1),
+      'src/b.js': source('b', 1),
+      'src/c.js': source('c', 1)
+    }, BASE_TIME);
+    await fs.mkdir(at('generated'));
+    await fs.writeFile(at('generated/api.js'), source('api', 1));
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should only check untracked files when nothing changed', async () => {
+    checked = await indexAll();
+
+    expect(checked).toEqual(['generated/api.js']);
+  });
+
+  it('should check files changed by a branch switch, including renames', async () => {
+    git(workspace.dir, ['checkout', '-q', '-b', 'feature']);
+    git(workspace.dir, ['mv', 'src/c.js', 'src/renamed.js']);
+    await commit(workspace.dir, { 'src/b.js': source('b', 2), 'src/d.js': source('d', 1) }, BASE_TIME + DAY);
+
+    checked = await indexAll();
+
+    expect(checked).toEqual(['generated/api.js', 'src/b.js', 'src/d.js', 'src/renamed.js']);
+    expect(indexedFiles()).toEqual(['generated/api.js', 'src/a.js', 'src/b.js', 'src/d.js', 'src/renamed.js']);
+
+    git(workspace.dir, ['checkout', '-q', '-']);
+    checked = await indexAll();
+
+    expect(checked).toEqual(['generated/api.js', 'src/b.js', 'src/c.js']);
+    expect(indexedFiles()).toEqual(['generated/api.js', 'src/a.js', 'src/b.js', 'src/c.js']);
+  });
+
+  it('should recheck uncommitted edits after they are reverted', async () => {
+    const original = await fs.readFile(at('src/a.js'), 'utf-8');
+    await fs.writeFile(at('src/a.js'), source('edited', 1));
+    checked = await indexAll();
+
+    expect(checked).toContain('src/a.js');
+    const editedHash = workspace.cache.getFileHash(at('src/a.js'));
+
+    git(workspace.dir, ['checkout', '--', 'src/a.js']);
+    checked = await indexAll();
+
+    expect(checked).toContain('src/a.js');
+    expect(workspace.cache.getFileHash(at('src/a.js'))).not.toBe(editedHash);
+    expect(await fs.readFile(at('src/a.js'), 'utf-8')).toBe(original);
+
+    checked = await indexAll();
+    expect(checked).not.toContain('src/a.js');
+  });
+
+  it('should pick up edits to untracked files', async () => {
+    const before = workspace.cache.getFileHash(at('generated/api.js'));
+    await fs.writeFile(at('generated/api.js'), source('api', 2));
+    await indexAll();
+
+    expect(workspace.cache.getFileHash(at('generated/api.js'))).not.toBe(before);
+  });
+
+  it('should check every file when the last indexed commit is gone', async () => {
+    const state = JSON.parse(workspace.cache.getMeta('index_git_state'));
+    workspace.cache.setMeta('index_git_state', JSON.stringify({ ...state, head: 'f'.repeat(40) }));
+    const logSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    checked = await indexAll();
+
+    expect(checked).toEqual(['generated/api.js', 'src/a.js', 'src/b.js', 'src/c.js']);
+    expect(logSpy.mock.calls.some(([message]) => String(message).includes('no longer exists'))).toBe(true);
+  });
+
+  it('should check every file when the chunking mode changed', async () => {
+    const state = JSON.parse(workspace.cache.getMeta('index_git_state'));
+    workspace.cache.setMeta('index_git_state', JSON.stringify({ ...state, chunkingMode: 'other' }));
+
+    checked = await indexAll();
+
+    expect(checked).toEqual(['generated/api.js', 'src/a.js', 'src/b.js', 'src/c.js']);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for .gitignore matching
+ *
+ * Tests the ignore rules applied to discovery, watching and pruning:
+ * - Pattern semantics (anchoring, directory-only, "**", negation, escapes)
+ * - Nested .gitignore files, parent ignore files and .smartcodingignore
+ * - Ignored directories cannot have files re-included
+ * - discoverFiles and indexAll pruning
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTempWorkspace } from './helpers.js';
+import { parseIgnoreRules, createIgnoreMatcher } from '../lib/gitignore.js';
+
+function matches(pattern, relPath) {
+  const [rule] = parseIgnoreRules(pattern);
+  return rule.regex.test(relPath);
+}
+
+describe('Gitignore', () => {
+  describe('Pattern Semantics', () => {
+    it('should match names without a slash at any depth', () => {
+      expect(matches('*.log', 'debug.log')).toBe(true);
+      expect(matches('*.log', 'logs/app/debug.log')).toBe(true);
+      expect(matches('tmp', 'src/tmp')).toBe(true);
+    });
+
+    it('should anchor patterns with a leading or inner slash', () => {
+      expect(matches('/build', 'build')).toBe(true);
+      expect(matches('/build', 'src/build')).toBe(false);
+      expect(matches('docs/*.md', 'docs/intro.md')).toBe(true);
+      expect(matches('docs/*.md', 'api/docs/intro.md')).toBe(false);
+      expect(matches('docs/*.md', 'docs/guides/intro.md')).toBe(false);
+    });
+
+    it('should handle "**" at the start, middle and end', () => {
+      expect(matches('**/cache', 'a/b/cache')).toBe(true);
+      expect(matches('a/**/b', 'a/b')).toBe(true);
+      expect(matches('a/**/b', 'a/x/y/b')).toBe(true);
+      expect(matches('out/**', 'out/x/y.js')).toBe(true);
+      expect(matches('out/**', 'out')).toBe(false);
+    });
+
+    it('should parse negation, directory-only rules, classes and escapes', () => {
+      const rules = parseIgnoreRules('# comment\n\n!keep.log\ndist/\n\\#notes\n\\!bang\nfile[0-9].txt\ntrailing\\ \n');
+
+      expect(rules.map(r => [r.negate, r.dirOnly])).toEqual([
+        [true, false], [false, true], [false, false], [false, false], [false, false], [false, false]
+      ]);
+      expect(rules[2].regex.test('#notes')).toBe(true);
+      expect(rules[3].regex.test('!bang')).toBe(true);
+      expect(rules[4].regex.test('file7.txt')).toBe(true);
+      expect(rules[4].regex.test('filex.txt')).toBe(false);
+      expect(rules[5].regex.test('trailing ')).toBe(true);
+    });
+  });
+
+  describe('Matcher', () => {
+    let repo;
+    let matcher;
+
+    beforeAll(async () => {
+      repo = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-ignore-'));
+      const files = {
+        '.git/HEAD': 'ref: refs/heads/main\n',
+        '.gitignore': '*.log\n/generated/\nbuild/\n!important.log\nsecret/\n!**/secret/keep.js\n',
+        'app/.gitignore': 'local/\n!debug.log\n/only-here.js\n',
+        'app/.smartcodingignore': 'fixtures/\n!build/\n'
+      };
+      for (const [relPath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(repo, relPath)), { recursive: true });
+        await fs.writeFile(path.join(repo, relPath), content);
+      }
+      matcher = createIgnoreMatcher(path.join(repo, 'app'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(repo, { recursive: true, force: true });
+    });
+
+    const inApp = (relPath) => path.join(repo, 'app', relPath);
+
+    it('should apply parent and nested rules with the deepest file winning', () => {
+      expect(matcher.isIgnored(inApp('trace.log'), false)).toBe(true);
+      expect(matcher.isIgnored(inApp('important.log'), false)).toBe(false);
+      expect(matcher.isIgnored(inApp('debug.log'), false)).toBe(false);
+      expect(matcher.isIgnored(inApp('src/local/x.js'), false)).toBe(true);
+      expect(matcher.isIgnored(inApp('only-here.js'), false)).toBe(true);
+      expect(matcher.isIgnored(inApp('src/only-here.js'), false)).toBe(false);
+    });
+
+    it('should scope anchored parent rules to their own directory', () => {
+      expect(matcher.isIgnored(inApp('generated/api.js'), false)).toBe(false);
+    });
+
+    it('should let .smartcodingignore add and re-include paths', () => {
+      expect(matcher.isIgnored(inApp('fixtures/data.js'), false)).toBe(true);
+      expect(matcher.isIgnored(inApp('build'), true)).toBe(false);
+      expect(matcher.isIgnored(inApp('src/build'), true)).toBe(false);
+    });
+
+    it('should not re-include files inside an ignored directory', () => {
+      expect(matcher.isIgnored(inApp('secret'), true)).toBe(true);
+      expect(matcher.isIgnored(inApp('secret/keep.js'), false)).toBe(true);
+    });
+
+    it('should ignore nothing outside the workspace', () => {
+      expect(matcher.isIgnored(path.join(repo, 'other.log'), false)).toBe(false);
+      expect(matcher.isIgnored(inApp(''), true)).toBe(false);
+    });
+
+    it('should re-read ignore files after clear()', async () => {
+      const file = inApp('notes.txt');
+      expect(matcher.isIgnored(file, false)).toBe(false);
+
+      await fs.appendFile(path.join(repo, 'app/.smartcodingignore'), 'notes.txt\n');
+      expect(matcher.isIgnored(file, false)).toBe(false);
+      matcher.clear();
+      expect(matcher.isIgnored(file, false)).toBe(true);
+    });
+  });
+
+  describe('Indexer', () => {
+    let workspace;
+
+    beforeAll(async () => {
+      workspace = await createTempWorkspace({
+        '.gitignore': 'scratch/\n*.gen.js\n!keep.gen.js\n',
+        '.smartcodingignore': 'vendor-copy/\n',
+        'src/app.js': 'export const app = 1;\n',
+        'src/api.gen.js': 'export const generated = 1;\n',
+        'src/keep.gen.js': 'export const kept = 1;\n',
+        'scratch/try.js': 'export const scratch = 1;\n',
+        'vendor-copy/lib.js': 'export const vendored = 1;\n',
+        'packages/web/.gitignore': '/public/\n',
+        'packages/web/index.js': 'export const web = 1;\n',
+        'packages/web/public/bundle.js': 'export const bundle = 1;\n'
+      });
+    });
+
+    afterAll(async () => {
+      await workspace.cleanup();
+    });
+
+    const relative = (files) => files.map(file => path.relative(workspace.dir, file).split(path.sep).join('/')).sort();
+
+    it('should skip ignored files and directories in discoverFiles', async () => {
+      const files = await workspace.indexer.discoverFiles();
+
+      expect(relative(files)).toEqual(['packages/web/index.js', 'src/app.js', 'src/keep.gen.js']);
+    });
+
+    it('should prune files that become ignored on the next indexAll', async () => {
+      await workspace.indexer.indexAll(false);
+      expect(relative([...workspace.cache.getAllFileHashes().keys()])).toContain('src/app.js');
+
+      await fs.appendFile(path.join(workspace.dir, '.gitignore'), 'src/app.js\n');
+      await workspace.indexer.indexAll(false);
+
+      expect(relative([...workspace.cache.getAllFileHashes().keys()])).toEqual(['packages/web/index.js', 'src/keep.gen.js']);
+    });
+  });
+});
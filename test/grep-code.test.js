@@ -0,0 +1,105 @@
+/**
+ * Tests for the grep code feature
+ *
+ * Tests exact search over the indexer's file selection:
+ * - Literal and regex patterns, case and whole-word options
+ * - Excluded directories and file filters
+ * - Context lines and result limits
+ * - Tool definition and error handling
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import path from 'path';
+import { createMockRequest, createTempWorkspace } from './helpers.js';
+import * as GrepCodeFeature from '../features/grep-code.js';
+import { CodeGrep } from '../features/grep-code.js';
+
+describe('CodeGrep', () => {
+  let workspace;
+  let codeGrep;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/retry.js': [
+        'const MAX_RETRIES = 3;',
+        '',
+        'export function retry(fn) {',
+        '  // TODO: add backoff',
+        '  return fn();',
+        '}',
+        '',
+        'export const retryCount = MAX_RETRIES;'
+      ].join('\n'),
+      'src/retry.test.js': 'test("retry", () => retry(() => 1));\n',
+      'lib/notes.py': '# todo: port retry helpers\n',
+      'node_modules/pkg/index.js': 'export function retry() {}\n'
+    });
+    codeGrep = new CodeGrep(workspace.config);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  const locations = matches => matches.map(m => `${path.relative(workspace.dir, m.file)}:${m.line}`);
+
+  it('should search literally and skip excluded directories', async () => {
+    const { matches, filesSearched } = await codeGrep.grep('retry(');
+
+    expect(locations(matches)).toEqual(['src/retry.js:3', 'src/retry.test.js:1']);
+    expect(matches[0].column).toBe(17);
+    expect(filesSearched).toBe(3);
+  });
+
+  it('should support regex, case sensitivity and whole words', async () => {
+    expect(locations((await codeGrep.grep('todo')).matches)).toEqual(['lib/notes.py:1', 'src/retry.js:4']);
+    expect(locations((await codeGrep.grep('todo', { caseSensitive: true })).matches)).toEqual(['lib/notes.py:1']);
+    expect(locations((await codeGrep.grep('MAX_\\w+ =', { regex: true })).matches)).toEqual(['src/retry.js:1']);
+    expect(locations((await codeGrep.grep('retry', { wholeWord: true, filters: { excludeTests: true } })).matches))
+      .toEqual(['lib/notes.py:1', 'src/retry.js:3']);
+  });
+
+  it('should include context lines and stop at maxResults', async () => {
+    const { matches } = await codeGrep.grep('TODO', { caseSensitive: true, contextLines: 1 });
+    expect(matches[0].before).toEqual(['export function retry(fn) {']);
+    expect(matches[0].after).toEqual(['  return fn();']);
+
+    const limited = await codeGrep.grep('retry', { maxResults: 2 });
+    expect(limited.matches).toHaveLength(2);
+    expect(limited.truncated).toBe(true);
+  });
+
+  it('should reject invalid regular expressions', async () => {
+    await expect(codeGrep.grep('retry(', { regex: true })).rejects.toThrow('Invalid regular expression');
+  });
+
+  describe('Tool Handler', () => {
+    it('should have correct tool definition', () => {
+      const toolDef = GrepCodeFeature.getToolDefinition(workspace.config);
+
+      expect(toolDef.name).toBe('i_grep_code');
+      expect(toolDef.inputSchema.required).toEqual(['pattern']);
+      expect(toolDef.inputSchema.properties.languages).toBeDefined();
+      expect(toolDef.outputSchema.required).toContain('matches');
+    });
+
+    it('should return grep-style text and structured matches', async () => {
+      const request = createMockRequest('i_grep_code', { pattern: 'retry', wholeWord: true, contextLines: 1, languages: ['javascript'], excludeTests: true });
+      const result = await GrepCodeFeature.handleToolCall(request, codeGrep);
+
+      const text = result.content[0].text;
+      expect(text).toContain('**File:** `src/retry.js`');
+      expect(text).toContain('2- \n3: export function retry(fn) {\n4-   // TODO: add backoff');
+      expect(result.structuredContent.matches[0]).toMatchObject({ file: 'src/retry.js', line: 3 });
+      expect(result.structuredContent.truncated).toBe(false);
+    });
+
+    it('should report errors', async () => {
+      const request = createMockRequest('i_grep_code', { pattern: '' });
+      const result = await GrepCodeFeature.handleToolCall(request, codeGrep);
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Pattern must not be empty');
+    });
+  });
+});
@@ -3,13 +3,15 @@
  * Provides shared setup, teardown, and mock utilities
  */
 
-import { loadConfig } from '../lib/config.js';
+import { loadConfig, DEFAULT_CONFIG } from '../lib/config.js';
 import { EmbeddingsCache } from '../lib/cache.js';
+import { SQLiteCache } from '../lib/sqlite-cache.js';
 import { CodebaseIndexer } from '../features/index-codebase.js';
 import { CacheClearer } from '../features/clear-cache.js';
 import { HybridSearch } from '../features/hybrid-search.js';
 import { createEmbedder } from '../lib/mrl-embedder.js';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 
 // Cached embedder instance (shared across tests for speed)
@@ -126,3 +128,75 @@ export async function measureTime(fn) {
   const duration = Date.now() - start;
   return { result, duration };
 }
+
+/**
+ * Create a deterministic bag-of-words embedder for tests that don't need the model
+ * Words are hashed into buckets, so texts sharing words have similar vectors
+ * @param {number} dimension - Output vector dimension
+ * @returns {Function} Embedder compatible with embedder(text, options)
+ */
+export function createStubEmbedder(dimension = 64) {
+  async function embed(text) {
+    const data = new Float32Array(dimension);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let h = 0;
+      for (let i = 0; i < word.length; i++) {
+        h = (h * 31 + word.charCodeAt(i)) >>> 0;
+      }
+      data[h % dimension] += 1;
+    }
+    const norm = Math.sqrt(data.reduce((sum, v) => sum + v * v, 0)) || 1;
+    for (let i = 0; i < dimension; i++) data[i] /= norm;
+    return { data };
+  }
+
+  embed.modelName = 'stub-embedder';
+  embed.dimension = dimension;
+  embed.device = 'cpu';
+  return embed;
+}
+
+/**
+ * Create a temporary workspace with the given files and an SQLite-backed indexer
+ * @param {Object<string, string>} files - Map of relative path to file content
+ * @param {Object} overrides - Config overrides
+ * @returns {Object} Workspace components plus a cleanup() function
+ */
+export async function createTempWorkspace(files = {}, overrides = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-workspace-'));
+
+  for (const [relPath, content] of Object.entries(files)) {
+    const fullPath = path.join(dir, relPath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, content);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    searchDirectory: dir,
+    cacheDirectory: path.join(dir, '.smart-coding-cache'),
+    verbose: false,
+    ...overrides
+  };
+
+  const embedder = createStubEmbedder();
+  const cache = new SQLiteCache(config);
+  await cache.load();
+
+  const indexer = new CodebaseIndexer(embedder, cache, config, null);
+  const hybridSearch = new HybridSearch(embedder, cache, config, indexer);
+
+  return {
+    dir,
+    config,
+    embedder,
+    cache,
+    indexer,
+    hybridSearch,
+    async cleanup() {
+      indexer.terminateWorkers();
+      cache.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -7,17 +7,32 @@
  * - Result formatting
  * - Empty index handling
  * - Score calculation
+ * - BM25 lexical scoring from the SQLite FTS index
+ * - File filters (paths, languages, tests) and query operators
+ * - Merging of overlapping and adjacent chunks
+ * - Structured tool output and enclosing symbols
+ * - Normalized scores, explain mode and minScore
+ * - Context expansion to enclosing code or surrounding lines
+ * - Token-budgeted result packing
+ * - Approximate (ANN) candidate retrieval
+ * - Quantized first pass with full-precision rescoring
+ * - Recency boost from file activity
+ * - Git blame and CODEOWNERS annotations and owner filtering, and blame range errors
  */
 
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import path from 'path';
+import { execFileSync } from 'child_process';
 import { 
   createTestFixtures, 
   cleanupFixtures, 
   clearTestCache,
-  createMockRequest 
+  createMockRequest,
+  createTempWorkspace
 } from './helpers.js';
 import * as HybridSearchFeature from '../features/hybrid-search.js';
 import { HybridSearch } from '../features/hybrid-search.js';
+import { mergeAdjacentResults } from '../lib/utils.js';
 
 describe('HybridSearch', () => {
   let fixtures;
@@ -241,3 +256,635 @@ describe('Hybrid Search Tool Handler', () => {
     });
   });
 });
+
+describe('Lexical Scoring', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/session.js': 'export function refreshSessionToken(session) {\n  return session.renew();\n}\n',
+      'src/user.js': 'export function loadUserProfile(user) {\n  return fetchProfile(user.id);\n}\n',
+      'src/widget.js': 'export function renderWidget(widget) {\n  return widget.draw();\n}\n',
+      'py/repo.py': 'def get_user_by_id(session, user_id):\n    return session.query(User).get(user_id)\n',
+      'src/accounts.js': 'export async function getAccountByEmail(email) {\n  return db.accounts.findOne({ email });\n}\n'
+    });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should rank the chunk containing a rare identifier first', async () => {
+    const { results } = await workspace.hybridSearch.search('refreshSessionToken', 3);
+    expect(path.basename(results[0].file)).toBe('session.js');
+  });
+
+  it('should use the FTS index instead of scanning content', async () => {
+    const scorer = workspace.hybridSearch.createLexicalScorer('loadUserProfile');
+    const store = workspace.cache.getVectorStore();
+    const user = store.find(c => c.file.endsWith('user.js'));
+    const widget = store.find(c => c.file.endsWith('widget.js'));
+
+    expect(scorer(user)).toEqual({ lexicalScore: 1, exactMatch: true });
+    expect(scorer(widget)).toEqual({ lexicalScore: 0, exactMatch: false });
+  });
+
+  it('should match split identifier words lexically', async () => {
+    const scorer = workspace.hybridSearch.createLexicalScorer('account by email');
+    const accounts = workspace.cache.getVectorStore().find(c => c.file.endsWith('accounts.js'));
+
+    expect(scorer(accounts).lexicalScore).toBe(1);
+    expect(scorer(accounts).exactMatch).toBe(true);
+  });
+
+  it('should match identifiers across naming styles', async () => {
+    const { results } = await workspace.hybridSearch.search('getUserById', 3);
+    expect(path.basename(results[0].file)).toBe('repo.py');
+  });
+
+  it('should score partial and misspelled identifiers with the trigram index', async () => {
+    const store = workspace.cache.getVectorStore();
+    const session = store.find(c => c.file.endsWith('session.js'));
+    const widget = store.find(c => c.file.endsWith('widget.js'));
+
+    const partial = workspace.hybridSearch.createLexicalScorer('refreshSessionTok');
+    expect(partial(session).lexicalScore).toBe(1);
+    expect(partial(widget).lexicalScore).toBe(0);
+
+    const typo = workspace.hybridSearch.createLexicalScorer('renderWidgt');
+    expect(typo(widget).lexicalScore).toBeGreaterThan(0.5);
+    expect(typo(session).lexicalScore).toBe(0);
+
+    const { results } = await workspace.hybridSearch.search('loadUserProfle', 3);
+    expect(path.basename(results[0].file)).toBe('user.js');
+  });
+
+  it('should split identifiers when falling back to substring matching', () => {
+    const store = workspace.cache.getVectorStore();
+    const legacySearch = new HybridSearch(workspace.embedder, { getVectorStore: () => store }, workspace.config);
+    const scorer = legacySearch.createLexicalScorer('user by id');
+    const repo = store.find(c => c.file.endsWith('repo.py'));
+
+    expect(scorer(repo).lexicalScore).toBe(1);
+  });
+});
+
+describe('Search Filters', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'packages/api/auth.js': 'export function validateToken(token) {\n  return verifySignature(token);\n}\n',
+      'packages/web/auth.js': 'export function validateToken(token) {\n  return token.length > 0;\n}\n',
+      'packages/api/auth.test.js': 'test("validateToken", () => {\n  expect(validateToken("x")).toBe(true);\n});\n',
+      'scripts/auth.py': 'def validate_token(token):\n    return verify_signature(token)\n'
+    });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  const relFiles = (results) => results.map(r => path.relative(workspace.dir, r.file).split(path.sep).join('/'));
+
+  it('should restrict results to included paths', async () => {
+    const { results } = await workspace.hybridSearch.search('validateToken', 10, { includePaths: ['packages/api'] });
+    expect(relFiles(results).sort()).toEqual(['packages/api/auth.js', 'packages/api/auth.test.js']);
+  });
+
+  it('should exclude tests and excluded paths', async () => {
+    const { results } = await workspace.hybridSearch.search('validateToken', 10, {
+      excludeTests: true,
+      excludePaths: ['packages/web/**']
+    });
+    expect(relFiles(results).sort()).toEqual(['packages/api/auth.js', 'scripts/auth.py']);
+  });
+
+  it('should filter by language', async () => {
+    const { results } = await workspace.hybridSearch.search('validate token', 10, { languages: ['python'] });
+    expect(relFiles(results)).toEqual(['scripts/auth.py']);
+  });
+
+  it('should report when no file matches the filters', async () => {
+    const { results, message } = await workspace.hybridSearch.search('validateToken', 10, { extensions: ['rs'] });
+    expect(results).toEqual([]);
+    expect(message).toContain('No indexed files match');
+  });
+
+  it('should return a tool error for an unknown language', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'token', languages: ['klingon'] });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Unknown language');
+  });
+
+  it('should apply operators written in the query', async () => {
+    const { results } = await workspace.hybridSearch.search('validateToken path:packages -file:*.test.js -verifySignature', 10);
+    expect(relFiles(results)).toEqual(['packages/web/auth.js']);
+  });
+
+  it('should require quoted phrases', async () => {
+    const { results } = await workspace.hybridSearch.search('validate token "verify_signature"', 10);
+    expect(relFiles(results)).toEqual(['scripts/auth.py']);
+  });
+
+  it('should return a tool error for an operator without a value', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'token path:' });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Search operator "path:" needs a value');
+  });
+
+  it('should search word:value text that is not an operator', async () => {
+    const { results } = await workspace.hybridSearch.search('validateToken display:none', 10);
+    expect(results.length).toBeGreaterThan(0);
+  });
+});
+
+describe('Result Merging', () => {
+  const chunk = (file, startLine, endLine, score) => ({
+    file,
+    startLine,
+    endLine,
+    score,
+    content: Array.from({ length: endLine - startLine + 1 }, (_, i) => `line ${startLine + i}`).join('\n')
+  });
+
+  it('should merge overlapping chunks from the same file', () => {
+    const results = mergeAdjacentResults([
+      chunk('a.js', 10, 20, 0.9),
+      chunk('a.js', 15, 25, 0.8),
+      chunk('b.js', 1, 10, 0.7)
+    ], 5);
+
+    expect(results).toHaveLength(2);
+    expect(results[0]).toMatchObject({ file: 'a.js', startLine: 10, endLine: 25, score: 0.9 });
+    expect(results[0].content.split('\n')).toHaveLength(16);
+    expect(results[0].content).toContain('line 25');
+  });
+
+  it('should merge adjacent chunks but keep separate regions apart', () => {
+    const results = mergeAdjacentResults([
+      chunk('a.js', 1, 10, 0.9),
+      chunk('a.js', 11, 20, 0.8),
+      chunk('a.js', 30, 40, 0.7)
+    ], 5);
+
+    expect(results.map(r => [r.startLine, r.endLine])).toEqual([[1, 20], [30, 40]]);
+  });
+
+  it('should join regions bridged by a later chunk', () => {
+    const results = mergeAdjacentResults([
+      chunk('a.js', 1, 10, 0.9),
+      chunk('a.js', 21, 30, 0.8),
+      chunk('a.js', 8, 23, 0.5)
+    ], 5);
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ startLine: 1, endLine: 30, score: 0.9 });
+    expect(results[0].content.split('\n')).toHaveLength(30);
+  });
+
+  it('should refill up to maxResults distinct locations', () => {
+    const results = mergeAdjacentResults([
+      chunk('a.js', 1, 10, 0.9),
+      chunk('a.js', 5, 15, 0.85),
+      chunk('a.js', 10, 20, 0.8),
+      chunk('b.js', 1, 10, 0.7),
+      chunk('c.js', 1, 10, 0.6),
+      chunk('d.js', 1, 10, 0.5)
+    ], 3);
+
+    expect(results.map(r => r.file)).toEqual(['a.js', 'b.js', 'c.js']);
+  });
+
+  it('should keep the matched span when merging expanded results', () => {
+    const results = mergeAdjacentResults([
+      { ...chunk('a.js', 1, 12, 0.9), matchStartLine: 5, matchEndLine: 8 },
+      { ...chunk('a.js', 10, 20, 0.8), matchStartLine: 14, matchEndLine: 16 }
+    ], 5);
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ startLine: 1, endLine: 20, matchStartLine: 5, matchEndLine: 16 });
+  });
+
+  it('should return distinct locations from overlapping line windows', async () => {
+    const source = Array.from({ length: 60 }, (_, i) =>
+      i >= 20 && i < 30 ? `  retryWithBackoff(attempt${i});` : `  const value${i} = compute(${i});`
+    ).join('\n');
+    const workspace = await createTempWorkspace(
+      { 'src/retry.js': source, 'src/other.js': 'export function retryOnce() {\n  return retryWithBackoff(1);\n}\n' },
+      { chunkingMode: 'line', chunkSize: 10, chunkOverlap: 5 }
+    );
+
+    try {
+      await workspace.indexer.indexAll(false);
+      const { results } = await workspace.hybridSearch.search('retryWithBackoff', 3);
+
+      const retryResults = results.filter(r => r.file.endsWith('retry.js'));
+      expect(retryResults).toHaveLength(1);
+      expect(retryResults[0].startLine).toBeLessThanOrEqual(21);
+      expect(retryResults[0].endLine).toBeGreaterThanOrEqual(30);
+    } finally {
+      await workspace.cleanup();
+    }
+  });
+});
+
+describe('Context Expansion', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/billing.js': [
+        'export class Billing {',
+        '  constructor(gateway) {',
+        '    this.gateway = gateway;',
+        '  }',
+        '',
+        '  async refund(order) {',
+        '    const amount = order.total;',
+        '    await this.gateway.refundPayment(order.id, amount);',
+        '    order.status = "refunded";',
+        '    return order;',
+        '  }',
+        '}'
+      ].join('\n'),
+      'src/notes.js': '// refund payment notes\nexport const REFUND_NOTES = "refund payment";\n'
+    }, { chunkingMode: 'line', chunkSize: 3, chunkOverlap: 0 });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should expand a hit to its enclosing method', async () => {
+    const { results } = await workspace.hybridSearch.search('refundPayment', 1, {}, { context: 'enclosing' });
+
+    expect(results[0]).toMatchObject({ startLine: 6, endLine: 11, matchStartLine: 7, matchEndLine: 9 });
+    expect(results[0].content.split('\n')[0]).toBe('  async refund(order) {');
+    expect(results[0].symbol.name).toBe('refund');
+  });
+
+  it('should add surrounding lines and report the matched range', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'refundPayment', maxResults: 1, context: 2 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.structuredContent.results[0]).toMatchObject({ startLine: 5, endLine: 11, matchStartLine: 7, matchEndLine: 9 });
+    expect(result.content[0].text).toContain('**Lines:** 5-11 (match: 7-9)');
+  });
+
+  it('should reject invalid context values', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'refundPayment', context: 'file' });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Invalid context "file"');
+  });
+});
+
+describe('Structured Output', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/cache.py': 'def evict_expired(entries):\n    return [e for e in entries if not e.expired]\n',
+      'src/cache.js': 'export function evictExpired(entries) {\n  return entries.filter(e => !e.expired);\n}\n'
+    });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should declare an output schema', () => {
+    const toolDef = HybridSearchFeature.getToolDefinition(workspace.config);
+
+    expect(toolDef.outputSchema.required).toEqual(['query', 'results']);
+    expect(toolDef.outputSchema.properties.results.items.required).toContain('file');
+  });
+
+  it('should return typed results alongside the Markdown text', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evictExpired', maxResults: 2 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.content[0].text).toContain('## Result 1');
+    expect(result.structuredContent.query).toBe('evictExpired');
+
+    const [top] = result.structuredContent.results;
+    expect(top).toMatchObject({ file: 'src/cache.js', startLine: 1, language: 'javascript' });
+    expect(top.content).toContain('evictExpired');
+    expect(top.scores.exactMatch).toBe(true);
+    expect(typeof top.scores.semantic).toBe('number');
+    expect(typeof top.scores.lexical).toBe('number');
+  });
+
+  it('should normalize scores to 0-1 and explain them on request', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evictExpired', maxResults: 2, explain: true });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    const [top] = result.structuredContent.results;
+    const { explanation } = top;
+    expect(top.score).toBeLessThanOrEqual(1);
+    expect(explanation.boosts).toEqual([{ name: 'exactMatch', value: workspace.config.exactMatchBoost }]);
+    expect(explanation.boost).toBe(workspace.config.exactMatchBoost);
+    expect(explanation.baseScore).toBeCloseTo(
+      explanation.semantic * explanation.semanticWeight +
+      explanation.lexical * explanation.lexicalWeight
+    );
+    expect(explanation.score).toBeCloseTo(1 - (1 - explanation.baseScore) / (1 + explanation.boost));
+    expect(result.content[0].text).toMatch(/\*\*Score:\*\* \(semantic [\d.]+ × 0\.70 \+ lexical [\d.]+ × 0\.30\) = [\d.]+; with exactMatch boost 1\.5: /);
+
+    const plain = await HybridSearchFeature.handleToolCall(createMockRequest('a_semantic_search', { query: 'evictExpired' }), workspace.hybridSearch);
+    expect(plain.structuredContent.results[0].explanation).toBeUndefined();
+    expect(plain.content[0].text).not.toContain('**Score:**');
+  });
+
+  it('should score a perfect match near 1 with the default boosts', async () => {
+    expect(workspace.config.exactMatchBoost).toBe(1.5);
+
+    const query = 'export function evictExpired(entries) {\n  return entries.filter(e => !e.expired);\n}';
+    const [perfect] = (await workspace.hybridSearch.search(query, 1)).results;
+    expect(perfect.file).toBe(path.join(workspace.dir, 'src/cache.js'));
+    expect(perfect.scoreBreakdown.baseScore).toBeCloseTo(1, 5);
+    expect(perfect.score).toBeCloseTo(1, 5);
+
+    // Boosts lift weaker base scores without passing 1
+    const [boosted] = (await workspace.hybridSearch.search('evictExpired', 1)).results;
+    expect(boosted.exactMatch).toBe(true);
+    expect(boosted.score).toBeGreaterThan(boosted.scoreBreakdown.baseScore);
+    expect(boosted.score).toBeLessThan(1);
+  });
+
+  it('should drop results below minScore', async () => {
+    const all = await workspace.hybridSearch.search('evictExpired', 5);
+    expect(all.results).toHaveLength(2);
+
+    const minScore = (all.results[0].score + all.results[1].score) / 2;
+    const { results } = await workspace.hybridSearch.search('evictExpired', 5, {}, { minScore });
+    expect(results.map(r => r.file)).toEqual([all.results[0].file]);
+
+    const none = await workspace.hybridSearch.search('evictExpired', 5, {}, { minScore: 1.01 });
+    expect(none.results).toEqual([]);
+    expect(none.message).toContain('minScore (1.01)');
+  });
+
+  it('should show the symbol enclosing each result', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evict_expired', maxResults: 1 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.content[0].text).toContain('**Symbol:** `evict_expired` (function)');
+    expect(result.structuredContent.results[0].symbol).toEqual({ name: 'evict_expired', kind: 'function', parent: null });
+  });
+
+  it('should fill a token budget instead of a result count', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evictExpired', maxTokens: 1000 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    const { budget, results } = result.structuredContent;
+    expect(results).toHaveLength(2);
+    expect(budget).toMatchObject({ maxTokens: 1000, omitted: [] });
+    expect(budget.usedTokens).toBe(results[0].tokens + results[1].tokens);
+    expect(budget.remainingTokens).toBe(1000 - budget.usedTokens);
+    expect(result.content[0].text).toContain(`**Token budget:** ~${budget.usedTokens} of 1000 used`);
+  });
+
+  it('should report results left out of a small budget', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evictExpired', maxTokens: 10 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.structuredContent.results).toEqual([]);
+    expect(result.structuredContent.budget.omitted.map(o => o.file).sort()).toEqual(['src/cache.js', 'src/cache.py']);
+    expect(result.content[0].text).toContain('No result fits in maxTokens (10).');
+    expect(result.content[0].text).toContain('2 result(s) left out');
+
+    const invalid = await HybridSearchFeature.handleToolCall(createMockRequest('a_semantic_search', { query: 'x', maxTokens: -1 }), workspace.hybridSearch);
+    expect(invalid.isError).toBe(true);
+  });
+
+  it('should include the message when there are no results', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'evict', extensions: ['rs'] });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.structuredContent.results).toEqual([]);
+    expect(result.structuredContent.message).toContain('No indexed files match');
+  });
+});
+
+describe('Approximate Search', () => {
+  const files = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [
+    `src/module${i}.js`,
+    `export function handler${i}(input) {\n  return process${i}(input, "topic ${i % 3}");\n}\n`
+  ]));
+  files['src/payments.js'] = 'export function chargeCreditCard(card, amount) {\n  return gateway.charge(card, amount);\n}\n';
+
+  let workspace;
+
+  beforeAll(async () => {
+    // Probe every list: the near-identical modules make cluster sizes uneven,
+    // and too few candidates would (correctly) fall back to an exact scan
+    workspace = await createTempWorkspace(files, { annMinChunks: 10, annProbes: 64 });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should score only ANN and lexical candidates', async () => {
+    const getVectorStore = workspace.cache.getVectorStore;
+    workspace.cache.getVectorStore = () => {
+      throw new Error('exact scan should not be used');
+    };
+
+    try {
+      const { results } = await workspace.hybridSearch.search('chargeCreditCard', 1);
+      expect(workspace.cache.annIndex.isBuilt).toBe(true);
+      expect(results[0].file).toContain('payments.js');
+    } finally {
+      workspace.cache.getVectorStore = getVectorStore;
+    }
+  });
+
+  it('should fall back to an exact scan when filters leave too few candidates', async () => {
+    const { results } = await workspace.hybridSearch.search('handler', 2, { includePaths: ['src/module7.js'] });
+    expect(results.map(r => path.basename(r.file))).toEqual(['module7.js']);
+  });
+
+  it('should use an exact scan when ANN is disabled', async () => {
+    workspace.config.annEnabled = false;
+    try {
+      const { results } = await workspace.hybridSearch.search('chargeCreditCard', 1);
+      expect(results[0].file).toContain('payments.js');
+    } finally {
+      workspace.config.annEnabled = true;
+    }
+  });
+});
+
+describe('Quantized Search', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/payments.js': 'export function chargeCreditCard(card, amount) {\n  return gateway.charge(card, amount);\n}\n',
+      'src/emails.js': 'export function sendWelcomeEmail(user) {\n  return mailer.send(user.email, "welcome");\n}\n',
+      'src/reports.js': 'export function buildMonthlyReport(rows) {\n  return rows.reduce(summarize, {});\n}\n'
+    }, { vectorQuantization: 'binary' });
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should rescore quantized candidates with full-precision vectors', async () => {
+    const getVectorStore = workspace.cache.getVectorStore;
+    workspace.cache.getVectorStore = () => {
+      throw new Error('exact scan should not be used');
+    };
+
+    try {
+      const { results } = await workspace.hybridSearch.search('send welcome email to user', 1);
+      expect(results[0].file).toContain('emails.js');
+
+      const queryEmbed = await workspace.embedder('send welcome email to user');
+      const [stored] = workspace.cache.getChunksByIds([results[0].id]);
+      const expectedCosine = stored.vector.reduce((sum, v, i) => sum + v * queryEmbed.data[i], 0);
+      expect(results[0].semanticScore).toBeCloseTo(expectedCosine, 5);
+    } finally {
+      workspace.cache.getVectorStore = getVectorStore;
+    }
+  });
+
+  it('should apply filters in the quantized pass', async () => {
+    const { results } = await workspace.hybridSearch.search('send welcome email', 5, { includePaths: ['src/reports.js'] });
+    expect(results.map(r => path.basename(r.file))).toEqual(['reports.js']);
+  });
+});
+
+describe('Recency Boost', () => {
+  let workspace;
+  const YEAR = 365 * 24 * 60 * 60 * 1000;
+  const handler = 'export function applyDiscount(order) {\n  return order.total * 0.9;\n}\n';
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace(
+      { 'legacy/pricing.js': handler, 'src/pricing.js': handler },
+      { recencyBoost: 0.2, recencyHalfLifeDays: 180 }
+    );
+    await workspace.indexer.indexAll(false);
+    workspace.cache.setFileActivity([
+      { file: path.join(workspace.dir, 'legacy/pricing.js'), lastModified: Date.now() - 3 * YEAR, commitCount: 1 },
+      { file: path.join(workspace.dir, 'src/pricing.js'), lastModified: Date.now(), commitCount: 40 }
+    ]);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should rank the actively maintained copy first', async () => {
+    const { results } = await workspace.hybridSearch.search('apply discount to order', 2);
+
+    expect(results.map(r => path.relative(workspace.dir, r.file).split(path.sep).join('/')))
+      .toEqual(['src/pricing.js', 'legacy/pricing.js']);
+    expect(results[0].semanticScore).toBeCloseTo(results[1].semanticScore, 5);
+    expect(results[0].scoreBreakdown.boost).toBeGreaterThan(results[1].scoreBreakdown.boost);
+    expect(results[0].scoreBreakdown.boost).toBeLessThanOrEqual(0.2);
+  });
+
+  it('should not boost when the weight is 0', async () => {
+    workspace.config.recencyBoost = 0;
+    try {
+      const { results } = await workspace.hybridSearch.search('apply discount to order', 2);
+      expect(results[0].score).toBeCloseTo(results[1].score, 5);
+      expect(results[0].scoreBreakdown.boosts.map(b => b.name)).not.toContain('recency');
+    } finally {
+      workspace.config.recencyBoost = 0.2;
+    }
+  });
+
+  it('should show file activity in results', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'apply discount to order', maxResults: 2, explain: true });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+    const [recent, legacy] = result.structuredContent.results;
+
+    expect(recent.activity.commitCount).toBe(40);
+    expect(Date.parse(recent.activity.lastModified)).toBeGreaterThan(Date.now() - YEAR);
+    expect(legacy.activity.commitCount).toBe(1);
+    expect(recent.explanation.boosts.find(b => b.name === 'recency').value)
+      .toBeGreaterThan(legacy.explanation.boosts.find(b => b.name === 'recency').value);
+    expect(result.content[0].text).toContain('(40 commits)');
+  });
+});
+
+describe('Ownership', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'services/billing/charge.js': 'export function chargeCard(card, amount) {\n  return gateway.charge(card, amount);\n}\n',
+      'services/web/render.js': 'export function renderInvoice(invoice) {\n  return template.render(invoice);\n}\n',
+      '.github/CODEOWNERS': '/services/billing/ @org/billing\n/services/web/ @org/web\n'
+    });
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Carol', '-c', 'user.email=carol@example.com', ...args], {
+      cwd: workspace.dir,
+      stdio: 'ignore'
+    });
+    git('init', '-q');
+    git('add', 'services', '.github');
+    git('commit', '-q', '-m', 'Add billing and invoices');
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  const relFiles = (results) => results.map(r => r.file.split(path.sep).join('/').split('/services/')[1]);
+
+  it('should annotate results with the last commit and owners', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'chargeCard', maxResults: 1, blame: true });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+    const [top] = result.structuredContent.results;
+
+    expect(top.file).toBe('services/billing/charge.js');
+    expect(top.blame).toMatchObject({ author: 'Carol', email: 'carol@example.com', message: 'Add billing and invoices' });
+    expect(top.blame.hash).toMatch(/^[0-9a-f]{40}$/);
+    expect(top.owners).toEqual(['@org/billing']);
+    expect(result.content[0].text).toContain('by Carol on');
+    expect(result.content[0].text).toContain('**Owners:** @org/billing');
+  });
+
+  it('should report lines that no longer exist instead of an untracked file', async () => {
+    const { results } = await workspace.hybridSearch.search('chargeCard', 1);
+    const shifted = [{ ...results[0], startLine: 500, endLine: 510 }];
+    const [annotated] = await workspace.hybridSearch.attachOwnership(shifted, null);
+
+    expect(annotated.blame).toBeNull();
+    expect(annotated.blameError).toMatch(/^Lines 500-510 are outside charge\.js/);
+  });
+
+  it('should leave results unannotated by default', async () => {
+    const request = createMockRequest('a_semantic_search', { query: 'chargeCard', maxResults: 1 });
+    const result = await HybridSearchFeature.handleToolCall(request, workspace.hybridSearch);
+
+    expect(result.structuredContent.results[0]).not.toHaveProperty('blame');
+    expect(result.content[0].text).not.toContain('**Owners:**');
+  });
+
+  it('should filter by owner from arguments or the query', async () => {
+    const { results: billing } = await workspace.hybridSearch.search('render invoice', 5, { owners: ['@org/billing'] });
+    expect(relFiles(billing)).toEqual(['billing/charge.js']);
+
+    const { results: web } = await workspace.hybridSearch.search('charge card owner:org/WEB', 5);
+    expect(relFiles(web)).toEqual(['web/render.js']);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for identifier-aware tokenization
+ * 
+ * Tests splitting of code identifiers for lexical matching:
+ * - camelCase, PascalCase and acronyms
+ * - snake_case, kebab-case and dotted paths
+ * - Term sets and FTS content expansion
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  splitIdentifier,
+  splitWords,
+  tokenizeCode,
+  expandIdentifiers
+} from '../lib/identifier-tokenizer.js';
+
+describe('Identifier Tokenizer', () => {
+  describe('splitIdentifier', () => {
+    it('should split camelCase and PascalCase', () => {
+      expect(splitIdentifier('getUserById')).toEqual(['get', 'user', 'by', 'id']);
+      expect(splitIdentifier('CodebaseIndexer')).toEqual(['codebase', 'indexer']);
+    });
+
+    it('should keep acronyms together', () => {
+      expect(splitIdentifier('XMLHttpRequest')).toEqual(['xml', 'http', 'request']);
+      expect(splitIdentifier('parseJSON')).toEqual(['parse', 'json']);
+    });
+
+    it('should split snake_case, kebab-case and dotted paths', () => {
+      expect(splitIdentifier('parse_config_file')).toEqual(['parse', 'config', 'file']);
+      expect(splitIdentifier('MAX_RETRY_COUNT')).toEqual(['max', 'retry', 'count']);
+      expect(splitIdentifier('user-service')).toEqual(['user', 'service']);
+      expect(splitIdentifier('config.cache.dir')).toEqual(['config', 'cache', 'dir']);
+    });
+
+    it('should keep digits attached', () => {
+      expect(splitIdentifier('utf8Decode')).toEqual(['utf8', 'decode']);
+    });
+  });
+
+  describe('splitWords', () => {
+    it('should return word parts in order', () => {
+      expect(splitWords('find getUserById in user_repo')).toEqual(
+        ['find', 'get', 'user', 'by', 'id', 'in', 'user', 'repo']
+      );
+    });
+
+    it('should handle empty input', () => {
+      expect(splitWords('')).toEqual([]);
+      expect(splitWords(null)).toEqual([]);
+    });
+  });
+
+  describe('tokenizeCode', () => {
+    it('should add joined forms so naming styles match each other', () => {
+      const camel = tokenizeCode('getUserById');
+      const snake = tokenizeCode('get_user_by_id');
+      expect(camel).toContain('getuserbyid');
+      expect(snake).toContain('getuserbyid');
+      expect(camel.sort()).toEqual(snake.sort());
+    });
+
+    it('should return unique terms', () => {
+      const terms = tokenizeCode('user user userName');
+      expect(terms.filter(t => t === 'user').length).toBe(1);
+    });
+  });
+
+  describe('expandIdentifiers', () => {
+    it('should append parts and joined form of compound identifiers', () => {
+      const expanded = expandIdentifiers('return getUserById(id);');
+      expect(expanded.startsWith('return getUserById(id);')).toBe(true);
+      expect(expanded).toContain('get user by id');
+      expect(expanded).toContain('getuserbyid');
+    });
+
+    it('should leave content without compounds unchanged', () => {
+      expect(expandIdentifiers('return value;')).toBe('return value;');
+    });
+  });
+});
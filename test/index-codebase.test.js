@@ -7,14 +7,21 @@
  * - Concurrent indexing protection
  * - Force reindex behavior
  * - Progress notifications
+ * - Chunking mode selection and tracking
+ * - Size/mtime change detection and periodic hash verification
+ * - Reusing vectors of unchanged chunks on edits and renames
+ * - Structured tool output
  */
 
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
 import { 
   createTestFixtures, 
   cleanupFixtures, 
   clearTestCache,
   createMockRequest,
+  createTempWorkspace,
   measureTime 
 } from './helpers.js';
 import * as IndexCodebaseFeature from '../features/index-codebase.js';
@@ -244,3 +251,270 @@ describe('Index Codebase Tool Handler', () => {
     });
   });
 });
+
+describe('Chunking Modes', () => {
+  const pythonSource = Array.from({ length: 40 }, (_, i) =>
+    `def handler_${i}(request):\n    data = parse(request)\n    return respond(data, ${i})\n`
+  ).join('\n');
+  // Only statements, no function or class AST chunking could split at
+  const configSource = Array.from({ length: 12 }, (_, i) => `export const setting${i} = load("setting-${i}");`).join('\n');
+
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createTempWorkspace({
+      'app/handlers.py': pythonSource,
+      'app/config.js': configSource,
+      'docs/notes.md': '# Notes\n\nSome documentation text that is long enough to be chunked.\n'
+    }, { chunkingMode: 'smart', chunkSize: 10, chunkOverlap: 0 });
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should chunk with fixed line windows in line mode', async () => {
+    workspace.config.chunkingMode = 'line';
+    await workspace.indexer.indexAll(false);
+
+    const chunks = workspace.cache.getVectorStore().filter(c => c.file.endsWith('handlers.py'));
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.endLine - chunk.startLine).toBeLessThan(10);
+    }
+  });
+
+  it('should record the chunking mode actually applied per file', async () => {
+    workspace.config.chunkingMode = 'ast';
+    await workspace.indexer.indexAll(false);
+
+    const pyFile = path.join(workspace.dir, 'app/handlers.py');
+    const jsFile = path.join(workspace.dir, 'app/config.js');
+    const mdFile = path.join(workspace.dir, 'docs/notes.md');
+    expect(workspace.cache.getFileInfo(pyFile)).toMatchObject({ chunkingMode: 'ast', chunkingFallback: null });
+    expect(workspace.cache.getFileInfo(jsFile)).toMatchObject({ chunkingMode: 'smart', chunkingFallback: 'no semantic nodes' });
+    expect(workspace.cache.getFileInfo(mdFile)).toMatchObject({ chunkingMode: 'smart', chunkingFallback: null });
+
+    // AST chunks follow function boundaries
+    const chunks = workspace.cache.getVectorStore().filter(c => c.file === pyFile);
+    expect(chunks[0]).toMatchObject({ startLine: 1, endLine: 3 });
+    expect(chunks[0].content).toMatch(/^def handler_0\(request\):/);
+
+    // Fallbacks caused by the content are not retried while it is unchanged
+    expect((await workspace.indexer.indexAll(false)).filesProcessed).toBe(0);
+  });
+
+  it('should retry AST chunking after a missing grammar', async () => {
+    workspace.config.chunkingMode = 'ast';
+    await workspace.indexer.chunkContent('', 'warmup.py');
+    workspace.indexer.chunker.languages.set('python', null);
+    await workspace.indexer.indexAll(false);
+
+    const pyFile = path.join(workspace.dir, 'app/handlers.py');
+    expect(workspace.cache.getFileInfo(pyFile)).toMatchObject({ chunkingMode: 'smart', chunkingFallback: 'no grammar' });
+
+    workspace.indexer.chunker.languages.delete('python');
+    expect((await workspace.indexer.indexAll(false)).filesProcessed).toBe(1);
+    expect(workspace.cache.getFileInfo(pyFile)).toMatchObject({ chunkingMode: 'ast', chunkingFallback: null });
+  });
+
+  it('should re-chunk only affected files when the mode changes', async () => {
+    await workspace.indexer.indexAll(false);
+
+    const unchanged = await workspace.indexer.indexAll(false);
+    expect(unchanged.filesProcessed).toBe(0);
+
+    // Markdown has no grammar, so only the Python and JavaScript files are affected by "ast"
+    workspace.config.chunkingMode = 'ast';
+    const switched = await workspace.indexer.indexAll(false);
+    expect(switched.filesProcessed).toBe(2);
+
+    // Line mode affects every file
+    workspace.config.chunkingMode = 'line';
+    const lineRun = await workspace.indexer.indexAll(false);
+    expect(lineRun.filesProcessed).toBe(3);
+  });
+});
+
+describe('Change Detection', () => {
+  const OLD_TIME = new Date('2024-01-01T00:00:00Z');
+  let workspace;
+  let file;
+
+  beforeEach(async () => {
+    workspace = await createTempWorkspace({
+      'src/a.js': 'export const value = "aaaa";\n',
+      'src/b.js': 'export const other = 2;\n'
+    }, { hashVerifyIntervalDays: 7 });
+    file = path.join(workspace.dir, 'src/a.js');
+    for (const name of ['src/a.js', 'src/b.js']) {
+      await fs.utimes(path.join(workspace.dir, name), OLD_TIME, OLD_TIME);
+    }
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  // Rewrite a file keeping its size and old mtime, which only hashing detects
+  async function rewriteKeepingStat(content) {
+    await fs.writeFile(file, content);
+    await fs.utimes(file, OLD_TIME, OLD_TIME);
+  }
+
+  it('should record size and mtime with the hash', () => {
+    expect(workspace.cache.getFileInfo(file)).toMatchObject({ size: 29, mtimeMs: OLD_TIME.getTime() });
+  });
+
+  it('should skip files with unchanged size and mtime without reading them', async () => {
+    await rewriteKeepingStat('export const value = "bbbb";\n');
+
+    const result = await workspace.indexer.indexAll(false);
+
+    expect(result.filesProcessed).toBe(0);
+    expect(workspace.cache.getVectorStore().find(c => c.file === file).content).toContain('aaaa');
+  });
+
+  it('should re-hash everything once the verification interval has passed', async () => {
+    await rewriteKeepingStat('export const value = "bbbb";\n');
+    workspace.cache.setMeta('last_hash_verify', Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+    const result = await workspace.indexer.indexAll(false);
+
+    expect(result.filesProcessed).toBe(1);
+    expect(workspace.cache.getVectorStore().find(c => c.file === file).content).toContain('bbbb');
+    expect(Number(workspace.cache.getMeta('last_hash_verify'))).toBeGreaterThan(Date.now() - 60000);
+  });
+
+  it('should refresh stat data of touched files without reindexing them', async () => {
+    const touched = new Date('2024-06-01T00:00:00Z');
+    await fs.utimes(file, touched, touched);
+
+    const result = await workspace.indexer.indexAll(false);
+
+    expect(result.filesProcessed).toBe(0);
+    expect(workspace.cache.getFileInfo(file).mtimeMs).toBe(touched.getTime());
+  });
+
+  it('should not trust the mtime of files modified just before they were read', async () => {
+    await fs.writeFile(file, 'export const value = "cccc";\n');
+
+    await workspace.indexer.indexAll(false);
+
+    expect(workspace.cache.getFileInfo(file)).toMatchObject({ size: 29, mtimeMs: null });
+  });
+});
+
+describe('Chunk Vector Reuse', () => {
+  let workspace;
+  let file;
+
+  // Thirty small functions, one of them edited when `edit` is set
+  const source = (edit = 0) => Array.from({ length: 30 }, (_, i) =>
+    `export function handler${i}(input) {\n  const value = input * ${i} + ${i === 12 ? edit : 0};\n` +
+    `  if (value > ${i * 10}) {\n    return value - ${i};\n  }\n  return value + ${i};\n}\n`).join('\n');
+
+  beforeEach(async () => {
+    // A small context window keeps the chunks small
+    workspace = await createTempWorkspace({ 'src/big.js': source() }, { embeddingModel: 'Xenova/all-MiniLM-L6-v2' });
+    file = path.join(workspace.dir, 'src/big.js');
+    await workspace.indexer.indexAll(false);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  async function expectVectorsMatchContent() {
+    for (const chunk of workspace.cache.getVectorStore()) {
+      const { data } = await workspace.embedder(chunk.content);
+      expect(chunk.vector).toEqual(Array.from(data));
+    }
+  }
+
+  it('should only embed the chunks an edit changed', async () => {
+    await fs.writeFile(file, source(7));
+
+    const result = await workspace.indexer.indexAll(false);
+
+    expect(result.chunksCreated).toBeGreaterThan(5);
+    expect(result.chunksReused).toBe(result.chunksCreated - 1);
+    await expectVectorsMatchContent();
+  });
+
+  it('should reuse every vector of a renamed file', async () => {
+    const moved = path.join(workspace.dir, 'lib/moved.js');
+    await fs.mkdir(path.dirname(moved));
+    await fs.rename(file, moved);
+
+    const result = await workspace.indexer.indexAll(false);
+
+    expect(result.chunksReused).toBe(result.chunksCreated);
+    expect(new Set(workspace.cache.getVectorStore().map(chunk => chunk.file))).toEqual(new Set([moved]));
+  });
+
+  it('should reuse vectors when the watcher reindexes a file', async () => {
+    const embedded = [];
+    const embed = workspace.indexer.embedder;
+    workspace.indexer.embedder = async (text, options) => {
+      embedded.push(text);
+      return embed(text, options);
+    };
+    await fs.writeFile(file, source(7));
+
+    const chunks = await workspace.indexer.indexFile(file);
+
+    expect(chunks).toBeGreaterThan(5);
+    expect(embedded).toHaveLength(1);
+    expect(embedded[0]).toContain('input * 12 + 7');
+    await expectVectorsMatchContent();
+  });
+});
+
+describe('Index Codebase Structured Output', () => {
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/a.js': 'export function alpha() {\n  return "first module";\n}\n',
+      'src/b.js': 'export function beta() {\n  return "second module";\n}\n'
+    });
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  it('should return index statistics as structured content', async () => {
+    const toolDef = IndexCodebaseFeature.getToolDefinition();
+    expect(toolDef.outputSchema.required).toContain('status');
+
+    const result = await IndexCodebaseFeature.handleToolCall(
+      createMockRequest('b_index_codebase', { force: false }),
+      workspace.indexer
+    );
+
+    expect(result.content[0].text).toContain('reindexed successfully');
+    expect(result.structuredContent).toMatchObject({
+      status: 'completed',
+      totalFiles: 2,
+      filesProcessed: 2
+    });
+    expect(result.structuredContent.totalChunks).toBeGreaterThan(0);
+  });
+
+  it('should report skipped runs', async () => {
+    workspace.indexer.isIndexing = true;
+    try {
+      const result = await IndexCodebaseFeature.handleToolCall(
+        createMockRequest('b_index_codebase', { force: false }),
+        workspace.indexer
+      );
+      expect(result.structuredContent.status).toBe('skipped');
+      expect(result.structuredContent.reason).toContain('already in progress');
+    } finally {
+      workspace.indexer.isIndexing = false;
+    }
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for the stack trace mapper feature
+ *
+ * Tests resolving trace frames to indexed code:
+ * - Path suffix matching from foreign checkouts, Java package paths
+ * - No file-name-only matches for absolute paths from elsewhere
+ * - Enclosing function for each frame
+ * - Dependency, runtime, excluded and unresolved frames
+ * - Fallback search on the error message
+ * - Tool definition and error handling
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import path from 'path';
+import { createMockRequest, createTempWorkspace } from './helpers.js';
+import * as MapStackTraceFeature from '../features/map-stack-trace.js';
+import { StackTraceMapper } from '../features/map-stack-trace.js';
+
+describe('StackTraceMapper', () => {
+  let workspace;
+  let mapper;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({
+      'src/cart.js': [
+        'import { lookupPrice } from "./prices.js";',
+        '',
+        'export function total(items) {',
+        '  let sum = 0;',
+        '  for (const item of items) {',
+        '    sum += lookupPrice(item).amount;',
+        '  }',
+        '  return sum;',
+        '}'
+      ].join('\n'),
+      'src/prices.js': 'export function lookupPrice(item) {\n  return PRICE_TABLE[item.sku];\n}\n',
+      'old/legacy/cart.js': 'export function total() { return 0; }\n',
+      'src/util.js': 'export function clamp(value, min, max) {\n  return Math.min(Math.max(value, min), max);\n}\n',
+      'server.js': 'export function start(port) {\n  return listen(port);\n}\n',
+      'app/src/main/java/com/acme/Checkout.java': [
+        'package com.acme;',
+        '',
+        'public class Checkout {',
+        '  public void run() {',
+        '    throw new IllegalStateException("Cart is empty");',
+        '  }',
+        '}'
+      ].join('\n')
+    });
+    await workspace.indexer.indexAll(false);
+    mapper = new StackTraceMapper(workspace.config, workspace.cache, workspace.hybridSearch);
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  describe('Frame Resolution', () => {
+    it('should resolve frames from another checkout by path suffix', async () => {
+      const { message, frames, fallbackResults } = await mapper.mapTrace([
+        "TypeError: Cannot read properties of undefined (reading 'amount')",
+        '    at total (/home/ci/build/src/cart.js:6:30)',
+        '    at Array.reduce (<anonymous>)',
+        '    at run (/home/ci/build/node_modules/runner/index.js:3:1)',
+        '    at node:internal/main/run_main_module:28:49',
+        '    at start (/home/ci/build/scripts/start.js:1:1)',
+        '    at render (dist/bundle.js:1:200)'
+      ].join('\n'));
+
+      expect(message).toContain('TypeError');
+      expect(frames.map(f => f.status)).toEqual(['workspace', 'no-location', 'excluded', 'excluded', 'unresolved', 'excluded']);
+      expect(frames[0]).toMatchObject({ resolvedFile: path.join(workspace.dir, 'src/cart.js'), ambiguous: false });
+      expect(frames[0].code).toMatchObject({ startLine: 3, endLine: 9 });
+      expect(frames[0].code.content).toContain('sum += lookupPrice(item).amount;');
+      expect(frames[0].symbol).toMatchObject({ name: 'total' });
+      expect(fallbackResults).toBeNull();
+    });
+
+    it('should report ambiguous matches and prefer the shortest path', async () => {
+      const { frames } = await mapper.mapTrace('Error: boom\n    at total (cart.js:3:1)');
+
+      expect(frames[0]).toMatchObject({ status: 'workspace', resolvedFile: path.join(workspace.dir, 'src/cart.js'), ambiguous: true });
+    });
+
+    it('should not resolve absolute paths from elsewhere by file name alone', async () => {
+      const { frames } = await mapper.mapTrace([
+        'Error: boom',
+        '    at inspect (/usr/lib/node/internal/util.js:10:1)',
+        '    at clamp (/home/ci/build/src/util.js:2:3)',
+        '    at start (/app/server.js:2:3)',
+        '    at clamp (C:\\agent\\work\\util.js:2:3)'
+      ].join('\n'));
+
+      expect(frames.map(f => f.status)).toEqual(['unresolved', 'workspace', 'workspace', 'unresolved']);
+      expect(frames[1]).toMatchObject({ resolvedFile: path.join(workspace.dir, 'src/util.js'), ambiguous: false });
+      expect(frames[2]).toMatchObject({ resolvedFile: path.join(workspace.dir, 'server.js'), ambiguous: true });
+    });
+
+    it('should resolve Java frames through their package path', async () => {
+      const { frames } = await mapper.mapTrace([
+        'java.lang.IllegalStateException: Cart is empty',
+        '\tat com.acme.Checkout.run(Checkout.java:5)',
+        '\tat java.base/java.lang.Thread.run(Thread.java:829)'
+      ].join('\n'));
+
+      expect(frames[0]).toMatchObject({ status: 'workspace', resolvedFile: path.join(workspace.dir, 'app/src/main/java/com/acme/Checkout.java') });
+      expect(frames[0].code.content).toContain('throw new IllegalStateException');
+      expect(frames[1].status).toBe('excluded');
+    });
+
+    it('should drop frames beyond maxFrames', async () => {
+      const trace = ['Error: deep', ...Array.from({ length: 5 }, () => '    at total (src/cart.js:6:1)')].join('\n');
+      const { frames, truncated } = await mapper.mapTrace(trace, { maxFrames: 2 });
+
+      expect(frames).toHaveLength(2);
+      expect(truncated).toBe(true);
+    });
+  });
+
+  describe('Fallback Search', () => {
+    it('should search for the error message when no frame is in the workspace', async () => {
+      const { frames, fallbackResults } = await mapper.mapTrace([
+        "KeyError: 'sku' in PRICE_TABLE lookupPrice",
+        '  File "/usr/lib/python3.11/site-packages/shop/prices.py", line 3, in lookup'
+      ].join('\n'));
+
+      expect(frames[0].status).toBe('excluded');
+      expect(fallbackResults.length).toBeGreaterThan(0);
+      expect(fallbackResults[0].file).toBe(path.join(workspace.dir, 'src/prices.js'));
+    });
+
+    it('should search for plain error messages without frames', async () => {
+      const { frames, fallbackResults } = await mapper.mapTrace('ERROR lookupPrice failed: "PRICE_TABLE" missing -sku');
+
+      expect(frames).toEqual([]);
+      expect(fallbackResults[0].file).toBe(path.join(workspace.dir, 'src/prices.js'));
+    });
+  });
+
+  describe('Tool', () => {
+    it('should define k_map_stack_trace', () => {
+      const toolDef = MapStackTraceFeature.getToolDefinition(workspace.config);
+
+      expect(toolDef.name).toBe('k_map_stack_trace');
+      expect(toolDef.inputSchema.required).toEqual(['trace']);
+    });
+
+    it('should return structured frames with relative paths', async () => {
+      const request = createMockRequest('k_map_stack_trace', { trace: 'TypeError: x\n    at total (/srv/src/cart.js:6:3)' });
+      const result = await MapStackTraceFeature.handleToolCall(request, mapper);
+      const [frame] = result.structuredContent.frames;
+
+      expect(frame).toMatchObject({ function: 'total', file: '/srv/src/cart.js', status: 'workspace', resolvedFile: 'src/cart.js' });
+      expect(result.structuredContent.fallbackResults).toBeNull();
+      expect(result.content[0].text).toContain('1 of 1 frame(s) resolved to workspace code');
+      expect(result.content[0].text).toContain('**File:** `src/cart.js` line 6');
+    });
+
+    it('should report input without frames or message', async () => {
+      const result = await MapStackTraceFeature.handleToolCall(createMockRequest('k_map_stack_trace', { trace: '  \n' }), mapper);
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('No stack frames or error message');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for vector quantization
+ * 
+ * Tests the quantized first-pass search in isolation:
+ * - int8 and binary encoding
+ * - Packed in-memory store and top-k search
+ * - File filtering before scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import { quantizeVector, QuantizedVectorStore } from '../lib/quantization.js';
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function dot(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+// Deterministic unit vectors
+function makeVectors(count, dimension) {
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, () => normalize(Array.from({ length: dimension }, random)));
+}
+
+describe('Vector Quantization', () => {
+  describe('quantizeVector', () => {
+    it('should encode int8 with a per-vector scale', () => {
+      const vector = [0.5, -0.25, 0, 1];
+      const code = quantizeVector(vector, 'int8');
+
+      expect(code.length).toBe(4 + vector.length);
+      const scale = code.readFloatLE(0);
+      const decoded = vector.map((_, i) => code.readInt8(4 + i) * scale);
+      decoded.forEach((value, i) => expect(value).toBeCloseTo(vector[i], 2));
+    });
+
+    it('should pack binary sign bits', () => {
+      const code = quantizeVector([1, -1, 1, 1, -1, -1, -1, 1, 0.5], 'binary');
+
+      expect(code.length).toBe(2);
+      expect(code[0]).toBe(0b10110001);
+      expect(code[1]).toBe(0b10000000);
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => quantizeVector([1], 'int4')).toThrow(/Cannot quantize/);
+    });
+  });
+
+  describe('QuantizedVectorStore', () => {
+    const vectors = makeVectors(300, 64);
+    const rowsFor = (mode) => vectors.map((vector, id) => ({
+      id: id + 1,
+      file: `/repo/file${id % 10}.js`,
+      code: quantizeVector(vector, mode)
+    }));
+
+    for (const mode of ['int8', 'binary']) {
+      it(`should keep the exact nearest neighbors among ${mode} candidates`, () => {
+        const store = new QuantizedVectorStore(mode, rowsFor(mode));
+        const query = vectors[17];
+
+        const exactTop = vectors
+          .map((vector, i) => ({ id: i + 1, score: dot(query, vector) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 3)
+          .map(r => r.id);
+
+        const candidates = store.search(query, 30);
+        expect(candidates).toHaveLength(30);
+        expect(candidates[0]).toBe(18);
+        for (const id of exactTop) {
+          expect(candidates).toContain(id);
+        }
+      });
+    }
+
+    it('should apply the file filter before scoring', () => {
+      const store = new QuantizedVectorStore('int8', rowsFor('int8'));
+      const candidates = store.search(vectors[0], 1000, file => file.endsWith('file3.js'));
+
+      expect(candidates).toHaveLength(30);
+      expect(candidates.every(id => (id - 1) % 10 === 3)).toBe(true);
+    });
+
+    it('should detect a query of another dimension', () => {
+      const store = new QuantizedVectorStore('binary', rowsFor('binary'));
+      expect(store.accepts(new Array(64).fill(0.1))).toBe(true);
+      expect(store.accepts(new Array(128).fill(0.1))).toBe(false);
+      expect(new QuantizedVectorStore('int8', []).accepts([1, 2])).toBe(true);
+    });
+  });
+});
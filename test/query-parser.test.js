@@ -0,0 +1,136 @@
+/**
+ * Tests for the search query language
+ *
+ * Tests operator parsing in a_semantic_search queries:
+ * - Field operators (lang:, path:, -path:, file:, -file:, owner:) mapped to filters
+ * - Quoted phrase requirements and -term exclusions
+ * - Free text left for the embedder, including word:value tokens that are not operators
+ * - Clear errors for operators without a value and misspelled operators
+ */
+
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { parseSearchQuery, createContentFilter } from '../features/query-parser.js';
+import { createSearchFilter } from '../lib/search-filter.js';
+
+describe('Query Parser', () => {
+  describe('Field Operators', () => {
+    it('should leave plain queries unchanged', () => {
+      expect(parseSearchQuery('  where do we handle login ')).toEqual({
+        text: 'where do we handle login',
+        filters: {},
+        phrases: [],
+        excludedTerms: []
+      });
+    });
+
+    it('should map operators to search filters', () => {
+      const parsed = parseSearchQuery('retry logic lang:py,go path:src/api -path:tests -file:*_test.go owner:@org/api');
+
+      expect(parsed.text).toBe('retry logic');
+      expect(parsed.filters).toEqual({
+        languages: ['py', 'go'],
+        includePaths: ['src/api'],
+        excludePaths: ['tests', '**/*_test.go'],
+        owners: ['@org/api']
+      });
+    });
+
+    it('should match file: against file names anywhere', () => {
+      const { filters } = parseSearchQuery('spawn logic file:*.verse');
+      const filter = createSearchFilter(filters, path.resolve('/ws'));
+
+      expect(filters.includePaths).toEqual(['**/*.verse']);
+      expect(filter(path.resolve('/ws/game/player.verse'))).toBe(true);
+      expect(filter(path.resolve('/ws/game/player.js'))).toBe(false);
+    });
+
+    it('should combine file: with path: instead of matching either', () => {
+      const { filters } = parseSearchQuery('spawn path:game/ file:*.verse');
+      const filter = createSearchFilter(filters, path.resolve('/ws'));
+
+      expect(filters.includePaths).toEqual(['game/**/*.verse']);
+      expect(filter(path.resolve('/ws/game/npc/player.verse'))).toBe(true);
+      expect(filter(path.resolve('/ws/tools/player.verse'))).toBe(false);
+      expect(filter(path.resolve('/ws/game/player.js'))).toBe(false);
+    });
+
+    it('should accept quoted operator values', () => {
+      expect(parseSearchQuery('config path:"my project/src"').filters).toEqual({
+        includePaths: ['my project/src']
+      });
+    });
+
+    it('should keep scope operators and URLs as free text', () => {
+      expect(parseSearchQuery('std::vector resize').text).toBe('std::vector resize');
+      expect(parseSearchQuery('fetch https://api.example.com').text).toBe('fetch https://api.example.com');
+    });
+
+    it('should keep word:value tokens that are not operators as free text', () => {
+      const parsed = parseSearchQuery('hide modal display:none');
+
+      expect(parsed.text).toBe('hide modal display:none');
+      expect(parsed.filters).toEqual({});
+      expect(parseSearchQuery('connect localhost:8080 lang:js').text).toBe('connect localhost:8080');
+      expect(parseSearchQuery('key:value parsing').text).toBe('key:value parsing');
+      expect(parseSearchQuery('error at line:42').text).toBe('error at line:42');
+    });
+  });
+
+  describe('Phrases and Exclusions', () => {
+    it('should require quoted phrases and keep them in the search text', () => {
+      const parsed = parseSearchQuery('cache "write through" policy');
+
+      expect(parsed.text).toBe('cache write through policy');
+      expect(parsed.phrases).toEqual(['write through']);
+    });
+
+    it('should collect -term and -"phrase" exclusions', () => {
+      const parsed = parseSearchQuery('parser -legacy -"old format"');
+
+      expect(parsed.text).toBe('parser');
+      expect(parsed.excludedTerms).toEqual(['legacy', 'old format']);
+    });
+
+    it('should filter content by phrases and whole-word exclusions', () => {
+      const matches = createContentFilter(parseSearchQuery('save "Write Through" -test'));
+
+      expect(matches('function save() { writeThrough(); } // write through')).toBe(true);
+      expect(matches('function save() { writeThrough(); }')).toBe(false);
+      expect(matches('// write through\ntest(save)')).toBe(false);
+      expect(matches('// write through, latest version')).toBe(true);
+    });
+
+    it('should return no content filter without phrases or exclusions', () => {
+      expect(createContentFilter(parseSearchQuery('lang:js retry'))).toBeNull();
+    });
+  });
+
+  describe('Errors', () => {
+    it('should reject operators without a value', () => {
+      expect(() => parseSearchQuery('retry path:')).toThrow('Search operator "path:" needs a value');
+    });
+
+    it('should reject misspelled operators with a suggestion', () => {
+      expect(() => parseSearchQuery('retry lnag:py')).toThrow('Unknown search operator "lnag:" - did you mean "lang:"?');
+      expect(() => parseSearchQuery('retry pth:src')).toThrow('did you mean "path:"?');
+      expect(() => parseSearchQuery('retry -pth:tests')).toThrow('did you mean "-path:"?');
+      expect(() => parseSearchQuery('retry -lnag:py')).toThrow('did you mean "lang:"?');
+      expect(() => parseSearchQuery('retry Fiel:*.js')).toThrow('did you mean "file:"?');
+    });
+
+    it('should not mistake URLs and scope operators for misspelled operators', () => {
+      expect(parseSearchQuery('fetch http://x').text).toBe('fetch http://x');
+      expect(parseSearchQuery('call a::b').text).toBe('call a::b');
+      expect(parseSearchQuery('retry "lnag:py"').text).toBe('retry lnag:py');
+    });
+
+    it('should reject unclosed quotes', () => {
+      expect(() => parseSearchQuery('cache "write through')).toThrow('Unclosed quote');
+    });
+
+    it('should reject queries with nothing to search for', () => {
+      expect(() => parseSearchQuery('lang:py -path:tests')).toThrow('no search text');
+    });
+  });
+});
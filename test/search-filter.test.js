@@ -0,0 +1,76 @@
+/**
+ * Tests for search-time file filters
+ * 
+ * Tests the predicate built from a_semantic_search filter arguments:
+ * - Include/exclude path globs and plain directory prefixes
+ * - Language and extension filters
+ * - Test file exclusion
+ */
+
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import {
+  createSearchFilter,
+  resolveLanguageExtensions,
+  compileGlobs
+} from '../lib/search-filter.js';
+
+const root = path.resolve('/workspace');
+const file = (relPath) => path.join(root, relPath);
+
+describe('Search Filter', () => {
+  it('should return null when no filter is given', () => {
+    expect(createSearchFilter({}, root)).toBeNull();
+    expect(createSearchFilter({ includePaths: [], excludeTests: false }, root)).toBeNull();
+  });
+
+  describe('Path Globs', () => {
+    it('should treat plain paths as directory prefixes', () => {
+      const filter = createSearchFilter({ includePaths: ['packages/api'] }, root);
+      expect(filter(file('packages/api/src/server.ts'))).toBe(true);
+      expect(filter(file('packages/web/src/app.ts'))).toBe(false);
+    });
+
+    it('should match globs against workspace-relative paths', () => {
+      const filter = createSearchFilter({ includePaths: ['src/**/*.ts'], excludePaths: ['**/legacy/**'] }, root);
+      expect(filter(file('src/core/index.ts'))).toBe(true);
+      expect(filter(file('src/core/index.js'))).toBe(false);
+      expect(filter(file('src/legacy/old.ts'))).toBe(false);
+    });
+
+    it('should match dot directories', () => {
+      const matcher = compileGlobs(['**/.github/**']);
+      expect(matcher('.github/workflows/ci.yml')).toBe(true);
+    });
+  });
+
+  describe('Languages and Extensions', () => {
+    it('should resolve languages and aliases to extensions', () => {
+      expect([...resolveLanguageExtensions(['py'])]).toEqual(['py', 'pyw', 'pyx']);
+      expect(resolveLanguageExtensions(['TypeScript']).has('tsx')).toBe(true);
+    });
+
+    it('should reject unknown languages', () => {
+      expect(() => createSearchFilter({ languages: ['klingon'] }, root)).toThrow(/Unknown language "klingon"/);
+    });
+
+    it('should combine languages and extensions', () => {
+      const filter = createSearchFilter({ languages: ['go'], extensions: ['.verse'] }, root);
+      expect(filter(file('cmd/main.go'))).toBe(true);
+      expect(filter(file('game/player.verse'))).toBe(true);
+      expect(filter(file('web/app.js'))).toBe(false);
+    });
+  });
+
+  describe('Test Exclusion', () => {
+    it('should skip tests, specs and fixtures', () => {
+      const filter = createSearchFilter({ excludeTests: true }, root);
+      expect(filter(file('src/user.js'))).toBe(true);
+      expect(filter(file('src/user.test.js'))).toBe(false);
+      expect(filter(file('src/__tests__/user.js'))).toBe(false);
+      expect(filter(file('pkg/handler_test.go'))).toBe(false);
+      expect(filter(file('tests/test_models.py'))).toBe(false);
+      expect(filter(file('spec/fixtures/data.json'))).toBe(false);
+    });
+  });
+});
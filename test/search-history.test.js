@@ -0,0 +1,177 @@
+/**
+ * Tests for the git history search feature
+ *
+ * Tests indexing and searching commit history:
+ * - Commit messages and diff hunks indexed after indexAll returns, when enabled
+ * - Incremental runs and rebuilding after rewritten history or a model change
+ * - Author, date and path filters
+ * - Tool definition, structured output and error handling
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { createMockRequest, createTempWorkspace } from './helpers.js';
+import * as SearchHistoryFeature from '../features/search-history.js';
+import { HistorySearch } from '../features/search-history.js';
+import { CacheClearer } from '../features/clear-cache.js';
+
+const DAY = 24 * 60 * 60;
+const BASE_TIME = 1700000000;
+
+function git(dir, args, time = BASE_TIME, author = 'Test') {
+  const date = `${time} +0000`;
+  execFileSync('git', ['-c', `user.name=${author}`, '-c', `user.email=${author.toLowerCase()}@example.com`, ...args], {
+    cwd: dir,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+async function commit(dir, files, time, author, message) {
+  for (const [relPath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, relPath)), { recursive: true });
+    await fs.writeFile(path.join(dir, relPath), content);
+  }
+  git(dir, ['add', ...Object.keys(files)]);
+  git(dir, ['commit', '-m', message], time, author);
+}
+
+describe('HistorySearch', () => {
+  let workspace;
+  let historySearch;
+  let commitsWhenIndexAllReturned;
+
+  beforeAll(async () => {
+    workspace = await createTempWorkspace({}, { indexGitHistory: true });
+    historySearch = new HistorySearch(workspace.embedder, workspace.cache, workspace.config);
+    const dir = workspace.dir;
+
+    git(dir, ['init', '-q']);
+    await commit(dir, { 'src/cart.js': 'export function total(items) {\n  return sum(items);\n}\n' }, BASE_TIME, 'Alice', 'Add shopping cart');
+    await commit(dir, { 'src/cart.js': 'export function total(items) {\n  return Math.round(sum(items) * 100) / 100;\n}\n' },
+      BASE_TIME + 10 * DAY, 'Bob', 'Fix rounding of the cart total\n\nPrices were off by one cent.');
+    await commit(dir, { 'lib/retry.js': 'export const MAX_RETRIES = 3;\n' }, BASE_TIME + 20 * DAY, 'Alice', 'Cap retries to avoid hammering the payment API');
+
+    await workspace.indexer.indexAll(false);
+    commitsWhenIndexAllReturned = workspace.cache.getHistoryCommitCount();
+    await workspace.indexer.historyIndexing;
+  });
+
+  afterAll(async () => {
+    await workspace.cleanup();
+  });
+
+  describe('Indexing', () => {
+    it('should index every commit in the background after indexAll', () => {
+      expect(commitsWhenIndexAllReturned).toBe(0);
+      expect(workspace.cache.getHistoryCommitCount()).toBe(3);
+      expect(workspace.indexer.historyIndexing).toBeNull();
+    });
+
+    it('should refuse to clear the cache while history is being indexed', async () => {
+      const clearer = new CacheClearer(workspace.embedder, workspace.cache, workspace.config, workspace.indexer);
+      const running = workspace.indexer.startHistoryIndexing();
+
+      await expect(clearer.execute()).rejects.toThrow('git history is being indexed');
+      await running;
+    });
+
+    it('should only index new commits on later runs', async () => {
+      await commit(workspace.dir, { 'lib/retry.js': 'export const MAX_RETRIES = 5;\n' }, BASE_TIME + 30 * DAY, 'Carol', 'Raise retry limit for flaky networks');
+
+      expect(await workspace.indexer.indexHistory()).toEqual({ commitsIndexed: 1 });
+      expect(await workspace.indexer.indexHistory()).toEqual({ commitsIndexed: 0 });
+      expect(workspace.cache.getHistoryCommitCount()).toBe(4);
+    });
+
+    it('should rebuild when the last indexed commit was rewritten', async () => {
+      git(workspace.dir, ['commit', '--amend', '-q', '-m', 'Raise retry limit for slow mobile networks'], BASE_TIME + 30 * DAY, 'Carol');
+
+      expect(await workspace.indexer.indexHistory()).toEqual({ commitsIndexed: 4 });
+      const { results } = await historySearch.search('retry limit', { maxResults: 10 });
+      expect(results.map(r => r.message)).toContain('Raise retry limit for slow mobile networks');
+      expect(results.map(r => r.message)).not.toContain('Raise retry limit for flaky networks');
+    });
+
+    it('should skip and re-embed history from another embedding model', async () => {
+      workspace.cache.db.prepare('UPDATE history_chunks SET model = ?').run('other-model@384');
+
+      expect((await historySearch.search('retry limit')).results).toEqual([]);
+      expect(await workspace.indexer.indexHistory()).toEqual({ commitsIndexed: 4 });
+      expect(workspace.cache.hasStaleHistory()).toBe(false);
+      expect((await historySearch.search('retry limit')).results.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Search', () => {
+    it('should return the matching commit with its files and best hunk', async () => {
+      const { results, indexedCommits } = await historySearch.search('rounding cart total off by one cent', { maxResults: 1 });
+
+      expect(indexedCommits).toBe(4);
+      expect(results[0]).toMatchObject({
+        author: 'Bob',
+        email: 'bob@example.com',
+        date: (BASE_TIME + 10 * DAY) * 1000,
+        message: 'Fix rounding of the cart total\n\nPrices were off by one cent.',
+        files: [path.join(workspace.dir, 'src/cart.js')]
+      });
+      expect(results[0].hunk.file).toBe(path.join(workspace.dir, 'src/cart.js'));
+      expect(results[0].hunk.content).toContain('+  return Math.round(sum(items) * 100) / 100;');
+    });
+
+    it('should filter by author, date and touched files', async () => {
+      const byAuthor = await historySearch.search('cart', { author: 'ALICE' });
+      expect(byAuthor.results.length).toBeGreaterThan(0);
+      expect(byAuthor.results.every(r => r.author === 'Alice')).toBe(true);
+
+      const recent = await historySearch.search('cart retries', { since: new Date((BASE_TIME + 15 * DAY) * 1000).toISOString() });
+      expect(recent.results.map(r => r.date).every(date => date >= (BASE_TIME + 15 * DAY) * 1000)).toBe(true);
+      expect(recent.results.length).toBeGreaterThan(0);
+
+      const inLib = await historySearch.search('cart total', { filters: { includePaths: ['lib'] } });
+      expect(inLib.results.length).toBeGreaterThan(0);
+      expect(inLib.results.every(r => r.files.every(file => file.includes(`${path.sep}lib${path.sep}`)))).toBe(true);
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(historySearch.search('cart', { since: 'last tuesday' })).rejects.toThrow('Invalid "since" date');
+    });
+  });
+
+  describe('Tool', () => {
+    it('should define j_search_history', () => {
+      const toolDef = SearchHistoryFeature.getToolDefinition(workspace.config);
+
+      expect(toolDef.name).toBe('j_search_history');
+      expect(toolDef.inputSchema.required).toEqual(['query']);
+      expect(toolDef.outputSchema.required).toContain('results');
+    });
+
+    it('should return structured commits with relative paths', async () => {
+      const request = createMockRequest('j_search_history', { query: 'rounding cart total', maxResults: 1 });
+      const result = await SearchHistoryFeature.handleToolCall(request, historySearch);
+      const [first] = result.structuredContent.results;
+
+      expect(first.files).toEqual(['src/cart.js']);
+      expect(first.hunk).toMatchObject({ file: 'src/cart.js', startLine: 1 });
+      expect(first.date).toBe(new Date((BASE_TIME + 10 * DAY) * 1000).toISOString());
+      expect(result.content[0].text).toContain('**Author:** Bob <bob@example.com>');
+      expect(result.content[0].text).toContain('```diff');
+    });
+
+    it('should explain how to enable the history index', async () => {
+      const empty = await createTempWorkspace({ 'a.js': 'export const a = 1;\n' });
+      try {
+        const request = createMockRequest('j_search_history', { query: 'anything' });
+        const result = await SearchHistoryFeature.handleToolCall(request, new HistorySearch(empty.embedder, empty.cache, empty.config));
+
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toContain('SMART_CODING_INDEX_GIT_HISTORY=true');
+      } finally {
+        await empty.cleanup();
+      }
+    });
+  });
+});
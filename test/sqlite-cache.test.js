@@ -0,0 +1,495 @@
+/**
+ * Tests for SQLiteCache
+ * 
+ * Tests the SQLite-backed cache directly (no embedding model needed):
+ * - Chunk storage and removal
+ * - Vector lookup by chunk text for the current embedding model
+ * - Per-file hash metadata (chunking mode and AST fallback)
+ * - FTS5 lexical index maintenance and BM25 ranking
+ * - Trigram substring and typo-tolerant identifier search
+ * - Schema migration of older databases
+ * - ANN index build and incremental sync
+ * - Quantized vector storage (codes in chunk rows, full vectors kept apart)
+ * - Symbol index lookup
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SQLiteCache } from '../lib/sqlite-cache.js';
+import { hashContent } from '../lib/utils.js';
+
+function makeChunk(file, startLine, content, vector = [1, 0, 0, 0]) {
+  return { file, startLine, endLine: startLine + 4, content, vector };
+}
+
+describe('SQLiteCache', () => {
+  let cacheDir;
+  let cache;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-cache-test-'));
+    cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true });
+    await cache.load();
+  });
+
+  afterEach(async () => {
+    cache.close();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('Chunk Storage', () => {
+    it('should store and remove chunks per file', () => {
+      cache.addBatchToStore([
+        makeChunk('/repo/a.js', 1, 'function alpha() { return 1; }'),
+        makeChunk('/repo/b.js', 1, 'function beta() { return 2; }')
+      ]);
+      expect(cache.getVectorCount()).toBe(2);
+
+      cache.removeFileFromStore('/repo/a.js');
+      const store = cache.getVectorStore();
+      expect(store.length).toBe(1);
+      expect(store[0].file).toBe('/repo/b.js');
+    });
+
+    it('should look up vectors by chunk text for the same model only', async () => {
+      const text = 'function alpha() { return 1; }';
+      cache.addBatchToStore([makeChunk('/repo/a.js', 1, text, [0, 1, 0, 0])]);
+      cache.addToStore({ ...makeChunk('/repo/b.js', 1, 'function beta() {}'), chunkHash: 'given' });
+
+      const vectors = cache.getVectorsByChunkHash([hashContent(text), 'given', 'unknown']);
+      expect(vectors.get(hashContent(text))).toEqual([0, 1, 0, 0]);
+      expect(vectors.get('given')).toEqual([1, 0, 0, 0]);
+      expect(vectors.has('unknown')).toBe(false);
+
+      cache.close();
+      cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true, embeddingModel: 'other-model' });
+      await cache.load();
+      expect(cache.getVectorsByChunkHash([hashContent(text)]).size).toBe(0);
+    });
+  });
+
+  describe('Lexical Index', () => {
+    beforeEach(() => {
+      cache.addBatchToStore([
+        makeChunk('/repo/a.js', 1, 'function parseConfig(file) { return readConfig(file); }'),
+        makeChunk('/repo/b.js', 1, 'function renderWidget(widget) { return widget.render(); }'),
+        makeChunk('/repo/c.js', 1, 'const widget = createWidget(); widget.mount();')
+      ]);
+    });
+
+    it('should rank chunks containing query terms with BM25', () => {
+      const { scores } = cache.searchLexical('widget render');
+      const ids = [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+      const files = ids.map(id => cache.getVectorStore().find(c => c.id === id).file);
+
+      expect(files[0]).toBe('/repo/b.js');
+      expect(files).not.toContain('/repo/a.js');
+      for (const score of scores.values()) {
+        expect(score).toBeGreaterThan(0);
+      }
+    });
+
+    it('should report exact phrase matches', () => {
+      const { phraseMatches } = cache.searchLexical('widget render');
+      const matched = cache.getVectorStore().filter(c => phraseMatches.has(c.id));
+      expect(matched.map(c => c.file)).toEqual(['/repo/b.js']);
+    });
+
+    it('should treat FTS syntax in queries as plain text', () => {
+      expect(() => cache.searchLexical('widget OR "unterminated NEAR(')).not.toThrow();
+      expect(cache.searchLexical('***').scores.size).toBe(0);
+    });
+
+    it('should drop removed chunks from the index', () => {
+      cache.removeFileFromStore('/repo/b.js');
+      expect(cache.searchLexical('render').scores.size).toBe(0);
+
+      cache.setVectorStore([]);
+      expect(cache.searchLexical('widget').scores.size).toBe(0);
+    });
+  });
+
+  describe('Trigram Index', () => {
+    beforeEach(() => {
+      cache.addBatchToStore([
+        makeChunk('/repo/indexer.js', 1, 'export class CodebaseIndexer {\n  async indexAll() {}\n}'),
+        makeChunk('/repo/cache.py', 1, 'from sqlite_cache import SQLiteCache\ncache = SQLiteCache(config)'),
+        makeChunk('/repo/widget.js', 1, 'const widget = createWidget();')
+      ]);
+    });
+
+    const filesOf = (ids) => cache.getVectorStore().filter(c => ids.has(c.id)).map(c => c.file);
+
+    it('should match partial identifiers as case-insensitive substrings', () => {
+      const { scores, substringMatches } = cache.searchTrigram('sqlite_cach');
+      expect(filesOf(substringMatches)).toEqual(['/repo/cache.py']);
+      expect([...scores.values()]).toEqual([1]);
+
+      expect(filesOf(cache.searchTrigram('EBASEINDEX').substringMatches)).toEqual(['/repo/indexer.js']);
+    });
+
+    it('should find misspelled identifiers', () => {
+      for (const typo of ['Indexr', 'Idnexer']) {
+        const { scores, substringMatches } = cache.searchTrigram(typo);
+        expect(substringMatches.size).toBe(0);
+        expect(filesOf(new Set(scores.keys()))).toEqual(['/repo/indexer.js']);
+        expect(scores.values().next().value).toBeLessThan(1);
+      }
+      expect(cache.searchTrigram('qqqzzz').scores.size).toBe(0);
+    });
+
+    it('should average matches over the query terms', () => {
+      const { scores } = cache.searchTrigram('widget sqlite_cach');
+      const byFile = Object.fromEntries(cache.getVectorStore().map(c => [c.file, scores.get(c.id)]));
+      expect(byFile).toEqual({ '/repo/indexer.js': undefined, '/repo/cache.py': 0.5, '/repo/widget.js': 0.5 });
+    });
+
+    it('should drop removed chunks from the index', () => {
+      cache.removeFileFromStore('/repo/cache.py');
+      expect(cache.searchTrigram('sqlite_cach').scores.size).toBe(0);
+
+      cache.setVectorStore([]);
+      expect(cache.searchTrigram('widget').scores.size).toBe(0);
+    });
+  });
+
+  describe('File Metadata', () => {
+    it('should record the chunking mode with the file hash', () => {
+      cache.setFileHash('/repo/a.js', 'abc', { chunkingMode: 'ast' });
+      expect(cache.getFileHash('/repo/a.js')).toBe('abc');
+      expect(cache.getFileInfo('/repo/a.js')).toEqual({ hash: 'abc', chunkingMode: 'ast', chunkingFallback: null, size: null, mtimeMs: null });
+
+      cache.setFileHash('/repo/b.js', 'def', { chunkingMode: 'smart', chunkingFallback: 'no semantic nodes' });
+      expect(cache.getFileInfo('/repo/b.js')).toMatchObject({ chunkingMode: 'smart', chunkingFallback: 'no semantic nodes' });
+    });
+
+    it('should record and update size and mtime', () => {
+      cache.setFileHash('/repo/a.js', 'abc', { chunkingMode: 'smart', size: 120, mtimeMs: 1700000000123.5 });
+      expect(cache.getFileInfo('/repo/a.js')).toMatchObject({ size: 120, mtimeMs: 1700000000123.5 });
+
+      cache.updateFileStat('/repo/a.js', { size: 120, mtimeMs: 1700000099000 });
+      expect(cache.getFileInfo('/repo/a.js')).toEqual({ hash: 'abc', chunkingMode: 'smart', chunkingFallback: null, size: 120, mtimeMs: 1700000099000 });
+    });
+
+    it('should default the chunking mode to smart', () => {
+      cache.setFileHash('/repo/a.js', 'abc');
+      expect(cache.getFileInfo('/repo/a.js').chunkingMode).toBe('smart');
+      expect(cache.getFileInfo('/repo/missing.js')).toBeNull();
+    });
+  });
+
+  describe('Symbol Index', () => {
+    beforeEach(() => {
+      cache.replaceFileSymbols('/repo/indexer.js', [
+        { name: 'CodebaseIndexer', kind: 'class', startLine: 1, endLine: 40, parent: null, signature: 'export class CodebaseIndexer {' },
+        { name: 'indexAll', kind: 'method', startLine: 5, endLine: 20, parent: 'CodebaseIndexer', signature: 'async indexAll(force = false) {' },
+        { name: 'indexFile', kind: 'method', startLine: 22, endLine: 38, parent: 'CodebaseIndexer', signature: 'async indexFile(file) {' }
+      ]);
+      cache.replaceFileSymbols('/repo/search.js', [
+        { name: 'index_all', kind: 'function', startLine: 3, endLine: 9, parent: null, signature: 'function index_all() {' }
+      ]);
+    });
+
+    it('should find symbols by exact, qualified and prefix name', () => {
+      expect(cache.findSymbols('indexAll').map(s => s.file)).toEqual(['/repo/indexer.js']);
+      expect(cache.findSymbols('CodebaseIndexer.indexFile')[0].startLine).toBe(22);
+      expect(cache.findSymbols('Other.indexFile')).toEqual([]);
+      expect(cache.findSymbols('index%')).toEqual([]);
+      expect(cache.findSymbols('index', { match: 'prefix' }).map(s => s.name))
+        .toEqual(['indexAll', 'indexFile', 'index_all']);
+      expect(cache.findSymbols('index_', { match: 'prefix' }).map(s => s.name)).toEqual(['index_all']);
+      expect(cache.findSymbols('index', { match: 'prefix', kind: 'function' }).map(s => s.name)).toEqual(['index_all']);
+    });
+
+    it('should match parents containing LIKE wildcards in every mode', () => {
+      cache.replaceFileSymbols('/repo/loader.js', [
+        { name: 'my_loader', kind: 'class', startLine: 1, endLine: 10, parent: null, signature: 'class my_loader {' },
+        { name: 'load', kind: 'method', startLine: 2, endLine: 4, parent: 'my_loader', signature: 'load() {' }
+      ]);
+
+      for (const match of ['exact', 'prefix', 'fuzzy']) {
+        expect(cache.findSymbols('my_loader.load', { match }).map(s => s.startLine)).toEqual([2]);
+      }
+      expect(cache.findSymbols('myxloader.load', { match: 'prefix' })).toEqual([]);
+    });
+
+    it('should rank fuzzy matches', () => {
+      expect(cache.findSymbols('indxall', { match: 'fuzzy' })[0].name).toBe('indexAll');
+      expect(cache.findSymbols('cbi', { match: 'fuzzy' })[0].name).toBe('CodebaseIndexer');
+      expect(cache.findSymbols('zzzz', { match: 'fuzzy' })).toEqual([]);
+    });
+
+    it('should return the innermost symbol enclosing a range', () => {
+      expect(cache.getEnclosingSymbol('/repo/indexer.js', 10, 14).name).toBe('indexAll');
+      expect(cache.getEnclosingSymbol('/repo/indexer.js', 2, 4).name).toBe('CodebaseIndexer');
+      expect(cache.getEnclosingSymbol('/repo/search.js', 1, 5).name).toBe('index_all');
+      expect(cache.getEnclosingSymbol('/repo/search.js', 20, 25)).toBeNull();
+    });
+
+    it('should drop symbols with their file', () => {
+      cache.replaceFileSymbols('/repo/indexer.js', []);
+      expect(cache.findSymbols('indexAll')).toEqual([]);
+
+      cache.removeFileFromStore('/repo/search.js');
+      expect(cache.findSymbols('index_all')).toEqual([]);
+    });
+  });
+
+  describe('Schema Migration', () => {
+    it('should add new columns to an existing database', async () => {
+      cache.close();
+      await fs.rm(cacheDir, { recursive: true, force: true });
+      await fs.mkdir(cacheDir, { recursive: true });
+
+      // Database created by an older version (no chunking_mode column)
+      const legacy = new Database(path.join(cacheDir, 'embeddings.db'));
+      legacy.exec(`
+        CREATE TABLE file_hashes (file TEXT PRIMARY KEY, hash TEXT NOT NULL, indexed_at INTEGER NOT NULL);
+        INSERT INTO file_hashes VALUES ('/repo/old.js', 'oldhash', 0);
+      `);
+      legacy.close();
+
+      cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true });
+      await cache.load();
+
+      expect(cache.getFileInfo('/repo/old.js')).toEqual({ hash: 'oldhash', chunkingMode: 'smart', chunkingFallback: null, size: null, mtimeMs: null });
+    });
+
+    it('should re-chunk files recorded as ast before fallbacks were tracked', async () => {
+      cache.close();
+      await fs.rm(cacheDir, { recursive: true, force: true });
+      await fs.mkdir(cacheDir, { recursive: true });
+
+      const legacy = new Database(path.join(cacheDir, 'embeddings.db'));
+      legacy.exec(`
+        CREATE TABLE file_hashes (file TEXT PRIMARY KEY, hash TEXT NOT NULL, indexed_at INTEGER NOT NULL, chunking_mode TEXT);
+        INSERT INTO file_hashes VALUES ('/repo/old.js', 'oldhash', 0, 'ast'), ('/repo/notes.md', 'mdhash', 0, 'smart');
+      `);
+      legacy.close();
+
+      cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true });
+      await cache.load();
+
+      expect(cache.getFileInfo('/repo/old.js')).toMatchObject({ hash: 'oldhash', chunkingMode: 'smart', chunkingFallback: null });
+      expect(cache.getFileInfo('/repo/notes.md').chunkingMode).toBe('smart');
+    });
+
+    it('should backfill the lexical index for existing chunks', async () => {
+      cache.close();
+      await fs.rm(cacheDir, { recursive: true, force: true });
+      await fs.mkdir(cacheDir, { recursive: true });
+
+      const legacy = new Database(path.join(cacheDir, 'embeddings.db'));
+      legacy.exec(`
+        CREATE TABLE embeddings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, file TEXT NOT NULL, start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL, content TEXT NOT NULL, vector BLOB NOT NULL, indexed_at INTEGER NOT NULL
+        );
+      `);
+      legacy.prepare('INSERT INTO embeddings (file, start_line, end_line, content, vector, indexed_at) VALUES (?, 1, 5, ?, ?, 0)')
+        .run('/repo/legacy.js', 'function legacyHandler() {}', Buffer.from(new Float32Array([1, 0]).buffer));
+      legacy.close();
+
+      cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true });
+      await cache.load();
+
+      expect(cache.searchLexical('legacyHandler').scores.size).toBe(1);
+      expect(cache.searchTrigram('acyHand').substringMatches.size).toBe(1);
+      // Made by an unknown model, so never reused
+      expect(cache.getVectorsByChunkHash([hashContent('function legacyHandler() {}')]).size).toBe(0);
+    });
+  });
+});
+
+describe('SQLiteCache ANN Index', () => {
+  let cacheDir;
+  let cache;
+  const config = () => ({ cacheDirectory: cacheDir, enableCache: true, annEnabled: true, annMinChunks: 10 });
+
+  // Unit vectors spread over two opposite directions
+  const vectorFor = (i) => (i % 2 === 0 ? [1, 0.01 * i, 0, 0] : [-1, 0, 0.01 * i, 0]);
+  const chunksFor = (file, count) => Array.from({ length: count }, (_, i) =>
+    makeChunk(file, i * 5 + 1, `function part${i}() { return ${i}; }`, vectorFor(i))
+  );
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-cache-test-'));
+    cache = new SQLiteCache(config());
+    await cache.load();
+  });
+
+  afterEach(async () => {
+    cache.close();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should use an exact scan below annMinChunks', () => {
+    cache.addBatchToStore(chunksFor('/repo/a.js', 5));
+    expect(cache.searchApproximate([1, 0, 0, 0], 1)).toBeNull();
+    expect(cache.annIndex.isBuilt).toBe(false);
+  });
+
+  it('should build the index on first search and keep it in sync', () => {
+    cache.addBatchToStore(chunksFor('/repo/a.js', 20));
+    const candidates = cache.searchApproximate([1, 0, 0, 0], 1);
+
+    expect(cache.annIndex.isBuilt).toBe(true);
+    expect(cache.annIndex.size).toBe(20);
+    expect(candidates.length).toBeGreaterThan(0);
+
+    cache.addBatchToStore(chunksFor('/repo/b.js', 4));
+    expect(cache.annIndex.size).toBe(24);
+
+    cache.removeFileFromStore('/repo/a.js');
+    expect(cache.annIndex.size).toBe(4);
+
+    const remaining = cache.getChunksByIds(cache.annIndex.search([1, 0, 0, 0], 100));
+    expect(remaining).toHaveLength(4);
+    expect(remaining.every(chunk => chunk.file === '/repo/b.js')).toBe(true);
+  });
+
+  it('should persist the index next to the database', async () => {
+    cache.addBatchToStore(chunksFor('/repo/a.js', 20));
+    cache.searchApproximate([1, 0, 0, 0], 1);
+    await cache.save();
+    cache.close();
+
+    cache = new SQLiteCache(config());
+    await cache.load();
+    expect(cache.annIndex.isBuilt).toBe(true);
+    expect(cache.annIndex.size).toBe(20);
+  });
+
+  it('should discard a persisted index that is out of date', async () => {
+    cache.addBatchToStore(chunksFor('/repo/a.js', 20));
+    cache.searchApproximate([1, 0, 0, 0], 1);
+    await cache.save();
+
+    // Written after the last save, so the file on disk misses these ids
+    cache.addBatchToStore(chunksFor('/repo/b.js', 3));
+    cache.close();
+
+    cache = new SQLiteCache(config());
+    await cache.load();
+    expect(cache.annIndex.isBuilt).toBe(false);
+  });
+});
+
+describe('SQLiteCache Vector Quantization', () => {
+  let cacheDir;
+  let cache;
+
+  const openCache = async (vectorQuantization) => {
+    cache?.close();
+    cache = new SQLiteCache({ cacheDirectory: cacheDir, enableCache: true, vectorQuantization });
+    await cache.load();
+  };
+  const quantizedCount = () =>
+    cache.db.prepare('SELECT COUNT(*) AS count FROM embeddings WHERE vector_q IS NOT NULL').get().count;
+  const rowPayload = () => cache.db
+    .prepare('SELECT SUM(length(vector) + COALESCE(length(vector_q), 0)) AS bytes FROM embeddings')
+    .get().bytes;
+  const separateCount = () =>
+    cache.db.prepare('SELECT COUNT(*) AS count FROM embedding_vectors').get().count;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-coding-cache-test-'));
+    cache = null;
+  });
+
+  afterEach(async () => {
+    cache.close();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should store quantized codes and keep full-precision vectors', async () => {
+    await openCache('int8');
+    cache.addBatchToStore([
+      makeChunk('/repo/a.js', 1, 'function alpha() {}', [1, 0, 0, 0]),
+      makeChunk('/repo/b.js', 1, 'function beta() {}', [0, 1, 0, 0])
+    ]);
+
+    expect(quantizedCount()).toBe(2);
+    expect(separateCount()).toBe(2);
+    expect(cache.getVectorStore()[0].vector).toEqual([1, 0, 0, 0]);
+  });
+
+  it('should keep full vectors out of the chunk rows', async () => {
+    const vector = Array.from({ length: 64 }, (_, i) => Math.sin(i + 1));
+    const chunks = [makeChunk('/repo/a.js', 1, 'function alpha() {}', vector)];
+
+    await openCache('none');
+    cache.addBatchToStore(chunks);
+    const fullPayload = rowPayload();
+
+    cache.setVectorStore([]);
+    await openCache('int8');
+    cache.addBatchToStore(chunks);
+
+    expect(rowPayload()).toBeLessThanOrEqual(fullPayload / 3);
+    const [stored] = cache.getChunksByIds(cache.searchQuantized(vector, 1));
+    expect(stored.vector).toEqual(Array.from(new Float32Array(vector)));
+  });
+
+  it('should rank by the quantized form and track store changes', async () => {
+    await openCache('binary');
+    cache.addBatchToStore([
+      makeChunk('/repo/a.js', 1, 'function alpha() {}', [1, 1, -1, -1, 1, 1, -1, -1]),
+      makeChunk('/repo/b.js', 1, 'function beta() {}', [-1, -1, 1, 1, -1, -1, 1, 1])
+    ]);
+
+    const query = [1, 1, -1, -1, 1, 1, -1, -1];
+    const [best] = cache.getChunksByIds(cache.searchQuantized(query, 1));
+    expect(best.file).toBe('/repo/a.js');
+
+    cache.removeFileFromStore('/repo/a.js');
+    const remaining = cache.getChunksByIds(cache.searchQuantized(query, 5));
+    expect(remaining.map(c => c.file)).toEqual(['/repo/b.js']);
+  });
+
+  it('should return null when quantization is off', async () => {
+    await openCache('none');
+    cache.addToStore(makeChunk('/repo/a.js', 1, 'function alpha() {}'));
+
+    expect(quantizedCount()).toBe(0);
+    expect(cache.searchQuantized([1, 0, 0, 0], 5)).toBeNull();
+  });
+
+  it('should re-encode stored vectors when the mode changes', async () => {
+    await openCache('none');
+    cache.addBatchToStore([
+      makeChunk('/repo/a.js', 1, 'function alpha() {}'),
+      makeChunk('/repo/b.js', 1, 'function beta() {}')
+    ]);
+
+    await openCache('int8');
+    expect(quantizedCount()).toBe(2);
+    expect(separateCount()).toBe(2);
+    expect(cache.getMeta('vector_quantization')).toBe('int8');
+
+    await openCache('none');
+    expect(quantizedCount()).toBe(0);
+    expect(separateCount()).toBe(0);
+    expect(cache.getVectorStore().map(c => c.vector)).toEqual([[1, 0, 0, 0], [1, 0, 0, 0]]);
+  });
+
+  it('should move full vectors out of databases quantized with them inline', async () => {
+    await openCache('none');
+    cache.addToStore(makeChunk('/repo/a.js', 1, 'function alpha() {}'));
+    cache.db.exec("UPDATE embeddings SET vector_q = X'00'");
+    cache.setMeta('vector_quantization', 'int8');
+
+    await openCache('int8');
+    expect(separateCount()).toBe(1);
+    expect(cache.db.prepare('SELECT length(vector) AS bytes FROM embeddings').get().bytes).toBe(0);
+    expect(cache.getVectorStore()[0].vector).toEqual([1, 0, 0, 0]);
+  });
+
+  it('should fall back to full precision for an unknown mode', async () => {
+    await openCache('int3');
+    expect(cache.quantization).toBe('none');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for stack trace parsing
+ *
+ * Tests frame and message extraction per trace format:
+ * - Node.js (named, anonymous, file:// URLs, locationless frames)
+ * - Python tracebacks (message printed last)
+ * - Java/Kotlin (package paths, native frames, module prefixes)
+ * - Go panics and Rust panics with backtraces
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseStackTrace } from '../lib/stack-trace.js';
+
+describe('Stack Trace Parser', () => {
+  it('should parse Node.js traces', () => {
+    const { message, frames } = parseStackTrace([
+      "TypeError: Cannot read properties of undefined (reading 'price')",
+      '    at total (/app/src/cart.js:12:18)',
+      '    at Array.map (<anonymous>)',
+      '    at async checkout (file:///app/src/checkout.mjs:40:3)',
+      '    at /app/src/server.js:8:5',
+      '    at node:internal/process/task_queues:95:5'
+    ].join('\n'));
+
+    expect(message).toBe("TypeError: Cannot read properties of undefined (reading 'price')");
+    expect(frames).toEqual([
+      { function: 'total', file: '/app/src/cart.js', line: 12, column: 18, language: 'javascript' },
+      { function: 'Array.map', file: null, line: null, column: null, language: 'javascript' },
+      { function: 'checkout', file: '/app/src/checkout.mjs', line: 40, column: 3, language: 'javascript' },
+      { function: null, file: '/app/src/server.js', line: 8, column: 5, language: 'javascript' },
+      { function: null, file: 'node:internal/process/task_queues', line: 95, column: 5, language: 'javascript' }
+    ]);
+  });
+
+  it('should parse Python tracebacks and take the last error line', () => {
+    const { message, frames } = parseStackTrace([
+      'Traceback (most recent call last):',
+      '  File "/srv/app/main.py", line 7, in <module>',
+      '    main()',
+      '  File "/srv/app/billing/cart.py", line 21, in total',
+      '    return sum(item.price for item in items) / count',
+      '           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^',
+      'ZeroDivisionError: division by zero'
+    ].join('\n'));
+
+    expect(message).toBe('ZeroDivisionError: division by zero');
+    expect(frames.map(f => [f.function, f.file, f.line])).toEqual([
+      ['<module>', '/srv/app/main.py', 7],
+      ['total', '/srv/app/billing/cart.py', 21]
+    ]);
+  });
+
+  it('should parse Java traces into package paths', () => {
+    const { message, frames } = parseStackTrace([
+      'Exception in thread "main" java.lang.IllegalStateException: Cart is empty',
+      '\tat com.acme.shop.Cart$Item.total(Cart.java:42)',
+      '\tat java.base/java.lang.Thread.run(Thread.java:829)',
+      '\tat jdk.internal.reflect.NativeMethodAccessorImpl.invoke0(Native Method)',
+      '\t... 3 more'
+    ].join('\n'));
+
+    expect(message).toBe('Exception in thread "main" java.lang.IllegalStateException: Cart is empty');
+    expect(frames).toEqual([
+      { function: 'com.acme.shop.Cart$Item.total', file: 'com/acme/shop/Cart.java', line: 42, column: null, language: 'java' },
+      { function: 'java.lang.Thread.run', file: 'java/lang/Thread.java', line: 829, column: null, language: 'java' },
+      { function: 'jdk.internal.reflect.NativeMethodAccessorImpl.invoke0', file: null, line: null, column: null, language: 'java' }
+    ]);
+  });
+
+  it('should parse Go panics with functions from the preceding line', () => {
+    const { message, frames } = parseStackTrace([
+      'panic: runtime error: index out of range [3] with length 3',
+      '',
+      'goroutine 1 [running]:',
+      'main.(*Cart).Total(0xc000010000, {0x1, 0x2})',
+      '\t/home/dev/shop/cart.go:42 +0x1d',
+      'main.main()',
+      '\t/home/dev/shop/main.go:10 +0x25'
+    ].join('\n'));
+
+    expect(message).toBe('panic: runtime error: index out of range [3] with length 3');
+    expect(frames.map(f => [f.function, f.file, f.line, f.language])).toEqual([
+      ['main.(*Cart).Total', '/home/dev/shop/cart.go', 42, 'go'],
+      ['main.main', '/home/dev/shop/main.go', 10, 'go']
+    ]);
+  });
+
+  it('should parse Rust panics and backtraces', () => {
+    const { message, frames } = parseStackTrace([
+      "thread 'main' panicked at src/cart.rs:42:5:",
+      'called `Option::unwrap()` on a `None` value',
+      'stack backtrace:',
+      '   0: rust_begin_unwind',
+      '             at /rustc/90b35a6239c3d8bdabc530a6a0816f7ff89a0aaf/library/std/src/panicking.rs:645:5',
+      '   1: shop::cart::total::h0123456789abcdef',
+      '             at ./src/cart.rs:42:5',
+      'note: Some details are omitted, run with `RUST_BACKTRACE=full` for a verbose backtrace.'
+    ].join('\n'));
+
+    expect(message).toBe('called `Option::unwrap()` on a `None` value');
+    expect(frames.map(f => [f.function, f.file, f.line])).toEqual([
+      [null, 'src/cart.rs', 42],
+      ['rust_begin_unwind', '/rustc/90b35a6239c3d8bdabc530a6a0816f7ff89a0aaf/library/std/src/panicking.rs', 645],
+      ['shop::cart::total', './src/cart.rs', 42]
+    ]);
+  });
+
+  it('should return only a message for plain error logs', () => {
+    const { message, frames } = parseStackTrace('2024-05-01 12:00:01 worker started\nERROR connection refused at least twice\n');
+
+    expect(frames).toEqual([]);
+    expect(message).toBe('ERROR connection refused at least twice');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for symbol extraction
+ *
+ * Tests the definitions recorded in the symbol index:
+ * - Names, kinds and line ranges per language
+ * - Parent symbols (methods inside classes, Go receivers, Rust impls)
+ * - Verse definitions
+ * - Fuzzy name matching
+ */
+
+import { describe, it, expect } from 'vitest';
+import { extractSymbols, fuzzyMatchScore } from '../lib/symbol-extractor.js';
+
+const summarize = symbols => symbols.map(({ name, kind, startLine, endLine, parent }) =>
+  ({ name, kind, startLine, endLine, parent }));
+
+describe('Symbol Extractor', () => {
+  describe('extractSymbols', () => {
+    it('should extract JavaScript classes, methods and functions', () => {
+      const code = [
+        'import fs from "fs";',
+        '',
+        'export class Cache {',
+        '  constructor(dir) {',
+        '    this.dir = dir;',
+        '  }',
+        '',
+        '  async load() {',
+        '    if (this.dir) {',
+        '      return fs.readFile(this.dir);',
+        '    }',
+        '  }',
+        '}',
+        '',
+        'export const createCache = (dir) => {',
+        '  return new Cache(dir);',
+        '};'
+      ].join('\n');
+
+      expect(summarize(extractSymbols(code, 'cache.js'))).toEqual([
+        { name: 'Cache', kind: 'class', startLine: 3, endLine: 13, parent: null },
+        { name: 'constructor', kind: 'method', startLine: 4, endLine: 6, parent: 'Cache' },
+        { name: 'load', kind: 'method', startLine: 8, endLine: 12, parent: 'Cache' },
+        { name: 'createCache', kind: 'function', startLine: 15, endLine: 17, parent: null }
+      ]);
+    });
+
+    it('should ignore braces inside strings and comments', () => {
+      const code = [
+        'function render() {',
+        '  const open = "{";',
+        '  // }',
+        '  return open;',
+        '}'
+      ].join('\n');
+
+      expect(extractSymbols(code, 'render.js')[0].endLine).toBe(5);
+    });
+
+    it('should use indentation for Python', () => {
+      const code = [
+        'class Parser:',
+        '    def parse(self, text):',
+        '        return text',
+        '',
+        '    def reset(self):',
+        '        pass',
+        '',
+        'def main():',
+        '    Parser().parse("x")'
+      ].join('\n');
+
+      expect(summarize(extractSymbols(code, 'parser.py'))).toEqual([
+        { name: 'Parser', kind: 'class', startLine: 1, endLine: 6, parent: null },
+        { name: 'parse', kind: 'method', startLine: 2, endLine: 3, parent: 'Parser' },
+        { name: 'reset', kind: 'method', startLine: 5, endLine: 6, parent: 'Parser' },
+        { name: 'main', kind: 'function', startLine: 8, endLine: 9, parent: null }
+      ]);
+    });
+
+    it('should attach Go methods to their receiver type', () => {
+      const code = [
+        'type Server struct {',
+        '    addr string',
+        '}',
+        '',
+        'func (s *Server) Start() error {',
+        '    return nil',
+        '}'
+      ].join('\n');
+
+      expect(summarize(extractSymbols(code, 'server.go'))).toEqual([
+        { name: 'Server', kind: 'struct', startLine: 1, endLine: 3, parent: null },
+        { name: 'Start', kind: 'method', startLine: 5, endLine: 7, parent: 'Server' }
+      ]);
+    });
+
+    it('should nest Rust functions under their impl', () => {
+      const code = [
+        'impl Display for Point {',
+        '    fn fmt(&self, f: &mut Formatter) -> Result {',
+        '        write!(f, "{}", self.x)',
+        '    }',
+        '}'
+      ].join('\n');
+
+      const symbols = extractSymbols(code, 'point.rs');
+      expect(symbols.map(s => [s.name, s.kind, s.parent])).toEqual([
+        ['Point', 'impl', null],
+        ['fmt', 'method', 'Point']
+      ]);
+    });
+
+    it('should extract Java methods and skip C prototypes', () => {
+      const java = [
+        'public class UserService {',
+        '    public User findUser(String id) {',
+        '        return repo.get(id);',
+        '    }',
+        '}'
+      ].join('\n');
+      expect(extractSymbols(java, 'UserService.java').map(s => [s.name, s.kind])).toEqual([
+        ['UserService', 'class'],
+        ['findUser', 'method']
+      ]);
+
+      const c = [
+        'int add(int a, int b);',
+        '',
+        'int add(int a, int b)',
+        '{',
+        '    return a + b;',
+        '}'
+      ].join('\n');
+      expect(summarize(extractSymbols(c, 'math.c'))).toEqual([
+        { name: 'add', kind: 'function', startLine: 3, endLine: 6, parent: null }
+      ]);
+    });
+
+    it('should end Ruby definitions at their end keyword', () => {
+      const code = [
+        'module Billing',
+        '  def self.charge(amount)',
+        '    amount * 2',
+        '  end',
+        'end'
+      ].join('\n');
+
+      expect(summarize(extractSymbols(code, 'billing.rb'))).toEqual([
+        { name: 'Billing', kind: 'module', startLine: 1, endLine: 5, parent: null },
+        { name: 'charge', kind: 'method', startLine: 2, endLine: 4, parent: 'Billing' }
+      ]);
+    });
+
+    it('should extract Verse definitions', () => {
+      const code = [
+        'game_manager := class(creative_device):',
+        '    OnBegin<override>()<suspends>:void =',
+        '        Print("start")',
+        '',
+        'GetScore(Player:player):int =',
+        '    return 0'
+      ].join('\n');
+
+      const symbols = extractSymbols(code, 'game.verse');
+      expect(symbols.map(s => [s.name, s.kind, s.parent])).toEqual([
+        ['game_manager', 'class', null],
+        ['OnBegin', 'method', 'game_manager'],
+        ['GetScore', 'function', null]
+      ]);
+      expect(symbols[0].endLine).toBe(3);
+    });
+
+    it('should return nothing for unsupported files', () => {
+      expect(extractSymbols('# Title\n\nfunction notCode() {}', 'README.md')).toEqual([]);
+    });
+  });
+
+  describe('fuzzyMatchScore', () => {
+    it('should rank exact, prefix, substring, abbreviation and typo matches', () => {
+      const exact = fuzzyMatchScore('indexall', 'indexAll');
+      const prefix = fuzzyMatchScore('index', 'indexAll');
+      const substring = fuzzyMatchScore('all', 'indexAll');
+      const abbreviation = fuzzyMatchScore('cbi', 'CodebaseIndexer');
+      const typo = fuzzyMatchScore('indxAll', 'indexAll');
+
+      expect(exact).toBe(1);
+      expect(prefix).toBeLessThan(exact);
+      expect(substring).toBeLessThan(prefix);
+      expect(abbreviation).toBeLessThan(substring);
+      expect(typo).toBeGreaterThan(0);
+      expect(fuzzyMatchScore('render', 'parseConfig')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for token-budgeted result packing
+ *
+ * Tests filling a token budget with ranked results:
+ * - Greedy packing in rank order
+ * - Trimming oversized results to whole lines
+ * - Reporting of used tokens and omitted results
+ */
+
+import { describe, it, expect } from 'vitest';
+import { estimateTokens } from '../lib/tokenizer.js';
+import { packResults, RESULT_OVERHEAD_TOKENS } from '../lib/token-budget.js';
+
+function result(file, startLine, lineCount, score) {
+  const lines = Array.from({ length: lineCount }, (_, i) => `const value${startLine + i} = compute(input, ${i});`);
+  return { file, startLine, endLine: startLine + lineCount - 1, content: lines.join('\n'), score };
+}
+
+const cost = (r) => estimateTokens(r.content) + RESULT_OVERHEAD_TOKENS;
+
+describe('Token Budget', () => {
+  it('should keep every result that fits and report the usage', () => {
+    const results = [result('a.js', 1, 3, 0.9), result('b.js', 1, 3, 0.8)];
+    const budget = cost(results[0]) + cost(results[1]) + 5;
+
+    const packed = packResults(results, budget);
+
+    expect(packed.results.map(r => r.file)).toEqual(['a.js', 'b.js']);
+    expect(packed.results[0].tokens).toBe(cost(results[0]));
+    expect(packed.budget).toEqual({ maxTokens: budget, usedTokens: budget - 5, remainingTokens: 5, omitted: [] });
+  });
+
+  it('should trim a result that does not fit to whole lines', () => {
+    const big = result('a.js', 10, 100, 0.9);
+    const packed = packResults([big], 200);
+
+    const [trimmed] = packed.results;
+    expect(trimmed.trimmed).toBe(true);
+    expect(trimmed.startLine).toBe(10);
+    expect(trimmed.endLine).toBeLessThan(109);
+    expect(trimmed.content.split('\n')).toHaveLength(trimmed.endLine - trimmed.startLine + 1);
+    expect(big.content.startsWith(trimmed.content)).toBe(true);
+    expect(packed.budget.usedTokens).toBeLessThanOrEqual(200);
+  });
+
+  it('should trim expanded results from the matched lines', () => {
+    const expanded = { ...result('a.js', 1, 100, 0.9), matchStartLine: 40, matchEndLine: 45 };
+    const [trimmed] = packResults([expanded], 150).results;
+
+    expect(trimmed.startLine).toBe(40);
+    expect(trimmed.content.split('\n')[0]).toBe('const value40 = compute(input, 39);');
+  });
+
+  it('should leave out results without room and keep filling with smaller ones', () => {
+    const small = result('c.js', 1, 1, 0.5);
+    const results = [result('a.js', 1, 5, 0.9), result('b.js', 1, 50, 0.8), small];
+    const budget = cost(results[0]) + cost(small) + 10;
+
+    const packed = packResults(results, budget);
+
+    expect(packed.results.map(r => r.file)).toEqual(['a.js', 'c.js']);
+    expect(packed.budget.omitted).toEqual([
+      { file: 'b.js', startLine: 1, endLine: 50, score: 0.8, tokens: cost(results[1]) }
+    ]);
+  });
+});